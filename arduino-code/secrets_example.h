@@ -8,5 +8,7 @@
 #define WIFI_PASSWORD "YourWiFiPassword"
 
 // Firebase credentials
+// FIREBASE_AUTH must be the database secret: stations have no user account, and the secret
+// bypasses the security rules. Use a staging project's host and secret for test stations.
 #define FIREBASE_HOST "your-project-id.firebaseio.com"
 #define FIREBASE_AUTH "your-firebase-database-secret" 
\ No newline at end of file
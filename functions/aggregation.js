@@ -0,0 +1,187 @@
+// Rollup aggregation helpers
+// Raw readings in waterLevelData/{deviceId} are summarised into 5-minute, hourly and daily
+// buckets under rollups/{resolution}/{deviceId}/{bucketStart}. Each bucket keeps the min, max,
+// mean and count of the raw water level percentage, the same for the filtered level (see
+// filtering.js), and how many readings were suspect. These helpers don't touch the database, so the
+// trigger, the nightly rebuild and the backfill script all bucket readings the same way.
+
+const MINUTE_MS = 60 * 1000;
+
+// Bucket sizes by resolution key
+export const RESOLUTIONS = {
+  '5m': 5 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+  '1d': 24 * 60 * MINUTE_MS
+};
+
+// Buckets follow the site's clock, so a day runs from the site's midnight (keep in sync with
+// REACT_APP_SITE_TIMEZONE in the dashboard, see src/timezone.js)
+export const SITE_TIMEZONE = process.env.SITE_TIMEZONE || 'Asia/Manila';
+
+// Geometry used when a device's registry entry doesn't set it (keep in sync with src/devices.js)
+const DEFAULT_GEOMETRY = {
+  mountHeight: 15,
+  maxDepth: 8,
+  sensorOffset: 0
+};
+
+// Path of one rollup bucket
+export const rollupPath = (resolution, deviceId, bucketStart) =>
+  `rollups/${resolution}/${deviceId}/${bucketStart}`;
+
+// Offset of a timezone from UTC at a point in time, in minutes (480 for UTC+8), so buckets
+// follow daylight saving where the site has it
+export const getTimeZoneOffsetMinutes = (timestamp, timeZone = SITE_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / MINUTE_MS);
+};
+
+// Start of the bucket a timestamp falls in
+export const getBucketStart = (timestamp, resolution, timeZone = SITE_TIMEZONE) => {
+  const size = RESOLUTIONS[resolution];
+  const offset = getTimeZoneOffsetMinutes(timestamp, timeZone) * MINUTE_MS;
+  return Math.floor((timestamp + offset) / size) * size - offset;
+};
+
+// Accept millisecond or second timestamps from 2020 onwards; anything else can't be placed
+// in a bucket (same rules as fixTimestamp in src/readings.js, checked by src/functionsParity.test.js)
+export const normalizeTimestamp = (timestamp) => {
+  const value = Number(timestamp);
+  if (value > 1577836800000) return value;
+  if (value > 1577836800 && value < 2000000000) return value * 1000;
+  return null;
+};
+
+// How far a station's clock may be ahead of the receipt time, or behind it, before its time is
+// not trusted (keep in sync with src/readings.js)
+const MAX_CLOCK_AHEAD_MS = 5 * MINUTE_MS;
+const MAX_CLOCK_BEHIND_MS = 24 * 60 * MINUTE_MS;
+
+// Decide the time a reading is filed under, from the time the station sent and when it arrived
+// Returns { timestamp, fromReceipt, clockInvalid }: readings without a time, or whose time can't
+// be right (clock not set, or far from the server's), are filed under receivedAt; the latter are
+// flagged clockInvalid. Same rules as resolveReadingTime in src/readings.js.
+export const resolveReadingTime = (deviceTime, receivedAt) => {
+  if (deviceTime === undefined || deviceTime === null || deviceTime === '') {
+    return { timestamp: receivedAt, fromReceipt: true, clockInvalid: false };
+  }
+
+  const timestamp = normalizeTimestamp(deviceTime);
+  if (timestamp === null || timestamp - receivedAt > MAX_CLOCK_AHEAD_MS || receivedAt - timestamp > MAX_CLOCK_BEHIND_MS) {
+    return { timestamp: receivedAt, fromReceipt: true, clockInvalid: true };
+  }
+  return { timestamp, fromReceipt: false, clockInvalid: false };
+};
+
+// Water level percentage of a raw reading, converting legacy distance-only entries
+// with the device's geometry. Returns null when the reading has no usable value.
+export const getReadingLevel = (entry, device) => {
+  if (!entry) return null;
+
+  if (entry.waterLevel !== undefined && entry.waterLevel !== null) {
+    const waterLevel = parseFloat(entry.waterLevel);
+    return isNaN(waterLevel) ? null : waterLevel;
+  }
+
+  const distance = parseFloat(entry.distance);
+  if (isNaN(distance)) return null;
+
+  const geometry = { ...DEFAULT_GEOMETRY };
+  Object.keys(DEFAULT_GEOMETRY).forEach(field => {
+    const value = parseFloat(device && device[field]);
+    if (!isNaN(value)) geometry[field] = value;
+  });
+
+  const levelCm = geometry.mountHeight - (distance + geometry.sensorOffset);
+  return Math.max(0, Math.min(100, Math.round(levelCm / geometry.maxDepth * 100)));
+};
+
+// Round a mean so repeated merges don't accumulate long decimals
+const roundMean = (value) => Math.round(value * 100) / 100;
+
+// Add one reading to a bucket (or start a new one)
+// filteredLevel and suspect come from the reading's filter; readings from before the filter
+// count with their raw level
+// Used inside database transactions, so it must not modify the bucket it is given
+export const mergeIntoBucket = (bucket, waterLevel, timestamp, resolution, { filteredLevel = waterLevel, suspect = false } = {}) => {
+  if (!bucket) {
+    return {
+      start: getBucketStart(timestamp, resolution),
+      resolution,
+      count: 1,
+      sum: waterLevel,
+      min: waterLevel,
+      max: waterLevel,
+      mean: waterLevel,
+      filteredSum: filteredLevel,
+      filteredMin: filteredLevel,
+      filteredMax: filteredLevel,
+      filteredMean: filteredLevel,
+      suspectCount: suspect ? 1 : 0,
+      firstTimestamp: timestamp,
+      lastTimestamp: timestamp
+    };
+  }
+
+  const count = bucket.count + 1;
+  const sum = bucket.sum + waterLevel;
+  // Buckets written before filtering only have the raw figures
+  const filteredSum = (bucket.filteredSum === undefined ? bucket.sum : bucket.filteredSum) + filteredLevel;
+
+  return {
+    ...bucket,
+    count,
+    sum,
+    min: Math.min(bucket.min, waterLevel),
+    max: Math.max(bucket.max, waterLevel),
+    mean: roundMean(sum / count),
+    filteredSum,
+    filteredMin: Math.min(bucket.filteredMin === undefined ? bucket.min : bucket.filteredMin, filteredLevel),
+    filteredMax: Math.max(bucket.filteredMax === undefined ? bucket.max : bucket.filteredMax, filteredLevel),
+    filteredMean: roundMean(filteredSum / count),
+    suspectCount: (bucket.suspectCount || 0) + (suspect ? 1 : 0),
+    firstTimestamp: Math.min(bucket.firstTimestamp, timestamp),
+    lastTimestamp: Math.max(bucket.lastTimestamp, timestamp)
+  };
+};
+
+// Summarise raw readings ({ timestamp, waterLevel, filteredLevel?, suspect? }) into buckets keyed by bucket start
+export const summarizeReadings = (readings, resolution) => {
+  const buckets = {};
+
+  readings.forEach(({ timestamp, waterLevel, ...filter }) => {
+    const start = getBucketStart(timestamp, resolution);
+    buckets[start] = mergeIntoBucket(buckets[start], waterLevel, timestamp, resolution, filter);
+  });
+
+  return buckets;
+};
+
+// Fields the filter added to a raw entry, if it has been filtered
+const getFilterFields = (entry) => {
+  const filteredLevel = parseFloat(entry.filteredLevel);
+  return isNaN(filteredLevel) ? {} : { filteredLevel, suspect: entry.suspect === true };
+};
+
+// Turn a device's raw waterLevelData entries into valid { timestamp, waterLevel } readings,
+// with filteredLevel and suspect where the filter has run
+export const toValidReadings = (entries, device) => Object.keys(entries || {})
+  .map(key => ({
+    timestamp: normalizeTimestamp(entries[key].timestamp),
+    waterLevel: getReadingLevel(entries[key], device),
+    ...getFilterFields(entries[key])
+  }))
+  .filter(reading => reading.timestamp !== null && reading.waterLevel !== null);
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getBucketStart,
+  getReadingLevel,
+  mergeIntoBucket,
+  normalizeTimestamp,
+  resolveReadingTime,
+  summarizeReadings,
+  toValidReadings
+} from './aggregation.js';
+
+const MINUTE = 60 * 1000;
+// 2024-07-01 09:07 in the site's timezone (UTC+8)
+const time = Date.UTC(2024, 6, 1, 1, 7, 30);
+
+test('puts readings in 5-minute, hourly and site-local daily buckets', () => {
+  assert.equal(getBucketStart(time, '5m'), Date.UTC(2024, 6, 1, 1, 5));
+  assert.equal(getBucketStart(time, '1h'), Date.UTC(2024, 6, 1, 1, 0));
+  // Midnight in UTC+8 is 16:00 UTC the day before
+  assert.equal(getBucketStart(time, '1d'), Date.UTC(2024, 5, 30, 16, 0));
+});
+
+test('follows daylight saving in the site timezone', () => {
+  // New York is UTC-5 in winter and UTC-4 in summer
+  assert.equal(getBucketStart(Date.UTC(2024, 0, 15, 12), '1d', 'America/New_York'), Date.UTC(2024, 0, 15, 5));
+  assert.equal(getBucketStart(Date.UTC(2024, 6, 15, 12), '1d', 'America/New_York'), Date.UTC(2024, 6, 15, 4));
+  // India is UTC+5:30, so hours start at half past in UTC
+  assert.equal(getBucketStart(Date.UTC(2024, 6, 1, 1, 7), '1h', 'Asia/Kolkata'), Date.UTC(2024, 6, 1, 0, 30));
+});
+
+test('keeps min, max, mean and count without changing the original bucket', () => {
+  const first = mergeIntoBucket(null, 40, time, '5m');
+  const second = mergeIntoBucket(first, 50, time + MINUTE, '5m');
+  const third = mergeIntoBucket(second, 30, time - MINUTE, '5m');
+
+  assert.equal(first.count, 1);
+  assert.deepEqual(
+    { count: third.count, min: third.min, max: third.max, mean: third.mean },
+    { count: 3, min: 30, max: 50, mean: 40 }
+  );
+  assert.equal(third.firstTimestamp, time - MINUTE);
+  assert.equal(third.lastTimestamp, time + MINUTE);
+  assert.equal(third.start, Date.UTC(2024, 6, 1, 1, 5));
+});
+
+test('summarises readings into separate buckets', () => {
+  const buckets = summarizeReadings([
+    { timestamp: time, waterLevel: 20 },
+    { timestamp: time + MINUTE, waterLevel: 30 },
+    { timestamp: time + 10 * MINUTE, waterLevel: 60 }
+  ], '5m');
+
+  assert.deepEqual(Object.keys(buckets).map(Number), [Date.UTC(2024, 6, 1, 1, 5), Date.UTC(2024, 6, 1, 1, 15)]);
+  assert.equal(buckets[Date.UTC(2024, 6, 1, 1, 5)].mean, 25);
+});
+
+test('files readings from stations with a wrong clock under their receipt time', () => {
+  assert.deepEqual(resolveReadingTime(time - 2000, time), { timestamp: time - 2000, fromReceipt: false, clockInvalid: false });
+  assert.deepEqual(resolveReadingTime(undefined, time), { timestamp: time, fromReceipt: true, clockInvalid: false });
+  // Seconds since boot, and a clock an hour fast
+  assert.deepEqual(resolveReadingTime(12345, time), { timestamp: time, fromReceipt: true, clockInvalid: true });
+  assert.deepEqual(resolveReadingTime(time + 60 * MINUTE, time), { timestamp: time, fromReceipt: true, clockInvalid: true });
+});
+
+test('reads levels and timestamps the way the dashboard does', () => {
+  assert.equal(normalizeTimestamp(time), time);
+  assert.equal(normalizeTimestamp(time / 1000), time);
+  assert.equal(normalizeTimestamp(12345), null);
+
+  assert.equal(getReadingLevel({ waterLevel: '42.5' }), 42.5);
+  // 15cm mount height - 11cm distance = 4cm of an 8cm max depth
+  assert.equal(getReadingLevel({ distance: 11 }), 50);
+  assert.equal(getReadingLevel({ distance: 11 }, { mountHeight: 19 }), 100);
+  assert.equal(getReadingLevel({}), null);
+});
+
+test('drops raw entries without a usable timestamp or level', () => {
+  const readings = toValidReadings({
+    a: { timestamp: time, waterLevel: 10 },
+    b: { timestamp: 99, waterLevel: 10 },
+    c: { timestamp: time, status: 'Safe' }
+  });
+
+  assert.deepEqual(readings, [{ timestamp: time, waterLevel: 10 }]);
+});
+
+test('keeps the filtered level and suspect count alongside the raw figures', () => {
+  const first = mergeIntoBucket(null, 40, time, '5m', { filteredLevel: 40 });
+  const second = mergeIntoBucket(first, 90, time + MINUTE, '5m', { filteredLevel: 40, suspect: true });
+  assert.deepEqual(
+    { max: second.max, mean: second.mean, filteredMax: second.filteredMax, filteredMean: second.filteredMean, suspectCount: second.suspectCount },
+    { max: 90, mean: 65, filteredMax: 40, filteredMean: 40, suspectCount: 1 }
+  );
+
+  // Buckets from before filtering start from their raw figures
+  const legacy = mergeIntoBucket({ count: 1, sum: 30, min: 30, max: 30, mean: 30, firstTimestamp: time, lastTimestamp: time }, 50, time, '5m');
+  assert.equal(legacy.filteredMean, 40);
+  assert.equal(legacy.suspectCount, 0);
+});
@@ -0,0 +1,171 @@
+// Tests for database.rules.json
+// These need the Realtime Database emulator: npm run test:rules starts it and runs this file.
+// Plain `npm test` skips them when no emulator is running.
+
+import { describe, test, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+
+const skip = !process.env.FIREBASE_DATABASE_EMULATOR_HOST && 'needs the database emulator (npm run test:rules)';
+
+const time = Date.UTC(2024, 6, 1, 1, 7, 30);
+
+describe('database rules', { skip }, () => {
+  let rules;
+  let testEnv;
+
+  // Database of a signed-in user, or of a visitor who isn't signed in
+  const as = (uid) => (uid ? testEnv.authenticatedContext(uid, { email: `${uid}@example.com` }) : testEnv.unauthenticatedContext()).database();
+
+  const incidentEvent = (uid, changes = {}) => ({ type: 'note', by: uid, email: `${uid}@example.com`, at: time, text: 'Crew on site', ...changes });
+  const acknowledge = (uid) => ({
+    state: 'acknowledged',
+    acknowledgedAt: time,
+    acknowledgedBy: uid,
+    acknowledgedEmail: `${uid}@example.com`,
+    'events/ack-1': incidentEvent(uid, { type: 'acknowledged', text: null })
+  });
+  const note = (uid, changes = {}) => ({ text: 'Debris at the culvert', by: uid, email: `${uid}@example.com`, at: time, ...changes });
+
+  before(async () => {
+    rules = await import('@firebase/rules-unit-testing');
+    testEnv = await rules.initializeTestEnvironment({
+      projectId: 'demo-aqua-gauge',
+      database: { rules: readFileSync(new URL('../database.rules.json', import.meta.url), 'utf8') }
+    });
+  });
+
+  after(async () => {
+    if (testEnv) await testEnv.cleanup();
+  });
+
+  // Users without a role entry are viewers
+  beforeEach(async () => {
+    await testEnv.clearDatabase();
+    await testEnv.withSecurityRulesDisabled(context => context.database().ref().set({
+      roles: { olivia: 'operator', ada: 'admin' },
+      devices: { 'station-1': { name: 'River', mountHeight: 15, maxDepth: 8 } },
+      currentWaterLevel: { 'station-1': { waterLevel: 40, timestamp: time } },
+      waterLevelData: { 'station-1': { a: { waterLevel: 40, timestamp: time } } },
+      rollups: { '5m': { 'station-1': { [time]: { count: 1, mean: 40 } } } },
+      activeIncidents: { 'station-1': 'incident-1' },
+      incidents: { 'incident-1': { deviceId: 'station-1', state: 'open', status: 'warning', openedAt: time } }
+    }));
+  });
+
+  test('keeps every node private to signed-in users', async () => {
+    for (const path of ['devices', 'currentWaterLevel', 'waterLevelData/station-1', 'rollups/5m/station-1', 'notes', 'incidents', 'activeIncidents', 'eventLog', 'systemLogs']) {
+      await rules.assertFails(as(null).ref(path).get());
+      await rules.assertSucceeds(as('victor').ref(path).get());
+    }
+  });
+
+  test('lets users read their own role but only admins change roles', async () => {
+    await rules.assertSucceeds(as('olivia').ref('roles/olivia').get());
+    await rules.assertFails(as('olivia').ref('roles/ada').get());
+    await rules.assertFails(as('olivia').ref('roles/olivia').set('admin'));
+    await rules.assertFails(as('victor').ref('roles/victor').set('operator'));
+
+    await rules.assertSucceeds(as('ada').ref('roles').get());
+    await rules.assertSucceeds(as('ada').ref('roles/victor').set('operator'));
+    await rules.assertFails(as('ada').ref('roles/victor').set('owner'));
+  });
+
+  test('lets only operators and admins acknowledge, annotate and close incidents', async () => {
+    await rules.assertFails(as('victor').ref('incidents/incident-1').update(acknowledge('victor')));
+    await rules.assertSucceeds(as('olivia').ref('incidents/incident-1').update(acknowledge('olivia')));
+    await rules.assertFails(as('ada').ref('incidents/incident-1').update(acknowledge('ada')));
+
+    await rules.assertFails(as('victor').ref('incidents/incident-1/events/note-1').set(incidentEvent('victor')));
+    await rules.assertSucceeds(as('olivia').ref('incidents/incident-1/events/note-1').set(incidentEvent('olivia')));
+
+    await rules.assertSucceeds(as('ada').ref().update({
+      'incidents/incident-1/state': 'closed',
+      'incidents/incident-1/closedAt': time,
+      'incidents/incident-1/closedBy': 'ada',
+      'incidents/incident-1/events/closed-1': incidentEvent('ada', { type: 'closed', text: null }),
+      'activeIncidents/station-1': null
+    }));
+    await rules.assertFails(as('olivia').ref('incidents/incident-1/state').set('open'));
+  });
+
+  test('leaves opening incidents and their readings to the functions', async () => {
+    await rules.assertFails(as('ada').ref('incidents/incident-2').set({ deviceId: 'station-1', state: 'open', openedAt: time }));
+    await rules.assertFails(as('ada').ref('activeIncidents/station-1').set('incident-2'));
+    await rules.assertFails(as('olivia').ref('incidents/incident-1/status').set('normal'));
+    await rules.assertFails(as('olivia').ref('incidents/incident-1/events/note-1').set(incidentEvent('ada')));
+    await rules.assertFails(as('olivia').ref('incidents/incident-1/events/note-1').set(incidentEvent('olivia', { type: 'opened' })));
+    await rules.assertFails(as('olivia').ref('incidents/incident-1/events/note-1').set(incidentEvent('olivia', { text: 'x'.repeat(2001) })));
+    await rules.assertFails(as('olivia').ref('incidents/incident-2/events/note-1').set(incidentEvent('olivia')));
+  });
+
+  test('lets only operators and admins edit station notes', async () => {
+    await rules.assertFails(as('victor').ref('notes/station-1').set(note('victor')));
+    await rules.assertSucceeds(as('olivia').ref('notes/station-1').set(note('olivia')));
+    await rules.assertFails(as('olivia').ref('notes/station-1').set(note('olivia', { text: 'x'.repeat(2001) })));
+  });
+
+  test('lets only admins change devices and thresholds', async () => {
+    const changes = { name: 'River North', thresholds: { warning: 3, critical: 6, hysteresis: 0.3 } };
+
+    await rules.assertFails(as('victor').ref('devices/station-1').update(changes));
+    await rules.assertFails(as('olivia').ref('devices/station-1').update(changes));
+    await rules.assertSucceeds(as('ada').ref('devices/station-1').update(changes));
+    await rules.assertFails(as('ada').ref('devices/station-1/thresholds').update({ warning: 'high' }));
+    await rules.assertFails(as('ada').ref('devices/station-1/location').set({ lat: 120, lng: 14 }));
+    await rules.assertSucceeds(as('ada').ref('devices/station-1/filter').set({ method: 'mean', window: 5, maxRate: 2, confirmAfter: 3 }));
+    await rules.assertFails(as('ada').ref('devices/station-1/filter').update({ method: 'kalman' }));
+  });
+
+  test('checks thresholds and station timing the way the settings form does', async () => {
+    const thresholds = { warning: 3, critical: 6, hysteresis: 0.3, rapidRise: 1, rateWindow: 15 };
+    const device = (path) => as('ada').ref(`devices/station-1/${path}`);
+
+    await rules.assertSucceeds(device('thresholds').set(thresholds));
+    await rules.assertFails(device('thresholds').set({ warning: 3, critical: 6 }));
+    await rules.assertFails(device('thresholds').set({ ...thresholds, warning: 6 }));
+    await rules.assertFails(device('thresholds').set({ ...thresholds, critical: -1 }));
+    await rules.assertFails(device('thresholds').set({ ...thresholds, hysteresis: 3 }));
+    await rules.assertFails(device('thresholds').set({ ...thresholds, hysteresis: '0.3' }));
+    await rules.assertFails(device('thresholds').set({ ...thresholds, rapidRise: 0 }));
+    await rules.assertFails(device('thresholds').set({ ...thresholds, rateWindow: 2 }));
+    // Single fields are checked against the thresholds already stored
+    await rules.assertSucceeds(device('thresholds/critical').set(4));
+    await rules.assertFails(device('thresholds/critical').set(2));
+
+    await rules.assertSucceeds(as('ada').ref('devices/station-1').update({ sensorOffset: -1.5, offlineAfter: 5 }));
+    await rules.assertFails(device('sensorOffset').set('calibrated'));
+    await rules.assertFails(device('offlineAfter').set(0));
+  });
+
+  test('lets only admins import readings, and never lets the dashboard write rollups', async () => {
+    const reading = { waterLevel: 55, timestamp: time + 60 * 1000, status: 'Warning', deviceId: 'station-1' };
+
+    await rules.assertFails(as('olivia').ref(`waterLevelData/station-1/imported-${reading.timestamp}`).set(reading));
+    await rules.assertSucceeds(as('ada').ref(`waterLevelData/station-1/imported-${reading.timestamp}`).set(reading));
+    await rules.assertFails(as('ada').ref('waterLevelData/station-1/bad').set({ ...reading, waterLevel: 140 }));
+    // Only the filterReading function adds the filtered level and the suspect flag
+    await rules.assertFails(as('ada').ref('waterLevelData/station-1/filtered').set({ ...reading, filteredLevel: 50 }));
+    await rules.assertFails(as('ada').ref('waterLevelData/station-1/a/suspect').set(true));
+    // Receipt times come from the server's clock, so they can't be in the future
+    await rules.assertSucceeds(as('ada').ref('waterLevelData/station-1/received').set({ ...reading, receivedAt: { '.sv': 'timestamp' } }));
+    await rules.assertFails(as('ada').ref('waterLevelData/station-1/early').set({ ...reading, receivedAt: Date.now() + 60 * 60 * 1000 }));
+    await rules.assertFails(as('ada').ref(`rollups/5m/station-1/${time}`).set({ count: 2, mean: 10 }));
+  });
+
+  test('lets only admins record a current level from the dashboard', async () => {
+    const current = { waterLevel: 55, distance: 10.6, timestamp: time + 60 * 1000, status: 'Warning', deviceId: 'station-1' };
+
+    await rules.assertFails(as('olivia').ref('currentWaterLevel/station-1').set(current));
+    await rules.assertSucceeds(as('ada').ref('currentWaterLevel/station-1').set(current));
+    await rules.assertFails(as('ada').ref('currentWaterLevel/station-1').set({ ...current, waterLevel: 140 }));
+    await rules.assertFails(as('ada').ref('currentWaterLevel/station-1').set({ waterLevel: 55 }));
+  });
+
+  test('leaves the event log and the state behind it to the functions', async () => {
+    const entry = { type: 'settings', severity: 'info', deviceId: 'station-1', at: time, message: 'Changed name' };
+
+    await rules.assertFails(as('ada').ref('eventLog/entry-1').set(entry));
+    await rules.assertFails(as('ada').ref('deviceState/station-1/alert').set({ status: 'normal', at: time }));
+    await rules.assertFails(as('victor').ref('deviceState').get());
+  });
+});
@@ -0,0 +1,108 @@
+// Event log helpers
+// Entries in eventLog/ record alert status changes, stations going offline or coming back, and
+// edits to their thresholds and settings. These helpers build the entries and don't touch the
+// database. The dashboard reads them with src/eventLog.js, which builds the same entries for
+// sources without functions, so keep the two in sync.
+
+import { formatLevelCm, getAlertStatus } from './incidents.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Minutes without a reading or heartbeat before a station counts as offline (keep in sync with src/devices.js)
+const DEFAULT_OFFLINE_AFTER = 10;
+
+const STATUS_LABELS = { normal: 'Safe', warning: 'Warning', danger: 'Critical' };
+const STATUS_SEVERITIES = { danger: 'critical', warning: 'warning' };
+
+// Registry fields that change with every reading or heartbeat rather than by an edit
+const UNLOGGED_FIELDS = ['lastSeen', 'lastHeartbeat', 'updatedAt'];
+
+export const EVENT_LOG_PATH = 'eventLog';
+
+// Where the last logged alert status and connection of each station are kept
+export const deviceStatePath = (deviceId) => `deviceState/${deviceId}`;
+
+// Apply a reading to a station's last logged alert status { status, at }
+// Returns { state, event }: the new state (undefined when unchanged) and the entry to log, if any
+export const trackStatus = (state, deviceId, reading, device) => {
+  const previous = state || { status: 'normal', at: 0 };
+  if (reading.timestamp <= previous.at) return { state: undefined, event: null };
+
+  const status = getAlertStatus(previous.status, reading.waterLevel, device);
+  const event = status === previous.status ? null : {
+    type: 'status',
+    severity: STATUS_SEVERITIES[status] || 'info',
+    deviceId,
+    at: reading.timestamp,
+    message: `${STATUS_LABELS[previous.status]} -> ${STATUS_LABELS[status]} at ${formatLevelCm(reading.waterLevel, device)}`,
+    from: previous.status,
+    to: status,
+    waterLevel: reading.waterLevel
+  };
+  return { state: { status, at: reading.timestamp }, event };
+};
+
+// Check whether a station has sent a reading or heartbeat within its offlineAfter window
+export const isDeviceOnline = (device, now) => {
+  const offlineAfter = parseFloat(device && device.offlineAfter);
+  const windowMs = (isNaN(offlineAfter) ? DEFAULT_OFFLINE_AFTER : offlineAfter) * MINUTE_MS;
+  const times = [device && device.lastSeen, device && device.lastHeartbeat]
+    .map(Number)
+    .filter(time => time > 0);
+  return times.length > 0 && now - Math.max(...times) <= windowMs;
+};
+
+// Entry for a station going offline or coming back
+export const createConnectionEvent = (deviceId, online, at) => ({
+  type: 'connection',
+  severity: online ? 'info' : 'warning',
+  deviceId,
+  at,
+  message: online ? 'Back online' : 'Offline - no readings or heartbeats'
+});
+
+// Registry fields that differ between two versions of a station's entry, sorted by name
+export const getChangedFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !UNLOGGED_FIELDS.includes(field))
+    .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+    .sort();
+};
+
+// Entries for an edit of a station's registry entry: one for its thresholds, one for the rest
+// Returns an empty list when only the reading and heartbeat times changed
+export const createSettingsEvents = (deviceId, before, after, at) => {
+  const changed = getChangedFields(before, after);
+  const events = [];
+
+  if (changed.includes('thresholds')) {
+    const thresholds = (after && after.thresholds) || {};
+    const values = ['warning', 'critical', 'hysteresis']
+      .filter(field => thresholds[field] !== undefined)
+      .map(field => `${field} ${thresholds[field]} cm`);
+    events.push({
+      type: 'thresholds',
+      severity: 'info',
+      deviceId,
+      at,
+      message: values.length > 0 ? `Thresholds set to ${values.join(', ')}` : 'Thresholds reset to the defaults'
+    });
+  }
+
+  const settings = changed.filter(field => field !== 'thresholds');
+  if (settings.length > 0) {
+    events.push({
+      type: 'settings',
+      severity: 'info',
+      deviceId,
+      at,
+      message: before && Object.keys(before).some(field => !UNLOGGED_FIELDS.includes(field))
+        ? `Changed ${settings.join(', ')}`
+        : 'Station registered',
+      fields: settings
+    });
+  }
+
+  return events;
+};
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { trackStatus, isDeviceOnline, createSettingsEvents } from './eventLog.js';
+
+const MINUTE = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 0);
+// 8cm deep channel: Warning above 3cm (37.5%), Critical above 6cm (75%)
+const device = { maxDepth: 8, thresholds: { warning: 3, critical: 6, hysteresis: 0.4 } };
+
+test('logs only changes of alert status, ignoring late readings', () => {
+  const quiet = trackStatus(null, 'station-1', { timestamp: time, waterLevel: 20 }, device);
+  assert.deepEqual(quiet, { state: { status: 'normal', at: time }, event: null });
+
+  const rising = trackStatus(quiet.state, 'station-1', { timestamp: time + MINUTE, waterLevel: 80 }, device);
+  assert.deepEqual(rising.state, { status: 'danger', at: time + MINUTE });
+  assert.equal(rising.event.severity, 'critical');
+  assert.equal(rising.event.message, 'Safe -> Critical at 6.4cm');
+
+  assert.deepEqual(trackStatus(rising.state, 'station-1', { timestamp: time, waterLevel: 10 }, device), { state: undefined, event: null });
+});
+
+test('counts a station as online while readings or heartbeats are recent', () => {
+  const now = time + 30 * MINUTE;
+  assert.equal(isDeviceOnline({ lastSeen: now - 5 * MINUTE }, now), true);
+  assert.equal(isDeviceOnline({ lastSeen: now - 20 * MINUTE, lastHeartbeat: now - MINUTE }, now), true);
+  assert.equal(isDeviceOnline({ lastSeen: now - 20 * MINUTE, offlineAfter: 30 }, now), true);
+  assert.equal(isDeviceOnline({ lastSeen: now - 20 * MINUTE }, now), false);
+  assert.equal(isDeviceOnline({ name: 'River' }, now), false);
+});
+
+test('logs threshold and settings edits but not reading times', () => {
+  const before = { name: 'River', maxDepth: 8, lastSeen: time };
+
+  assert.deepEqual(createSettingsEvents('station-1', before, { ...before, lastSeen: time + MINUTE }, time), []);
+
+  const events = createSettingsEvents('station-1', before, {
+    ...before,
+    name: 'River Bend',
+    thresholds: { warning: 2.5, critical: 5 },
+    updatedAt: time
+  }, time);
+  assert.deepEqual(events.map(event => [event.type, event.message]), [
+    ['thresholds', 'Thresholds set to warning 2.5 cm, critical 5 cm'],
+    ['settings', 'Changed name']
+  ]);
+
+  assert.equal(createSettingsEvents('station-1', { lastSeen: time }, { ...before, lastSeen: time }, time)[0].message, 'Station registered');
+});
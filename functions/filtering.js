@@ -0,0 +1,114 @@
+// Sensor noise filtering helpers
+// The filterReading trigger runs every new reading through a station's filter before it is
+// aggregated or checked for alerts. The raw waterLevel is kept; filteredLevel is added, and
+// readings that moved further than the water plausibly could are flagged as suspect rather
+// than deleted. These helpers don't touch the database. They follow src/filtering.js, which
+// filters for sources without functions; src/functionsParity.test.js runs both on the same readings.
+
+import { deviceStatePath } from './eventLog.js';
+import { getReadingLevel } from './aggregation.js';
+
+// Settings used for any field a device doesn't set (keep in sync with src/filtering.js)
+const DEFAULT_FILTER = {
+  method: 'median',
+  window: 5,
+  maxRate: 2,
+  confirmAfter: 3
+};
+
+const FILTER_METHODS = ['median', 'mean', 'off'];
+
+// Depth used when a device doesn't set it (keep in sync with src/devices.js)
+const DEFAULT_MAX_DEPTH = 8;
+
+// Change in cm always allowed between readings, for the sensor's own jitter
+const SPIKE_MARGIN_CM = 0.5;
+
+// After a gap this long the filter starts again from the next reading
+const MAX_GAP_MS = 30 * 60 * 1000;
+
+// Where a station's filter state is kept
+export const filterStatePath = (deviceId) => `${deviceStatePath(deviceId)}/filter`;
+
+// Merge a device's filter settings with the defaults
+export const getFilterSettings = (device) => {
+  const filter = { ...DEFAULT_FILTER, ...((device && device.filter) || {}) };
+
+  ['window', 'maxRate', 'confirmAfter'].forEach(field => {
+    const value = parseFloat(filter[field]);
+    filter[field] = isNaN(value) ? DEFAULT_FILTER[field] : value;
+  });
+  if (!FILTER_METHODS.includes(filter.method)) filter.method = DEFAULT_FILTER.method;
+
+  return filter;
+};
+
+// Median or mean of a list of levels, rounded to 0.1%
+const smooth = (levels, method) => {
+  let value;
+  if (method === 'median') {
+    const sorted = [...levels].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  } else {
+    value = levels.reduce((sum, level) => sum + level, 0) / levels.length;
+  }
+  return Math.round(value * 10) / 10;
+};
+
+// Check whether a level is within reach of an earlier one, given the time between them
+const isPlausible = (from, to, device, maxRate) => {
+  const maxDepth = parseFloat(device && device.maxDepth) || DEFAULT_MAX_DEPTH;
+  const minutes = Math.max(0, to.timestamp - from.timestamp) / 60000;
+  const changeCm = Math.abs(to.waterLevel - from.waterLevel) / 100 * maxDepth;
+  return changeCm <= maxRate * minutes + SPIKE_MARGIN_CM;
+};
+
+// Apply one reading ({ timestamp, waterLevel } in percent) to a station's filter state
+// state: { at, filtered, recent: [accepted readings], pending: [suspect readings in a row] } or null
+// Returns { state, result }: the new state (undefined when unchanged) and the fields to store
+// with the reading, { filteredLevel } plus suspect and suspectReason for a flagged reading.
+// Readings older than the last one filtered (e.g. imported backfill) pass through unfiltered.
+export const applyFilter = (state, reading, device) => {
+  const settings = getFilterSettings(device);
+  const point = { timestamp: reading.timestamp, waterLevel: reading.waterLevel };
+
+  if (state && reading.timestamp <= state.at) {
+    return { state: undefined, result: { filteredLevel: reading.waterLevel } };
+  }
+  if (settings.method === 'off') {
+    return { state: { at: reading.timestamp, filtered: reading.waterLevel, recent: [], pending: [] }, result: { filteredLevel: reading.waterLevel } };
+  }
+
+  const accept = (recent) => {
+    const kept = recent.slice(-settings.window);
+    const filtered = smooth(kept.map(entry => entry.waterLevel), settings.method);
+    return { state: { at: reading.timestamp, filtered, recent: kept, pending: [] }, result: { filteredLevel: filtered } };
+  };
+
+  // Lists come back from the database as null when empty
+  const recent = (state && state.recent) || [];
+  const last = recent[recent.length - 1];
+  if (!last || reading.timestamp - last.timestamp > MAX_GAP_MS) return accept([point]);
+
+  if (isPlausible({ timestamp: last.timestamp, waterLevel: state.filtered }, point, device, settings.maxRate)) {
+    return accept([...recent, point]);
+  }
+
+  // Several implausible readings in a row that agree with each other are a real change
+  const pending = [...((state && state.pending) || []), point];
+  const agree = pending.every((entry, i) => i === 0 || isPlausible(pending[i - 1], entry, device, settings.maxRate));
+  if (!agree) pending.splice(0, pending.length - 1);
+  if (pending.length >= settings.confirmAfter) return accept(pending);
+
+  return {
+    state: { ...state, at: reading.timestamp, pending },
+    result: { filteredLevel: state.filtered, suspect: true, suspectReason: 'spike' }
+  };
+};
+
+// Level of a raw entry to use for alerts: its filtered level, or the raw level before it has one
+export const getFilteredLevel = (entry, device) => {
+  const filtered = parseFloat(entry && entry.filteredLevel);
+  return isNaN(filtered) ? getReadingLevel(entry, device) : filtered;
+};
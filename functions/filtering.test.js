@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilter, getFilteredLevel } from './filtering.js';
+
+const MINUTE = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 7, 30);
+
+// 1% of a 100cm max depth is 1cm, which keeps the numbers readable
+const device = { maxDepth: 100, filter: { window: 3, maxRate: 1, confirmAfter: 3 } };
+
+// Run readings one minute apart through the filter, returning each result
+const run = (levels, state = null) => levels.map((waterLevel, i) => {
+  const filtered = applyFilter(state, { timestamp: time + i * MINUTE, waterLevel }, device);
+  if (filtered.state !== undefined) state = filtered.state;
+  return filtered.result;
+});
+
+test('smooths plausible readings with a running median', () => {
+  const results = run([20, 21, 20.5, 21.5]);
+  assert.deepEqual(results.map(result => result.filteredLevel), [20, 20.5, 20.5, 21]);
+  assert.ok(results.every(result => !result.suspect));
+});
+
+test('flags a spike and holds the filtered level, then follows a confirmed change', () => {
+  const spike = run([20, 20, 60, 20]);
+  assert.deepEqual(spike[2], { filteredLevel: 20, suspect: true, suspectReason: 'spike' });
+  assert.equal(spike[3].suspect, undefined);
+
+  // Three readings in a row at the new level are accepted as a real change
+  const step = run([20, 20, 60, 60.5, 61]);
+  assert.equal(step[3].suspect, true);
+  assert.equal(step[4].suspect, undefined);
+  assert.equal(step[4].filteredLevel, 60.5);
+});
+
+test('passes late readings and unfiltered entries through', () => {
+  const state = applyFilter(null, { timestamp: time, waterLevel: 20 }, device).state;
+  const late = applyFilter(state, { timestamp: time - MINUTE, waterLevel: 90 }, device);
+  assert.equal(late.state, undefined);
+  assert.deepEqual(late.result, { filteredLevel: 90 });
+
+  assert.equal(getFilteredLevel({ waterLevel: 90, filteredLevel: 20 }), 20);
+  assert.equal(getFilteredLevel({ waterLevel: 90 }), 90);
+});
@@ -0,0 +1,110 @@
+// Incident tracking helpers
+// An incident opens when a station's alert status reaches Warning or Critical and records status
+// changes until an operator closes it from the dashboard. These helpers don't touch the
+// database; the trackIncident trigger applies them in transactions. Statuses follow the same
+// thresholds and hysteresis as src/thresholds.js, and incidents the same shape as
+// src/incidents.js; src/functionsParity.test.js runs both copies on the same readings.
+
+const MINUTE_MS = 60 * 1000;
+
+// Thresholds in cm of water used when a device doesn't set them (keep in sync with src/thresholds.js)
+const DEFAULT_THRESHOLDS = {
+  warning: 3,
+  critical: 6,
+  hysteresis: 0.3
+};
+
+// Depth used when a device doesn't set it (keep in sync with src/devices.js)
+const DEFAULT_MAX_DEPTH = 8;
+
+const STATUS_LEVELS = ['normal', 'warning', 'danger'];
+
+// Readings older than this don't open or update incidents (e.g. imported backfill)
+export const INCIDENT_MAX_READING_AGE_MS = 30 * MINUTE_MS;
+
+// Path of an incident, and of the pointer to a station's incident that isn't closed
+export const incidentPath = (incidentId) => `incidents/${incidentId}`;
+export const activeIncidentPath = (deviceId) => `activeIncidents/${deviceId}`;
+
+// ID of the incident a reading opens
+export const getIncidentId = (deviceId, timestamp) => `${deviceId}-${timestamp}`;
+
+// Read a number from a device setting, falling back to a default
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? fallback : number;
+};
+
+// Convert a water level percentage into centimetres of water using the station's depth
+export const getLevelCm = (waterLevel, device) => {
+  const maxDepth = readNumber(device && device.maxDepth, DEFAULT_MAX_DEPTH);
+  return Math.max(0, Math.min(maxDepth, (waterLevel / 100) * maxDepth));
+};
+
+// Format a water level percentage as centimetres for messages, e.g. "6.4cm" (as the dashboard shows it)
+export const formatLevelCm = (waterLevel, device) => `${Number(getLevelCm(waterLevel, device).toFixed(1))}cm`;
+
+// Classify a water level percentage given the station's previous status
+// Falling levels only step down once they clear the hysteresis band
+export const getAlertStatus = (previousStatus, waterLevel, device) => {
+  const configured = (device && device.thresholds) || {};
+  const thresholds = {};
+  Object.keys(DEFAULT_THRESHOLDS).forEach(field => {
+    thresholds[field] = readNumber(configured[field], DEFAULT_THRESHOLDS[field]);
+  });
+
+  const levelCm = getLevelCm(waterLevel, device);
+  const classify = (cm) => {
+    if (cm > thresholds.critical) return 'danger';
+    if (cm > thresholds.warning) return 'warning';
+    return 'normal';
+  };
+
+  const status = classify(levelCm);
+  const previous = STATUS_LEVELS.indexOf(previousStatus);
+  if (STATUS_LEVELS.indexOf(status) >= previous) return status;
+
+  const held = classify(levelCm + thresholds.hysteresis);
+  return STATUS_LEVELS.indexOf(held) >= previous ? previousStatus : held;
+};
+
+// Open an incident from a reading, or return null when the reading isn't an alert
+export const openIncident = (deviceId, reading, device) => {
+  const status = getAlertStatus('normal', reading.waterLevel, device);
+  if (status === 'normal') return null;
+
+  return {
+    id: getIncidentId(deviceId, reading.timestamp),
+    deviceId,
+    state: 'open',
+    status,
+    statusAt: reading.timestamp,
+    peakStatus: status,
+    peakWaterLevel: reading.waterLevel,
+    openedAt: reading.timestamp,
+    events: {
+      [`${reading.timestamp}-opened`]: { type: 'opened', at: reading.timestamp, status, waterLevel: reading.waterLevel }
+    }
+  };
+};
+
+// Apply a reading to a station's incident that isn't closed
+// Used inside transactions, so it returns a new incident (or undefined to leave it unchanged)
+export const updateIncident = (incident, reading, device) => {
+  if (!incident || incident.state === 'closed' || reading.timestamp <= incident.statusAt) return undefined;
+
+  const status = getAlertStatus(incident.status, reading.waterLevel, device);
+  const changes = {};
+  if (reading.waterLevel > incident.peakWaterLevel) changes.peakWaterLevel = reading.waterLevel;
+  if (STATUS_LEVELS.indexOf(status) > STATUS_LEVELS.indexOf(incident.peakStatus)) changes.peakStatus = status;
+  if (status !== incident.status) {
+    changes.status = status;
+    changes.statusAt = reading.timestamp;
+    changes.events = {
+      ...incident.events,
+      [`${reading.timestamp}-status`]: { type: 'status', at: reading.timestamp, status, waterLevel: reading.waterLevel }
+    };
+  }
+
+  return Object.keys(changes).length > 0 ? { ...incident, ...changes } : undefined;
+};
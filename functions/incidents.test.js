@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAlertStatus, openIncident, updateIncident } from './incidents.js';
+
+const MINUTE = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 0);
+// 8cm deep channel: Warning above 3cm (37.5%), Critical above 6cm (75%)
+const device = { maxDepth: 8, thresholds: { warning: 3, critical: 6, hysteresis: 0.4 } };
+
+test('classifies levels with the station\'s thresholds and hysteresis', () => {
+  assert.equal(getAlertStatus('normal', 30, device), 'normal');
+  assert.equal(getAlertStatus('normal', 40, device), 'warning');
+  assert.equal(getAlertStatus('warning', 80, device), 'danger');
+  // 5.8cm is below Critical but inside the 0.4cm band, so it stays Critical
+  assert.equal(getAlertStatus('danger', 72.5, device), 'danger');
+  assert.equal(getAlertStatus('danger', 65, device), 'warning');
+  assert.equal(getAlertStatus('warning', 10, {}), 'normal');
+});
+
+test('opens an incident only for alert levels', () => {
+  assert.equal(openIncident('station-1', { timestamp: time, waterLevel: 20 }, device), null);
+
+  const incident = openIncident('station-1', { timestamp: time, waterLevel: 40 }, device);
+  assert.equal(incident.id, `station-1-${time}`);
+  assert.equal(incident.state, 'open');
+  assert.equal(incident.status, 'warning');
+  assert.deepEqual(Object.values(incident.events), [{ type: 'opened', at: time, status: 'warning', waterLevel: 40 }]);
+});
+
+test('records status changes and the peak, ignoring late and unchanged readings', () => {
+  const incident = openIncident('station-1', { timestamp: time, waterLevel: 40 }, device);
+
+  assert.equal(updateIncident(incident, { timestamp: time + MINUTE, waterLevel: 38 }, device), undefined);
+  assert.equal(updateIncident(incident, { timestamp: time - MINUTE, waterLevel: 90 }, device), undefined);
+
+  const escalated = updateIncident(incident, { timestamp: time + 2 * MINUTE, waterLevel: 90 }, device);
+  assert.equal(escalated.status, 'danger');
+  assert.equal(escalated.peakStatus, 'danger');
+  assert.equal(escalated.peakWaterLevel, 90);
+  assert.equal(Object.keys(escalated.events).length, 2);
+
+  const recovered = updateIncident(escalated, { timestamp: time + 3 * MINUTE, waterLevel: 10 }, device);
+  assert.equal(recovered.status, 'normal');
+  assert.equal(recovered.state, 'open');
+  assert.equal(recovered.peakStatus, 'danger');
+
+  assert.equal(updateIncident({ ...recovered, state: 'closed' }, { timestamp: time + 4 * MINUTE, waterLevel: 90 }, device), undefined);
+});
@@ -0,0 +1,274 @@
+// Cloud Functions for the water level monitor
+// History is aggregated, incidents are tracked and events are logged here rather than in the
+// dashboard, so they are recorded whether or not anyone has the dashboard open, and several open
+// tabs can't race each other.
+//
+// Every new reading is filtered first (filterReading), which also checks its time against the
+// server's receipt time. Writing its filteredLevel triggers the aggregation, incident and status
+// functions, so they all see the filtered level and the corrected time.
+
+import { initializeApp } from 'firebase-admin/app';
+import { getDatabase } from 'firebase-admin/database';
+import { logger } from 'firebase-functions';
+import { onValueCreated, onValueWritten } from 'firebase-functions/v2/database';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import {
+  RESOLUTIONS,
+  SITE_TIMEZONE,
+  getBucketStart,
+  getReadingLevel,
+  mergeIntoBucket,
+  normalizeTimestamp,
+  resolveReadingTime,
+  rollupPath
+} from './aggregation.js';
+import { rebuildRollups } from './rebuild.js';
+import {
+  INCIDENT_MAX_READING_AGE_MS,
+  activeIncidentPath,
+  formatLevelCm,
+  incidentPath,
+  openIncident,
+  updateIncident
+} from './incidents.js';
+import {
+  EVENT_LOG_PATH,
+  deviceStatePath,
+  trackStatus,
+  isDeviceOnline,
+  createConnectionEvent,
+  createSettingsEvents
+} from './eventLog.js';
+import { applyFilter, filterStatePath, getFilteredLevel } from './filtering.js';
+
+initializeApp();
+
+// How many days the nightly rebuild recomputes
+const REBUILD_DAYS = 2;
+
+// Path written by filterReading that starts the rest of a reading's processing
+const FILTERED_READING_PATH = '/waterLevelData/{deviceId}/{readingId}/filteredLevel';
+
+// The whole raw entry of a reading whose filteredLevel was just written
+const getFilteredEntry = async (event) => (await event.data.ref.parent.get()).val();
+
+// Key prefix of readings imported from a file (keep in sync with getImportKey in src/readingImport.js)
+const IMPORT_KEY_PREFIX = 'imported-';
+
+// Run every new raw reading through its station's filter, adding filteredLevel (and the suspect
+// flag) to the reading, and to the current level if it is still the latest reading
+// Live readings also get the server's receipt time, and are filed under it when the station's
+// clock is wrong; imported readings are backfill, so their own times are kept.
+export const filterReading = onValueCreated('/waterLevelData/{deviceId}/{readingId}', async (event) => {
+  const { deviceId, readingId } = event.params;
+  const entry = event.data.val();
+  if (!entry) return;
+
+  const fixes = {};
+  let timestamp = normalizeTimestamp(entry.timestamp);
+  if (!readingId.startsWith(IMPORT_KEY_PREFIX)) {
+    // Stations write receivedAt with the server's clock; older firmware doesn't, so use the event's time
+    const receivedAt = normalizeTimestamp(entry.receivedAt) || Date.parse(event.time);
+    const resolved = resolveReadingTime(entry.timestamp, receivedAt);
+    if (!entry.receivedAt) fixes.receivedAt = receivedAt;
+    if (resolved.fromReceipt && resolved.timestamp !== timestamp) fixes.timestamp = resolved.timestamp;
+    if (resolved.clockInvalid && !entry.clockInvalid) {
+      logger.warn(`Clock of ${deviceId} is wrong (sent ${entry.timestamp}, received ${receivedAt}); filing ${readingId} by receipt time`);
+      const deviceTime = Number(entry.timestamp);
+      if (!isNaN(deviceTime)) fixes.deviceTime = deviceTime;
+      fixes.clockInvalid = true;
+    }
+    timestamp = resolved.timestamp;
+  }
+  if (timestamp === null) {
+    logger.warn(`Not filtering ${deviceId}/${readingId}: invalid timestamp`, entry);
+    return;
+  }
+
+  const db = getDatabase();
+  const deviceSnapshot = await db.ref(`devices/${deviceId}`).get();
+  const device = deviceSnapshot.val();
+  const waterLevel = getReadingLevel(entry, device);
+  if (waterLevel === null) {
+    logger.warn(`Not filtering ${deviceId}/${readingId}: no water level or distance`, entry);
+    return;
+  }
+
+  // Only the attempt that commits decides the result; out-of-order readings leave the state alone
+  let result = null;
+  await db.ref(filterStatePath(deviceId)).transaction(state => {
+    const filtered = applyFilter(state, { timestamp, waterLevel }, device);
+    result = filtered.result;
+    return filtered.state;
+  });
+
+  if (result.suspect) {
+    logger.info(`Flagged ${deviceId}/${readingId} as a ${result.suspectReason}: ${formatLevelCm(waterLevel, device)}, holding ${formatLevelCm(result.filteredLevel, device)}`);
+  }
+
+  // The corrected time goes in the same update, so the functions triggered by it see it
+  await event.data.ref.update({ ...fixes, ...result });
+  // The station writes its current level after the reading, with the same time it sent; null
+  // makes the server retry when the first attempt hasn't loaded it yet
+  await db.ref(`currentWaterLevel/${deviceId}`).transaction(current => {
+    if (!current) return null;
+    return String(current.timestamp) === String(entry.timestamp) ? { ...current, ...fixes, ...result } : undefined;
+  });
+});
+
+// Add every new raw reading to its 5-minute, hourly and daily rollups, with its filtered level
+export const aggregateReading = onValueCreated(FILTERED_READING_PATH, async (event) => {
+  const { deviceId, readingId } = event.params;
+  const entry = await getFilteredEntry(event);
+
+  const timestamp = normalizeTimestamp(entry && entry.timestamp);
+  if (timestamp === null) {
+    logger.warn(`Skipping ${deviceId}/${readingId}: invalid timestamp`, entry);
+    return;
+  }
+
+  const db = getDatabase();
+  const deviceSnapshot = await db.ref(`devices/${deviceId}`).get();
+  const waterLevel = getReadingLevel(entry, deviceSnapshot.val());
+  if (waterLevel === null) {
+    logger.warn(`Skipping ${deviceId}/${readingId}: no water level or distance`, entry);
+    return;
+  }
+
+  const filter = { filteredLevel: getFilteredLevel(entry, deviceSnapshot.val()), suspect: entry.suspect === true };
+
+  // Transactions so concurrent readings for the same bucket don't overwrite each other
+  await Promise.all(Object.keys(RESOLUTIONS).map(resolution => {
+    const path = rollupPath(resolution, deviceId, getBucketStart(timestamp, resolution));
+    return db.ref(path).transaction(bucket => mergeIntoBucket(bucket, waterLevel, timestamp, resolution, filter));
+  }));
+});
+
+// Open an incident when a station reaches Warning or Critical, and record its status changes
+// until an operator closes it (closing removes activeIncidents/{deviceId})
+// Suspect readings hold the filtered level, so a passing spike doesn't open one
+export const trackIncident = onValueCreated(FILTERED_READING_PATH, async (event) => {
+  const { deviceId } = event.params;
+  const entry = await getFilteredEntry(event);
+
+  const timestamp = normalizeTimestamp(entry && entry.timestamp);
+  if (timestamp === null || Date.now() - timestamp > INCIDENT_MAX_READING_AGE_MS) return;
+
+  const db = getDatabase();
+  const deviceSnapshot = await db.ref(`devices/${deviceId}`).get();
+  const device = deviceSnapshot.val();
+  const waterLevel = getFilteredLevel(entry, device);
+  if (waterLevel === null) return;
+  const reading = { timestamp, waterLevel };
+
+  // Claim the station's pointer in a transaction so readings arriving together open one incident
+  let opened = null;
+  const claim = await db.ref(activeIncidentPath(deviceId)).transaction(current => {
+    opened = null;
+    if (current) return undefined;
+    opened = openIncident(deviceId, reading, device);
+    return opened ? opened.id : undefined;
+  });
+
+  if (claim.committed && opened) {
+    await db.ref(incidentPath(opened.id)).set(opened);
+    logger.info(`Opened incident ${opened.id} at ${opened.status}`);
+    return;
+  }
+
+  const incidentId = claim.snapshot.val();
+  if (incidentId) {
+    // The first attempt may see null before the incident is loaded; writing null back makes the
+    // server retry with the stored incident
+    await db.ref(incidentPath(incidentId)).transaction(incident =>
+      (incident ? updateIncident(incident, reading, device) : null));
+  }
+});
+
+// Log each change of a station's alert status, with the same hysteresis as the dashboard
+// Readings older than the last logged change (e.g. imported backfill) don't change it
+export const logStatusChange = onValueCreated(FILTERED_READING_PATH, async (event) => {
+  const { deviceId } = event.params;
+  const entry = await getFilteredEntry(event);
+
+  const timestamp = normalizeTimestamp(entry && entry.timestamp);
+  if (timestamp === null) return;
+
+  const db = getDatabase();
+  const deviceSnapshot = await db.ref(`devices/${deviceId}`).get();
+  const device = deviceSnapshot.val();
+  const waterLevel = getFilteredLevel(entry, device);
+  if (waterLevel === null) return;
+
+  // Only the attempt that commits decides the entry, so a retried transaction logs it once
+  let change = null;
+  const result = await db.ref(`${deviceStatePath(deviceId)}/alert`).transaction(state => {
+    const tracked = trackStatus(state, deviceId, { timestamp, waterLevel }, device);
+    change = tracked.event;
+    return tracked.state;
+  });
+
+  if (result.committed && change) {
+    await db.ref(EVENT_LOG_PATH).push(change);
+  }
+});
+
+// Log edits to a station's thresholds and settings
+// The registry entry is also written with every reading and heartbeat, which logs nothing
+export const logSettingsChange = onValueWritten('/devices/{deviceId}', async (event) => {
+  const { deviceId } = event.params;
+  const before = event.data.before.val();
+  const after = event.data.after.val();
+  const at = (after && Number(after.updatedAt)) || Date.parse(event.time);
+
+  const events = createSettingsEvents(deviceId, before, after, at);
+  if (events.length === 0) return;
+
+  const db = getDatabase();
+  await Promise.all(events.map(entry => db.ref(EVENT_LOG_PATH).push(entry)));
+});
+
+// Check every few minutes which stations have gone quiet or come back, and log the changes
+export const checkConnections = onSchedule('every 5 minutes', async () => {
+  const db = getDatabase();
+  const [devicesSnapshot, statesSnapshot] = await Promise.all([
+    db.ref('devices').get(),
+    db.ref('deviceState').get()
+  ]);
+  const devices = devicesSnapshot.val() || {};
+  const states = statesSnapshot.val() || {};
+  const now = Date.now();
+
+  const updates = {};
+  Object.keys(devices).forEach(deviceId => {
+    const online = isDeviceOnline(devices[deviceId], now);
+    const previous = states[deviceId] ? states[deviceId].online : undefined;
+    if (previous === online) return;
+
+    updates[`${deviceStatePath(deviceId)}/online`] = online;
+    // A station seen for the first time only logs going offline
+    if (previous !== undefined || !online) {
+      updates[`${EVENT_LOG_PATH}/${db.ref(EVENT_LOG_PATH).push().key}`] = createConnectionEvent(deviceId, online, now);
+    }
+  });
+
+  if (Object.keys(updates).length > 0) {
+    await db.ref().update(updates);
+  }
+});
+
+// Recompute the last couple of days every night to correct double counts from retried
+// triggers and to include readings that were uploaded late
+export const rebuildRecentRollups = onSchedule({ schedule: 'every day 01:30', timeZone: SITE_TIMEZONE }, async () => {
+  const db = getDatabase();
+  const devicesSnapshot = await db.ref('devices').get();
+  const deviceIds = Object.keys(devicesSnapshot.val() || {});
+
+  const end = Date.now();
+  const start = end - REBUILD_DAYS * RESOLUTIONS['1d'];
+
+  for (const deviceId of deviceIds) {
+    const count = await rebuildRollups(db, deviceId, start, end);
+    logger.info(`Rebuilt rollups for ${deviceId} from ${count} readings`);
+  }
+});
@@ -0,0 +1,44 @@
+// Recompute rollups from raw readings
+// The trigger in index.js updates rollups one reading at a time. A retried trigger can count
+// a reading twice and readings can arrive late, so the rollups for a time range can also be
+// rebuilt from waterLevelData. This replaces every bucket in the range, including removing
+// buckets that no longer have readings.
+
+import { RESOLUTIONS, getBucketStart, rollupPath, summarizeReadings, toValidReadings } from './aggregation.js';
+
+// Rebuild one device's rollups between start and end (ms)
+// start is moved back to the start of its day so every daily bucket is complete
+// Returns the number of readings used
+export const rebuildRollups = async (db, deviceId, start, end) => {
+  const rangeStart = getBucketStart(start, '1d');
+
+  const [readingsSnapshot, deviceSnapshot] = await Promise.all([
+    db.ref(`waterLevelData/${deviceId}`).orderByChild('timestamp').startAt(rangeStart).endAt(end).get(),
+    db.ref(`devices/${deviceId}`).get()
+  ]);
+
+  const readings = toValidReadings(readingsSnapshot.val(), deviceSnapshot.val())
+    .filter(reading => reading.timestamp >= rangeStart && reading.timestamp <= end);
+
+  const updates = {};
+
+  await Promise.all(Object.keys(RESOLUTIONS).map(async (resolution) => {
+    // Clear the existing buckets in the range, then write the recomputed ones
+    const existing = await db.ref(`rollups/${resolution}/${deviceId}`)
+      .orderByKey().startAt(String(rangeStart)).endAt(String(end)).get();
+    Object.keys(existing.val() || {}).forEach(bucketStart => {
+      updates[rollupPath(resolution, deviceId, bucketStart)] = null;
+    });
+
+    const buckets = summarizeReadings(readings, resolution);
+    Object.keys(buckets).forEach(bucketStart => {
+      updates[rollupPath(resolution, deviceId, bucketStart)] = buckets[bucketStart];
+    });
+  }));
+
+  if (Object.keys(updates).length > 0) {
+    await db.ref().update(updates);
+  }
+
+  return readings.length;
+};
@@ -0,0 +1,47 @@
+// Build rollups for existing history
+// Usage: npm run backfill -- [--days 30] [--device ultrasonic-sensor-1]
+// Runs against the emulator when FIREBASE_DATABASE_EMULATOR_HOST is set, otherwise against
+// the database in FIREBASE_DATABASE_URL using the default service account credentials.
+
+import { initializeApp } from 'firebase-admin/app';
+import { getDatabase } from 'firebase-admin/database';
+import { RESOLUTIONS, getBucketStart } from '../aggregation.js';
+import { rebuildRollups } from '../rebuild.js';
+
+// Read "--name value" from the command line
+const getArgument = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const backfill = async () => {
+  const days = Number(getArgument('days', 30));
+  const onlyDevice = getArgument('device', null);
+
+  initializeApp({
+    projectId: process.env.GCLOUD_PROJECT || 'demo-aqua-gauge',
+    databaseURL: process.env.FIREBASE_DATABASE_URL
+  });
+  const db = getDatabase();
+
+  const devicesSnapshot = await db.ref('devices').get();
+  const deviceIds = onlyDevice ? [onlyDevice] : Object.keys(devicesSnapshot.val() || {});
+  const end = Date.now();
+
+  for (const deviceId of deviceIds) {
+    // One day at a time keeps each query small for stations with months of readings
+    let total = 0;
+    const firstDay = getBucketStart(end - days * RESOLUTIONS['1d'], '1d');
+    for (let dayStart = firstDay; dayStart <= end; dayStart += RESOLUTIONS['1d']) {
+      total += await rebuildRollups(db, deviceId, dayStart, Math.min(end, dayStart + RESOLUTIONS['1d'] - 1));
+    }
+    console.log(`${deviceId}: rolled up ${total} readings from the last ${days} days`);
+  }
+};
+
+backfill()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+// Give a user a role (viewer, operator or admin)
+// Usage: npm run set-role -- --email someone@example.com --role operator [--create [--password secret]]
+// --create adds the account if it doesn't exist yet, with the given password or a random one
+// (reset it from the Firebase console or the emulator UI). Runs against the emulators when
+// FIREBASE_AUTH_EMULATOR_HOST and FIREBASE_DATABASE_EMULATOR_HOST are set, otherwise against
+// the project in FIREBASE_DATABASE_URL using the default service account credentials.
+
+import { randomBytes } from 'node:crypto';
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getDatabase } from 'firebase-admin/database';
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Read "--name value" from the command line
+const getArgument = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const setRole = async () => {
+  const email = getArgument('email', null);
+  const role = getArgument('role', null);
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- --email <email> --role <${ROLES.join('|')}> [--create]`);
+  }
+
+  initializeApp({
+    projectId: process.env.GCLOUD_PROJECT || 'demo-aqua-gauge',
+    databaseURL: process.env.FIREBASE_DATABASE_URL
+  });
+
+  let user;
+  try {
+    user = await getAuth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found' || !process.argv.includes('--create')) throw error;
+    const password = getArgument('password', randomBytes(12).toString('base64url'));
+    user = await getAuth().createUser({ email, password });
+    console.log(`Created account for ${email}`);
+  }
+
+  await getDatabase().ref(`roles/${user.uid}`).set(role);
+  console.log(`${email} (${user.uid}) is now ${role}`);
+};
+
+setRole()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Setting role failed:', error.message || error);
+    process.exit(1);
+  });
@@ -0,0 +1,127 @@
+/*
+ * Service worker for the Aqua Gauge dashboard
+ * Caches the app shell so the dashboard opens without a connection (the readings themselves
+ * are kept in IndexedDB by src/offlineCache.js), serves map tiles downloaded for offline use
+ * (src/mapTiles.js), shows alert notifications while the dashboard tab is in the background,
+ * and opens the station's trend chart when a notification is clicked.
+ */
+
+// Bump the version to drop everything cached by older releases
+const SHELL_CACHE = 'aqua-gauge-shell-v1';
+
+// Map tiles downloaded from the dashboard, matching TILE_CACHE and TILE_URL in src/mapTiles.js
+// This cache is kept across releases; only the dashboard clears it
+const TILE_CACHE = 'aqua-gauge-tiles';
+const TILE_ORIGIN = 'https://tile.openstreetmap.org';
+
+// Files needed to start the dashboard, besides the bundles listed in asset-manifest.json
+const SHELL_FILES = ['./', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+// Build output with a content hash in its name never changes, so it can be served from the cache
+const HASHED_FILE = /\.[0-9a-f]{8}(\.chunk)?\.(js|css)$/;
+
+// Cache the shell and the entry bundles of the current build
+// The development server has no asset manifest, so only the shell files are cached there
+const cacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_FILES);
+
+  try {
+    const response = await fetch('asset-manifest.json', { cache: 'no-store' });
+    const manifest = await response.json();
+    await cache.addAll((manifest.entrypoints || []).filter((file) => !file.endsWith('.map')));
+  } catch (error) {
+    console.log('No asset manifest to cache the bundles from:', error);
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheShell().then(() => {
+    // Take over from any previous version straight away
+    self.skipWaiting();
+  }));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => name !== SHELL_CACHE && name !== TILE_CACHE)
+        .map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Serve a request from the cache, fetching and caching it when it isn't there yet
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Fetch a request and keep a copy, falling back to the copy (or the cached page) when offline
+const networkFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('./');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+};
+
+// Serve a downloaded map tile, or fetch it when it wasn't downloaded
+const downloadedTile = async (request) => {
+  const cache = await caches.open(TILE_CACHE);
+  return (await cache.match(request.url)) || fetch(request);
+};
+
+// Only the dashboard's own files and map tiles are cached; Firebase, the broker and the gateway are left alone
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET') return;
+
+  if (url.origin === TILE_ORIGIN) {
+    event.respondWith(downloadedTile(request));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  event.respondWith(HASHED_FILE.test(url.pathname) ? cacheFirst(request) : networkFirst(request));
+});
+
+// Focus an open dashboard (or open a new one) on the clicked station's trend chart
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const data = event.notification.data || {};
+  const url = data.url || self.registration.scope;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const client = windowClients.find((windowClient) => windowClient.url.startsWith(self.registration.scope));
+
+      if (client) {
+        // The open dashboard switches station and shows the trend modal itself
+        client.postMessage({ type: 'open-trend', deviceId: data.deviceId });
+        return client.focus();
+      }
+
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -2,6 +2,9 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Line } from 'react-chartjs-2';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIconRetina from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -11,18 +14,80 @@ import {
   Title,
   Tooltip,
   Legend,
+  Filler,
   TimeScale
 } from 'chart.js';
-import { FaWater, FaBell, FaUser, FaCog, FaExclamationTriangle, FaPhone, FaList, FaArrowLeft } from 'react-icons/fa';
-import { 
-  subscribeToWaterLevelUpdates, 
-  recordWaterLevelReading, 
-  recordMinuteByMinuteData,
-  subscribeToMinuteByMinuteData
-} from './firebase';
+import { FaWater, FaBell, FaUser, FaCog, FaExclamationTriangle, FaPhone, FaList, FaArrowLeft, FaDownload, FaUpload, FaFileAlt, FaSignOutAlt, FaMap } from 'react-icons/fa';
+import * as demoData from './demoData';
+import { findDeviceProfile, formatLevelCm } from './devices';
+import { getNextStationStatuses, getStatusLabel } from './thresholds';
+import { computeRateOfRise, getNextRateStatus, formatRate } from './rateOfRise';
+import { FORECAST_CONFIDENCE, computeForecast, describeForecast, getForecastChartMinutes } from './forecast';
+import { getFreshness, describeFreshness, getNewestReadingTime, formatAge } from './freshness';
+import { getClockStatus, describeClockStatus } from './clock';
+import { getEnvironmentName, getDataSourceName, getConfigProblems, loadConfig } from './config';
+import { createDataSource } from './dataSource';
+import {
+  ROLE_LABELS,
+  DEMO_USER,
+  MAX_NOTE_LENGTH,
+  canManageIncidents,
+  canEditNotes,
+  canManageDevices,
+  canImportReadings
+} from './auth';
+import { INCIDENT_STATE_LABELS, findActiveIncident, getBannerIncident } from './incidents';
+import {
+  RANGE_PRESETS,
+  DEFAULT_CHART_RANGE,
+  resolveChartWindow,
+  findSlotIndex,
+  extendLabels,
+  validateCustomRange
+} from './chartRange';
+import { createChartSeries, createTrendDatasets, createForecastDatasets, createTrendChartOptions } from './trendChart';
+import { SITE_TIMEZONE, formatIsoInTimeZone, parseInTimeZone } from './timezone';
+import DeviceSettingsModal from './DeviceSettingsModal';
+import NotificationSettingsModal from './NotificationSettingsModal';
+import ExportModal from './ExportModal';
+import ImportModal from './ImportModal';
+import IncidentReportModal from './IncidentReportModal';
+import OfflineMapModal from './OfflineMapModal';
+import IncidentsModal from './IncidentsModal';
+import EventLogView from './EventLogView';
+import { TILE_URL, TILE_ATTRIBUTION, MAP_MIN_ZOOM, MAP_MAX_ZOOM } from './mapTiles';
+import { DEFAULT_MAP_CENTER, createStationPopup, fillStationPopup, getMapStations, getMarkerHtml, locateViewer } from './stationMap';
+import HourDetailModal from './HourDetailModal';
+import SignInScreen from './SignInScreen';
+import {
+  HOUR_COLUMNS,
+  TABLE_SORTS,
+  TABLE_STATUS_FILTERS,
+  getCellStatus,
+  groupReadingsByDay,
+  sortDays,
+  filterDaysByStatus
+} from './historyTable';
+import useAlertNotifications from './useAlertNotifications';
+import useOnlineStatus from './useOnlineStatus';
+import { loadNotificationSettings } from './notifications';
+import { subscribeToServiceWorkerMessages } from './serviceWorker';
 import { format } from 'date-fns';
 import './App.css';
 
+// Demo mode (?demo=1 or REACT_APP_DEMO_MODE=true) swaps the data source for simulated stations
+const DEMO_MODE = demoData.isDemoMode();
+
+// What is wrong with the configuration; the app shows these instead of starting
+const CONFIG_PROBLEMS = DEMO_MODE ? [] : getConfigProblems();
+
+// Data source the dashboard was built for (firebase, mqtt, rest or memory), see dataSource.js
+const DATA_SOURCE = getDataSourceName();
+const dataSource = DEMO_MODE ? demoData : CONFIG_PROBLEMS.length === 0 ? createDataSource(loadConfig().dataSource) : null;
+
+// Firebase environment the dashboard was built for (emulator, staging or production)
+const ENVIRONMENT = getEnvironmentName();
+
 // Register ChartJS components
 ChartJS.register(
   CategoryScale,
@@ -32,174 +97,169 @@ ChartJS.register(
   Title,
   Tooltip,
   Legend,
+  Filler,
   TimeScale
 );
 
-// Configure Leaflet marker
-const defaultIcon = L.icon({
-  iconUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon.png',
-  iconRetinaUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon-2x.png',
-  shadowUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-shadow.png',
-  iconSize: [25, 41],
-  iconAnchor: [12, 41],
-  popupAnchor: [1, -34],
-  shadowSize: [41, 41]
-});
-
 // Fix Leaflet default icon issue in React
-// This is needed because Leaflet's assets are loaded differently in React
+// The marker images are bundled with the app rather than loaded from a CDN, so markers
+// still show offline
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
-  iconRetinaUrl: require('leaflet/dist/images/marker-icon-2x.png'),
-  iconUrl: require('leaflet/dist/images/marker-icon.png'),
-  shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
+  iconRetinaUrl: markerIconRetina,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
 });
 
-// Custom hook for getting location
-function useLocation() {
-  const [location, setLocation] = useState(null);
-  const [error, setError] = useState(null);
-  
-  useEffect(() => {
-    if (!navigator.geolocation) {
-      setError('Geolocation is not supported by your browser');
-      return;
-    }
-    
-    navigator.geolocation.getCurrentPosition(
-      (position) => {
-        setLocation({
-          lat: position.coords.latitude,
-          lng: position.coords.longitude,
-        });
-      },
-      (error) => {
-        setError('Unable to retrieve your location');
-        console.error('Error getting location:', error);
-        // Default to Caloocan City, Philippines if location access is denied
-        setLocation({ lat: 14.6577, lng: 120.9842 });
-      }
-    );
-  }, []);
-  
-  return { location, error };
-}
+// Round station marker filled with the station's status colour (see stationMap.js)
+const createStationIcon = (status, isLive, isSelected) => L.divIcon({
+  className: '',
+  html: getMarkerHtml(status, isLive, isSelected),
+  iconSize: [24, 24],
+  iconAnchor: [12, 12],
+  popupAnchor: [0, -14]
+});
 
-// Leaflet Map Component with improved initialization - using React.memo to prevent unnecessary re-renders
-const LeafletMap = React.memo(function LeafletMap({ onShowTrend }) {
+// Leaflet Map Component - one marker per station, coloured by its status
+// stations: [{ id, name, location, status, statusLabel, levelText, freshnessText, isLive }] (see getMapStations)
+// The viewer's own position is an optional layer, only looked up when it is turned on.
+const LeafletMap = React.memo(function LeafletMap({ stations, selectedDeviceId, onSelectStation, onShowTrend }) {
   const mapInstance = useRef(null);
-  const { location } = useLocation();
+  const markersRef = useRef({});
+  const hasFittedRef = useRef(false);
   const mapId = useRef(`map-${Math.random().toString(36).substr(2, 9)}`);
   const mapContainer = useRef(null);
   const [mapReady, setMapReady] = useState(false);
   
-  // Initialize map only when component is mounted and visible
+  // Initialize the map once; markers are added and updated by the effect below
   useEffect(() => {
-    // Wait for the container to be ready in the DOM
-    if (!mapContainer.current) return;
+    if (!mapContainer.current) return undefined;
+    const container = mapContainer.current;
     
-    // Clean up any existing map instance
-    if (mapInstance.current) {
-      mapInstance.current.remove();
-      mapInstance.current = null;
-    }
+    // Prevent browser zoom when using Ctrl+scroll on the map
+    const preventBrowserZoom = (e) => {
+      if (e.ctrlKey) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    };
     
-    // Only initialize map when location is available and container is visible
-    if (location) {
-      // Check if container has dimensions
-      const container = mapContainer.current;
-      const hasSize = container.offsetWidth > 0 && container.offsetHeight > 0;
+    try {
+      const map = L.map(mapId.current, {
+        // Disable initial animations for stability
+        fadeAnimation: false,
+        zoomAnimation: false,
+        // Properly handle scroll wheel zoom
+        scrollWheelZoom: true,
+        // Set zoom limits to prevent extreme zooming
+        minZoom: MAP_MIN_ZOOM,
+        maxZoom: MAP_MAX_ZOOM
+      }).setView(DEFAULT_MAP_CENTER, 13);
       
-      if (!hasSize) {
-        console.warn('Map container has no size, delaying initialization');
-        return;
-      }
+      // Add tile layer (OpenStreetMap); downloaded tiles are served by the service worker offline
+      L.tileLayer(TILE_URL, {
+        attribution: TILE_ATTRIBUTION,
+        maxZoom: MAP_MAX_ZOOM,
+      }).addTo(map);
       
-      // Create map with invalid invalidateSize handler
-      try {
-        console.log('Initializing map with location:', location);
-        const map = L.map(mapId.current, {
-          // Disable initial animations for stability
-          fadeAnimation: false,
-          zoomAnimation: false,
-          // Properly handle scroll wheel zoom
-          scrollWheelZoom: true,
-          // Set zoom limits to prevent extreme zooming
-          minZoom: 10,
-          maxZoom: 18
-        }).setView(
-          [location.lat, location.lng], 
-          15
-        );
-        
-        // Add tile layer (OpenStreetMap)
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-          attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-          maxZoom: 19,
-        }).addTo(map);
-        
-        // Add zoom control in a better position
-        L.control.zoom({
-          position: 'topright'
-        }).addTo(map);
-        
-        // Add marker for current location
-        const marker = L.marker([location.lat, location.lng]).addTo(map);
-        
-        // Add popup with button to show water level trend
-        const popupContent = document.createElement('div');
-        popupContent.innerHTML = `
-          <div style="text-align: center;">
-            <h3 style="margin: 5px 0;">Your Location</h3>
-            <p style="margin: 5px 0;">Lat: ${location.lat.toFixed(4)}, Lng: ${location.lng.toFixed(4)}</p>
-          </div>
-        `;
-        
-        const button = document.createElement('button');
-        button.innerHTML = 'Show Water Level Trend';
-        button.className = 'popup-button';
-        button.onclick = onShowTrend;
-        button.style.cssText = 'background: #2563eb; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin-top: 10px; width: 100%;';
-        
-        popupContent.appendChild(button);
-        marker.bindPopup(popupContent);
-        
-        // Store map instance in ref
-        mapInstance.current = map;
-        
-        // Prevent browser zoom when using Ctrl+scroll on the map
-        container.addEventListener('wheel', (e) => {
-          if (e.ctrlKey) {
-            e.preventDefault();
-            e.stopPropagation();
-          }
-        }, { passive: false });
-        
-        // Force a resize after a short delay to ensure the map renders correctly
-        setTimeout(() => {
-          if (mapInstance.current) {
-            mapInstance.current.invalidateSize(true);
-            setMapReady(true);
-          }
-        }, 300);
-      } catch (error) {
-        console.error('Error initializing map:', error);
-      }
+      // Add zoom control in a better position
+      L.control.zoom({
+        position: 'topright'
+      }).addTo(map);
+      
+      // Optional layer with the viewer's position, looked up only when the layer is turned on
+      const userLayer = L.layerGroup();
+      L.control.layers(null, { 'My location': userLayer }, { position: 'topright' }).addTo(map);
+      map.on('overlayadd', (event) => {
+        if (event.layer !== userLayer || userLayer.getLayers().length > 0) return;
+        locateViewer().then(point => {
+          if (!point || mapInstance.current !== map) return;
+          L.marker(point, { title: 'My location' })
+            .bindPopup('<strong>My location</strong>')
+            .addTo(userLayer);
+          map.panTo(point);
+        });
+      });
+      
+      mapInstance.current = map;
+      container.addEventListener('wheel', preventBrowserZoom, { passive: false });
+      
+      // Force a resize after a short delay to ensure the map renders correctly
+      setTimeout(() => {
+        if (mapInstance.current) {
+          mapInstance.current.invalidateSize(true);
+          setMapReady(true);
+        }
+      }, 300);
+    } catch (error) {
+      console.error('Error initializing map:', error);
     }
     
     // Cleanup function to properly remove the map
     return () => {
+      container.removeEventListener('wheel', preventBrowserZoom);
       if (mapInstance.current) {
         mapInstance.current.remove();
         mapInstance.current = null;
       }
+      markersRef.current = {};
+      hasFittedRef.current = false;
+      setMapReady(false);
+    };
+  }, []);
+  
+  // Add, update and remove station markers without rebuilding the map
+  useEffect(() => {
+    const map = mapInstance.current;
+    if (!map || !mapReady) return;
+    
+    const markers = markersRef.current;
+    
+    stations.forEach(station => {
+      const position = [station.location.lat, station.location.lng];
+      const isSelected = station.id === selectedDeviceId;
+      const iconKey = `${station.status}/${station.isLive}/${isSelected}`;
+      let entry = markers[station.id];
+      
+      if (!entry) {
+        const popup = createStationPopup(() => onShowTrend(station.id));
+        const marker = L.marker(position, { icon: createStationIcon(station.status, station.isLive, isSelected), title: station.name })
+          .bindPopup(popup)
+          .on('click', () => onSelectStation(station.id))
+          .addTo(map);
+        entry = { marker, popup, iconKey };
+        markers[station.id] = entry;
+      } else {
+        entry.marker.setLatLng(position);
+        // Only replace the icon when its look changes, so an open popup isn't disturbed
+        if (entry.iconKey !== iconKey) {
+          entry.marker.setIcon(createStationIcon(station.status, station.isLive, isSelected));
+          entry.iconKey = iconKey;
+        }
+      }
       
-      // Remove any wheel event listeners to prevent memory leaks
-      if (mapContainer.current) {
-        mapContainer.current.removeEventListener('wheel', () => {});
+      fillStationPopup(entry.popup, station);
+      entry.marker.unbindTooltip();
+      entry.marker.bindTooltip(`${station.name}: ${station.levelText}`, { direction: 'top', offset: [0, -12] });
+    });
+    
+    // Stations that were removed or lost their coordinates
+    Object.keys(markers).forEach(id => {
+      if (!stations.some(station => station.id === id)) {
+        markers[id].marker.remove();
+        delete markers[id];
       }
-    };
-  }, [location, onShowTrend]);
+    });
+    
+    // Show every station the first time they are known
+    if (!hasFittedRef.current && stations.length > 0) {
+      hasFittedRef.current = true;
+      map.fitBounds(L.latLngBounds(stations.map(station => [station.location.lat, station.location.lng])), {
+        padding: [40, 40],
+        maxZoom: 15
+      });
+    }
+  }, [mapReady, stations, selectedDeviceId, onSelectStation, onShowTrend]);
   
   // Add global wheel event prevention
   useEffect(() => {
@@ -262,46 +322,9 @@ const LeafletMap = React.memo(function LeafletMap({ onShowTrend }) {
         minHeight: '400px',
         touchAction: 'pan-x pan-y' // Prevent touch gestures from zooming the page
       }}
-    >
-      {!location && <div style={{display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%'}}>Loading map...</div>}
-    </div>
+    />
   );
-}, (prevProps, nextProps) => true); // Always return true to prevent re-renders when parent component updates
-
-// Helper functions
-const getStatusFromDistance = (distance) => {
-  if (distance === null || distance === undefined) return "unknown";
-  // 0-3cm: Safe
-  if (distance <= 3) return "normal";
-  // 3.1-6cm: Warning
-  if (distance <= 6) return "warning";
-  // 6.1cm+: Danger
-  return "danger";
-};
-
-// New helper function to determine status from water level percentage
-const getStatusFromWaterLevel = (waterLevel) => {
-  if (waterLevel === null || waterLevel === undefined) return "unknown";
-  
-  // Convert waterLevel percentage to distance
-  // Assuming MAX_DISPLAY_DISTANCE is 8cm
-  const distance = (waterLevel / 100) * 8;
-  
-  return getStatusFromDistance(distance);
-};
-
-const getStatusText = (status) => {
-  switch (status) {
-    case "normal":
-      return "Safe";
-    case "warning":
-      return "Warning";
-    case "danger":
-      return "Critical";
-    default:
-      return "Unknown";
-  }
-};
+});
 
 // Recommendations data from recommendation.txt file
 const recommendationsData = {
@@ -407,15 +430,145 @@ const ChartVisibilityContext = React.createContext({
   setShowModal: () => {}
 });
 
+// Line colours for stations overlaid in compare mode
+const comparisonColors = ['#f59e0b', '#10b981', '#8b5cf6', '#ec4899', '#14b8a6'];
+
+// How often station freshness is re-checked
+const FRESHNESS_TICK_MS = 30 * 1000;
+
+// Hourly rollups per page of the tabular view (one week)
+const TABLE_PAGE_SIZE = 7 * 24;
+
+// Station Selector Component - lists registered devices with their latest reading
+function StationSelector({ devices, currentReadings, statuses, selectedDeviceId, compareDeviceIds, now, onSelect, onToggleCompare, onEdit }) {
+  if (devices.length === 0) {
+    return <p className="station-empty">No monitoring stations registered yet.</p>;
+  }
+
+  return (
+    <div className="station-list">
+      {devices.map(device => {
+        const reading = currentReadings[device.id];
+        const status = statuses[device.id] || 'unknown';
+        const freshness = getFreshness(device, reading, now);
+        const clockText = reading ? describeClockStatus(getClockStatus([reading])) : null;
+        const isSelected = device.id === selectedDeviceId;
+
+        return (
+          <div
+            key={device.id}
+            className={`station-item ${status}${isSelected ? ' selected' : ''}${freshness.state !== 'live' ? ' stale' : ''}`}
+            onClick={() => onSelect(device.id)}
+          >
+            <div className="station-name">{device.name}</div>
+            <div className="station-level">
+              {reading ? formatLevelCm(reading.waterLevel, device) : 'No data'}
+            </div>
+            {reading && freshness.state !== 'live' && (
+              <div className="station-freshness">{describeFreshness(freshness)}</div>
+            )}
+            {clockText && <div className="station-clock">{clockText}</div>}
+            {isSelected && onEdit && (
+              <button
+                className="station-settings"
+                title="Station settings"
+                onClick={e => {
+                  e.stopPropagation();
+                  onEdit(device);
+                }}
+              >
+                <FaCog /> Settings
+              </button>
+            )}
+            {!isSelected && (
+              <label className="station-compare" onClick={e => e.stopPropagation()}>
+                <input
+                  type="checkbox"
+                  checked={compareDeviceIds.includes(device.id)}
+                  onChange={() => onToggleCompare(device.id)}
+                />
+                Compare
+              </label>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Format a timestamp for a datetime-local input, on the site's clock like the chart
+const toDateTimeInput = (timestamp) => formatIsoInTimeZone(timestamp).slice(0, 16);
+
+// Trend chart range selector: preset ranges ending now, or a custom start and end
+function ChartRangeSelector({ range, onChange }) {
+  const [showCustom, setShowCustom] = useState(range.preset === 'custom');
+  const [customStart, setCustomStart] = useState(() =>
+    toDateTimeInput(range.preset === 'custom' ? range.start : Date.now() - 24 * 60 * 60 * 1000));
+  const [customEnd, setCustomEnd] = useState(() =>
+    toDateTimeInput(range.preset === 'custom' ? range.end : Date.now()));
+  const [error, setError] = useState(null);
+  
+  const applyCustomRange = () => {
+    const start = customStart ? parseInTimeZone(customStart) : NaN;
+    const end = customEnd ? parseInTimeZone(customEnd) : NaN;
+    const problem = validateCustomRange(start, end);
+    setError(problem);
+    if (!problem) onChange({ preset: 'custom', start, end });
+  };
+  
+  return (
+    <div className="chart-range-selector">
+      <div className="chart-range-presets">
+        {RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.key}
+            className={`chart-range-button ${range.preset === preset.key ? 'active' : ''}`}
+            onClick={() => {
+              setShowCustom(false);
+              setError(null);
+              onChange({ preset: preset.key });
+            }}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          className={`chart-range-button ${range.preset === 'custom' || showCustom ? 'active' : ''}`}
+          onClick={() => setShowCustom(true)}
+        >
+          Custom
+        </button>
+      </div>
+      {showCustom && (
+        <div className="chart-range-custom" title={`Times are in the site's timezone (${SITE_TIMEZONE})`}>
+          <label>
+            From
+            <input type="datetime-local" value={customStart} onChange={e => setCustomStart(e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="datetime-local" value={customEnd} onChange={e => setCustomEnd(e.target.value)} />
+          </label>
+          <button className="chart-range-apply" onClick={applyCustomRange}>Apply</button>
+          {error && <div className="chart-range-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Water Level Trend Modal Component
-function WaterLevelTrendModal({ show, onClose, data, options, currentWaterLevel, alertStatus, timestamp }) {
+function WaterLevelTrendModal({ show, onClose, data, options, currentWaterLevel, alertStatus, timestamp, stationName, profile, freshness, range, onRangeChange, showRaw, onShowRawChange }) {
   if (!show) return null;
   
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={e => e.stopPropagation()}>
         <div className="modal-header">
-          <div className="modal-title">Water Level Trend</div>
+          <div className="modal-title">
+            Water Level Trend{stationName && ` - ${stationName}`}
+          </div>
           <button className="modal-close" onClick={onClose}>×</button>
         </div>
         <div className="tabular-view-link">
@@ -429,8 +582,15 @@ function WaterLevelTrendModal({ show, onClose, data, options, currentWaterLevel,
           </a>
         </div>
         <div className="values-header">
-          Values <span className="live-indicator">● Live</span>
+          Values {freshness.state === 'live'
+            ? <span className="live-indicator">● Live</span>
+            : <span className="stale-indicator">{describeFreshness(freshness)}</span>}
         </div>
+        <ChartRangeSelector range={range} onChange={onRangeChange} />
+        <label className="chart-raw-toggle">
+          <input type="checkbox" checked={showRaw} onChange={e => onShowRawChange(e.target.checked)} />
+          Show raw readings (spikes marked in red)
+        </label>
         <div className="modal-body">
           <div className="chart-container">
             {data.labels.length > 0 ? (
@@ -448,12 +608,12 @@ function WaterLevelTrendModal({ show, onClose, data, options, currentWaterLevel,
         {timestamp && (
           <div className="modal-footer">
             <div>
-              <div className="chart-date">{format(new Date(), 'MMMM d, yyyy')}</div>
-              <div className="chart-time">{format(new Date(), 'HH:mm')} </div>
+              <div className="chart-date">{format(new Date(timestamp), 'MMMM d, yyyy')}</div>
+              <div className="chart-time">{format(new Date(timestamp), 'HH:mm')} </div>
             </div>
             <div className="chart-value">
               <div className={`dot status-${alertStatus}`}></div>
-              {currentWaterLevel !== null ? `${Math.min(((currentWaterLevel / 100) * 8).toFixed(1), 8)}cm` : 'No data'}
+              {currentWaterLevel !== null ? formatLevelCm(currentWaterLevel, profile) : 'No data'}
             </div>
           </div>
         )}
@@ -462,26 +622,74 @@ function WaterLevelTrendModal({ show, onClose, data, options, currentWaterLevel,
   );
 }
 
-// Generate hours for table header (from 23:00 to 24:00)
-const generateHoursHeader = () => {
-  const hours = [];
-  for (let i = 23; i >= 0; i--) {
-    hours.push(`${i.toString().padStart(2, '0')}:00`);
+// Station Notes Component - shared notes about a station, editable by operators and admins
+function StationNotes({ note, editable, onSave }) {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const save = async () => {
+    setSaving(true);
+    const saved = await onSave(draft.trim());
+    setSaving(false);
+
+    if (saved) {
+      setDraft(null);
+      setError(null);
+    } else {
+      setError('Could not save the note. Please try again.');
+    }
+  };
+
+  if (draft !== null) {
+    return (
+      <div className="station-notes">
+        <textarea
+          value={draft}
+          maxLength={MAX_NOTE_LENGTH}
+          rows={4}
+          onChange={e => setDraft(e.target.value)}
+        />
+        {error && <p className="station-notes-error">{error}</p>}
+        <div className="settings-actions">
+          <button className="settings-button secondary" onClick={() => setDraft(null)}>Cancel</button>
+          <button className="settings-button" disabled={saving} onClick={save}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    );
   }
-  hours.push('24:00');
-  return hours;
-};
 
-// Format function to help organize readings by hour
-const getHourFromTimestamp = (timestamp) => {
-  const date = new Date(timestamp);
-  return `${date.getHours().toString().padStart(2, '0')}:00`;
-};
+  return (
+    <div className="station-notes">
+      {note && note.text ? (
+        <>
+          <p className="station-notes-text">{note.text}</p>
+          <p className="station-notes-meta">
+            {note.email || 'Unknown user'}, {note.at ? format(new Date(note.at), 'MMM d, h:mm a') : ''}
+          </p>
+        </>
+      ) : (
+        <p className="station-notes-meta">No notes for this station.</p>
+      )}
+      {editable && (
+        <button className="station-settings" onClick={() => setDraft(note ? note.text : '')}>
+          Edit notes
+        </button>
+      )}
+    </div>
+  );
+}
 
-// Format function for date to display in table
-const formatDateForTable = (dateString) => {
-  const date = new Date(dateString);
-  return format(date, 'MMMM dd, yyyy');
+// Read the station and view requested in the URL (used by notification links)
+// e.g. ?station=ultrasonic-sensor-1&view=trend
+const getInitialView = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    deviceId: params.get('station'),
+    showTrend: params.get('view') === 'trend'
+  };
 };
 
 // Function to show timestamp in browser console for debugging
@@ -490,18 +698,134 @@ function logTimestamp(label, timestamp) {
   console.log(`${label}: ${date.toLocaleString()} (${timestamp})`);
 }
 
-function App() {
+// Dashboard for a signed-in user; what they can change depends on their role
+function Dashboard({ user, onSignOut }) {
+  // Station and view requested in the URL, read once on load
+  const [initialView] = useState(getInitialView);
+  
   // State management
   const [waterLevelHistory, setWaterLevelHistory] = useState([]);
-  const [minuteByMinuteHistory, setMinuteByMinuteHistory] = useState([]);
+  const [chartHistory, setChartHistory] = useState([]);
   const [currentWaterLevel, setCurrentWaterLevel] = useState(null);
-  const [alertStatus, setAlertStatus] = useState('unknown');
+  const [rateStatus, setRateStatus] = useState('unknown');
   const [showHistorical, setShowHistorical] = useState(false);
-  const [showModal, setShowModal] = useState(false);
+  const [showModal, setShowModal] = useState(initialView.showTrend);
   const [loading, setLoading] = useState(true);
   
+  // Registry of known devices and the station being viewed
+  const [devices, setDevices] = useState([]);
+  const [selectedDeviceId, setSelectedDeviceId] = useState(initialView.deviceId);
+  const [currentReadings, setCurrentReadings] = useState({});
+  
+  // Alert status of every station, from its latest reading with its own hysteresis so a level
+  // hovering at a boundary doesn't flap; shared by the station list, map, sidebar and notifications
+  const [stationStatuses, setStationStatuses] = useState({});
+  useEffect(() => {
+    setStationStatuses(prevStatuses => getNextStationStatuses(prevStatuses, devices, currentReadings));
+  }, [devices, currentReadings]);
+  const alertStatus = stationStatuses[selectedDeviceId] || 'unknown';
+  
+  // Stations overlaid on the trend chart, and their minute-by-minute data keyed by deviceId
+  const [compareDeviceIds, setCompareDeviceIds] = useState([]);
+  const [showRawReadings, setShowRawReadings] = useState(false);
+  const [comparisonHistory, setComparisonHistory] = useState({});
+  
+  // Station whose registry entry is being edited
+  const [editingDevice, setEditingDevice] = useState(null);
+  
+  // Browser notification settings for alert changes
+  const [notificationSettings, setNotificationSettings] = useState(loadNotificationSettings);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  
+  // Whether the export dialog for historical readings is open
+  const [showExport, setShowExport] = useState(false);
+  
+  // Whether the import dialog for offline readings is open
+  const [showImport, setShowImport] = useState(false);
+  
+  // Whether the incident report dialog is open
+  const [showReport, setShowReport] = useState(false);
+  
+  // Whether the event log page is shown instead of the dashboard
+  const [showEventLog, setShowEventLog] = useState(false);
+  
+  // Whether the offline map download dialog is open
+  const [showOfflineMap, setShowOfflineMap] = useState(false);
+  
+  // Recent incidents keyed by incident ID, and the one the incidents dialog was opened on
+  const [incidents, setIncidents] = useState({});
+  const [showIncidents, setShowIncidents] = useState(false);
+  const [incidentToShow, setIncidentToShow] = useState(null);
+  const selectedIncident = findActiveIncident(incidents, selectedDeviceId);
+  const bannerIncident = getBannerIncident(incidents);
+  
+  // Notes of every station, keyed by deviceId
+  const [stationNotes, setStationNotes] = useState({});
+  
+  // Geometry and calibration of the selected station
+  const selectedProfile = React.useMemo(
+    () => findDeviceProfile(devices, selectedDeviceId),
+    [devices, selectedDeviceId]
+  );
+  
+  // Clock used to age readings, so a station that goes quiet is flagged without a new update
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), FRESHNESS_TICK_MS);
+    return () => clearInterval(intervalId);
+  }, []);
+  
+  // Whether the dashboard is showing the offline copy, and how old its newest reading is
+  const online = useOnlineStatus();
+  const savedDataTime = React.useMemo(() => {
+    const readings = Object.values(currentReadings);
+    const fromCache = readings.some(reading => reading.fromCache);
+    return online && !fromCache ? null : getNewestReadingTime(readings);
+  }, [currentReadings, online]);
+  const showOfflineBanner = !DEMO_MODE && (!online || savedDataTime !== null);
+
+  // Whether the selected station's latest reading is still current
+  const selectedFreshness = React.useMemo(
+    () => getFreshness(selectedProfile, currentReadings[selectedDeviceId], now),
+    [selectedProfile, currentReadings, selectedDeviceId, now]
+  );
+  
+  // Stations as plotted on the map, with their latest level and freshness
+  const mapStations = React.useMemo(
+    () => getMapStations(devices, currentReadings, stationStatuses, now),
+    [devices, currentReadings, stationStatuses, now]
+  );
+  
+  // Stable handler so the memoised map isn't rebuilt when the sidebar updates
+  const showStationTrend = React.useCallback((deviceId) => {
+    setSelectedDeviceId(deviceId);
+    setShowModal(true);
+  }, []);
+  
+  // Open the incidents dialog, on one incident or on the list
+  const openIncidents = (incidentId) => {
+    setIncidentToShow(incidentId);
+    setShowIncidents(true);
+  };
+  
   // Add new state for cached time labels
-  const [timeLabels, setTimeLabels] = useState([]);
+  // Range shown on the trend chart, and the window of time slots it covers
+  const [chartRange, setChartRange] = useState(DEFAULT_CHART_RANGE);
+  const [chartWindow, setChartWindow] = useState(() => resolveChartWindow(DEFAULT_CHART_RANGE));
+  const timeLabels = chartWindow.labels;
+  
+  // Only the chart's window of history is downloaded, at the window's resolution
+  // Ranges ending now have an open end so new rollups keep arriving
+  const { start: chartWindowStart, resolution: chartResolution } = chartWindow;
+  const chartWindowEnd = chartWindow.live ? null : chartWindow.end;
+  
+  // Hourly history shown in the tabular view, fetched a page at a time
+  const [tableHistory, setTableHistory] = useState({ deviceId: null, readings: [], cursor: null, loading: false });
+  
+  // Tabular view ordering and status filter, and the hour opened for drill-down
+  const [tableSort, setTableSort] = useState('newest');
+  const [tableStatusFilter, setTableStatusFilter] = useState('all');
+  const [openHour, setOpenHour] = useState(null);
   
   // State for randomized recommendations and causes
   const [safetyRecommendations, setSafetyRecommendations] = useState([]);
@@ -510,49 +834,96 @@ function App() {
   // Make setShowHistorical available globally for the modal
   window.showHistoricalView = () => setShowHistorical(true);
 
-  // Generate time labels when component mounts, modal is opened, or current water level changes
-  // This ensures that the newest data is always on the right of the chart
+  // Regenerate the chart window when the range changes, the modal is opened, or the level changes
+  // For ranges ending now this ensures that the newest data is always on the right of the chart
   useEffect(() => {
-    // Function to create timestamps for the last 6 hours at 5-minute intervals
-    const generateTimeLabels = () => {
-      const labels = [];
-      const now = new Date();
-      
-      // Start from 6 hours ago (good timeframe for 5-minute data)
-      const startTime = new Date(now);
-      startTime.setHours(now.getHours() - 6);
-      
-      // Round to nearest 5 minutes
-      startTime.setMinutes(Math.floor(startTime.getMinutes() / 5) * 5);
-      startTime.setSeconds(0);
-      startTime.setMilliseconds(0);
-      
-      // Order from oldest (6 hours ago) to newest (now) so recent data is on the right
-      for (let i = 0; i < 72; i++) {
-        const timeLabel = new Date(startTime);
-        timeLabel.setMinutes(timeLabel.getMinutes() + (i * 5));
-        labels.push({
-          time: timeLabel,
-          formatted: format(timeLabel, 'HH:mm'),
-          timestamp: timeLabel.getTime()
-        });
-      }
+    console.log("Regenerating chart window", chartRange);
+    setChartWindow(resolveChartWindow(chartRange));
+  }, [chartRange, showModal, currentWaterLevel]);
+  
+  // Switch the trend chart to another range, dropping history at the old resolution
+  const changeChartRange = (range) => {
+    setChartHistory([]);
+    setComparisonHistory({});
+    setChartRange(range);
+  };
+
+  // Subscribe to the device registry and the latest reading of every station
+  useEffect(() => {
+    const unsubscribeDevices = dataSource.subscribeToDevices((deviceList) => {
+      setDevices(deviceList);
       
-      // Sort labels to ensure they're in chronological order (oldest to newest)
-      return labels.sort((a, b) => a.timestamp - b.timestamp);
+      // Default to the first registered station, and drop a selection that was removed
+      setSelectedDeviceId(prevId => {
+        if (prevId && deviceList.some(device => device.id === prevId)) {
+          return prevId;
+        }
+        return deviceList.length > 0 ? deviceList[0].id : null;
+      });
+    });
+    
+    const unsubscribeCurrent = dataSource.subscribeToCurrentReadings(setCurrentReadings);
+    const unsubscribeIncidents = dataSource.subscribeToIncidents(setIncidents);
+    const unsubscribeNotes = dataSource.subscribeToStationNotes(setStationNotes);
+    
+    return () => {
+      unsubscribeDevices();
+      unsubscribeCurrent();
+      unsubscribeIncidents();
+      unsubscribeNotes();
     };
-
-    // Generate time labels when component mounts, modal is opened, or current water level changes
-    // This ensures that the newest data is always on the right of the chart
-    if (timeLabels.length === 0 || showModal) {
-      console.log("Regenerating time labels");
-      setTimeLabels(generateTimeLabels());
-    }
-  }, [timeLabels.length, showModal, currentWaterLevel]);
-
+  }, []);
+  
+  // Clear the previous station's data when switching stations
+  useEffect(() => {
+    setWaterLevelHistory([]);
+    setChartHistory([]);
+    setCurrentWaterLevel(null);
+    setRateStatus('unknown');
+    setCompareDeviceIds(prevIds => prevIds.filter(id => id !== selectedDeviceId));
+  }, [selectedDeviceId]);
+  
+  // Load the newest page of hourly history when the tabular view opens
+  useEffect(() => {
+    if (!showHistorical || !selectedDeviceId) return;
+    
+    let cancelled = false;
+    setTableHistory({ deviceId: selectedDeviceId, readings: [], cursor: null, loading: true });
+    
+    dataSource.fetchHistoryPage(selectedDeviceId, { resolution: '1h', limit: TABLE_PAGE_SIZE }).then(page => {
+      if (!cancelled) setTableHistory({ deviceId: selectedDeviceId, ...page, loading: false });
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [showHistorical, selectedDeviceId]);
+  
+  // Add the next older page of hourly history to the tabular view
+  const loadOlderHistory = async () => {
+    const deviceId = selectedDeviceId;
+    setTableHistory(prevHistory => ({ ...prevHistory, loading: true }));
+    
+    const page = await dataSource.fetchHistoryPage(deviceId, {
+      resolution: '1h',
+      limit: TABLE_PAGE_SIZE,
+      before: tableHistory.cursor
+    });
+    
+    // Ignore the page if another station was picked while it loaded
+    setTableHistory(prevHistory => prevHistory.deviceId !== deviceId ? prevHistory : {
+      deviceId,
+      readings: [...prevHistory.readings, ...page.readings],
+      cursor: page.cursor,
+      loading: false
+    });
+  };
+  
   // Subscribe to water level updates from Firebase with smooth updates and increased debounce
   useEffect(() => {
-    console.log('Setting up Firebase subscription to new Realtime Database: water-level-3');
+    if (!selectedDeviceId) return;
+    
+    console.log(`Setting up Firebase subscription for station: ${selectedDeviceId}`);
     
     // Create smooth state updater with stronger debouncing
     const updateDataSmoothly = (data) => {
@@ -563,28 +934,12 @@ function App() {
       
       console.log(`Received ${data.length} readings from Firebase`);
       
-      // Only update if we're not currently showing the modal or historical view
-      // This prevents unnecessary re-renders while viewing the chart
-      if (showModal || showHistorical) {
-        // Just update currentWaterLevel for the chart, but don't trigger full re-render
-        const sortedData = [...data].sort((a, b) => b.timestamp - a.timestamp);
-        const latestReading = sortedData[0];
-        if (latestReading) {
-          console.log('Latest reading:', latestReading);
-          setCurrentWaterLevel(prevLevel => {
-            if (prevLevel !== latestReading.waterLevel) {
-              return latestReading.waterLevel;
-            }
-            return prevLevel;
-          });
-        }
-        return;
-      }
-      
       // Sort data by timestamp in descending order (newest first)
       const sortedData = [...data].sort((a, b) => b.timestamp - a.timestamp);
       
       // Update history without triggering re-renders for each small change
+      // (also while the trend or historical view is open: the forecast drawn on the trend chart
+      // is computed from it)
       setWaterLevelHistory(prevHistory => {
         // Only update if there are actual significant changes (more than just the timestamp)
         const prevFirstItem = prevHistory[0] || {};
@@ -609,18 +964,6 @@ function App() {
           return prevLevel;
         });
         
-        // Calculate new status - only update if status changed
-        const newStatus = getStatusFromWaterLevel(latestReading.waterLevel);
-        setAlertStatus(prevStatus => {
-          if (prevStatus !== newStatus) {
-            console.log(`Alert status changed: ${prevStatus} -> ${newStatus}`);
-            // Update recommendations and causes when status changes
-            setSafetyRecommendations(getRandomSafetyRecommendations(newStatus));
-            setPotentialCauses(getRandomPotentialCauses(newStatus));
-            return newStatus;
-          }
-          return prevStatus;
-        });
       }
       
       // Only set loading to false once
@@ -632,18 +975,19 @@ function App() {
 
     // Subscribe to regular water level updates
     console.log('Subscribing to water level updates...');
-    const unsubscribe = subscribeToWaterLevelUpdates(updateDataSmoothly);
+    const unsubscribe = dataSource.subscribeToWaterLevelUpdates(selectedDeviceId, updateDataSmoothly);
     
-    // Subscribe to minute-by-minute data specifically for the graph
-    console.log('Subscribing to minute-by-minute data...');
-    const unsubscribeMinuteData = subscribeToMinuteByMinuteData((data) => {
+    // Subscribe to the rollups in the chart's time window specifically for the graph
+    console.log(`Subscribing to ${chartResolution} history...`);
+    const historyWindow = { resolution: chartResolution, start: chartWindowStart, end: chartWindowEnd };
+    const unsubscribeMinuteData = dataSource.subscribeToHistory(selectedDeviceId, historyWindow, (data) => {
       console.log(`Received ${data.length} minute-by-minute data points`);
       
       // Only update if we're showing the modal or there's a significant change
-      if (showModal || minuteByMinuteHistory.length === 0 || 
-          (data.length > 0 && minuteByMinuteHistory.length > 0 && 
-           data[0].timestamp !== minuteByMinuteHistory[0].timestamp)) {
-        setMinuteByMinuteHistory(data);
+      if (showModal || chartHistory.length === 0 || 
+          (data.length > 0 && chartHistory.length > 0 && 
+           data[0].timestamp !== chartHistory[0].timestamp)) {
+        setChartHistory(data);
       }
     });
     
@@ -652,188 +996,133 @@ function App() {
       unsubscribe();
       unsubscribeMinuteData();
     };
-  }, [showModal, showHistorical]);
+  }, [showModal, selectedDeviceId, chartWindowStart, chartWindowEnd, chartResolution]);
+  
+  // Update recommendations and causes when the selected station's status changes
+  useEffect(() => {
+    console.log(`Alert status: ${alertStatus}`);
+    setSafetyRecommendations(getRandomSafetyRecommendations(alertStatus));
+    setPotentialCauses(getRandomPotentialCauses(alertStatus));
+  }, [alertStatus]);
+  
+  // Rate of rise over the station's rate window, from the raw readings, which keep updating
+  // whichever view is open (chart history may be hourly or daily rollups depending on the chart range)
+  const rateOfRise = React.useMemo(
+    () => computeRateOfRise(waterLevelHistory, selectedProfile),
+    [waterLevelHistory, selectedProfile]
+  );
+  
+  // Projection of the next two hours from the last hour of raw readings
+  const forecast = React.useMemo(
+    () => computeForecast(waterLevelHistory, selectedProfile, { now }),
+    [waterLevelHistory, selectedProfile, now]
+  );
+  const forecastText = describeForecast(forecast);
 
-  // Set up a timer to record historical data points every 5 minutes
+  // How far the station's clock is off, from the receipt times of its recent readings
+  const clockText = React.useMemo(
+    () => describeClockStatus(getClockStatus(waterLevelHistory)),
+    [waterLevelHistory]
+  );
+  
+  // Raise or clear the rapid rise alert alongside the level-based status
   useEffect(() => {
-    // Only run if we have current water level data
-    if (currentWaterLevel === null) return;
-
-    // Function to record a 5-minute interval data point
-    const recordHistoricalDataPoint = async () => {
-      try {
-        // Check if we already have a reading within the last 5 minutes
-        const now = new Date();
-        logTimestamp("Recording historical data at", now.getTime());
-        
-        // Record the current water level to the minute-by-minute table
-        const result = await recordMinuteByMinuteData({
-          waterLevel: currentWaterLevel,
-          timestamp: now.getTime(),
-          deviceId: 'webapp-5minute-recorder',
-          isHistoricalPoint: true
-        });
-        
-        if (result) {
-          console.log("Successfully recorded 5-minute interval data point to the new Firebase database");
-        } else {
-          console.error("Failed to record 5-minute interval data point");
-        }
-      } catch (error) {
-        console.error("Error recording 5-minute interval data point:", error);
+    setRateStatus(prevStatus => {
+      const newStatus = getNextRateStatus(prevStatus, rateOfRise, selectedProfile);
+      if (prevStatus !== newStatus) {
+        console.log(`Rate status changed: ${prevStatus} -> ${newStatus}`, rateOfRise);
       }
-    };
-
-    console.log("Setting up historical data recorder with current water level:", currentWaterLevel);
-    
-    // Record a point immediately
-    recordHistoricalDataPoint();
-    
-    // Set up an interval to record data points every 5 minutes
-    const intervalId = setInterval(recordHistoricalDataPoint, 5 * 60 * 1000);
-    console.log("Historical data recorder interval set up");
-    
-    // Clean up the interval when component unmounts
-    return () => {
-      console.log("Cleaning up historical data recorder");
-      clearInterval(intervalId);
-    };
-  }, [currentWaterLevel]);
+      return newStatus;
+    });
+  }, [rateOfRise, selectedProfile]);
   
-  // Debug: log the number of minute-by-minute data points when it changes
+  // Subscribe to the chart history of the stations being compared
   useEffect(() => {
-    console.log(`minuteByMinuteHistory updated with ${minuteByMinuteHistory.length} points`);
-    if (minuteByMinuteHistory.length > 0) {
-      logTimestamp("Newest point", minuteByMinuteHistory[0].timestamp);
-      logTimestamp("Oldest point", minuteByMinuteHistory[minuteByMinuteHistory.length-1].timestamp);
-    }
-  }, [minuteByMinuteHistory]);
-
-  // Function to create mock data for testing if no real data exists
-  const createMockDataIfNeeded = (readings) => {
-    // If we have real data, return it
-    if (readings && readings.length > 0) {
-      return readings;
+    if (compareDeviceIds.length === 0) {
+      setComparisonHistory({});
+      return;
     }
     
-    // Create mock data for testing
-    const mockData = [];
-    const now = new Date();
+    const unsubscribers = compareDeviceIds.map(deviceId =>
+      dataSource.subscribeToHistory(deviceId, { resolution: chartResolution, start: chartWindowStart, end: chartWindowEnd }, (data) => {
+        setComparisonHistory(prevHistory => ({ ...prevHistory, [deviceId]: data }));
+      })
+    );
     
-    // Generate data points for the last 6 hours, every 5 minutes
-    for (let i = 0; i < 72; i++) {
-      const timestamp = new Date(now);
-      timestamp.setMinutes(timestamp.getMinutes() - (i * 5));
-      
-      // Generate a random water level between 30-70%
-      const waterLevel = Math.floor(Math.random() * 40) + 30;
-      
-      mockData.push({
-        timestamp: timestamp.getTime(),
-        waterLevel: waterLevel,
-        id: `mock-${i}`
+    // Forget stations that are no longer being compared
+    setComparisonHistory(prevHistory => {
+      const nextHistory = {};
+      compareDeviceIds.forEach(deviceId => {
+        if (prevHistory[deviceId]) nextHistory[deviceId] = prevHistory[deviceId];
       });
-    }
+      return nextHistory;
+    });
     
-    return mockData;
-  };
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [compareDeviceIds, chartWindowStart, chartWindowEnd, chartResolution]);
   
-  // Use minute-by-minute data when available, fall back to waterLevelHistory
-  const effectiveWaterLevelHistory = minuteByMinuteHistory.length > 0 
-    ? minuteByMinuteHistory 
-    : (waterLevelHistory.length > 0 
-        ? waterLevelHistory 
-        : createMockDataIfNeeded([]));
+  // Turn alert changes into browser notifications (never for simulated data)
+  useAlertNotifications({
+    settings: DEMO_MODE ? { ...notificationSettings, enabled: false } : notificationSettings,
+    devices,
+    currentReadings,
+    stationStatuses,
+    selectedDeviceId,
+    rateStatus,
+    rateOfRise
+  });
   
-  // Filter readings to get one every 5 minutes for the historical view
-  const filterFiveMinuteReadings = (readings) => {
-    if (!readings || readings.length === 0) return [];
-    
-    const filteredReadings = [];
-    const timeGroups = {};
-    
-    // Group readings by date and 5-minute blocks
-    readings.forEach(reading => {
-      const date = format(new Date(reading.timestamp), 'yyyy-MM-dd');
-      const hour = new Date(reading.timestamp).getHours();
-      const minute = new Date(reading.timestamp).getMinutes();
-      const fiveMinBlock = Math.floor(minute / 5) * 5;
-      const key = `${date}-${hour}-${fiveMinBlock}`;
+  // Clicking a notification while the dashboard is open shows that station's trend
+  useEffect(() => {
+    return subscribeToServiceWorkerMessages((message) => {
+      if (message.type !== 'open-trend') return;
       
-      // If we don't have a reading for this 5-minute block yet, or this one is newer
-      if (!timeGroups[key] || reading.timestamp > timeGroups[key].timestamp) {
-        timeGroups[key] = reading;
-      }
+      if (message.deviceId) setSelectedDeviceId(message.deviceId);
+      setShowHistorical(false);
+      setShowModal(true);
     });
-    
-    // Convert the grouped readings back to an array
-    return Object.values(timeGroups).sort((a, b) => b.timestamp - a.timestamp);
-  };
-  
-  // Apply the filter before passing to formatHistoricalDataForTable
-  const fiveMinFilteredReadings = filterFiveMinuteReadings(effectiveWaterLevelHistory);
+  }, []);
   
-  // Create a simplified dataset directly from minuteByMinuteHistory
-  const createChartDataPoints = () => {
-    // Exit early if we don't have time labels yet
-    if (timeLabels.length === 0) return [];
-    
-    // Get the data points from minuteByMinuteHistory
-    const dataPoints = Array(timeLabels.length).fill(null); // Initialize with null values
-    
-    console.log(`Creating chart data points from ${minuteByMinuteHistory.length} readings`);
-    
-    // Create a map of timestamps to readings
-    const readingsMap = {};
-    
-    // Process existing history data first (oldest data)
-    minuteByMinuteHistory.forEach(reading => {
-      // Convert to 5-minute precision for matching
-      const date = new Date(reading.timestamp);
-      date.setMinutes(Math.floor(date.getMinutes() / 5) * 5);
-      date.setSeconds(0);
-      date.setMilliseconds(0);
-      readingsMap[date.getTime()] = reading;
-    });
-    
-    // Add the current reading for real-time tracking
-    if (currentWaterLevel !== null) {
-      // Create a data point for the current time
-      const now = new Date();
-      // Round to the nearest 5 minutes
-      now.setMinutes(Math.floor(now.getMinutes() / 5) * 5);
-      now.setSeconds(0);
-      now.setMilliseconds(0);
-      
-      // Add the current reading to our map - this will be the most recent (rightmost) point
-      readingsMap[now.getTime()] = {
-        waterLevel: currentWaterLevel,
-        timestamp: now.getTime(),
-        id: 'current-realtime'
-      };
+  // Drop the notification link parameters once they've been used (keeping ?demo)
+  useEffect(() => {
+    if (initialView.deviceId || initialView.showTrend) {
+      const params = new URLSearchParams(window.location.search);
+      params.delete('station');
+      params.delete('view');
+      const search = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
     }
-    
-    // Map the time labels to data points - match each label to a reading if available
-    timeLabels.forEach((label, index) => {
-      // Look for a reading at this exact timestamp
-      const reading = readingsMap[label.timestamp];
-      
-      if (reading) {
-        // Real data exists for this timestamp
-        dataPoints[index] = Math.min(((reading.waterLevel / 100) * 8).toFixed(1), 8);
-      }
-      // If we're testing and have no real data, generate sample data
-      else if (minuteByMinuteHistory.length === 0 && Object.keys(readingsMap).length === 0) {
-        // Create a sine wave pattern
-        const sineValue = Math.sin(index * 0.1) * 3 + 4; // Values between 1-7
-        dataPoints[index] = sineValue.toFixed(1);
-      }
-      // We have some data but not for this specific timestamp - keep as null
-    });
-    
-    return dataPoints;
+  }, [initialView]);
+  
+  // Toggle a station in or out of the comparison overlay
+  const toggleCompareDevice = (deviceId) => {
+    setCompareDeviceIds(prevIds => prevIds.includes(deviceId)
+      ? prevIds.filter(id => id !== deviceId)
+      : [...prevIds, deviceId]);
   };
   
+  // Look up a station's display name from the registry
+  const getDeviceName = (deviceId) => {
+    const device = devices.find(d => d.id === deviceId);
+    return device ? device.name : deviceId;
+  };
+
+  // Debug: log the number of minute-by-minute data points when it changes
+  useEffect(() => {
+    console.log(`chartHistory updated with ${chartHistory.length} points`);
+    if (chartHistory.length > 0) {
+      logTimestamp("Newest point", chartHistory[0].timestamp);
+      logTimestamp("Oldest point", chartHistory[chartHistory.length-1].timestamp);
+    }
+  }, [chartHistory]);
+
+  // Build the chart series for a station over the chart's time slots
+  // (the selected station's chartHistory unless other readings are given)
+  const createStationSeries = (readings = chartHistory, latestWaterLevel = currentWaterLevel, profile = selectedProfile) =>
+    createChartSeries(readings, timeLabels, profile, { latestWaterLevel, live: chartWindow.live });
+  
   // Update chart when current water level changes
   const [lastChartUpdate, setLastChartUpdate] = useState(Date.now());
   
@@ -850,10 +1139,16 @@ function App() {
     return () => clearInterval(intervalId);
   }, [showModal]);
   
+  // Live 5-minute charts also show where the level is heading, on slots added after now
+  const chartForecast = chartWindow.live && chartWindow.resolution === '5m' ? forecast : null;
+  const chartLabels = React.useMemo(() => (chartForecast
+    ? extendLabels(timeLabels, chartWindow.resolution, chartWindow.end + getForecastChartMinutes(chartWindow.end - chartWindow.start) * 60 * 1000)
+    : timeLabels), [chartForecast, timeLabels, chartWindow]);
+  
   // Regenerate chart data whenever the water level changes or we're updating
   const dynamicChartData = React.useMemo(() => {
-    // Only regenerate if we have a current water level and time labels
-    if (currentWaterLevel === null || timeLabels.length === 0) {
+    // Only regenerate if we have a current water level or history, and time labels
+    if ((currentWaterLevel === null && chartHistory.length === 0) || timeLabels.length === 0) {
       return {
         labels: [],
         datasets: [
@@ -869,72 +1164,49 @@ function App() {
       };
     }
     
+    // One extra line per compared station
+    const comparisonDatasets = compareDeviceIds.map((deviceId, index) => ({
+      label: getDeviceName(deviceId),
+      data: createStationSeries(
+        comparisonHistory[deviceId] || [],
+        currentReadings[deviceId] ? currentReadings[deviceId].waterLevel : null,
+        findDeviceProfile(devices, deviceId)
+      ).mean,
+      fill: false,
+      borderColor: comparisonColors[index % comparisonColors.length],
+      backgroundColor: comparisonColors[index % comparisonColors.length],
+      borderWidth: 2,
+      pointRadius: 2,
+      tension: 0.2,
+      spanGaps: true,
+    }));
+    
+    const currentIndex = chartWindow.live ? findSlotIndex(timeLabels, Date.now()) : -1;
+    
     return {
-      labels: timeLabels.map(label => label.formatted),
+      labels: chartLabels.map(label => label.formatted),
       datasets: [
-        {
-          label: 'Waterlevel',
-          data: createChartDataPoints(),
-          fill: false,
-          backgroundColor: 'rgba(37, 99, 235, 0.2)',
-          borderColor: '#2563eb',
-          borderWidth: 3,
-          pointBackgroundColor: (context) => {
-            // Use a different color for the current real-time point
-            const index = context.dataIndex;
-            if (index >= 0 && index < timeLabels.length) {
-              const label = timeLabels[index];
-              
-              // If this is around the current time, use a different color
-              const now = new Date();
-              now.setSeconds(0);
-              now.setMilliseconds(0);
-              
-              const isCurrentTime = Math.abs(label.time - now) < 5 * 60 * 1000; // Within 5 minutes
-              
-              return isCurrentTime ? '#ef4444' : '#2563eb';
-            }
-            return '#2563eb';
-          },
-          pointBorderColor: '#ffffff',
-          pointBorderWidth: 2,
-          pointRadius: 4,
-          pointHoverRadius: 8,
-          tension: 0.2,
-          spanGaps: true, // Connect the line across gaps (null values)
-        },
+        ...createTrendDatasets({
+          label: selectedDeviceId ? getDeviceName(selectedDeviceId) : 'Waterlevel',
+          series: createStationSeries(),
+          resolution: chartWindow.resolution,
+          currentIndex,
+          showRaw: showRawReadings
+        }),
+        ...createForecastDatasets({ forecast: chartForecast, labels: chartLabels, currentIndex }),
+        ...comparisonDatasets,
       ],
     };
-  }, [currentWaterLevel, minuteByMinuteHistory, lastChartUpdate, showModal, timeLabels]);
+  }, [currentWaterLevel, chartHistory, lastChartUpdate, showModal, chartWindow, chartLabels, chartForecast, showRawReadings, selectedDeviceId, selectedProfile, compareDeviceIds, comparisonHistory, currentReadings, devices]);
 
-  // Format historical data for table display by date and hour
-  const formatHistoricalDataForTable = () => {
-    // Group readings by date first
-    const dateGroups = {};
-    
-    fiveMinFilteredReadings.forEach(reading => {
-      const date = format(new Date(reading.timestamp), 'yyyy-MM-dd');
-      const hour = getHourFromTimestamp(reading.timestamp);
-      
-      if (!dateGroups[date]) {
-        dateGroups[date] = {};
-      }
-      
-      // Add reading at this hour if not exists or if it's newer than existing
-      if (!dateGroups[date][hour] || reading.timestamp > dateGroups[date][hour].timestamp) {
-        dateGroups[date][hour] = reading;
-      }
-    });
-    
-    // Sort dates in descending order (newest first)
-    return Object.keys(dateGroups)
-      .sort((a, b) => new Date(b) - new Date(a))
-      .map(date => ({
-        date,
-        formattedDate: formatDateForTable(date),
-        readings: dateGroups[date]
-      }));
-  };
+  // Rows of the tabular view, and every loaded day by date for the trend arrows
+  const tableDays = React.useMemo(() => {
+    const days = groupReadingsByDay(tableHistory.readings);
+    return {
+      rows: sortDays(filterDaysByStatus(days, tableStatusFilter, selectedProfile), tableSort),
+      byDate: Object.fromEntries(days.map(day => [day.date, day]))
+    };
+  }, [tableHistory.readings, tableStatusFilter, tableSort, selectedProfile]);
 
   // Determine trend direction (up, down, or none)
   const getTrendDirection = (currentReading, previousHourReading) => {
@@ -948,103 +1220,14 @@ function App() {
   };
 
   // Chart options configuration
-  const chartOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    animation: {
-      duration: 0 // Disable animations for immediate rendering
-    },
-    plugins: {
-      legend: {
-        display: false
-      },
-      tooltip: {
-        backgroundColor: 'rgba(255, 255, 255, 0.9)',
-        titleColor: '#1e293b',
-        bodyColor: '#1e293b',
-        borderColor: '#e2e8f0',
-        borderWidth: 1,
-        padding: 12,
-        boxPadding: 6,
-        usePointStyle: true,
-        callbacks: {
-          title: (context) => {
-            if (!context.length) return '';
-            const label = timeLabels[context[0].dataIndex];
-            if (label) {
-              return format(label.time, 'MMMM d, yyyy');
-            }
-            return '';
-          },
-          label: (context) => {
-            const label = timeLabels[context.dataIndex];
-            if (!label) return '';
-            
-            const dataValue = context.raw;
-            if (dataValue === null) return 'No data available';
-            
-            return [
-              `Time: ${format(label.time, 'HH:mm')}`,
-              `Waterlevel: ${dataValue}cm`
-            ];
-          }
-        }
-      }
-    },
-    scales: {
-      y: {
-        beginAtZero: true,
-        max: 10, // Changed from 8cm to 10cm for the Y-axis scale, but data is still capped at 8cm
-        title: {
-          display: true,
-          text: 'Values (cm)'
-        },
-        ticks: {
-          callback: function(value) {
-            return value + ' cm';
-          }
-        },
-        grid: {
-          color: 'rgba(226, 232, 240, 0.5)',
-        }
-      },
-      x: {
-        reverse: false, // Ensure that oldest data is on the left, newest on the right
-        title: {
-          display: true,
-          text: 'Time (5-minute intervals)'
-        },
-        grid: {
-          display: true,
-          color: 'rgba(226, 232, 240, 0.3)',
-          tickBorderDash: [5, 5]
-        },
-        ticks: {
-          maxRotation: 45,
-          minRotation: 45,
-          callback: function(index) {
-            // Show every 3rd label (every 15 minutes)
-            return index % 3 === 0 && index < timeLabels.length ? timeLabels[index].formatted : '';
-          }
-        }
-      }
-    },
-    elements: {
-      line: {
-        tension: 0.4, // Increased for smoother line
-        borderWidth: 3 // Thicker line for better visibility
-      },
-      point: {
-        radius: function(context) {
-          // Make points visible when data exists
-          const value = context.raw;
-          return value === null ? 0 : 4;
-        },
-        hoverRadius: 8,
-        borderWidth: 2
-      }
-    }
-  };
+  const chartOptions = createTrendChartOptions({
+    timeLabels: chartLabels,
+    resolution: chartWindow.resolution,
+    profile: selectedProfile,
+    compare: compareDeviceIds.length > 0,
+    forecast: Boolean(chartForecast),
+    raw: showRawReadings
+  });
   
   // Add CSS for the live indicator
   useEffect(() => {
@@ -1058,6 +1241,12 @@ function App() {
         margin-left: 0.5rem;
       }
       
+      .stale-indicator {
+        color: #6b7280;
+        font-size: 0.75rem;
+        margin-left: 0.5rem;
+      }
+      
       @keyframes pulse {
         0% {
           opacity: 1;
@@ -1145,7 +1334,46 @@ function App() {
 
   return (
     <ChartVisibilityContext.Provider value={{ showModal, setShowModal }}>
-    <div className="app">
+    <div className={`app${DEMO_MODE ? ' demo-mode' : ''}`}>
+        {/* Demo mode banner - every value on screen is simulated */}
+        {DEMO_MODE && (
+          <div className="demo-banner" role="alert">
+            DEMO MODE - simulated data, not real sensor readings
+          </div>
+        )}
+        {/* Environment banner - anything but production holds test data */}
+        {!DEMO_MODE && DATA_SOURCE === 'firebase' && ENVIRONMENT !== 'production' && (
+          <div className="environment-banner">
+            {ENVIRONMENT === 'emulator' ? 'LOCAL EMULATORS - test data only' : `${ENVIRONMENT.toUpperCase()} - not the production database`}
+          </div>
+        )}
+        {/* Offline banner - the readings on screen are the saved copy and may be out of date */}
+        {showOfflineBanner && (
+          <div className="offline-banner" role="status">
+            {online ? 'Reconnecting' : 'Offline'}
+            {savedDataTime !== null
+              ? ` - showing saved readings from ${format(new Date(savedDataTime), 'MMM d, h:mm a')} (${formatAge(now - savedDataTime)})`
+              : ' - no saved readings yet'}
+          </div>
+        )}
+        {!DEMO_MODE && DATA_SOURCE === 'memory' && (
+          <div className="environment-banner">
+            IN-MEMORY DATA - simulated stations, nothing is saved
+          </div>
+        )}
+        {/* Incident banner - the most urgent incident that hasn't been closed */}
+        {bannerIncident && (
+          <button
+            type="button"
+            className={`incident-banner ${bannerIncident.status} ${bannerIncident.state}`}
+            onClick={() => openIncidents(bannerIncident.id)}
+          >
+            <FaExclamationTriangle />
+            {' '}{INCIDENT_STATE_LABELS[bannerIncident.state]} incident at {findDeviceProfile(devices, bannerIncident.deviceId).name || bannerIncident.deviceId}
+            {' '}- {getStatusLabel(bannerIncident.status)} now, peak {getStatusLabel(bannerIncident.peakStatus)},
+            {' '}since {format(new Date(bannerIncident.openedAt), 'MMM d, h:mm a')}
+          </button>
+        )}
         {/* Header */}
       <header className="header">
         <div className="logo">
@@ -1155,6 +1383,52 @@ function App() {
             <span>Aqua Gauge: Water Level Monitoring System</span>
         </div>
         <div className="header-icons">
+            <button
+              className={`header-icon-btn${notificationSettings.enabled ? ' active' : ''}`}
+              title="Alert notifications"
+              onClick={() => setShowNotificationSettings(true)}
+            >
+              <FaBell />
+            </button>
+            <button
+              className={`header-icon-btn${bannerIncident ? ' active' : ''}`}
+              title="Incidents"
+              onClick={() => openIncidents(null)}
+            >
+              <FaExclamationTriangle />
+            </button>
+            <button
+              className={`header-icon-btn${showEventLog ? ' active' : ''}`}
+              title="Event log"
+              onClick={() => setShowEventLog(!showEventLog)}
+            >
+              <FaList />
+            </button>
+            <button
+              className="header-icon-btn"
+              title="Incident report"
+              onClick={() => setShowReport(true)}
+            >
+              <FaFileAlt />
+            </button>
+            <button
+              className="header-icon-btn"
+              title="Offline map"
+              onClick={() => setShowOfflineMap(true)}
+            >
+              <FaMap />
+            </button>
+            {!DEMO_MODE && (
+              <div className="header-user" title={user.email}>
+                <FaUser />
+                <span className="header-user-role">{ROLE_LABELS[user.role]}</span>
+                {onSignOut && (
+                  <button className="header-icon-btn" title="Sign out" onClick={onSignOut}>
+                    <FaSignOutAlt />
+                  </button>
+                )}
+              </div>
+            )}
             {!showHistorical && (
               <button 
                 className="historical-data-btn"
@@ -1170,7 +1444,15 @@ function App() {
       </header>
 
         {/* Main Content */}
-        {showHistorical ? (
+        {showEventLog ? (
+          /* Event log - Full width */
+          <EventLogView
+            devices={devices}
+            deviceId={selectedDeviceId}
+            source={dataSource}
+            onBack={() => setShowEventLog(false)}
+          />
+        ) : showHistorical ? (
           /* Historical data view - Full width */
           <div className="chart-view full-width">
             <div className="historical-header">
@@ -1183,6 +1465,21 @@ function App() {
                 </svg>
               </button>
               <div className="historical-title">Historical Data Tabular View</div>
+              <button
+                className="export-button"
+                onClick={() => setShowExport(true)}
+              >
+                <FaDownload /> Export
+              </button>
+              {/* Demo mode never writes to the database */}
+              {!DEMO_MODE && canImportReadings(user) && (
+                <button
+                  className="export-button import-button"
+                  onClick={() => setShowImport(true)}
+                >
+                  <FaUpload /> Import
+                </button>
+              )}
       </div>
 
             <div className="historical-data-header">
@@ -1190,49 +1487,83 @@ function App() {
             </div>
             
             <div className="historical-table-container">
-              {waterLevelHistory.length > 0 ? (
+              {tableHistory.readings.length > 0 ? (
+                <>
+                <div className="table-controls">
+                  <select value={tableSort} onChange={e => setTableSort(e.target.value)}>
+                    {TABLE_SORTS.map(sort => (
+                      <option key={sort.key} value={sort.key}>{sort.label}</option>
+                    ))}
+                  </select>
+                  <select value={tableStatusFilter} onChange={e => setTableStatusFilter(e.target.value)}>
+                    {TABLE_STATUS_FILTERS.map(filter => (
+                      <option key={filter.key} value={filter.key}>{filter.label}</option>
+                    ))}
+                  </select>
+                  <span className="table-hint">Click an hour to see every reading in it</span>
+                </div>
+                {tableDays.rows.length > 0 ? (
                 <table className="historical-table">
                 <thead>
                   <tr>
                     <th>Date</th>
-                      {generateHoursHeader().map(hour => (
+                      {HOUR_COLUMNS.map(hour => (
                         <th key={hour}>{hour}</th>
                       ))}
                   </tr>
                 </thead>
                 <tbody>
-                    {formatHistoricalDataForTable().map(dayData => {
-                      const hours = generateHoursHeader();
-                      return (
+                    {tableDays.rows.map(dayData => (
                         <tr key={dayData.date}>
                           <td className="date-cell">{dayData.formattedDate}</td>
-                          {hours.map(hour => {
-                            const reading = dayData.readings[hour];
+                          {HOUR_COLUMNS.map((hour, hourIndex) => {
+                            const reading = dayData.hours[hour];
                             if (!reading) return <td key={hour}></td>;
                             
-                            const status = getStatusFromWaterLevel(reading.waterLevel);
+                            const status = getCellStatus(reading, selectedProfile);
                             
-                            // Get previous hour for trend
-                            const hourIndex = hours.indexOf(hour);
-                            const prevHour = hourIndex < hours.length - 1 ? hours[hourIndex + 1] : null;
-                            const prevReading = prevHour ? dayData.readings[prevHour] : null;
+                            // Compare with the previous hour of the same day, even if it is filtered out
+                            const prevReading = hourIndex > 0 ? tableDays.byDate[dayData.date].hours[HOUR_COLUMNS[hourIndex - 1]] : null;
                             const trend = getTrendDirection(reading, prevReading);
                             
                             return (
-                              <td key={hour}>
+                              <td
+                                key={hour}
+                                className="hour-cell"
+                                title={`Min ${formatLevelCm(reading.min, selectedProfile)}, max ${formatLevelCm(reading.max, selectedProfile)}`}
+                                onClick={() => setOpenHour(reading.timestamp)}
+                              >
                                 <div className={`reading-value ${status}`}>
                                   {trend === 'up' && <div className="arrow arrow-up"></div>}
                                   {trend === 'down' && <div className="arrow arrow-down"></div>}
-                                  {((reading.waterLevel / 100) * 8).toFixed(1)}cm
+                                  {formatLevelCm(reading.waterLevel, selectedProfile)}
                                 </div>
                               </td>
                             );
                           })}
                     </tr>
-                      );
-                    })}
+                    ))}
                 </tbody>
               </table>
+                ) : (
+                  <div className="no-readings">
+                    <p>No hours in the loaded days match this status filter.</p>
+                  </div>
+                )}
+                {tableHistory.cursor && (
+                  <button
+                    className="load-older-button"
+                    disabled={tableHistory.loading}
+                    onClick={loadOlderHistory}
+                  >
+                    {tableHistory.loading ? 'Loading...' : 'Load older days'}
+                  </button>
+                )}
+                </>
+              ) : tableHistory.loading ? (
+                <div className="no-readings">
+                  <p>Loading historical data...</p>
+                </div>
               ) : (
                 <div className="no-readings">
                   <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" width="48" height="48">
@@ -1247,26 +1578,100 @@ function App() {
           <div className="main-layout">
             {/* Sidebar */}
               <div className="sidebar">
+              {/* Monitoring stations */}
+              <div className="sidebar-section">
+                <h3>Monitoring Stations</h3>
+                <StationSelector
+                  devices={devices}
+                  currentReadings={currentReadings}
+                  statuses={stationStatuses}
+                  selectedDeviceId={selectedDeviceId}
+                  compareDeviceIds={compareDeviceIds}
+                  now={now}
+                  onSelect={setSelectedDeviceId}
+                  onToggleCompare={toggleCompareDevice}
+                  onEdit={!DEMO_MODE && canManageDevices(user) ? setEditingDevice : null}
+                />
+              </div>
+
               {/* Status boxes */}
               <div className="sidebar-section">
-                <div className={`status-box ${alertStatus}`}>
+                <div className={`status-box ${alertStatus}${selectedFreshness.state !== 'live' ? ' stale' : ''}`}>
                   <div className="status-title">Current Level Status (in cm)</div>
                   <div className="status-value">
-                    {currentWaterLevel !== null ? `${Math.min(((currentWaterLevel / 100) * 8).toFixed(1), 8)}cm` : 'Unknown'}
+                    {currentWaterLevel !== null ? formatLevelCm(currentWaterLevel, selectedProfile) : 'Unknown'}
+                    {currentWaterLevel !== null && rateOfRise && (
+                      <span
+                        className={`status-rate ${rateOfRise.direction}`}
+                        title={`${formatRate(rateOfRise.cmPer5Min, 'cm per 5 min')} over ${rateOfRise.samples} readings`}
+                      >
+                        {rateOfRise.direction === 'rising' && '▲ '}
+                        {rateOfRise.direction === 'falling' && '▼ '}
+                        {rateOfRise.direction === 'steady' && '► '}
+                        {formatRate(rateOfRise.cmPerHour)}
+                      </span>
+                    )}
                   </div>
+                  {forecastText && selectedFreshness.state === 'live' && (
+                    <div
+                      className="status-forecast"
+                      title={`From the last hour of readings; the chart shows the ${Math.round(FORECAST_CONFIDENCE * 100)}% range`}
+                    >
+                      {forecastText}
+                    </div>
+                  )}
+                  {selectedFreshness.state !== 'live' && selectedFreshness.state !== 'unknown' && (
+                    <div className="status-freshness">{describeFreshness(selectedFreshness)}</div>
+                  )}
+                  {clockText && (
+                    <div className="status-clock" title="Compared with when the readings arrived; check the station's time sync">
+                      {clockText}
+                    </div>
+                  )}
                 </div>
 
-                <div className={`status-box ${alertStatus}`}>
+                <div className={`status-box ${alertStatus}${rateStatus === 'rapid-rise' ? ' rapid-rise' : ''}${selectedFreshness.state !== 'live' ? ' stale' : ''}`}>
                   <div className="status-title">Alert Status</div>
                   <div className="status-value">
-                    {alertStatus === 'normal' && 'Safe'}
-                    {alertStatus === 'warning' && 'Warning'}
-                    {alertStatus === 'danger' && 'Critical'}
-                    {alertStatus === 'unknown' && 'No data available'}
+                    {alertStatus === 'unknown' ? 'No data available' : getStatusLabel(alertStatus)}
                   </div>
+                  {rateStatus === 'rapid-rise' && (
+                    <div className="status-rapid-rise">Rapid rise</div>
+                  )}
+                  {selectedIncident && (
+                    selectedIncident.state === 'acknowledged' ? (
+                      <div className="status-acknowledged">
+                        Incident acknowledged by {selectedIncident.acknowledgedEmail || 'an operator'}
+                        {selectedIncident.acknowledgedAt ? ` at ${format(new Date(selectedIncident.acknowledgedAt), 'h:mm a')}` : ''}
+                      </div>
+                    ) : !DEMO_MODE && canManageIncidents(user) && (
+                      <button
+                        className="acknowledge-button"
+                        onClick={() => dataSource.acknowledgeIncident(selectedIncident, user)}
+                      >
+                        Acknowledge
+                      </button>
+                    )
+                  )}
+                  {selectedFreshness.state !== 'live' && selectedFreshness.state !== 'unknown' && (
+                    <div className="status-freshness">Based on the last reading received</div>
+                  )}
                 </div>
               </div>
 
+              {/* Station notes */}
+              {selectedDeviceId && (
+                <div className="sidebar-section">
+                  <h3>Station Notes</h3>
+                  <StationNotes
+                    key={selectedDeviceId}
+                    note={stationNotes[selectedDeviceId]}
+                    editable={!DEMO_MODE && canEditNotes(user)}
+                    onSave={text => dataSource.saveStationNote(selectedDeviceId, text, user)}
+                  />
+                </div>
+              )}
+
               {/* Safety Recommendations */}
               <div className="status-box">
                 <h3>Safety Recommendations</h3>
@@ -1305,7 +1710,12 @@ function App() {
             <div className="main-content">
               {/* Map view */}
               <div className="map-container">
-                <LeafletMap onShowTrend={() => setShowModal(true)} />
+                <LeafletMap
+                  stations={mapStations}
+                  selectedDeviceId={selectedDeviceId}
+                  onSelectStation={setSelectedDeviceId}
+                  onShowTrend={showStationTrend}
+                />
               </div>
 
               {/* Water Level Trend Modal */}
@@ -1317,14 +1727,146 @@ function App() {
                 currentWaterLevel={currentWaterLevel}
                 alertStatus={alertStatus}
                 timestamp={waterLevelHistory[0]?.timestamp}
+                stationName={selectedDeviceId ? getDeviceName(selectedDeviceId) : null}
+                profile={selectedProfile}
+                freshness={selectedFreshness}
+                range={chartRange}
+                onRangeChange={changeChartRange}
+                showRaw={showRawReadings}
+                onShowRawChange={setShowRawReadings}
+              />
+
+              {/* Alert Notification Settings */}
+              <NotificationSettingsModal
+                show={showNotificationSettings}
+                settings={notificationSettings}
+                onChange={setNotificationSettings}
+                onClose={() => setShowNotificationSettings(false)}
+                testDeviceId={selectedDeviceId}
+              />
+
+              {/* Station Settings Modal */}
+              <DeviceSettingsModal
+                show={editingDevice !== null}
+                device={editingDevice}
+                source={dataSource}
+                onClose={() => setEditingDevice(null)}
               />
             </div>
           </div>
         )}
+
+        {/* Every reading within one hour of the tabular view */}
+        <HourDetailModal
+          show={openHour !== null}
+          deviceId={selectedDeviceId}
+          deviceName={selectedDeviceId ? getDeviceName(selectedDeviceId) : ''}
+          profile={selectedProfile}
+          hourStart={openHour}
+          source={dataSource}
+          onClose={() => setOpenHour(null)}
+        />
+
+        {/* Export of historical readings */}
+        <ExportModal
+          show={showExport}
+          devices={devices}
+          deviceId={selectedDeviceId}
+          source={dataSource}
+          onClose={() => setShowExport(false)}
+        />
+
+        {/* Backfill of readings collected offline */}
+        <ImportModal
+          show={showImport}
+          devices={devices}
+          deviceId={selectedDeviceId}
+          source={dataSource}
+          onClose={() => setShowImport(false)}
+        />
+
+        {/* Incident report for a flooding event */}
+        <IncidentReportModal
+          show={showReport}
+          devices={devices}
+          deviceId={selectedDeviceId}
+          source={dataSource}
+          onClose={() => setShowReport(false)}
+        />
+
+        {/* Incident list, with the timeline and actions of each incident */}
+        <IncidentsModal
+          show={showIncidents}
+          incidents={incidents}
+          devices={devices}
+          selectedIncidentId={incidentToShow}
+          editable={!DEMO_MODE && canManageIncidents(user)}
+          source={dataSource}
+          user={user}
+          onClose={() => setShowIncidents(false)}
+        />
+
+        {/* Download of map tiles for offline use */}
+        <OfflineMapModal
+          show={showOfflineMap}
+          devices={devices}
+          onClose={() => setShowOfflineMap(false)}
+        />
     </div>
     </ChartVisibilityContext.Provider>
   );
 }
 
+// Ask for sign-in before showing the dashboard; demo mode and sources without accounts skip it
+function App() {
+  const configProblems = CONFIG_PROBLEMS;
+  const [user, setUser] = useState(DEMO_MODE ? DEMO_USER : undefined);
+
+  useEffect(() => {
+    if (DEMO_MODE || !dataSource) return undefined;
+    return dataSource.subscribeToUser(setUser);
+  }, []);
+
+  // Refuse to start rather than guess which project to use
+  if (configProblems.length > 0) {
+    console.error('Invalid configuration:', configProblems);
+    return (
+      <div className="sign-in-page">
+        <div className="sign-in-card">
+          <div className="modal-header">
+            <div className="modal-title">Configuration error</div>
+          </div>
+          <div className="settings-form">
+            <ul className="settings-errors">
+              {configProblems.map(problem => (
+                <li key={problem}>{problem}</li>
+              ))}
+            </ul>
+            <p className="settings-hint">
+              Set these in <code>.env</code> (see <code>.env.example</code>) and rebuild, or start the app
+              with <code>REACT_APP_ENV=emulator</code> to use the local Firebase emulators.
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (user === undefined) {
+    return (
+      <div className="sign-in-page">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <SignInScreen onSignIn={dataSource.signIn} />;
+  }
+
+  // Remount on a different user so nothing from the previous session is kept
+  return <Dashboard key={user.uid} user={user} onSignOut={dataSource.signOut} />;
+}
+
 export default App;
 
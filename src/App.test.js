@@ -1,8 +1,90 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { act, render, screen, waitFor } from '@testing-library/react';
 
-test('renders learn react link', () => {
+const MINUTE_MS = 60 * 1000;
+
+// The chart is drawn on a canvas, which jsdom doesn't have, so record what it is given instead
+const mockCharts = [];
+jest.mock('react-chartjs-2', () => ({
+  Line: ({ data }) => {
+    mockCharts.push(data);
+    return null;
+  }
+}));
+
+// Keep hold of the source, with its simulated history ending a few minutes ago so the test
+// can add the latest readings
+const mockSources = [];
+jest.mock('./dataSource', () => {
+  const actual = jest.requireActual('./dataSource');
+  return {
+    ...actual,
+    createDataSource: ({ type, ...options }) => {
+      const source = actual.createSeededMemorySource({ ...options, now: Date.now() - 6 * 60 * 1000 });
+      mockSources.push(source);
+      return source;
+    }
+  };
+});
+
+// App reads its configuration when it is loaded, so pick the in-memory source first
+process.env.REACT_APP_DATA_SOURCE = 'memory';
+process.env.REACT_APP_LOCAL_ROLE = 'operator';
+const App = require('./App').default;
+
+// Levels of the projection drawn on the last chart
+const getProjection = () => {
+  const chart = mockCharts[mockCharts.length - 1];
+  const dataset = chart && chart.datasets.find(candidate => candidate.label === 'Projection');
+  return dataset ? dataset.data.filter(level => level !== null) : null;
+};
+
+test('lets the local user of the memory source past the sign-in gate', async () => {
+  render(<App />);
+
+  expect(screen.queryByText('Loading...')).not.toBeInTheDocument();
+  expect(screen.queryByText('Configuration error')).not.toBeInTheDocument();
+  expect(await screen.findAllByText('Demo River Station')).not.toHaveLength(0);
+});
+
+test('keeps the projection in the trend dialog up to date with new readings', async () => {
+  window.history.replaceState(null, '', '/?station=demo-river&view=trend');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  await waitFor(() => expect(getProjection()).not.toBeNull());
+  const before = getProjection();
+
+  // The level climbs steadily over the last few minutes, while the dialog is open
+  const [source] = mockSources;
+  const start = Date.now() - 5 * MINUTE_MS;
+  await act(async () => {
+    for (let i = 0; i < 5; i++) {
+      await source.recordWaterLevelReading({ deviceId: 'demo-river', timestamp: start + i * MINUTE_MS, waterLevel: 70 + i * 5 });
+    }
+  });
+
+  await waitFor(() => expect(getProjection()).not.toEqual(before));
+  expect(getProjection()[0]).toBeGreaterThan(before[0]);
+});
+
+test('raises the rapid rise alert while the trend dialog is open', async () => {
+  const [source] = mockSources;
+  const start = Date.now() - 20 * MINUTE_MS;
+  const record = (minutes, waterLevel) =>
+    source.recordWaterLevelReading({ deviceId: 'test-station', timestamp: start + minutes * MINUTE_MS, waterLevel });
+
+  // A steady level before the dialog is opened
+  await act(async () => {
+    source.receiveDevice('test-station', { name: 'Test Station' });
+    for (let i = 0; i < 10; i++) await record(i, 30);
+  });
+  window.history.replaceState(null, '', '/?station=test-station&view=trend');
+  render(<App />);
+  expect(await screen.findByText('► 0 cm/h')).toBeInTheDocument();
+  expect(screen.queryByText('Rapid rise')).not.toBeInTheDocument();
+
+  // The level then climbs 2% (0.16cm) a minute
+  await act(async () => {
+    for (let i = 10; i < 20; i++) await record(i, 30 + (i - 9) * 2);
+  });
+  expect(await screen.findByText('Rapid rise')).toBeInTheDocument();
 });
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import { validateDeviceMetadata } from './devices';
+import { getThresholds, validateThresholds } from './thresholds';
+import { FILTER_METHOD_LABELS, getFilterSettings, validateFilterSettings } from './filtering';
+
+// Convert a device profile into the string values shown in the form
+const toFormValues = (device) => {
+  const thresholds = getThresholds(device);
+  const filter = getFilterSettings(device);
+
+  return {
+    name: device.name || '',
+    lat: device.location ? String(device.location.lat) : '',
+    lng: device.location ? String(device.location.lng) : '',
+    mountHeight: String(device.mountHeight),
+    maxDepth: String(device.maxDepth),
+    sensorOffset: String(device.sensorOffset),
+    offlineAfter: String(device.offlineAfter),
+    warning: String(thresholds.warning),
+    critical: String(thresholds.critical),
+    hysteresis: String(thresholds.hysteresis),
+    rapidRise: String(thresholds.rapidRise),
+    rateWindow: String(thresholds.rateWindow),
+    filterMethod: filter.method,
+    filterWindow: String(filter.window),
+    maxRate: String(filter.maxRate),
+    confirmAfter: String(filter.confirmAfter)
+  };
+};
+
+// Convert the form values back into registry metadata
+const toMetadata = (values) => {
+  const metadata = {
+    name: values.name.trim() || null,
+    mountHeight: parseFloat(values.mountHeight),
+    maxDepth: parseFloat(values.maxDepth),
+    sensorOffset: parseFloat(values.sensorOffset),
+    offlineAfter: parseFloat(values.offlineAfter),
+    thresholds: {
+      warning: parseFloat(values.warning),
+      critical: parseFloat(values.critical),
+      hysteresis: parseFloat(values.hysteresis),
+      rapidRise: parseFloat(values.rapidRise),
+      rateWindow: parseFloat(values.rateWindow)
+    },
+    filter: {
+      method: values.filterMethod,
+      window: parseFloat(values.filterWindow),
+      maxRate: parseFloat(values.maxRate),
+      confirmAfter: parseFloat(values.confirmAfter)
+    }
+  };
+
+  // Location is optional, but both coordinates are needed to place the station
+  if (values.lat !== '' || values.lng !== '') {
+    metadata.location = {
+      lat: parseFloat(values.lat),
+      lng: parseFloat(values.lng)
+    };
+  } else {
+    metadata.location = null;
+  }
+
+  return metadata;
+};
+
+// Station Settings Modal Component - edits a device's registry entry
+function DeviceSettingsModal({ show, device, source, onClose }) {
+  const [values, setValues] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  // Reload the form whenever a different station is opened
+  useEffect(() => {
+    if (show && device) {
+      setValues(toFormValues(device));
+      setErrors([]);
+    }
+  }, [show, device]);
+
+  if (!show || !device || !values) return null;
+
+  const handleChange = (field) => (e) => {
+    setValues({ ...values, [field]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const metadata = toMetadata(values);
+    const validationErrors = [
+      ...validateDeviceMetadata(metadata),
+      ...validateThresholds(metadata.thresholds),
+      ...validateFilterSettings(metadata.filter)
+    ];
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setSaving(true);
+    const saved = await source.registerDevice(device.id, metadata);
+    setSaving(false);
+
+    if (saved) {
+      onClose();
+    } else {
+      setErrors(['Could not save station settings. Please try again.']);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">Station Settings - {device.id}</div>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <form className="settings-form" onSubmit={handleSubmit}>
+          <label>
+            Name
+            <input type="text" value={values.name} onChange={handleChange('name')} placeholder={device.id} />
+          </label>
+          <div className="settings-row">
+            <label>
+              Latitude
+              <input type="number" step="any" value={values.lat} onChange={handleChange('lat')} />
+            </label>
+            <label>
+              Longitude
+              <input type="number" step="any" value={values.lng} onChange={handleChange('lng')} />
+            </label>
+          </div>
+          <div className="settings-row">
+            <label>
+              Mount height (cm)
+              <input type="number" step="any" value={values.mountHeight} onChange={handleChange('mountHeight')} />
+            </label>
+            <label>
+              Max depth (cm)
+              <input type="number" step="any" value={values.maxDepth} onChange={handleChange('maxDepth')} />
+            </label>
+            <label>
+              Sensor offset (cm)
+              <input type="number" step="any" value={values.sensorOffset} onChange={handleChange('sensorOffset')} />
+            </label>
+          </div>
+          <p className="settings-hint">
+            Mount height is measured from the sensor face to the channel bed. Max depth is the water
+            depth shown as a full reading. The sensor offset is added to every raw distance.
+          </p>
+          <div className="settings-row">
+            <label>
+              Warning above (cm)
+              <input type="number" step="any" value={values.warning} onChange={handleChange('warning')} />
+            </label>
+            <label>
+              Critical above (cm)
+              <input type="number" step="any" value={values.critical} onChange={handleChange('critical')} />
+            </label>
+            <label>
+              Hysteresis (cm)
+              <input type="number" step="any" value={values.hysteresis} onChange={handleChange('hysteresis')} />
+            </label>
+          </div>
+          <p className="settings-hint">
+            Alerts step up as soon as the level crosses a threshold, and only step down once the level
+            has dropped the hysteresis margin below it.
+          </p>
+          <div className="settings-row">
+            <label>
+              Rapid rise above (cm/h)
+              <input type="number" step="any" value={values.rapidRise} onChange={handleChange('rapidRise')} />
+            </label>
+            <label>
+              Rate window (min)
+              <input type="number" step="1" value={values.rateWindow} onChange={handleChange('rateWindow')} />
+            </label>
+          </div>
+          <p className="settings-hint">
+            The rate of rise is measured over the readings in the rate window. A "Rapid rise" alert is
+            raised at the slope above and clears once the rate falls below half of it.
+          </p>
+          <div className="settings-row">
+            <label>
+              Noise filter
+              <select value={values.filterMethod} onChange={handleChange('filterMethod')}>
+                {Object.keys(FILTER_METHOD_LABELS).map(method => (
+                  <option key={method} value={method}>{FILTER_METHOD_LABELS[method]}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Window (readings)
+              <input type="number" step="1" value={values.filterWindow} onChange={handleChange('filterWindow')} />
+            </label>
+          </div>
+          <div className="settings-row">
+            <label>
+              Max change (cm/min)
+              <input type="number" step="any" value={values.maxRate} onChange={handleChange('maxRate')} />
+            </label>
+            <label>
+              Confirm after (readings)
+              <input type="number" step="1" value={values.confirmAfter} onChange={handleChange('confirmAfter')} />
+            </label>
+          </div>
+          <p className="settings-hint">
+            Readings that move further than the max change allows since the last good one are flagged as
+            spikes and hold the filtered level. That many in a row at a new level are taken as a real change.
+            Raw readings are always kept.
+          </p>
+          <div className="settings-row">
+            <label>
+              Offline after (min)
+              <input type="number" step="1" value={values.offlineAfter} onChange={handleChange('offlineAfter')} />
+            </label>
+          </div>
+          <p className="settings-hint">
+            The station is shown as offline once no reading has arrived for this long. Set it a little
+            above the sensor's upload interval.
+          </p>
+          {errors.length > 0 && (
+            <ul className="settings-errors">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          <div className="settings-actions">
+            <button type="button" className="settings-button secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="settings-button" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default DeviceSettingsModal;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { findDeviceProfile } from './devices';
+import { RANGE_PRESETS } from './chartRange';
+import { SITE_TIMEZONE, formatSiteTime } from './timezone';
+import {
+  EVENT_TYPE_LABELS,
+  EVENT_SEVERITIES,
+  EVENT_SEVERITY_LABELS,
+  EVENT_LOG_LIMIT,
+  filterEvents
+} from './eventLog';
+
+// Event Log View Component - full-width page listing the event log, filtered by station, severity,
+// type and time
+function EventLogView({ devices, deviceId, source, onBack }) {
+  const [filters, setFilters] = useState({ deviceId: deviceId || '', severity: 'info', type: '', period: '24h' });
+  const [events, setEvents] = useState(null);
+
+  // Load the chosen period; new entries keep arriving while the page is open
+  useEffect(() => {
+    const preset = RANGE_PRESETS.find(range => range.key === filters.period);
+    setEvents(null);
+    return source.subscribeToEventLog({ start: Date.now() - preset.durationMs, end: null }, setEvents);
+  }, [source, filters.period]);
+
+  const handleChange = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  const shown = events ? filterEvents(events, {
+    deviceId: filters.deviceId || null,
+    severity: filters.severity,
+    types: filters.type ? [filters.type] : null
+  }) : [];
+
+  const stationName = (id) => findDeviceProfile(devices, id).name || id;
+
+  return (
+    <div className="chart-view full-width">
+      <div className="historical-header">
+        <button className="back-button" onClick={onBack}>
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" width="24" height="24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+          </svg>
+        </button>
+        <div className="historical-title">Event Log</div>
+      </div>
+
+      <div className="historical-table-container">
+        <div className="table-controls">
+          <select value={filters.deviceId} onChange={handleChange('deviceId')}>
+            <option value="">All stations</option>
+            {devices.map(device => (
+              <option key={device.id} value={device.id}>{device.name || device.id}</option>
+            ))}
+          </select>
+          <select value={filters.severity} onChange={handleChange('severity')}>
+            {EVENT_SEVERITIES.map(severity => (
+              <option key={severity} value={severity}>
+                {severity === 'info' ? 'All severities' : `${EVENT_SEVERITY_LABELS[severity]} and above`}
+              </option>
+            ))}
+          </select>
+          <select value={filters.type} onChange={handleChange('type')}>
+            <option value="">All events</option>
+            {Object.keys(EVENT_TYPE_LABELS).map(type => (
+              <option key={type} value={type}>{EVENT_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+          <select value={filters.period} onChange={handleChange('period')}>
+            {RANGE_PRESETS.map(range => (
+              <option key={range.key} value={range.key}>Last {range.label}</option>
+            ))}
+          </select>
+          <span className="table-hint">
+            Times are in the site's timezone ({SITE_TIMEZONE}).
+            {events && events.length >= EVENT_LOG_LIMIT && ' Only the most recent entries are loaded; pick a shorter period to see the rest.'}
+          </span>
+        </div>
+
+        {shown.length > 0 ? (
+          <table className="historical-table event-log-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Station</th>
+                <th>Severity</th>
+                <th>Event</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(event => (
+                <tr key={event.id}>
+                  <td className="date-cell">{formatSiteTime(event.at)}</td>
+                  <td>{event.deviceId ? stationName(event.deviceId) : 'Unknown station'}</td>
+                  <td>
+                    <span className={`event-severity ${event.severity}`}>{EVENT_SEVERITY_LABELS[event.severity]}</span>
+                  </td>
+                  <td>{EVENT_TYPE_LABELS[event.type]}</td>
+                  <td className="event-message">{event.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="no-readings">
+            <p>{events ? 'No events match these filters.' : 'Loading the event log...'}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EventLogView;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { findDeviceProfile } from './devices';
+import {
+  EXPORT_FORMATS,
+  EXPORT_RESOLUTIONS,
+  fetchAllHistory,
+  buildExportRows,
+  createExportFile,
+  getExportFileName,
+  downloadFile
+} from './exportData';
+import { SITE_TIMEZONE, formatIsoInTimeZone, startOfDayInTimeZone } from './timezone';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today's date in the site's timezone, as yyyy-mm-dd for a date input
+const siteDate = (timestamp) => formatIsoInTimeZone(timestamp, SITE_TIMEZONE).slice(0, 10);
+
+// Export Modal Component - downloads a station's history for a date range
+function ExportModal({ show, devices, deviceId, source, onClose }) {
+  const [values, setValues] = useState(null);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  // The registry changes with every reading and heartbeat, so it is read through a ref and the
+  // form is only reset when the dialog opens, not while it is being filled in
+  const stations = useRef({ deviceId, devices });
+  stations.current = { deviceId, devices };
+
+  // Start from the last week of the selected station whenever the dialog opens
+  useEffect(() => {
+    if (show) {
+      const { deviceId: selectedId, devices: registered } = stations.current;
+      setValues({
+        deviceId: selectedId || (registered[0] && registered[0].id) || '',
+        from: siteDate(Date.now() - 6 * DAY_MS),
+        to: siteDate(Date.now()),
+        resolution: '1h',
+        format: 'csv'
+      });
+      setError(null);
+    }
+  }, [show]);
+
+  if (!show || !values) return null;
+
+  const handleChange = (field) => (e) => {
+    setValues({ ...values, [field]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!values.deviceId || !values.from || !values.to) {
+      setError('Pick a station and both dates');
+      return;
+    }
+
+    // Whole days in the site's timezone, including all of the last day
+    const start = startOfDayInTimeZone(values.from, SITE_TIMEZONE);
+    const end = startOfDayInTimeZone(values.to, SITE_TIMEZONE) + DAY_MS - 1;
+    if (start > end) {
+      setError('The start date must not be after the end date');
+      return;
+    }
+
+    setExporting(true);
+    setError(null);
+    try {
+      const profile = findDeviceProfile(devices, values.deviceId);
+      const readings = await fetchAllHistory(source, values.deviceId, { resolution: values.resolution, start, end });
+      if (readings.length === 0) {
+        setError('No readings were found for this station and date range');
+        return;
+      }
+
+      const details = {
+        deviceId: values.deviceId,
+        deviceName: profile.name || values.deviceId,
+        resolution: values.resolution,
+        timeZone: SITE_TIMEZONE,
+        start,
+        end
+      };
+      const rows = buildExportRows(readings, profile, details);
+      const file = await createExportFile(rows, values.format, details);
+      downloadFile(file, getExportFileName(values.format, details));
+      onClose();
+    } catch (exportError) {
+      console.error('Error exporting readings:', exportError);
+      setError('Could not export readings. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">Export Readings</div>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <form className="settings-form" onSubmit={handleSubmit}>
+          <label>
+            Station
+            <select value={values.deviceId} onChange={handleChange('deviceId')}>
+              {devices.map(device => (
+                <option key={device.id} value={device.id}>{device.name || device.id}</option>
+              ))}
+            </select>
+          </label>
+          <div className="settings-row">
+            <label>
+              From
+              <input type="date" value={values.from} onChange={handleChange('from')} />
+            </label>
+            <label>
+              To
+              <input type="date" value={values.to} onChange={handleChange('to')} />
+            </label>
+          </div>
+          <div className="settings-row">
+            <label>
+              Data
+              <select value={values.resolution} onChange={handleChange('resolution')}>
+                {EXPORT_RESOLUTIONS.map(resolution => (
+                  <option key={resolution.key} value={resolution.key}>{resolution.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Format
+              <select value={values.format} onChange={handleChange('format')}>
+                {EXPORT_FORMATS.map(format => (
+                  <option key={format.key} value={format.key}>{format.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="settings-hint">
+            Dates and timestamps are in the site's timezone ({SITE_TIMEZONE}). Averaged data includes the
+            minimum and maximum of each interval, and its status is the status of the highest level.
+          </p>
+          {error && (
+            <ul className="settings-errors">
+              <li>{error}</li>
+            </ul>
+          )}
+          <div className="settings-actions">
+            <button type="button" className="settings-button secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="settings-button" disabled={exporting}>
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ExportModal;
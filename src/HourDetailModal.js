@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { formatLevelCm } from './devices';
+import { getStatusFromWaterLevel, getStatusLabel } from './thresholds';
+import { summarizeHour } from './historyTable';
+import { toZonedDate } from './timezone';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Most entries a single hour can hold (raw readings can arrive faster than once a minute)
+const HOUR_DETAIL_LIMIT = 720;
+
+// Hour Detail Modal Component - every 5-minute or raw reading within one hour of the table
+function HourDetailModal({ show, deviceId, deviceName, profile, hourStart, source, onClose }) {
+  const [resolution, setResolution] = useState('5m');
+  const [detail, setDetail] = useState({ readings: [], loading: false });
+
+  // Load the hour's readings whenever a different hour or resolution is picked
+  useEffect(() => {
+    if (!show || hourStart === null) return;
+
+    let cancelled = false;
+    setDetail({ readings: [], loading: true });
+
+    source.fetchHistoryPage(deviceId, {
+      resolution,
+      start: hourStart,
+      end: hourStart + HOUR_MS - 1,
+      limit: HOUR_DETAIL_LIMIT
+    }).then(page => {
+      if (!cancelled) setDetail({ readings: [...page.readings].reverse(), loading: false });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [show, deviceId, hourStart, resolution, source]);
+
+  if (!show || hourStart === null) return null;
+
+  const summary = summarizeHour(detail.readings);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            {deviceName} - {format(toZonedDate(hourStart), 'MMMM d, yyyy HH:00')} to {format(toZonedDate(hourStart + HOUR_MS), 'HH:00')}
+          </div>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <div className="hour-detail">
+          <div className="hour-detail-toolbar">
+            <select value={resolution} onChange={e => setResolution(e.target.value)}>
+              <option value="5m">5-minute averages</option>
+              <option value="raw">Raw readings</option>
+            </select>
+            {summary && (
+              <div className="hour-detail-summary">
+                <span>Min <strong>{formatLevelCm(summary.min, profile)}</strong></span>
+                <span>Max <strong>{formatLevelCm(summary.max, profile)}</strong></span>
+                <span>Average <strong>{formatLevelCm(summary.mean, profile)}</strong></span>
+              </div>
+            )}
+          </div>
+
+          {detail.loading ? (
+            <p className="settings-hint">Loading readings...</p>
+          ) : detail.readings.length === 0 ? (
+            <p className="settings-hint">No readings were stored for this hour.</p>
+          ) : (
+            <table className="hour-detail-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Level</th>
+                  {resolution !== 'raw' && <th>Min</th>}
+                  {resolution !== 'raw' && <th>Max</th>}
+                  <th>Status</th>
+                  <th>Device</th>
+                </tr>
+              </thead>
+              <tbody>
+                {detail.readings.map(reading => {
+                  const status = getStatusFromWaterLevel(resolution === 'raw' ? reading.waterLevel : reading.max, profile);
+                  return (
+                    <tr key={reading.id}>
+                      <td>{format(toZonedDate(reading.timestamp), resolution === 'raw' ? 'HH:mm:ss' : 'HH:mm')}</td>
+                      <td>{formatLevelCm(reading.waterLevel, profile)}</td>
+                      {resolution !== 'raw' && <td>{formatLevelCm(reading.min, profile)}</td>}
+                      {resolution !== 'raw' && <td>{formatLevelCm(reading.max, profile)}</td>}
+                      <td><span className={`reading-value ${status}`}>{getStatusLabel(status)}</span></td>
+                      <td>{reading.deviceId}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HourDetailModal;
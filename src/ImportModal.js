@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { findDeviceProfile, formatLevelCm } from './devices';
+import { fetchAllHistory } from './exportData';
+import { parseImportFile, validateImportRows, removeDuplicates } from './readingImport';
+import { SITE_TIMEZONE, formatSiteTime } from './timezone';
+
+// Rows listed in the preview (the import itself writes every new reading)
+const PREVIEW_ROWS = 20;
+
+// Import Modal Component - backfills readings collected offline from a CSV or JSON file
+function ImportModal({ show, devices, deviceId, source, onClose }) {
+  const [targetId, setTargetId] = useState('');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  // The registry changes with every reading and heartbeat, so it is read through a ref and the
+  // dialog only starts over when it opens, not while a check or import is running
+  const stations = useRef({ deviceId, devices });
+  stations.current = { deviceId, devices };
+
+  // Start over whenever the dialog opens
+  useEffect(() => {
+    if (show) {
+      const { deviceId: selectedId, devices: registered } = stations.current;
+      setTargetId(selectedId || (registered[0] && registered[0].id) || '');
+      setFile(null);
+      setPreview(null);
+      setResult(null);
+      setError(null);
+    }
+  }, [show]);
+
+  if (!show) return null;
+
+  // Read the file and check every row, without writing anything
+  const checkFile = async (e) => {
+    e.preventDefault();
+    if (!file || !targetId) {
+      setError('Pick a station and a CSV or JSON file');
+      return;
+    }
+
+    setWorking(true);
+    setError(null);
+    try {
+      const profile = findDeviceProfile(devices, targetId);
+      const rows = parseImportFile(file.name, await file.text());
+      const { accepted, rejected } = validateImportRows(rows, profile, { deviceId: targetId, timeZone: SITE_TIMEZONE });
+
+      // Compare with what is already stored over the same time range
+      let existing = [];
+      if (accepted.length > 0) {
+        const timestamps = accepted.map(({ reading }) => reading.timestamp);
+        existing = await fetchAllHistory(source, targetId, {
+          resolution: 'raw',
+          start: timestamps.reduce((a, b) => Math.min(a, b)),
+          end: timestamps.reduce((a, b) => Math.max(a, b))
+        });
+      }
+
+      const { fresh, duplicates } = removeDuplicates(accepted, existing);
+      setPreview({ profile, fresh, duplicates, rejected });
+    } catch (checkError) {
+      console.error('Error reading import file:', checkError);
+      setError(`Could not read ${file.name}. Check that it is a CSV file with a header row or a JSON array.`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const runImport = async () => {
+    setWorking(true);
+    const written = await source.importReadings(targetId, preview.fresh);
+    setWorking(false);
+
+    if (written === false) {
+      setError('Could not import the readings. Please try again.');
+    } else {
+      setResult(written);
+      setPreview(null);
+    }
+  };
+
+  const skipped = preview ? [...preview.rejected, ...preview.duplicates].sort((a, b) => a.line - b.line) : [];
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal report-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">Import Readings</div>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <form className="settings-form" onSubmit={checkFile}>
+          <label>
+            Station
+            <select value={targetId} onChange={e => { setTargetId(e.target.value); setPreview(null); }}>
+              {devices.map(device => (
+                <option key={device.id} value={device.id}>{device.name || device.id}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            File
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={e => { setFile(e.target.files[0] || null); setPreview(null); setResult(null); }}
+            />
+          </label>
+          <p className="settings-hint">
+            CSV files need a header row with a timestamp column and a distance, water level (%) or level (cm)
+            column. JSON files hold an array of readings with the same fields. Times without a UTC offset are
+            read in the site's timezone ({SITE_TIMEZONE}), and epoch seconds or milliseconds are accepted.
+          </p>
+          {error && (
+            <ul className="settings-errors">
+              <li>{error}</li>
+            </ul>
+          )}
+          {result !== null && (
+            <p className="import-result">Imported {result} readings. Rollups are updated as they arrive.</p>
+          )}
+
+          {preview && (
+            <div className="report-preview">
+              <div className="report-figures">
+                <div>
+                  <div className="report-figure-title">New readings</div>
+                  <div className="report-figure-value">{preview.fresh.length}</div>
+                </div>
+                <div>
+                  <div className="report-figure-title">Duplicates</div>
+                  <div className="report-figure-value">{preview.duplicates.length}</div>
+                </div>
+                <div>
+                  <div className="report-figure-title">Rejected</div>
+                  <div className="report-figure-value">{preview.rejected.length}</div>
+                </div>
+              </div>
+
+              {preview.fresh.length > 0 && (
+                <table className="hour-detail-table">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Level</th>
+                      <th>Distance</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.fresh.slice(0, PREVIEW_ROWS).map(reading => (
+                      <tr key={reading.key}>
+                        <td>{formatSiteTime(reading.timestamp)}</td>
+                        <td>{formatLevelCm(reading.waterLevel, preview.profile)}</td>
+                        <td>{reading.distance !== undefined ? `${reading.distance}cm` : ''}</td>
+                        <td>{reading.status}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {preview.fresh.length > PREVIEW_ROWS && (
+                <p className="settings-hint">...and {preview.fresh.length - PREVIEW_ROWS} more.</p>
+              )}
+
+              {skipped.length > 0 && (
+                <>
+                  <h4>Skipped rows</h4>
+                  <ul className="import-skipped">
+                    {skipped.map(row => (
+                      <li key={`${row.line}-${row.reason}`}>Row {row.line}: {row.reason}</li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+
+          <div className="settings-actions">
+            <button type="button" className="settings-button secondary" onClick={onClose}>Close</button>
+            {preview ? (
+              <button type="button" className="settings-button" disabled={working || preview.fresh.length === 0} onClick={runImport}>
+                {working ? 'Importing...' : `Import ${preview.fresh.length} readings`}
+              </button>
+            ) : (
+              <button type="submit" className="settings-button" disabled={working}>
+                {working ? 'Checking...' : 'Check file'}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ImportModal;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { findDeviceProfile } from './devices';
+import { getStatusLabel } from './thresholds';
+import { formatRate } from './rateOfRise';
+import { resolveChartWindow, validateCustomRange } from './chartRange';
+import { fetchAllHistory, downloadFile } from './exportData';
+import {
+  MAX_REPORT_DAYS,
+  summarizeIncident,
+  renderReportChart,
+  createIncidentPdf,
+  getReportFileName,
+  formatDuration
+} from './incidentReport';
+import { SITE_TIMEZONE, formatIsoInTimeZone, formatSiteTime, parseInTimeZone } from './timezone';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A timestamp as yyyy-mm-ddThh:mm in the site's timezone, for a datetime-local input
+const siteDateTime = (timestamp) => formatIsoInTimeZone(timestamp, SITE_TIMEZONE).slice(0, 16);
+
+// Incident Report Modal Component - summarises a station's readings over a flooding event
+function IncidentReportModal({ show, devices, deviceId, source, onClose }) {
+  const [values, setValues] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  // The registry changes with every reading and heartbeat, so it is read through a ref and an
+  // edited window or a built report is only cleared when the dialog opens
+  const stations = useRef({ deviceId, devices });
+  stations.current = { deviceId, devices };
+
+  // Start from the last day of the selected station whenever the dialog opens
+  useEffect(() => {
+    if (show) {
+      const { deviceId: selectedId, devices: registered } = stations.current;
+      setValues({
+        deviceId: selectedId || (registered[0] && registered[0].id) || '',
+        from: siteDateTime(Date.now() - DAY_MS),
+        to: siteDateTime(Date.now())
+      });
+      setReport(null);
+      setError(null);
+    }
+  }, [show]);
+
+  if (!show || !values) return null;
+
+  const handleChange = (field) => (e) => {
+    setValues({ ...values, [field]: e.target.value });
+    setReport(null);
+  };
+
+  const generateReport = async (e) => {
+    e.preventDefault();
+
+    const start = values.from ? parseInTimeZone(values.from, SITE_TIMEZONE) : NaN;
+    const end = values.to ? parseInTimeZone(values.to, SITE_TIMEZONE) : NaN;
+    const problem = !values.deviceId
+      ? 'Pick a station'
+      : validateCustomRange(start, end) ||
+        (end - start > MAX_REPORT_DAYS * DAY_MS ? `Pick a window of at most ${MAX_REPORT_DAYS} days` : null);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    setWorking(true);
+    setError(null);
+    try {
+      const profile = findDeviceProfile(devices, values.deviceId);
+      const deviceName = profile.name || values.deviceId;
+
+      // Raw readings for the figures, and rollups at the chart's resolution for the snapshot
+      const { resolution } = resolveChartWindow({ preset: 'custom', start, end });
+      const [readings, history] = await Promise.all([
+        fetchAllHistory(source, values.deviceId, { resolution: 'raw', start, end }),
+        fetchAllHistory(source, values.deviceId, { resolution, start, end })
+      ]);
+
+      setReport({
+        summary: summarizeIncident(readings, profile, { start, end }),
+        chartImage: history.length > 0 ? renderReportChart(history, profile, { start, end, label: deviceName }) : null,
+        details: { deviceId: values.deviceId, deviceName, start, end, timeZone: SITE_TIMEZONE }
+      });
+    } catch (reportError) {
+      console.error('Error generating incident report:', reportError);
+      setError('Could not generate the report. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const downloadPdf = async () => {
+    setWorking(true);
+    try {
+      const pdf = await createIncidentPdf(report.summary, report.details, report.chartImage);
+      downloadFile(pdf, getReportFileName(report.details));
+    } catch (pdfError) {
+      console.error('Error creating incident report PDF:', pdfError);
+      setError('Could not create the PDF. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const summary = report && report.summary;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal report-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">Incident Report</div>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <form className="settings-form" onSubmit={generateReport}>
+          <label>
+            Station
+            <select value={values.deviceId} onChange={handleChange('deviceId')}>
+              {devices.map(device => (
+                <option key={device.id} value={device.id}>{device.name || device.id}</option>
+              ))}
+            </select>
+          </label>
+          <div className="settings-row">
+            <label>
+              From
+              <input type="datetime-local" value={values.from} onChange={handleChange('from')} />
+            </label>
+            <label>
+              To
+              <input type="datetime-local" value={values.to} onChange={handleChange('to')} />
+            </label>
+          </div>
+          <p className="settings-hint">
+            Times are in the site's timezone ({SITE_TIMEZONE}). Reports cover up to {MAX_REPORT_DAYS} days
+            of raw readings.
+          </p>
+          {error && (
+            <ul className="settings-errors">
+              <li>{error}</li>
+            </ul>
+          )}
+
+          {summary && (
+            <div className="report-preview">
+              <div className="report-figures">
+                <div>
+                  <div className="report-figure-title">Peak level</div>
+                  <div className="report-figure-value">
+                    {summary.peak ? `${summary.peak.levelCm} cm` : 'No readings'}
+                  </div>
+                  {summary.peak && <div className="report-figure-time">{formatSiteTime(summary.peak.timestamp)}</div>}
+                </div>
+                <div>
+                  <div className="report-figure-title">Fastest rise</div>
+                  <div className="report-figure-value">
+                    {summary.rate.peak ? formatRate(summary.rate.peak.cmPerHour) : 'Not enough readings'}
+                  </div>
+                  {summary.rate.peak && <div className="report-figure-time">{formatSiteTime(summary.rate.peak.timestamp)}</div>}
+                </div>
+              </div>
+
+              <h4>Time in each status</h4>
+              <ul className="report-status-times">
+                {['normal', 'warning', 'danger', 'unknown'].map(status => (
+                  <li key={status} className={status}>
+                    {status === 'unknown' ? 'No data' : getStatusLabel(status)}: {formatDuration(summary.timeInStatus[status])}
+                  </li>
+                ))}
+              </ul>
+
+              {report.chartImage && <img className="report-chart" src={report.chartImage} alt="Water level over the report window" />}
+
+              <h4>Alert timeline</h4>
+              {summary.timeline.length === 0 ? (
+                <p className="settings-hint">No alerts in this window.</p>
+              ) : (
+                <ul className="report-timeline">
+                  {summary.timeline.map(event => (
+                    <li key={`${event.timestamp}-${event.type}`} className={event.status}>
+                      <span className="report-timeline-time">{formatSiteTime(event.timestamp)}</span>
+                      {event.text}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="settings-actions">
+            <button type="button" className="settings-button secondary" onClick={onClose}>Close</button>
+            {report ? (
+              <button type="button" className="settings-button" disabled={working} onClick={downloadPdf}>
+                {working ? 'Creating PDF...' : 'Download PDF'}
+              </button>
+            ) : (
+              <button type="submit" className="settings-button" disabled={working}>
+                {working ? 'Generating...' : 'Generate'}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default IncidentReportModal;
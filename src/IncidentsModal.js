@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { findDeviceProfile } from './devices';
+import { getStatusLabel } from './thresholds';
+import { MAX_NOTE_LENGTH } from './auth';
+import { formatDuration } from './incidentReport';
+import { formatSiteTime } from './timezone';
+import {
+  INCIDENT_STATE_LABELS,
+  INCIDENT_EVENT_LABELS,
+  sortIncidents,
+  isIncidentActive,
+  canAcknowledgeIncident,
+  getIncidentTimeline
+} from './incidents';
+
+// Describe one timeline entry, e.g. "Warning at 52.0%" or the note's text
+const describeEvent = (event) => {
+  if (event.type === 'opened' || event.type === 'status') {
+    const level = typeof event.waterLevel === 'number' ? ` at ${event.waterLevel.toFixed(1)}%` : '';
+    return `${getStatusLabel(event.status)}${level}`;
+  }
+  if (event.type === 'note') return event.text;
+  return event.email ? `by ${event.email}` : '';
+};
+
+// Incidents Modal Component - every recent incident, with the timeline and actions of the chosen one
+function IncidentsModal({ show, incidents, devices, selectedIncidentId, editable, source, user, onClose }) {
+  const [showClosed, setShowClosed] = useState(false);
+  const [openId, setOpenId] = useState(null);
+  const [note, setNote] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Open on the incident that was clicked, if any
+  useEffect(() => {
+    if (show) {
+      setOpenId(selectedIncidentId || null);
+      setNote('');
+      setError(null);
+    }
+  }, [show, selectedIncidentId]);
+
+  if (!show) return null;
+
+  const list = sortIncidents(incidents).filter(incident => showClosed || isIncidentActive(incident));
+  const openIncident = openId ? incidents[openId] : null;
+
+  // Run an operator action, keeping the dialog open to show the result
+  const run = async (action, failure) => {
+    setWorking(true);
+    setError(null);
+    const done = await action();
+    setWorking(false);
+    if (!done) setError(failure);
+    return done;
+  };
+
+  const handleAddNote = async () => {
+    const text = note.trim();
+    if (await run(() => source.addIncidentNote(openIncident, text, user), 'Could not add the note. Please try again.')) {
+      setNote('');
+    }
+  };
+
+  const stationName = (deviceId) => findDeviceProfile(devices, deviceId).name || deviceId;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal incidents-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">Incidents</div>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <div className="settings-form">
+          <label className="settings-checkbox">
+            <input type="checkbox" checked={showClosed} onChange={e => setShowClosed(e.target.checked)} />
+            Show closed incidents
+          </label>
+
+          {list.length === 0 && (
+            <p className="settings-hint">
+              {showClosed ? 'No incidents yet.' : 'No open incidents.'} Incidents open when a station reaches Warning or Critical.
+            </p>
+          )}
+
+          <ul className="incident-list">
+            {list.map(incident => (
+              <li key={incident.id}>
+                <button
+                  type="button"
+                  className={`incident-item ${incident.state}${incident.id === openId ? ' selected' : ''}`}
+                  onClick={() => setOpenId(incident.id === openId ? null : incident.id)}
+                >
+                  <span className={`dot status-${incident.status}`}></span>
+                  <span className="incident-item-station">{stationName(incident.deviceId)}</span>
+                  <span className="incident-item-state">{INCIDENT_STATE_LABELS[incident.state]}</span>
+                  <span className="incident-item-time">
+                    {formatSiteTime(incident.openedAt)}, peak {getStatusLabel(incident.peakStatus)}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {openIncident && (
+            <div className="incident-details">
+              <p className="settings-hint">
+                {stationName(openIncident.deviceId)} is {getStatusLabel(openIncident.status)}.
+                {' '}Opened {formatSiteTime(openIncident.openedAt)}
+                {openIncident.closedAt
+                  ? `, closed after ${formatDuration(openIncident.closedAt - openIncident.openedAt)}.`
+                  : '.'}
+                {' '}Highest level {openIncident.peakWaterLevel.toFixed(1)}%.
+              </p>
+
+              <ol className="incident-timeline">
+                {getIncidentTimeline(openIncident).map(event => (
+                  <li key={event.id} className={`incident-event ${event.type}`}>
+                    <span className="incident-event-time">{event.at ? formatSiteTime(event.at) : 'Saving...'}</span>
+                    <span className="incident-event-type">{INCIDENT_EVENT_LABELS[event.type] || event.type}</span>
+                    <span className="incident-event-text">
+                      {describeEvent(event)}
+                      {event.type === 'note' && event.email ? ` (${event.email})` : ''}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+
+              {editable && (
+                <>
+                  <label>
+                    Add a note
+                    <textarea
+                      value={note}
+                      maxLength={MAX_NOTE_LENGTH}
+                      rows={3}
+                      placeholder="What was seen or done"
+                      onChange={e => setNote(e.target.value)}
+                    />
+                  </label>
+                  {error && <p className="settings-errors">{error}</p>}
+                  <div className="settings-actions">
+                    {isIncidentActive(openIncident) && (
+                      <button
+                        type="button"
+                        className="settings-button secondary"
+                        disabled={working}
+                        onClick={() => run(() => source.closeIncident(openIncident, user), 'Could not close the incident. Please try again.')}
+                      >
+                        Close incident
+                      </button>
+                    )}
+                    {canAcknowledgeIncident(openIncident) && (
+                      <button
+                        type="button"
+                        className="settings-button secondary"
+                        disabled={working}
+                        onClick={() => run(() => source.acknowledgeIncident(openIncident, user), 'Could not acknowledge the incident. Please try again.')}
+                      >
+                        Acknowledge
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="settings-button"
+                      disabled={working || !note.trim()}
+                      onClick={handleAddNote}
+                    >
+                      Add note
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default IncidentsModal;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getNotificationPermission,
+  requestNotificationPermission,
+  saveNotificationSettings,
+  showNotification
+} from './notifications';
+
+// Per-level toggles shown in the panel
+const ALERT_TOGGLES = [
+  { key: 'warning', label: 'Safe → Warning' },
+  { key: 'critical', label: 'Warning → Critical' },
+  { key: 'deEscalation', label: 'Level going back down (e.g. Critical → Warning)' },
+  { key: 'rapidRise', label: 'Rapid rise' },
+  { key: 'stale', label: 'Station stops reporting' }
+];
+
+// Notification Settings Modal Component - opt-in and per-level toggles for this browser
+function NotificationSettingsModal({ show, settings, onChange, onClose, testDeviceId }) {
+  const [permission, setPermission] = useState(getNotificationPermission());
+
+  // Permission can change in the browser's site settings while the page is open
+  useEffect(() => {
+    if (show) setPermission(getNotificationPermission());
+  }, [show]);
+
+  if (!show) return null;
+
+  const updateSettings = (changes) => {
+    const nextSettings = { ...settings, ...changes };
+    saveNotificationSettings(nextSettings);
+    onChange(nextSettings);
+  };
+
+  const updateQuietHours = (changes) => {
+    updateSettings({ quietHours: { ...settings.quietHours, ...changes } });
+  };
+
+  const handleEnable = async (enabled) => {
+    if (enabled && permission !== 'granted') {
+      const result = await requestNotificationPermission();
+      setPermission(result);
+      if (result !== 'granted') return;
+    }
+    updateSettings({ enabled });
+  };
+
+  const handleTest = () => {
+    showNotification({
+      title: 'Aqua Gauge test notification',
+      body: 'Alert notifications are working. Open to view the trend.',
+      deviceId: testDeviceId,
+      tag: 'test'
+    });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">Alert Notifications</div>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <div className="settings-form">
+          {permission === 'unsupported' && (
+            <p className="settings-errors">This browser doesn't support notifications.</p>
+          )}
+          {permission === 'denied' && (
+            <p className="settings-errors">
+              Notifications are blocked for this site. Allow them in your browser's site settings to turn them on.
+            </p>
+          )}
+
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.enabled && permission === 'granted'}
+              disabled={permission === 'unsupported' || permission === 'denied'}
+              onChange={e => handleEnable(e.target.checked)}
+            />
+            Notify me when the alert status changes
+          </label>
+
+          <fieldset className="settings-group" disabled={!settings.enabled || permission !== 'granted'}>
+            <legend>Notify on</legend>
+            {ALERT_TOGGLES.map(toggle => (
+              <label className="settings-checkbox" key={toggle.key}>
+                <input
+                  type="checkbox"
+                  checked={settings[toggle.key]}
+                  onChange={e => updateSettings({ [toggle.key]: e.target.checked })}
+                />
+                {toggle.label}
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset className="settings-group" disabled={!settings.enabled || permission !== 'granted'}>
+            <legend>Quiet hours</legend>
+            <label className="settings-checkbox">
+              <input
+                type="checkbox"
+                checked={settings.quietHours.enabled}
+                onChange={e => updateQuietHours({ enabled: e.target.checked })}
+              />
+              Silence notifications during quiet hours
+            </label>
+            <div className="settings-row">
+              <label>
+                From
+                <input
+                  type="time"
+                  value={settings.quietHours.start}
+                  onChange={e => updateQuietHours({ start: e.target.value })}
+                />
+              </label>
+              <label>
+                Until
+                <input
+                  type="time"
+                  value={settings.quietHours.end}
+                  onChange={e => updateQuietHours({ end: e.target.value })}
+                />
+              </label>
+            </div>
+            <label className="settings-checkbox">
+              <input
+                type="checkbox"
+                checked={settings.criticalDuringQuietHours}
+                onChange={e => updateSettings({ criticalDuringQuietHours: e.target.checked })}
+              />
+              Still notify me about Critical levels during quiet hours
+            </label>
+          </fieldset>
+
+          <p className="settings-hint">
+            Notifications are shown while the dashboard is open, including in a background tab.
+            Clicking one opens the station's trend chart.
+          </p>
+
+          <div className="settings-actions">
+            <button
+              type="button"
+              className="settings-button secondary"
+              disabled={!settings.enabled || permission !== 'granted'}
+              onClick={handleTest}
+            >
+              Send test notification
+            </button>
+            <button type="button" className="settings-button" onClick={onClose}>Done</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationSettingsModal;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { format } from 'date-fns';
+import {
+  MAP_MIN_ZOOM,
+  MAP_MAX_ZOOM,
+  DEFAULT_DOWNLOAD_ZOOMS,
+  MAX_DOWNLOAD_TILES,
+  getAreaAround,
+  getTilesForArea,
+  canStoreTiles,
+  downloadTiles,
+  clearTiles,
+  loadOfflineMapSettings
+} from './mapTiles';
+
+// Zoom levels offered for download, with what each one shows
+const ZOOM_LEVELS = Array.from({ length: MAP_MAX_ZOOM - MAP_MIN_ZOOM + 1 }, (_, i) => MAP_MIN_ZOOM + i);
+const ZOOM_HINTS = { 10: 'region', 12: 'city', 14: 'district', 16: 'streets', 18: 'buildings' };
+
+// Offline Map Modal Component - download the map around the stations for use without a connection
+function OfflineMapModal({ show, devices, onClose }) {
+  const [zooms, setZooms] = useState(DEFAULT_DOWNLOAD_ZOOMS);
+  const [paddingKm, setPaddingKm] = useState('2');
+  const [saved, setSaved] = useState(loadOfflineMapSettings());
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState(null);
+  const cancelled = useRef(false);
+
+  useEffect(() => {
+    if (show) {
+      setSaved(loadOfflineMapSettings());
+      setMessage(null);
+    }
+  }, [show]);
+
+  if (!show) return null;
+
+  const area = getAreaAround(devices.map(device => device.location), Number(paddingKm) || 0);
+  const tileCount = area ? getTilesForArea(area, zooms).length : 0;
+  const downloading = progress !== null;
+
+  const toggleZoom = (zoom, checked) => {
+    setZooms(checked ? [...zooms, zoom].sort((a, b) => a - b) : zooms.filter(z => z !== zoom));
+  };
+
+  const handleDownload = async () => {
+    cancelled.current = false;
+    setMessage(null);
+    setProgress({ done: 0, total: tileCount });
+    try {
+      const result = await downloadTiles(area, zooms, {
+        onProgress: (done, total) => setProgress({ done, total }),
+        isCancelled: () => cancelled.current
+      });
+      const failedText = result.failed > 0 ? `, ${result.failed} failed` : '';
+      setMessage(result.cancelled
+        ? `Download stopped after ${result.saved} tiles${failedText}.`
+        : `Saved ${result.saved} tiles${failedText}. The map will work offline in this browser.`);
+    } catch (error) {
+      console.error('Error downloading map tiles:', error);
+      setMessage(`Download failed: ${error.message}`);
+    }
+    setProgress(null);
+    setSaved(loadOfflineMapSettings());
+  };
+
+  const handleClear = async () => {
+    await clearTiles();
+    setSaved(null);
+    setMessage('Removed the saved map tiles.');
+  };
+
+  const handleClose = () => {
+    cancelled.current = true;
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content settings-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">Offline Map</div>
+          <button className="modal-close" onClick={handleClose}>×</button>
+        </div>
+        <div className="settings-form">
+          {!canStoreTiles() && (
+            <p className="settings-errors">This browser can't store map tiles.</p>
+          )}
+          {!area && (
+            <p className="settings-errors">
+              No station has coordinates yet. Set them in the station settings to choose the area to download.
+            </p>
+          )}
+
+          <fieldset className="settings-group" disabled={downloading}>
+            <legend>Zoom levels</legend>
+            {ZOOM_LEVELS.map(zoom => (
+              <label className="settings-checkbox" key={zoom}>
+                <input
+                  type="checkbox"
+                  checked={zooms.includes(zoom)}
+                  onChange={e => toggleZoom(zoom, e.target.checked)}
+                />
+                {zoom}{ZOOM_HINTS[zoom] ? ` (${ZOOM_HINTS[zoom]})` : ''}
+              </label>
+            ))}
+          </fieldset>
+
+          <label>
+            Distance around the stations (km)
+            <input
+              type="number"
+              min="0"
+              max="20"
+              step="0.5"
+              value={paddingKm}
+              disabled={downloading}
+              onChange={e => setPaddingKm(e.target.value)}
+            />
+          </label>
+
+          <p className="settings-hint">
+            {tileCount} tiles to download.
+            {tileCount > MAX_DOWNLOAD_TILES && ` That's more than the limit of ${MAX_DOWNLOAD_TILES}; pick fewer zoom levels or a smaller distance.`}
+            {' '}Tiles come from OpenStreetMap, whose usage policy doesn't allow downloading large areas.
+          </p>
+
+          {saved && (
+            <p className="settings-hint">
+              {saved.tileCount} tiles saved (zoom {saved.zooms.join(', ')}) on {format(new Date(saved.downloadedAt), 'MMM d, yyyy h:mm a')}.
+            </p>
+          )}
+          {downloading && (
+            <p className="settings-hint">Downloading {progress.done} of {progress.total} tiles...</p>
+          )}
+          {message && <p className="settings-hint">{message}</p>}
+
+          <div className="settings-actions">
+            {downloading ? (
+              <button type="button" className="settings-button secondary" onClick={() => { cancelled.current = true; }}>
+                Stop
+              </button>
+            ) : (
+              <button type="button" className="settings-button secondary" disabled={!saved} onClick={handleClear}>
+                Remove saved tiles
+              </button>
+            )}
+            <button
+              type="button"
+              className="settings-button"
+              disabled={downloading || !area || !canStoreTiles() || tileCount === 0 || tileCount > MAX_DOWNLOAD_TILES}
+              onClick={handleDownload}
+            >
+              Download
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OfflineMapModal;
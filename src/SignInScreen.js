@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+
+// Sign In Screen Component - shown instead of the dashboard until a user signs in
+function SignInScreen({ onSignIn }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSigningIn(true);
+    setError(null);
+    const signedIn = await onSignIn(email.trim(), password);
+    setSigningIn(false);
+
+    if (!signedIn) {
+      setError('Could not sign in. Check your email and password and try again.');
+    }
+  };
+
+  return (
+    <div className="sign-in-page">
+      <div className="sign-in-card">
+        <div className="modal-header">
+          <div className="modal-title">Aqua Gauge: Water Level Monitoring System</div>
+        </div>
+        <form className="settings-form" onSubmit={handleSubmit}>
+          <label>
+            Email
+            <input
+              type="email"
+              autoComplete="username"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              required
+            />
+          </label>
+          <label>
+            Password
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              required
+            />
+          </label>
+          {error && (
+            <ul className="settings-errors">
+              <li>{error}</li>
+            </ul>
+          )}
+          <p className="settings-hint">
+            Accounts are created by an administrator. New accounts can view data; ask an administrator
+            for the operator or admin role.
+          </p>
+          <div className="settings-actions">
+            <button type="submit" className="settings-button" disabled={signingIn}>
+              {signingIn ? 'Signing in...' : 'Sign in'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default SignInScreen;
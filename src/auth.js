@@ -0,0 +1,39 @@
+// Roles of signed-in users
+// Viewers see data, operators also handle incidents and edit station notes, and admins also
+// manage devices, thresholds and imports. Each role can do everything the roles before it can.
+// The database security rules enforce the same roles; these helpers only decide what to show.
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  operator: 'Operator',
+  admin: 'Admin'
+};
+
+// Role of users that haven't been given one
+export const DEFAULT_ROLE = 'viewer';
+
+// User shown in demo mode, which never writes to the database
+export const DEMO_USER = { uid: 'demo', email: null, role: DEFAULT_ROLE };
+
+// Turn a stored role into one of ROLES, treating anything unexpected as the default
+export const getRole = (value) => (ROLES.includes(value) ? value : DEFAULT_ROLE);
+
+// User of data sources without accounts (MQTT, REST and in-memory), with the configured role
+export const createLocalUser = (role) => ({ uid: 'local', email: null, role: getRole(role) });
+
+// Check whether a user has at least the given role
+export const hasRole = (user, role) => {
+  if (!user) return false;
+  return ROLES.indexOf(getRole(user.role)) >= ROLES.indexOf(role);
+};
+
+// What each role may change
+export const canManageIncidents = (user) => hasRole(user, 'operator');
+export const canEditNotes = (user) => hasRole(user, 'operator');
+export const canManageDevices = (user) => hasRole(user, 'admin');
+export const canImportReadings = (user) => hasRole(user, 'admin');
+
+// Maximum length of a station or incident note, matching the security rules
+export const MAX_NOTE_LENGTH = 2000;
@@ -0,0 +1,26 @@
+import {
+  getRole,
+  hasRole,
+  canManageIncidents,
+  canEditNotes,
+  canManageDevices,
+  canImportReadings
+} from './auth';
+
+test('treats missing or unexpected roles as viewer', () => {
+  expect(getRole(undefined)).toBe('viewer');
+  expect(getRole('superuser')).toBe('viewer');
+  expect(getRole('operator')).toBe('operator');
+});
+
+test('gives each role the permissions of the roles below it', () => {
+  const viewer = { uid: 'a', role: 'viewer' };
+  const operator = { uid: 'b', role: 'operator' };
+  const admin = { uid: 'c', role: 'admin' };
+
+  expect([viewer, operator, admin].map(canManageIncidents)).toEqual([false, true, true]);
+  expect([viewer, operator, admin].map(canEditNotes)).toEqual([false, true, true]);
+  expect([viewer, operator, admin].map(canManageDevices)).toEqual([false, false, true]);
+  expect([viewer, operator, admin].map(canImportReadings)).toEqual([false, false, true]);
+  expect(hasRole(null, 'viewer')).toBe(false);
+});
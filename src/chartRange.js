@@ -0,0 +1,124 @@
+// Trend chart time ranges
+// A range is a preset ('1h' ... '30d') ending now, or a custom start/end. The bucket size
+// follows the length of the range so the chart stays readable: 5-minute rollups up to a day,
+// hourly up to a week and daily beyond that. Slots follow the site's timezone, like the rollups.
+
+import { format } from 'date-fns';
+import { getPeriodStartInTimeZone, toZonedDate } from './timezone';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Presets shown in the range selector
+export const RANGE_PRESETS = [
+  { key: '1h', label: '1h', durationMs: HOUR_MS },
+  { key: '6h', label: '6h', durationMs: 6 * HOUR_MS },
+  { key: '24h', label: '24h', durationMs: DAY_MS },
+  { key: '7d', label: '7d', durationMs: 7 * DAY_MS },
+  { key: '30d', label: '30d', durationMs: 30 * DAY_MS }
+];
+
+// Range shown when the chart first opens
+export const DEFAULT_CHART_RANGE = { preset: '6h' };
+
+// Bucket size of each rollup resolution
+export const RESOLUTION_MS = {
+  '5m': 5 * MINUTE_MS,
+  '1h': HOUR_MS,
+  '1d': DAY_MS
+};
+
+// How each resolution's slots are labelled on the x-axis
+const SLOT_LABEL_FORMATS = {
+  '5m': 'HH:mm',
+  '1h': 'MMM d HH:mm',
+  '1d': 'MMM d'
+};
+
+// Axis titles for each resolution
+export const RESOLUTION_TITLES = {
+  '5m': 'Time (5-minute intervals)',
+  '1h': 'Time (hourly)',
+  '1d': 'Date (daily)'
+};
+
+// Pick the rollup resolution for a range length
+export const getResolutionForDuration = (durationMs) => {
+  if (durationMs <= DAY_MS) return '5m';
+  if (durationMs <= 7 * DAY_MS) return '1h';
+  return '1d';
+};
+
+// Start of the slot a timestamp falls in (daily slots start at the site's midnight)
+const getSlotStart = (timestamp, resolution) => getPeriodStartInTimeZone(timestamp, RESOLUTION_MS[resolution]);
+
+// Start of the slot after this one
+// Days are found from a little over a day later, as they can be 23 or 25 hours with daylight saving
+const nextSlot = (slot, resolution) => (resolution === '1d'
+  ? getSlotStart(slot + DAY_MS + 2 * HOUR_MS, resolution)
+  : slot + RESOLUTION_MS[resolution]);
+
+// Label of a slot, read on the site's clock
+const createSlotLabel = (slot, resolution) => {
+  const time = toZonedDate(slot);
+  return { time, formatted: format(time, SLOT_LABEL_FORMATS[resolution]), timestamp: slot };
+};
+
+// Check a custom range before it is applied
+// Returns a human readable problem, or null when the range is usable
+export const validateCustomRange = (start, end) => {
+  if (isNaN(start) || isNaN(end)) return 'Pick both a start and an end';
+  if (start >= end) return 'The start must be before the end';
+  if (end - start > 366 * DAY_MS) return 'Pick a range of at most a year';
+  return null;
+};
+
+// Turn a range into the chart window: { start, end, resolution, live, labels }
+// labels are the x-axis slots ({ time, formatted, timestamp }), oldest first
+// live is true when the window ends now, so the current reading belongs on the chart
+export const resolveChartWindow = (range, now = Date.now()) => {
+  const preset = RANGE_PRESETS.find(p => p.key === range.preset);
+  const end = preset ? now : range.end;
+  const start = preset ? now - preset.durationMs : range.start;
+  const resolution = getResolutionForDuration(end - start);
+
+  const labels = [];
+  for (let slot = getSlotStart(start, resolution); slot <= end; slot = nextSlot(slot, resolution)) {
+    labels.push(createSlotLabel(slot, resolution));
+  }
+
+  return {
+    start: labels.length > 0 ? labels[0].timestamp : start,
+    end,
+    resolution,
+    live: Boolean(preset),
+    labels
+  };
+};
+
+// Add slots after a window's labels up to a time, e.g. for the forecast
+export const extendLabels = (labels, resolution, until) => {
+  if (labels.length === 0) return labels;
+
+  const extended = [...labels];
+  for (let slot = nextSlot(labels[labels.length - 1].timestamp, resolution); slot <= until; slot = nextSlot(slot, resolution)) {
+    extended.push({ ...createSlotLabel(slot, resolution), future: true });
+  }
+  return extended;
+};
+
+// Index of the chart slot a timestamp falls in, or -1 when it is outside the window
+export const findSlotIndex = (labels, timestamp) => {
+  if (labels.length === 0 || timestamp < labels[0].timestamp) return -1;
+
+  // Labels are sorted, so the slot is the last one starting at or before the timestamp
+  let low = 0;
+  let high = labels.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (labels[middle].timestamp <= timestamp) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
@@ -0,0 +1,60 @@
+import { getResolutionForDuration, validateCustomRange, resolveChartWindow, findSlotIndex, extendLabels } from './chartRange';
+import { parseInTimeZone } from './timezone';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Times are on the site's clock, so the tests pass whatever the machine's timezone
+const now = parseInTimeZone('2024-07-10T12:07');
+
+test('picks a coarser resolution for longer ranges', () => {
+  expect(getResolutionForDuration(6 * HOUR)).toBe('5m');
+  expect(getResolutionForDuration(DAY)).toBe('5m');
+  expect(getResolutionForDuration(7 * DAY)).toBe('1h');
+  expect(getResolutionForDuration(30 * DAY)).toBe('1d');
+});
+
+test('rejects unusable custom ranges', () => {
+  expect(validateCustomRange(NaN, now)).not.toBeNull();
+  expect(validateCustomRange(now, now - HOUR)).not.toBeNull();
+  expect(validateCustomRange(now - 400 * DAY, now)).not.toBeNull();
+  expect(validateCustomRange(now - DAY, now)).toBeNull();
+});
+
+test('resolves presets to a live window of aligned slots', () => {
+  const window = resolveChartWindow({ preset: '6h' }, now);
+
+  expect(window.resolution).toBe('5m');
+  expect(window.live).toBe(true);
+  expect(window.labels).toHaveLength(73);
+  expect(window.labels[0].timestamp).toBe(parseInTimeZone('2024-07-10T06:05'));
+  expect(window.labels[window.labels.length - 1].formatted).toBe('12:05');
+});
+
+test('resolves long custom ranges to daily slots starting at midnight', () => {
+  const window = resolveChartWindow({ preset: 'custom', start: now - 20 * DAY, end: now - 5 * DAY }, now);
+
+  expect(window.resolution).toBe('1d');
+  expect(window.live).toBe(false);
+  expect(window.labels).toHaveLength(16);
+  expect(window.start).toBe(parseInTimeZone('2024-06-20'));
+  expect(window.labels[1].formatted).toBe('Jun 21');
+});
+
+test('finds the slot a timestamp falls in', () => {
+  const { labels } = resolveChartWindow({ preset: '1h' }, now);
+
+  expect(findSlotIndex(labels, labels[0].timestamp - 1)).toBe(-1);
+  expect(findSlotIndex(labels, labels[0].timestamp)).toBe(0);
+  expect(findSlotIndex(labels, labels[3].timestamp + 60 * 1000)).toBe(3);
+  expect(findSlotIndex(labels, now)).toBe(labels.length - 1);
+});
+
+test('extends labels past the window for a forecast', () => {
+  const window = resolveChartWindow({ preset: '1h' }, now);
+  const labels = extendLabels(window.labels, '5m', now + 30 * 60 * 1000);
+
+  expect(labels).toHaveLength(window.labels.length + 6);
+  expect(labels[labels.length - 1].formatted).toBe('12:35');
+  expect(labels[labels.length - 1].future).toBe(true);
+  expect(labels[window.labels.length - 1].future).toBeUndefined();
+});
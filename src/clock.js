@@ -0,0 +1,58 @@
+// Station clock checks
+// Readings carry the station's own time (timestamp) and the time they arrived (receivedAt, see
+// readings.js). The gap between the two shows how far a station's clock is off. Readings from a
+// clock that isn't set, or runs ahead, are already filed under their receipt time and flagged
+// clockInvalid; a clock that is merely behind keeps its times, so it is reported here instead.
+
+const MINUTE_MS = 60 * 1000;
+
+// A clock further off than this is reported (network delays stay well under it)
+export const CLOCK_SKEW_WARNING_MS = 2 * MINUTE_MS;
+
+// Recent readings used to measure a clock's offset
+const SKEW_SAMPLE_SIZE = 20;
+
+// Median of how far behind the station's clock is, in ms (negative when it is ahead), over the
+// most recent readings with a receipt time, or null when there are none to go by
+export const computeClockSkew = (readings) => {
+  const gaps = (readings || [])
+    .filter(reading => !reading.clockInvalid && typeof reading.receivedAt === 'number' && typeof reading.timestamp === 'number')
+    .sort((a, b) => b.receivedAt - a.receivedAt)
+    .slice(0, SKEW_SAMPLE_SIZE)
+    .map(reading => reading.receivedAt - reading.timestamp)
+    .sort((a, b) => a - b);
+
+  if (gaps.length === 0) return null;
+  const middle = Math.floor(gaps.length / 2);
+  return gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+};
+
+// Work out the state of a station's clock from its recent readings
+// Returns { state, skewMs }; state is 'invalid' when its latest reading was filed by receipt time,
+// 'skewed' when it is more than CLOCK_SKEW_WARNING_MS off, 'ok', or 'unknown' without receipt times
+export const getClockStatus = (readings) => {
+  const latest = (readings || []).reduce((newest, reading) =>
+    (!newest || (reading.receivedAt || reading.timestamp) > (newest.receivedAt || newest.timestamp) ? reading : newest), null);
+  const skewMs = computeClockSkew(readings);
+
+  if (latest && latest.clockInvalid) return { state: 'invalid', skewMs };
+  if (skewMs === null) return { state: 'unknown', skewMs };
+  return { state: Math.abs(skewMs) > CLOCK_SKEW_WARNING_MS ? 'skewed' : 'ok', skewMs };
+};
+
+// Format a clock offset, e.g. "6 min" or "3 h"
+const formatOffset = (ms) => {
+  const minutes = Math.round(Math.abs(ms) / MINUTE_MS);
+  if (minutes < 120) return `${minutes} min`;
+
+  const hours = Math.round(minutes / 60);
+  return hours < 48 ? `${hours} h` : `${Math.round(hours / 24)} days`;
+};
+
+// Describe a clock problem for the status box and station list, or null when there isn't one
+// e.g. "Clock 6 min behind" or "Clock not set - readings filed by receipt time"
+export const describeClockStatus = (clock) => {
+  if (clock.state === 'invalid') return 'Clock not set - readings filed by receipt time';
+  if (clock.state !== 'skewed') return null;
+  return `Clock ${formatOffset(clock.skewMs)} ${clock.skewMs > 0 ? 'behind' : 'ahead'}`;
+};
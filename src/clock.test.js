@@ -0,0 +1,41 @@
+import { computeClockSkew, getClockStatus, describeClockStatus } from './clock';
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2024, 6, 1, 12, 0);
+
+// A reading that arrived `minutesAgo` from a clock `behindMs` behind the server's
+const reading = (minutesAgo, behindMs, changes = {}) => ({
+  timestamp: now - minutesAgo * MINUTE - behindMs,
+  receivedAt: now - minutesAgo * MINUTE,
+  waterLevel: 40,
+  ...changes
+});
+
+test('measures the clock offset as the median gap between sent and received times', () => {
+  const readings = [reading(3, 6 * MINUTE), reading(2, 6 * MINUTE + 900), reading(1, 6 * MINUTE + 400), reading(0, 45 * MINUTE)];
+  expect(computeClockSkew(readings)).toBe(6 * MINUTE + 650);
+  expect(computeClockSkew([{ timestamp: now, waterLevel: 40 }])).toBeNull();
+});
+
+test('reports clocks that are off, ahead or behind', () => {
+  const behind = getClockStatus([reading(2, 6 * MINUTE), reading(1, 6 * MINUTE)]);
+  expect(behind.state).toBe('skewed');
+  expect(describeClockStatus(behind)).toBe('Clock 6 min behind');
+
+  const ahead = getClockStatus([reading(1, -3 * 60 * MINUTE)]);
+  expect(describeClockStatus(ahead)).toBe('Clock 3 h ahead');
+
+  const fine = getClockStatus([reading(1, 1500)]);
+  expect(fine.state).toBe('ok');
+  expect(describeClockStatus(fine)).toBeNull();
+  expect(getClockStatus([]).state).toBe('unknown');
+});
+
+test('reports a clock that is not set from the latest reading', () => {
+  const readings = [reading(2, 500), reading(1, 0, { timestamp: now - MINUTE, deviceTime: 12345, clockInvalid: true })];
+  const clock = getClockStatus(readings);
+
+  expect(clock.state).toBe('invalid');
+  expect(clock.skewMs).toBe(500);
+  expect(describeClockStatus(clock)).toBe('Clock not set - readings filed by receipt time');
+});
@@ -0,0 +1,167 @@
+// Build-time configuration of the dashboard
+// The environment is picked with REACT_APP_ENV when building or starting the app:
+// - emulator: the local Firebase emulators, with a demo- project that can't reach real data
+// - staging / production: a real Firebase project, configured with REACT_APP_FIREBASE_* settings
+// Without REACT_APP_ENV, `npm start` and tests use the emulators and `npm run build` uses production.
+// Nothing falls back to a real project: a missing setting stops the app with a list of what to set.
+// REACT_APP_DATA_SOURCE picks where readings come from (see dataSource.js); the environment only
+// applies to the Firebase source.
+
+export const ENVIRONMENTS = ['emulator', 'staging', 'production'];
+
+// Project used with the emulators (the demo- prefix keeps the emulators from contacting Firebase)
+export const EMULATOR_PROJECT_ID = 'demo-aqua-gauge';
+
+// Emulator ports, matching firebase.json
+export const EMULATOR_PORTS = { auth: 9099, database: 9000 };
+
+// Where readings come from
+export const DATA_SOURCES = ['firebase', 'mqtt', 'rest', 'memory'];
+
+// Firebase settings and the environment variables they are read from
+const REQUIRED_SETTINGS = {
+  apiKey: 'REACT_APP_FIREBASE_API_KEY',
+  authDomain: 'REACT_APP_FIREBASE_AUTH_DOMAIN',
+  databaseURL: 'REACT_APP_FIREBASE_DATABASE_URL',
+  projectId: 'REACT_APP_FIREBASE_PROJECT_ID',
+  appId: 'REACT_APP_FIREBASE_APP_ID'
+};
+
+const OPTIONAL_SETTINGS = {
+  storageBucket: 'REACT_APP_FIREBASE_STORAGE_BUCKET',
+  messagingSenderId: 'REACT_APP_FIREBASE_MESSAGING_SENDER_ID',
+  measurementId: 'REACT_APP_FIREBASE_MEASUREMENT_ID'
+};
+
+// Read an environment variable, treating blank values as missing
+const readSetting = (env, name) => {
+  const value = env[name];
+  return value !== undefined && String(value).trim() !== '' ? String(value).trim() : null;
+};
+
+// Name of the selected environment, e.g. 'staging'
+export const getEnvironmentName = (env = process.env) => {
+  const name = readSetting(env, 'REACT_APP_ENV');
+  if (name) return name.toLowerCase();
+  return env.NODE_ENV === 'production' ? 'production' : 'emulator';
+};
+
+// Name of the selected data source, e.g. 'mqtt'
+export const getDataSourceName = (env = process.env) => {
+  const name = readSetting(env, 'REACT_APP_DATA_SOURCE');
+  return name ? name.toLowerCase() : 'firebase';
+};
+
+// Build the Firebase settings for the emulators
+const getEmulatorConfig = (env) => {
+  const host = readSetting(env, 'REACT_APP_EMULATOR_HOST') || 'localhost';
+
+  return {
+    environment: 'emulator',
+    useEmulators: true,
+    emulatorHost: host,
+    firebase: {
+      apiKey: 'demo-api-key',
+      authDomain: `${EMULATOR_PROJECT_ID}.firebaseapp.com`,
+      databaseURL: `http://${host}:${EMULATOR_PORTS.database}?ns=${EMULATOR_PROJECT_ID}-default-rtdb`,
+      projectId: EMULATOR_PROJECT_ID,
+      appId: 'demo-app-id'
+    }
+  };
+};
+
+// List what is wrong with the data source's settings
+const getDataSourceProblems = (env, source) => {
+  const problems = [];
+  if (source === 'mqtt' && !readSetting(env, 'REACT_APP_MQTT_URL')) {
+    problems.push('REACT_APP_MQTT_URL is required for the mqtt data source');
+  }
+  if (source === 'rest') {
+    if (!readSetting(env, 'REACT_APP_REST_URL')) {
+      problems.push('REACT_APP_REST_URL is required for the rest data source');
+    }
+    const pollInterval = readSetting(env, 'REACT_APP_REST_POLL_MS');
+    if (pollInterval && !(Number(pollInterval) >= 1000)) {
+      problems.push(`REACT_APP_REST_POLL_MS is "${pollInterval}", but must be at least 1000`);
+    }
+  }
+  return problems;
+};
+
+// List what is wrong with the configuration, e.g. a missing setting (empty when it is usable)
+export const getConfigProblems = (env = process.env) => {
+  const source = getDataSourceName(env);
+  if (!DATA_SOURCES.includes(source)) {
+    return [`REACT_APP_DATA_SOURCE is "${source}", but must be one of ${DATA_SOURCES.join(', ')}`];
+  }
+  if (source !== 'firebase') return getDataSourceProblems(env, source);
+
+  const environment = getEnvironmentName(env);
+
+  if (!ENVIRONMENTS.includes(environment)) {
+    return [`REACT_APP_ENV is "${environment}", but must be one of ${ENVIRONMENTS.join(', ')}`];
+  }
+  if (environment === 'emulator') return [];
+
+  return Object.values(REQUIRED_SETTINGS)
+    .filter(name => !readSetting(env, name))
+    .map(name => `${name} is required for the ${environment} environment`);
+};
+
+// Settings of the selected data source, e.g. { type: 'rest', url, pollInterval, role }
+// Sources without accounts give everyone REACT_APP_LOCAL_ROLE (viewer by default)
+const getDataSourceConfig = (env, source) => {
+  const role = readSetting(env, 'REACT_APP_LOCAL_ROLE');
+
+  if (source === 'mqtt') {
+    return {
+      type: 'mqtt',
+      url: readSetting(env, 'REACT_APP_MQTT_URL'),
+      topicPrefix: readSetting(env, 'REACT_APP_MQTT_TOPIC_PREFIX') || 'aqua-gauge',
+      username: readSetting(env, 'REACT_APP_MQTT_USERNAME'),
+      password: readSetting(env, 'REACT_APP_MQTT_PASSWORD'),
+      role
+    };
+  }
+  if (source === 'rest') {
+    const pollInterval = readSetting(env, 'REACT_APP_REST_POLL_MS');
+    return {
+      type: 'rest',
+      url: readSetting(env, 'REACT_APP_REST_URL'),
+      pollInterval: pollInterval ? Number(pollInterval) : 15000,
+      role
+    };
+  }
+  if (source === 'memory') return { type: 'memory', role };
+  return { type: 'firebase' };
+};
+
+// Load the configuration of the selected environment and data source
+// Returns { environment, useEmulators, emulatorHost, firebase, dataSource }, or throws listing
+// every problem; firebase is null when another data source is used
+export const loadConfig = (env = process.env) => {
+  const problems = getConfigProblems(env);
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n- ${problems.join('\n- ')}`);
+  }
+
+  const source = getDataSourceName(env);
+  const dataSource = getDataSourceConfig(env, source);
+  if (source !== 'firebase') {
+    return { environment: getEnvironmentName(env), useEmulators: false, emulatorHost: null, firebase: null, dataSource };
+  }
+
+  const environment = getEnvironmentName(env);
+  if (environment === 'emulator') return { ...getEmulatorConfig(env), dataSource };
+
+  const firebase = {};
+  Object.keys(REQUIRED_SETTINGS).forEach(key => {
+    firebase[key] = readSetting(env, REQUIRED_SETTINGS[key]);
+  });
+  Object.keys(OPTIONAL_SETTINGS).forEach(key => {
+    const value = readSetting(env, OPTIONAL_SETTINGS[key]);
+    if (value) firebase[key] = value;
+  });
+
+  return { environment, useEmulators: false, emulatorHost: null, firebase, dataSource };
+};
@@ -0,0 +1,87 @@
+import { getEnvironmentName, getDataSourceName, getConfigProblems, loadConfig } from './config';
+
+const projectSettings = {
+  REACT_APP_FIREBASE_API_KEY: 'key',
+  REACT_APP_FIREBASE_AUTH_DOMAIN: 'water-staging.firebaseapp.com',
+  REACT_APP_FIREBASE_DATABASE_URL: 'https://water-staging-default-rtdb.firebaseio.com',
+  REACT_APP_FIREBASE_PROJECT_ID: 'water-staging',
+  REACT_APP_FIREBASE_APP_ID: '1:123:web:abc'
+};
+
+test('uses the emulators locally and production for builds unless an environment is chosen', () => {
+  expect(getEnvironmentName({ NODE_ENV: 'development' })).toBe('emulator');
+  expect(getEnvironmentName({ NODE_ENV: 'test' })).toBe('emulator');
+  expect(getEnvironmentName({ NODE_ENV: 'production' })).toBe('production');
+  expect(getEnvironmentName({ NODE_ENV: 'production', REACT_APP_ENV: 'Staging' })).toBe('staging');
+});
+
+test('connects the emulator environment to a demo project without any settings', () => {
+  const config = loadConfig({ NODE_ENV: 'development', REACT_APP_EMULATOR_HOST: '192.168.1.20' });
+
+  expect(config.useEmulators).toBe(true);
+  expect(config.emulatorHost).toBe('192.168.1.20');
+  expect(config.firebase.projectId).toBe('demo-aqua-gauge');
+  expect(config.firebase.databaseURL).toBe('http://192.168.1.20:9000?ns=demo-aqua-gauge-default-rtdb');
+});
+
+test('lists every missing setting instead of falling back to another project', () => {
+  const env = { ...projectSettings, REACT_APP_ENV: 'production', REACT_APP_FIREBASE_API_KEY: ' ' };
+  delete env.REACT_APP_FIREBASE_APP_ID;
+
+  expect(getConfigProblems(env)).toEqual([
+    'REACT_APP_FIREBASE_API_KEY is required for the production environment',
+    'REACT_APP_FIREBASE_APP_ID is required for the production environment'
+  ]);
+  expect(() => loadConfig(env)).toThrow(/REACT_APP_FIREBASE_APP_ID/);
+  expect(getConfigProblems({ REACT_APP_ENV: 'prod' })).toEqual([
+    'REACT_APP_ENV is "prod", but must be one of emulator, staging, production'
+  ]);
+});
+
+test('reads a project\'s settings, leaving out optional ones that are not set', () => {
+  const config = loadConfig({ ...projectSettings, REACT_APP_ENV: 'staging' });
+
+  expect(config).toEqual({
+    environment: 'staging',
+    useEmulators: false,
+    emulatorHost: null,
+    firebase: {
+      apiKey: 'key',
+      authDomain: 'water-staging.firebaseapp.com',
+      databaseURL: 'https://water-staging-default-rtdb.firebaseio.com',
+      projectId: 'water-staging',
+      appId: '1:123:web:abc'
+    },
+    dataSource: { type: 'firebase' }
+  });
+});
+
+test('reads the MQTT and REST settings without needing any Firebase settings', () => {
+  expect(getDataSourceName({})).toBe('firebase');
+
+  const mqtt = loadConfig({
+    NODE_ENV: 'production',
+    REACT_APP_DATA_SOURCE: 'MQTT',
+    REACT_APP_MQTT_URL: 'ws://broker.local:9001',
+    REACT_APP_LOCAL_ROLE: 'operator'
+  });
+  expect(mqtt.firebase).toBeNull();
+  expect(mqtt.dataSource).toEqual({
+    type: 'mqtt',
+    url: 'ws://broker.local:9001',
+    topicPrefix: 'aqua-gauge',
+    username: null,
+    password: null,
+    role: 'operator'
+  });
+
+  expect(loadConfig({ REACT_APP_DATA_SOURCE: 'rest', REACT_APP_REST_URL: 'http://gateway.local/api' }).dataSource)
+    .toEqual({ type: 'rest', url: 'http://gateway.local/api', pollInterval: 15000, role: null });
+  expect(getConfigProblems({ REACT_APP_DATA_SOURCE: 'rest', REACT_APP_REST_POLL_MS: '10' })).toEqual([
+    'REACT_APP_REST_URL is required for the rest data source',
+    'REACT_APP_REST_POLL_MS is "10", but must be at least 1000'
+  ]);
+  expect(getConfigProblems({ REACT_APP_DATA_SOURCE: 'serial' })).toEqual([
+    'REACT_APP_DATA_SOURCE is "serial", but must be one of firebase, mqtt, rest, memory'
+  ]);
+});
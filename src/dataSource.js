@@ -0,0 +1,59 @@
+// Where the dashboard gets its readings from, picked with REACT_APP_DATA_SOURCE (see config.js)
+// - firebase: the Realtime Database, with accounts and roles (firebase.js)
+// - mqtt: a local broker over WebSocket (mqttSource.js)
+// - rest: an HTTP gateway, polled (restSource.js)
+// - memory: simulated stations kept in the page, for development without any backend (memorySource.js)
+//
+// Every source implements the same functions, so the dashboard doesn't know which one it uses:
+// - subscribeToUser(callback)                          the signed-in user { uid, email, role }, or null
+// - subscribeToDevices(callback)                       station profiles, sorted by name
+// - subscribeToCurrentReadings(callback)               { [deviceId]: reading }
+// - subscribeToWaterLevelUpdates(deviceId, callback)   current and recent readings, newest first
+// - fetchHistoryPage(deviceId, options)                { readings, cursor } newest first
+// - subscribeToHistory(deviceId, options, callback)    readings or rollups in a range, newest first
+// - subscribeToIncidents(callback)                     { [incidentId]: incident } (see incidents.js)
+// - subscribeToStationNotes(callback)                  { [deviceId]: { text, by, email, at } }
+// - subscribeToEventLog({ start, end }, callback)      event log entries in a window, newest first (see eventLog.js)
+// - registerDevice(deviceId, details)                  resolves to true or false
+// - recordWaterLevelReading(reading)                   resolves to true or false
+// - importReadings(deviceId, readings)                 resolves to the number written, or false
+// - acknowledgeIncident(incident, user)                resolves to true or false
+// - addIncidentNote(incident, text, user)              resolves to true or false
+// - closeIncident(incident, user)                      resolves to true or false
+// - saveStationNote(deviceId, text, user)              resolves to true or false
+// Subscriptions call back right away or once data arrives, and return an unsubscribe function.
+// Only the Firebase source has signIn(email, password) and signOut(); the others have no accounts
+// and give everyone the role set with REACT_APP_LOCAL_ROLE.
+
+import * as firebaseData from './firebase';
+import { createMqttSource } from './mqttSource';
+import { createRestSource } from './restSource';
+import { createMemorySource } from './memorySource';
+import { DEMO_STATIONS, createDemoReadings } from './demoData';
+import { withOfflineCache } from './offlineCache';
+
+// How much simulated history the in-memory source starts with
+const MEMORY_HISTORY_MINUTES = 24 * 60;
+
+// Create an in-memory source holding the simulated stations and their last day of readings
+export const createSeededMemorySource = ({ role, now = Date.now() } = {}) => {
+  const source = createMemorySource({ role });
+
+  DEMO_STATIONS.forEach(({ simulation, id, ...station }) => {
+    source.receiveDevice(id, station);
+    const readings = createDemoReadings(id, { now, durationMinutes: MEMORY_HISTORY_MINUTES })
+      .map(({ id: key, waterLevel, timestamp }) => ({ key, waterLevel, timestamp, deviceId: id, source: 'memory' }));
+    source.receiveReadings(id, readings);
+  });
+
+  return source;
+};
+
+// Create the data source described by loadConfig().dataSource
+// Sources with a backend keep an offline copy of what they deliver (see offlineCache.js)
+export const createDataSource = ({ type, ...options }) => {
+  if (type === 'memory') return createSeededMemorySource(options);
+  if (type === 'mqtt') return withOfflineCache(createMqttSource(options));
+  if (type === 'rest') return withOfflineCache(createRestSource(options));
+  return withOfflineCache(firebaseData);
+};
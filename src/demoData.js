@@ -0,0 +1,183 @@
+// Simulated stations for demo mode
+// Demo mode replaces the Firebase subscriptions with the functions below, which have the same
+// signatures as their firebase.js counterparts. Every value here is invented, so the dashboard
+// is watermarked whenever demo mode is on, and nothing is ever written back to the database.
+
+import { getDeviceProfile } from './devices';
+import { getStatusFromWaterLevel } from './thresholds';
+import { DEMO_USER } from './auth';
+
+const MINUTE_MS = 60 * 1000;
+
+// How often the simulated stations send a new reading
+const DEMO_UPDATE_INTERVAL_MS = 5000;
+
+// How far back the simulated history goes
+const DEMO_HISTORY_DAYS = 30;
+
+// Entry spacing for each history resolution (raw readings arrive every minute)
+const DEMO_STEP_MINUTES = { raw: 1, '5m': 5, '1h': 60, '1d': 24 * 60 };
+
+// Simulated stations: a slow tide-like wave plus a faster ripple, in percent of maxDepth
+export const DEMO_STATIONS = [
+  {
+    id: 'demo-river',
+    name: 'Demo River Station',
+    location: { lat: 14.5995, lng: 120.9842 },
+    simulation: { base: 35, amplitude: 25, periodMinutes: 180 }
+  },
+  {
+    id: 'demo-creek',
+    name: 'Demo Creek Station',
+    location: { lat: 14.6091, lng: 121.0223 },
+    simulation: { base: 55, amplitude: 35, periodMinutes: 95 }
+  }
+];
+
+// Check whether demo mode is on, from ?demo=1 in the URL or REACT_APP_DEMO_MODE=true
+export const isDemoMode = (search = window.location.search) => {
+  if (process.env.REACT_APP_DEMO_MODE === 'true') return true;
+
+  const value = new URLSearchParams(search).get('demo');
+  return value !== null && value !== '0' && value !== 'false';
+};
+
+// Find a simulated station, falling back to the first one for unknown ids
+const findStation = (deviceId) => DEMO_STATIONS.find(station => station.id === deviceId) || DEMO_STATIONS[0];
+
+// Simulated water level percentage of a station at a point in time
+// The same time always gives the same level, so history and live readings line up
+export const getSimulatedLevel = (deviceId, timestamp) => {
+  const { base, amplitude, periodMinutes } = findStation(deviceId).simulation;
+  const minutes = timestamp / MINUTE_MS;
+  const wave = Math.sin((minutes / periodMinutes) * 2 * Math.PI) * amplitude;
+  const ripple = Math.sin(minutes * 1.7) * 2;
+
+  return Math.max(0, Math.min(100, Math.round((base + wave + ripple) * 10) / 10));
+};
+
+// Build a simulated reading shaped like the ones firebase.js returns
+const createReading = (id, deviceId, timestamp) => {
+  const waterLevel = getSimulatedLevel(deviceId, timestamp);
+
+  return {
+    id,
+    waterLevel,
+    distance: null,
+    timestamp,
+    deviceId,
+    status: getStatusFromWaterLevel(waterLevel, getDeviceProfile(findStation(deviceId))),
+    source: 'demo'
+  };
+};
+
+// Simulated readings every stepMinutes over the last durationMinutes, newest first
+export const createDemoReadings = (deviceId, { now = Date.now(), durationMinutes = 60, stepMinutes = 1 } = {}) => {
+  const latest = Math.floor(now / (stepMinutes * MINUTE_MS)) * stepMinutes * MINUTE_MS;
+  const readings = [];
+
+  for (let minutes = 0; minutes <= durationMinutes; minutes += stepMinutes) {
+    const timestamp = latest - minutes * MINUTE_MS;
+    readings.push(createReading(`demo-${timestamp}`, deviceId, timestamp));
+  }
+
+  return readings;
+};
+
+// Call the callback now and then on every simulated update, returning an unsubscribe function
+const emitPeriodically = (emit) => {
+  emit();
+  const intervalId = setInterval(emit, DEMO_UPDATE_INTERVAL_MS);
+  return () => clearInterval(intervalId);
+};
+
+// Same as firebase.js subscribeToUser; demo mode has no accounts
+export const subscribeToUser = (callback) => {
+  callback(DEMO_USER);
+  return () => {};
+};
+
+// Same as firebase.js subscribeToDevices, for the simulated stations
+export const subscribeToDevices = (callback) => emitPeriodically(() => {
+  const lastSeen = Date.now();
+  callback(DEMO_STATIONS.map(({ simulation, ...station }) => getDeviceProfile({ ...station, lastSeen })));
+});
+
+// Same as firebase.js subscribeToCurrentReadings, for the simulated stations
+export const subscribeToCurrentReadings = (callback) => emitPeriodically(() => {
+  const now = Date.now();
+  const readings = {};
+
+  DEMO_STATIONS.forEach(station => {
+    readings[station.id] = createReading('current-reading', station.id, now);
+  });
+
+  callback(readings);
+});
+
+// Same as firebase.js subscribeToWaterLevelUpdates: the last hour of readings plus the current one
+export const subscribeToWaterLevelUpdates = (deviceId, callback) => emitPeriodically(() => {
+  const now = Date.now();
+  callback([createReading('current-reading', deviceId, now), ...createDemoReadings(deviceId, { now })]);
+});
+
+// Simulated history for a time range, newest first, shaped like firebase.js history entries
+// Rollups get their min and max from the simulated level sampled across the bucket
+export const createDemoHistory = (deviceId, { resolution = '5m', start = null, end = null, limit = null, before = null, now = Date.now() } = {}) => {
+  const stepMinutes = DEMO_STEP_MINUTES[resolution];
+  const step = stepMinutes * MINUTE_MS;
+  const oldest = Math.max(start === null ? 0 : start, now - DEMO_HISTORY_DAYS * 24 * 60 * MINUTE_MS);
+  let newest = Math.min(end === null ? now : end, now);
+  if (before) newest = Math.min(newest, Number(before.key) - 1);
+
+  const entries = [];
+  for (let timestamp = Math.floor(newest / step) * step; timestamp >= oldest; timestamp -= step) {
+    if (limit && entries.length === limit) break;
+
+    const reading = createReading(String(timestamp), deviceId, timestamp);
+    if (resolution !== 'raw') {
+      const samples = Array.from({ length: 12 }, (_, i) => getSimulatedLevel(deviceId, timestamp + (i * step) / 12));
+      reading.min = Math.min(...samples);
+      reading.max = Math.max(...samples);
+      reading.count = stepMinutes;
+    }
+    entries.push(reading);
+  }
+
+  return entries;
+};
+
+// Same as firebase.js fetchHistoryPage, for the simulated stations
+export const fetchHistoryPage = async (deviceId, options = {}) => {
+  const limit = options.limit || 288;
+  const readings = createDemoHistory(deviceId, { ...options, limit });
+  const oldest = readings[readings.length - 1];
+
+  return {
+    readings,
+    cursor: readings.length === limit ? { key: oldest.id, value: oldest.timestamp } : null
+  };
+};
+
+// Same as firebase.js subscribeToHistory, for the simulated stations
+export const subscribeToHistory = (deviceId, options, callback) => emitPeriodically(() => {
+  callback(createDemoHistory(deviceId, options));
+});
+
+// Same as firebase.js subscribeToIncidents; the demo doesn't keep incidents
+export const subscribeToIncidents = (callback) => {
+  callback({});
+  return () => {};
+};
+
+// Same as firebase.js subscribeToEventLog; the demo doesn't keep an event log
+export const subscribeToEventLog = (options, callback) => {
+  callback([]);
+  return () => {};
+};
+
+// Same as firebase.js subscribeToStationNotes; the simulated stations have no notes
+export const subscribeToStationNotes = (callback) => {
+  callback({});
+  return () => {};
+};
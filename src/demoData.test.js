@@ -0,0 +1,45 @@
+import { isDemoMode, getSimulatedLevel, createDemoReadings, createDemoHistory } from './demoData';
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2024, 6, 1, 12, 2, 30);
+
+test('turns demo mode on from the URL', () => {
+  expect(isDemoMode('?demo=1')).toBe(true);
+  expect(isDemoMode('?station=demo-river&demo')).toBe(true);
+  expect(isDemoMode('?demo=0')).toBe(false);
+  expect(isDemoMode('?demo=false')).toBe(false);
+  expect(isDemoMode('')).toBe(false);
+});
+
+test('simulates repeatable levels within range', () => {
+  expect(getSimulatedLevel('demo-river', now)).toBe(getSimulatedLevel('demo-river', now));
+
+  for (let minutes = 0; minutes < 24 * 60; minutes += 7) {
+    const level = getSimulatedLevel('demo-creek', now + minutes * MINUTE);
+    expect(level).toBeGreaterThanOrEqual(0);
+    expect(level).toBeLessThanOrEqual(100);
+  }
+});
+
+test('builds readings on whole steps, newest first, marked as demo data', () => {
+  const readings = createDemoReadings('demo-river', { now, durationMinutes: 30, stepMinutes: 5 });
+
+  expect(readings).toHaveLength(7);
+  expect(readings[0].timestamp).toBe(Date.UTC(2024, 6, 1, 12, 0));
+  expect(readings[1].timestamp).toBe(Date.UTC(2024, 6, 1, 11, 55));
+  expect(readings.every(reading => reading.source === 'demo' && reading.deviceId === 'demo-river')).toBe(true);
+});
+
+test('pages through simulated history with the same cursors as Firebase', () => {
+  const hours = createDemoHistory('demo-river', { resolution: '1h', limit: 3, now });
+  expect(hours.map(entry => entry.timestamp)).toEqual([
+    Date.UTC(2024, 6, 1, 12), Date.UTC(2024, 6, 1, 11), Date.UTC(2024, 6, 1, 10)
+  ]);
+  expect(hours[0].min).toBeLessThanOrEqual(hours[0].max);
+
+  const older = createDemoHistory('demo-river', { resolution: '1h', limit: 2, now, before: { key: hours[2].id } });
+  expect(older[0].timestamp).toBe(Date.UTC(2024, 6, 1, 9));
+
+  const windowed = createDemoHistory('demo-river', { resolution: '5m', start: now - 30 * MINUTE, now });
+  expect(windowed).toHaveLength(6);
+});
@@ -0,0 +1,97 @@
+// Device metadata helpers
+// Each station's registry entry (devices/{deviceId}) describes where it is and how its
+// raw sensor distance maps onto a water level, so a new site only needs a registry entry.
+
+// Metadata used for any field a registry entry doesn't set
+export const DEFAULT_DEVICE_PROFILE = {
+  name: null,
+  location: null,     // { lat, lng } of the station
+  mountHeight: 15,    // cm from the sensor face down to the channel bed
+  maxDepth: 8,        // cm of water treated as a full (100%) reading
+  sensorOffset: 0,    // cm added to every raw distance to calibrate the sensor
+  offlineAfter: 10,   // minutes without a reading before the station is shown as offline
+  thresholds: null,   // { warning, critical, hysteresis } in cm, see thresholds.js
+  filter: null        // { method, window, maxRate, confirmAfter }, see filtering.js
+};
+
+// Geometry and timing fields that must be numbers
+const NUMERIC_FIELDS = ['mountHeight', 'maxDepth', 'sensorOffset', 'offlineAfter'];
+
+// Merge a registry entry with the defaults
+export const getDeviceProfile = (device) => {
+  const profile = { ...DEFAULT_DEVICE_PROFILE, ...(device || {}) };
+
+  NUMERIC_FIELDS.forEach(field => {
+    const value = parseFloat(profile[field]);
+    profile[field] = isNaN(value) ? DEFAULT_DEVICE_PROFILE[field] : value;
+  });
+
+  return profile;
+};
+
+// Look up a device's profile in a list of registry entries
+export const findDeviceProfile = (devices, deviceId) => {
+  const device = (devices || []).find(d => d.id === deviceId);
+  return getDeviceProfile(device ? device : { id: deviceId });
+};
+
+// Check metadata before it is written to the registry
+// Returns a list of human readable problems (empty when valid)
+export const validateDeviceMetadata = (metadata) => {
+  const errors = [];
+
+  NUMERIC_FIELDS.forEach(field => {
+    if (metadata[field] !== undefined && isNaN(parseFloat(metadata[field]))) {
+      errors.push(`${field} must be a number`);
+    }
+  });
+
+  if (metadata.maxDepth !== undefined && parseFloat(metadata.maxDepth) <= 0) {
+    errors.push('maxDepth must be greater than 0');
+  }
+
+  if (metadata.mountHeight !== undefined && parseFloat(metadata.mountHeight) <= 0) {
+    errors.push('mountHeight must be greater than 0');
+  }
+
+  if (metadata.offlineAfter !== undefined && parseFloat(metadata.offlineAfter) <= 0) {
+    errors.push('offlineAfter must be greater than 0');
+  }
+
+  if (metadata.location) {
+    const { lat, lng } = metadata.location;
+    if (isNaN(parseFloat(lat)) || lat < -90 || lat > 90) {
+      errors.push('location.lat must be between -90 and 90');
+    }
+    if (isNaN(parseFloat(lng)) || lng < -180 || lng > 180) {
+      errors.push('location.lng must be between -180 and 180');
+    }
+  }
+
+  return errors;
+};
+
+// Convert a raw sensor distance (cm) into a water level percentage
+export const distanceToPercent = (distance, profile) => {
+  const { mountHeight, maxDepth, sensorOffset } = getDeviceProfile(profile);
+  const levelCm = mountHeight - (parseFloat(distance) + sensorOffset);
+  return Math.max(0, Math.min(100, Math.round(levelCm / maxDepth * 100)));
+};
+
+// Convert a water level percentage into centimetres of water
+export const percentToLevelCm = (percent, profile) => {
+  const { maxDepth } = getDeviceProfile(profile);
+  return Math.max(0, Math.min(maxDepth, (parseFloat(percent) / 100) * maxDepth));
+};
+
+// Convert centimetres of water into a water level percentage
+export const levelCmToPercent = (levelCm, profile) => {
+  const { maxDepth } = getDeviceProfile(profile);
+  return Math.max(0, Math.min(100, (parseFloat(levelCm) / maxDepth) * 100));
+};
+
+// Format a water level percentage as centimetres for display, e.g. "3.2cm"
+export const formatLevelCm = (percent, profile) => {
+  if (percent === null || percent === undefined || isNaN(percent)) return null;
+  return `${Number(percentToLevelCm(percent, profile).toFixed(1))}cm`;
+};
@@ -0,0 +1,45 @@
+import {
+  DEFAULT_DEVICE_PROFILE,
+  getDeviceProfile,
+  findDeviceProfile,
+  validateDeviceMetadata,
+  distanceToPercent,
+  percentToLevelCm,
+  formatLevelCm
+} from './devices';
+
+test('fills missing registry fields with the defaults', () => {
+  const profile = getDeviceProfile({ id: 'station-2', maxDepth: '12' });
+  expect(profile.maxDepth).toBe(12);
+  expect(profile.mountHeight).toBe(DEFAULT_DEVICE_PROFILE.mountHeight);
+  expect(profile.sensorOffset).toBe(0);
+});
+
+test('finds a device profile by id, falling back to the defaults', () => {
+  const devices = [{ id: 'a', maxDepth: 20 }];
+  expect(findDeviceProfile(devices, 'a').maxDepth).toBe(20);
+  expect(findDeviceProfile(devices, 'b').maxDepth).toBe(DEFAULT_DEVICE_PROFILE.maxDepth);
+});
+
+test('converts distance to percent using the mount height and sensor offset', () => {
+  const profile = { mountHeight: 100, maxDepth: 50, sensorOffset: -5 };
+  // 100 - (80 - 5) = 25cm of water, half of the 50cm max depth
+  expect(distanceToPercent(80, profile)).toBe(50);
+  expect(distanceToPercent(150, profile)).toBe(0);
+  expect(distanceToPercent(0, profile)).toBe(100);
+});
+
+test('converts percent to centimetres capped at the max depth', () => {
+  expect(percentToLevelCm(50, { maxDepth: 8 })).toBe(4);
+  expect(percentToLevelCm(150, { maxDepth: 8 })).toBe(8);
+  expect(formatLevelCm(40, { maxDepth: 8 })).toBe('3.2cm');
+  expect(formatLevelCm(null, { maxDepth: 8 })).toBeNull();
+});
+
+test('rejects invalid metadata', () => {
+  expect(validateDeviceMetadata({ maxDepth: 8, location: { lat: 14.6, lng: 120.9 } })).toEqual([]);
+  expect(validateDeviceMetadata({ maxDepth: 0 })).toContain('maxDepth must be greater than 0');
+  expect(validateDeviceMetadata({ offlineAfter: 0 })).toContain('offlineAfter must be greater than 0');
+  expect(validateDeviceMetadata({ location: { lat: 120, lng: 14 } }))
+    .toContain('location.lat must be between -90 and 90');
+});
@@ -0,0 +1,137 @@
+// Event log
+// A structured record of what happened at each station: alert status changes, the station going
+// offline or coming back, and edits to its thresholds and other settings. Entries look like
+// { id, type, severity, deviceId, at, message, ...details }. With Firebase they are written to
+// eventLog/ by the Cloud Functions (functions/eventLog.js builds the same entries); the in-memory
+// and MQTT sources log status changes and settings edits in the page.
+//
+// The firmware's free-text messages in systemLogs/ are shown alongside, as 'device' entries.
+
+import { formatLevelCm } from './devices';
+import { getStatusLabel } from './thresholds';
+
+export const EVENT_TYPE_LABELS = {
+  status: 'Status change',
+  connection: 'Online / offline',
+  thresholds: 'Thresholds',
+  settings: 'Settings',
+  device: 'Device message'
+};
+
+// Severities from least to most urgent
+export const EVENT_SEVERITIES = ['info', 'warning', 'critical'];
+
+export const EVENT_SEVERITY_LABELS = {
+  info: 'Info',
+  warning: 'Warning',
+  critical: 'Critical'
+};
+
+// Most entries of each log loaded for one time window
+export const EVENT_LOG_LIMIT = 500;
+
+// Registry fields that change with every reading or heartbeat rather than by an edit
+const UNLOGGED_FIELDS = ['lastSeen', 'lastHeartbeat', 'updatedAt'];
+
+// Severity of entering an alert status
+const STATUS_SEVERITIES = { danger: 'critical', warning: 'warning' };
+
+// Entry for a station's alert status changing, e.g. "Warning -> Critical at 6.5cm"
+export const createStatusEvent = (deviceId, from, to, reading, profile) => ({
+  type: 'status',
+  severity: STATUS_SEVERITIES[to] || 'info',
+  deviceId,
+  at: reading.timestamp,
+  message: `${getStatusLabel(from)} -> ${getStatusLabel(to)} at ${formatLevelCm(reading.waterLevel, profile)}`,
+  from,
+  to,
+  waterLevel: reading.waterLevel
+});
+
+// Registry fields that differ between two versions of a station's entry, sorted by name
+export const getChangedFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !UNLOGGED_FIELDS.includes(field))
+    .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+    .sort();
+};
+
+// Entries for an edit of a station's registry entry: one for its thresholds, one for the rest
+// Returns an empty list when only the reading and heartbeat times changed
+export const createSettingsEvents = (deviceId, before, after, at) => {
+  const changed = getChangedFields(before, after);
+  const events = [];
+
+  if (changed.includes('thresholds')) {
+    const thresholds = (after && after.thresholds) || {};
+    const values = ['warning', 'critical', 'hysteresis']
+      .filter(field => thresholds[field] !== undefined)
+      .map(field => `${field} ${thresholds[field]} cm`);
+    events.push({
+      type: 'thresholds',
+      severity: 'info',
+      deviceId,
+      at,
+      message: values.length > 0 ? `Thresholds set to ${values.join(', ')}` : 'Thresholds reset to the defaults'
+    });
+  }
+
+  const settings = changed.filter(field => field !== 'thresholds');
+  if (settings.length > 0) {
+    events.push({
+      type: 'settings',
+      severity: 'info',
+      deviceId,
+      at,
+      message: before && Object.keys(before).some(field => !UNLOGGED_FIELDS.includes(field))
+        ? `Changed ${settings.join(', ')}`
+        : 'Station registered',
+      fields: settings
+    });
+  }
+
+  return events;
+};
+
+// Turn a stored entry into one with an id, or null when it has no usable time
+export const normalizeEvent = (id, entry) => {
+  const at = Number(entry && entry.at);
+  if (!entry || !at) return null;
+  return {
+    ...entry,
+    id,
+    at,
+    type: EVENT_TYPE_LABELS[entry.type] ? entry.type : 'device',
+    severity: EVENT_SEVERITIES.includes(entry.severity) ? entry.severity : 'info',
+    deviceId: entry.deviceId || null,
+    message: entry.message || ''
+  };
+};
+
+// Turn a firmware message from systemLogs into an entry
+// Older firmware doesn't send its deviceId, so those entries belong to no station
+export const normalizeSystemLog = (id, entry) => normalizeEvent(`system-${id}`, entry && {
+  type: 'device',
+  severity: entry.severity,
+  deviceId: entry.deviceId,
+  at: entry.timestamp,
+  message: String(entry.message || '')
+});
+
+// Entries newest first
+export const sortEvents = (events) => [...events].sort((a, b) => b.at - a.at || (a.id < b.id ? 1 : -1));
+
+// Keep the entries matching the viewer's filters
+// deviceId: one station or null for all, including entries without a station
+// severity: the least urgent severity shown; types: the types shown, or null for all
+export const filterEvents = (events, { deviceId = null, severity = 'info', types = null, start = null, end = null } = {}) => {
+  const minimum = EVENT_SEVERITIES.indexOf(severity);
+  return events.filter(event =>
+    (!deviceId || event.deviceId === deviceId) &&
+    EVENT_SEVERITIES.indexOf(event.severity) >= minimum &&
+    (!types || types.includes(event.type)) &&
+    (start === null || event.at >= start) &&
+    (end === null || event.at <= end)
+  );
+};
@@ -0,0 +1,54 @@
+import {
+  createStatusEvent,
+  createSettingsEvents,
+  normalizeEvent,
+  normalizeSystemLog,
+  sortEvents,
+  filterEvents
+} from './eventLog';
+
+const time = Date.UTC(2024, 6, 1, 1, 0, 0);
+
+test('describes status changes with a severity for the new status', () => {
+  const event = createStatusEvent('station-1', 'warning', 'danger', { timestamp: time, waterLevel: 81 });
+
+  expect(event).toMatchObject({ type: 'status', severity: 'critical', at: time, message: 'Warning -> Critical at 6.5cm' });
+  expect(createStatusEvent('station-1', 'danger', 'normal', { timestamp: time, waterLevel: 10 }).severity).toBe('info');
+});
+
+test('logs threshold and settings edits but not reading and heartbeat times', () => {
+  const before = { name: 'River', maxDepth: 8, lastSeen: time };
+
+  expect(createSettingsEvents('station-1', before, { ...before, lastHeartbeat: time }, time)).toEqual([]);
+  expect(createSettingsEvents('station-1', before, { ...before, maxDepth: 10, thresholds: { warning: 4 } }, time)
+    .map(event => event.message)).toEqual(['Thresholds set to warning 4 cm', 'Changed maxDepth']);
+  expect(createSettingsEvents('station-1', undefined, before, time)[0].message).toBe('Station registered');
+});
+
+test('reads firmware messages and tolerates unexpected entries', () => {
+  expect(normalizeSystemLog('1719795600000', { message: 'Connected', timestamp: time })).toEqual({
+    id: 'system-1719795600000',
+    type: 'device',
+    severity: 'info',
+    deviceId: null,
+    at: time,
+    message: 'Connected'
+  });
+  expect(normalizeEvent('a', { type: 'status', severity: 'urgent', at: String(time) })).toMatchObject({ severity: 'info', at: time });
+  expect(normalizeEvent('b', { message: 'no time' })).toBeNull();
+});
+
+test('filters by station, minimum severity, type and time', () => {
+  const events = sortEvents([
+    { id: 'a', type: 'status', severity: 'warning', deviceId: 'station-1', at: time },
+    { id: 'b', type: 'connection', severity: 'warning', deviceId: 'station-2', at: time + 1 },
+    { id: 'c', type: 'device', severity: 'info', deviceId: null, at: time + 2 },
+    { id: 'd', type: 'status', severity: 'critical', deviceId: 'station-1', at: time + 3 }
+  ]);
+
+  expect(events.map(event => event.id)).toEqual(['d', 'c', 'b', 'a']);
+  expect(filterEvents(events, { deviceId: 'station-1' }).map(event => event.id)).toEqual(['d', 'a']);
+  expect(filterEvents(events, { severity: 'warning' }).map(event => event.id)).toEqual(['d', 'b', 'a']);
+  expect(filterEvents(events, { types: ['connection', 'device'] }).map(event => event.id)).toEqual(['c', 'b']);
+  expect(filterEvents(events, { start: time + 1, end: time + 2 }).map(event => event.id)).toEqual(['c', 'b']);
+});
@@ -0,0 +1,170 @@
+// Export of historical readings to CSV, JSON and Excel
+// Readings are fetched page by page for one station and time range, then turned into flat rows
+// with levels in cm and percent, statuses and ISO timestamps in the site's timezone.
+
+import { percentToLevelCm } from './devices';
+import { getStatusFromWaterLevel, getStatusLabel } from './thresholds';
+import { SITE_TIMEZONE, formatIsoInTimeZone } from './timezone';
+
+// Formats offered in the export dialog
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8' },
+  { key: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+  { key: 'xlsx', label: 'Excel (XLSX)', extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+];
+
+// Resolutions offered in the export dialog
+export const EXPORT_RESOLUTIONS = [
+  { key: 'raw', label: 'Raw readings' },
+  { key: '5m', label: '5-minute averages' },
+  { key: '1h', label: 'Hourly averages' }
+];
+
+// Entries fetched per request while collecting an export
+const EXPORT_PAGE_SIZE = 1000;
+
+// Fetch every entry of a station's history in a time range, oldest first
+// source is the data module in use (firebase.js or demoData.js)
+export const fetchAllHistory = async (source, deviceId, { resolution, start, end }) => {
+  const readings = [];
+  let before = null;
+
+  do {
+    const page = await source.fetchHistoryPage(deviceId, { resolution, start, end, limit: EXPORT_PAGE_SIZE, before });
+    readings.push(...page.readings);
+    before = page.cursor;
+  } while (before);
+
+  return readings.reverse();
+};
+
+// Round a percentage to one decimal place, converting it to cm of water first if asked
+const toValue = (percent, profile, inCm) => {
+  if (percent === null || percent === undefined || isNaN(percent)) return null;
+  return Number((inCm ? percentToLevelCm(percent, profile) : percent).toFixed(1));
+};
+
+// Turn readings into flat export rows, oldest first
+// Levels are filtered (see filtering.js); raw rows also carry the raw level and the suspect flag
+// Aggregated rows carry the bucket's min, max and count, and their status is the status of the
+// bucket's peak so a short Critical spike isn't averaged away
+export const buildExportRows = (readings, profile, { resolution, timeZone = SITE_TIMEZONE }) => {
+  const isRaw = resolution === 'raw';
+
+  return [...readings]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(reading => {
+      const row = {
+        timestamp: formatIsoInTimeZone(reading.timestamp, timeZone),
+        deviceId: reading.deviceId,
+        deviceName: profile.name || reading.deviceId,
+        levelCm: toValue(reading.waterLevel, profile, true),
+        levelPercent: toValue(reading.waterLevel, profile, false),
+        status: getStatusLabel(getStatusFromWaterLevel(isRaw ? reading.waterLevel : reading.max, profile))
+      };
+
+      if (isRaw) {
+        row.rawLevelCm = toValue(reading.rawLevel === undefined ? reading.waterLevel : reading.rawLevel, profile, true);
+        row.suspect = reading.suspect === true;
+        row.distanceCm = reading.distance === null || isNaN(reading.distance) ? null : reading.distance;
+      } else {
+        row.minCm = toValue(reading.min, profile, true);
+        row.maxCm = toValue(reading.max, profile, true);
+        row.count = reading.count === undefined ? null : reading.count;
+      }
+
+      return row;
+    });
+};
+
+// Column names written in the header of CSV and Excel files
+const COLUMN_TITLES = {
+  timestamp: 'timestamp',
+  deviceId: 'device_id',
+  deviceName: 'device_name',
+  levelCm: 'level_cm',
+  levelPercent: 'level_percent',
+  status: 'status',
+  rawLevelCm: 'raw_level_cm',
+  suspect: 'suspect',
+  distanceCm: 'distance_cm',
+  minCm: 'min_cm',
+  maxCm: 'max_cm',
+  count: 'reading_count'
+};
+
+// Columns present in a set of rows, in export order
+const getColumns = (resolution) => resolution === 'raw'
+  ? ['timestamp', 'deviceId', 'deviceName', 'levelCm', 'levelPercent', 'status', 'rawLevelCm', 'suspect', 'distanceCm']
+  : ['timestamp', 'deviceId', 'deviceName', 'levelCm', 'minCm', 'maxCm', 'levelPercent', 'status', 'count'];
+
+// Quote a CSV field when it contains a separator, quote or line break
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from export rows
+export const toCsv = (rows, resolution) => {
+  const columns = getColumns(resolution);
+  const lines = [
+    columns.map(column => COLUMN_TITLES[column]).join(','),
+    ...rows.map(row => columns.map(column => escapeCsv(row[column])).join(','))
+  ];
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Build JSON text from export rows, with the export's details alongside
+export const toJson = (rows, details) => JSON.stringify({
+  deviceId: details.deviceId,
+  deviceName: details.deviceName,
+  resolution: details.resolution,
+  timeZone: details.timeZone,
+  start: formatIsoInTimeZone(details.start, details.timeZone),
+  end: formatIsoInTimeZone(details.end, details.timeZone),
+  exportedAt: formatIsoInTimeZone(Date.now(), details.timeZone),
+  readings: rows
+}, null, 2);
+
+// Build an Excel workbook from export rows
+// The spreadsheet writer is only loaded when an Excel export is requested
+const toXlsx = async (rows, resolution) => {
+  const { default: writeXlsxFile } = await import('write-excel-file/browser');
+  const columns = getColumns(resolution);
+  const sheetData = [
+    columns.map(column => ({ value: COLUMN_TITLES[column], fontWeight: 'bold' })),
+    ...rows.map(row => columns.map(column => row[column]))
+  ];
+
+  return writeXlsxFile(sheetData, { columns: columns.map(column => ({ width: column === 'timestamp' ? 26 : 14 })) }).toBlob();
+};
+
+// Create the export file as a Blob
+// details: { deviceId, deviceName, resolution, timeZone, start, end }
+export const createExportFile = async (rows, format, details) => {
+  const { type } = EXPORT_FORMATS.find(f => f.key === format);
+
+  if (format === 'xlsx') return toXlsx(rows, details.resolution);
+  if (format === 'json') return new Blob([toJson(rows, details)], { type });
+  return new Blob([toCsv(rows, details.resolution)], { type });
+};
+
+// Name the export after the station, resolution and dates, e.g. station-1_1h_2024-07-01_2024-07-07.csv
+export const getExportFileName = (format, { deviceId, resolution, start, end, timeZone }) => {
+  const { extension } = EXPORT_FORMATS.find(f => f.key === format);
+  const day = (timestamp) => formatIsoInTimeZone(timestamp, timeZone).slice(0, 10);
+  return `${deviceId}_${resolution}_${day(start)}_${day(end)}.${extension}`;
+};
+
+// Save a Blob through the browser's download prompt
+export const downloadFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,83 @@
+import { fetchAllHistory, buildExportRows, toCsv, toJson, getExportFileName } from './exportData';
+import { formatIsoInTimeZone, startOfDayInTimeZone } from './timezone';
+
+const MINUTE = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 7, 30);
+const profile = { id: 'station-1', name: 'Bridge, North', maxDepth: 10, thresholds: { warning: 3, critical: 6 } };
+
+test('formats ISO timestamps with the site offset', () => {
+  expect(formatIsoInTimeZone(time, 'Asia/Manila')).toBe('2024-07-01T09:07:30+08:00');
+  expect(formatIsoInTimeZone(time, 'UTC')).toBe('2024-07-01T01:07:30+00:00');
+  expect(formatIsoInTimeZone(time, 'America/New_York')).toBe('2024-06-30T21:07:30-04:00');
+  expect(startOfDayInTimeZone('2024-07-01', 'Asia/Manila')).toBe(Date.UTC(2024, 5, 30, 16));
+});
+
+test('collects every page of history, oldest first', async () => {
+  const pages = [
+    { readings: [{ timestamp: 3 }, { timestamp: 2 }], cursor: { key: '2', value: 2 } },
+    { readings: [{ timestamp: 1 }], cursor: null }
+  ];
+  const source = { fetchHistoryPage: jest.fn(async () => pages.shift()) };
+
+  const readings = await fetchAllHistory(source, 'station-1', { resolution: '5m', start: 0, end: 10 });
+
+  expect(readings.map(reading => reading.timestamp)).toEqual([1, 2, 3]);
+  expect(source.fetchHistoryPage.mock.calls[1][1].before).toEqual({ key: '2', value: 2 });
+});
+
+test('builds raw rows with cm, percent, status and the raw level', () => {
+  const rows = buildExportRows([
+    { deviceId: 'station-1', timestamp: time + MINUTE, waterLevel: 70, distance: 8 },
+    { deviceId: 'station-1', timestamp: time, waterLevel: 25, distance: 12.5 },
+    { deviceId: 'station-1', timestamp: time + 2 * MINUTE, waterLevel: 70, rawLevel: 100, suspect: true, distance: 5 }
+  ], profile, { resolution: 'raw', timeZone: 'Asia/Manila' });
+
+  expect(rows[0]).toEqual({
+    timestamp: '2024-07-01T09:07:30+08:00',
+    deviceId: 'station-1',
+    deviceName: 'Bridge, North',
+    levelCm: 2.5,
+    levelPercent: 25,
+    status: 'Safe',
+    rawLevelCm: 2.5,
+    suspect: false,
+    distanceCm: 12.5
+  });
+  expect(rows[1].status).toBe('Critical');
+  expect(rows[2]).toMatchObject({ levelCm: 7, rawLevelCm: 10, suspect: true });
+});
+
+test('gives aggregated rows the status of their peak', () => {
+  const [row] = buildExportRows([
+    { deviceId: 'station-1', timestamp: time, waterLevel: 20, min: 10, max: 40, count: 5 }
+  ], profile, { resolution: '5m', timeZone: 'Asia/Manila' });
+
+  expect(row).toMatchObject({ levelCm: 2, minCm: 1, maxCm: 4, count: 5, status: 'Warning' });
+});
+
+test('writes CSV with a header and quoted fields', () => {
+  const rows = buildExportRows([
+    { deviceId: 'station-1', timestamp: time, waterLevel: 25, distance: null }
+  ], profile, { resolution: 'raw', timeZone: 'Asia/Manila' });
+
+  expect(toCsv(rows, 'raw')).toBe(
+    'timestamp,device_id,device_name,level_cm,level_percent,status,raw_level_cm,suspect,distance_cm\r\n' +
+    '2024-07-01T09:07:30+08:00,station-1,"Bridge, North",2.5,25,Safe,2.5,false,\r\n'
+  );
+});
+
+test('writes JSON and file names with the export details', () => {
+  const details = {
+    deviceId: 'station-1',
+    deviceName: 'Bridge, North',
+    resolution: '1h',
+    timeZone: 'Asia/Manila',
+    start: startOfDayInTimeZone('2024-07-01', 'Asia/Manila'),
+    end: startOfDayInTimeZone('2024-07-08', 'Asia/Manila') - 1
+  };
+
+  const json = JSON.parse(toJson([], details));
+  expect(json.start).toBe('2024-07-01T00:00:00+08:00');
+  expect(json.end).toBe('2024-07-07T23:59:59+08:00');
+  expect(getExportFileName('xlsx', details)).toBe('station-1_1h_2024-07-01_2024-07-07.xlsx');
+});
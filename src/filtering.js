@@ -0,0 +1,130 @@
+// Sensor noise filtering
+// Ultrasonic readings jump when debris or foam passes under the sensor. Every stored reading keeps
+// its raw waterLevel; the filter adds filteredLevel, and flags readings that moved further than
+// the water physically could since the last good one (suspect: true, suspectReason: 'spike')
+// instead of dropping them. Alerts, incidents and the chart's main line use the filtered level.
+//
+// Settings are stored per device in the registry (devices/{deviceId}/filter). With Firebase the
+// filterReading function applies them as readings arrive (functions/filtering.js does the same
+// steps); the in-memory and MQTT sources filter in the page.
+
+import { percentToLevelCm } from './devices';
+
+// Settings used for any field a device doesn't set
+export const DEFAULT_FILTER = {
+  method: 'median',   // 'median', 'mean' (moving average) or 'off'
+  window: 5,          // accepted readings smoothed together
+  maxRate: 2,         // cm per minute the water can plausibly rise or fall
+  confirmAfter: 3     // suspect readings in a row that agree before they are accepted as a real change
+};
+
+export const FILTER_METHOD_LABELS = {
+  median: 'Median',
+  mean: 'Moving average',
+  off: 'Off'
+};
+
+// Change in cm always allowed between readings, for the sensor's own jitter
+const SPIKE_MARGIN_CM = 0.5;
+
+// After a gap this long the filter starts again from the next reading
+const MAX_GAP_MS = 30 * 60 * 1000;
+
+// Merge a device's filter settings with the defaults
+export const getFilterSettings = (profile) => {
+  const filter = { ...DEFAULT_FILTER, ...((profile && profile.filter) || {}) };
+
+  ['window', 'maxRate', 'confirmAfter'].forEach(field => {
+    const value = parseFloat(filter[field]);
+    filter[field] = isNaN(value) ? DEFAULT_FILTER[field] : value;
+  });
+  if (!FILTER_METHOD_LABELS[filter.method]) filter.method = DEFAULT_FILTER.method;
+
+  return filter;
+};
+
+// Check filter settings before they are written to the registry
+// Returns a list of human readable problems (empty when valid)
+export const validateFilterSettings = (filter) => {
+  const errors = [];
+  const size = parseFloat(filter.window);
+  const maxRate = parseFloat(filter.maxRate);
+  const confirmAfter = parseFloat(filter.confirmAfter);
+
+  if (!FILTER_METHOD_LABELS[filter.method]) errors.push('Filter must be median, moving average or off');
+  if (!Number.isInteger(size) || size < 1 || size > 30) errors.push('Filter window must be a whole number of readings from 1 to 30');
+  if (isNaN(maxRate) || maxRate <= 0) errors.push('Maximum change must be a number greater than 0');
+  if (!Number.isInteger(confirmAfter) || confirmAfter < 2) errors.push('Confirm after must be a whole number of at least 2 readings');
+
+  return errors;
+};
+
+// Median or mean of a list of levels, rounded to 0.1%
+const smooth = (levels, method) => {
+  let value;
+  if (method === 'median') {
+    const sorted = [...levels].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  } else {
+    value = levels.reduce((sum, level) => sum + level, 0) / levels.length;
+  }
+  return Math.round(value * 10) / 10;
+};
+
+// Check whether a level is within reach of an earlier one, given the time between them
+const isPlausible = (from, to, profile, maxRate) => {
+  const minutes = Math.max(0, to.timestamp - from.timestamp) / 60000;
+  const changeCm = Math.abs(percentToLevelCm(to.waterLevel, profile) - percentToLevelCm(from.waterLevel, profile));
+  return changeCm <= maxRate * minutes + SPIKE_MARGIN_CM;
+};
+
+// Apply one reading ({ timestamp, waterLevel } in percent) to a station's filter state
+// state: { at, filtered, recent: [accepted readings], pending: [suspect readings in a row] } or null
+// Returns { state, result }: the new state (undefined when unchanged) and the fields to store
+// with the reading, { filteredLevel } plus suspect and suspectReason for a flagged reading.
+// Readings older than the last one filtered can't be judged in order, so they pass through.
+export const applyFilter = (state, reading, profile) => {
+  const settings = getFilterSettings(profile);
+  const point = { timestamp: reading.timestamp, waterLevel: reading.waterLevel };
+
+  if (state && reading.timestamp <= state.at) {
+    return { state: undefined, result: { filteredLevel: reading.waterLevel } };
+  }
+  if (settings.method === 'off') {
+    return { state: { at: reading.timestamp, filtered: reading.waterLevel, recent: [], pending: [] }, result: { filteredLevel: reading.waterLevel } };
+  }
+
+  const accept = (recent) => {
+    const kept = recent.slice(-settings.window);
+    const filtered = smooth(kept.map(entry => entry.waterLevel), settings.method);
+    return { state: { at: reading.timestamp, filtered, recent: kept, pending: [] }, result: { filteredLevel: filtered } };
+  };
+
+  const recent = (state && state.recent) || [];
+  const last = recent[recent.length - 1];
+  if (!last || reading.timestamp - last.timestamp > MAX_GAP_MS) return accept([point]);
+
+  // Judge the reading against the filtered level at the time of the last accepted reading
+  if (isPlausible({ timestamp: last.timestamp, waterLevel: state.filtered }, point, profile, settings.maxRate)) {
+    return accept([...recent, point]);
+  }
+
+  // Several implausible readings in a row that agree with each other are a real change
+  // (e.g. the sensor was moved), so the filter follows them rather than holding the old level
+  const pending = [...((state && state.pending) || []), point];
+  const agree = pending.every((entry, i) => i === 0 || isPlausible(pending[i - 1], entry, profile, settings.maxRate));
+  if (!agree) pending.splice(0, pending.length - 1);
+  if (pending.length >= settings.confirmAfter) return accept(pending);
+
+  return {
+    state: { ...state, at: reading.timestamp, pending },
+    result: { filteredLevel: state.filtered, suspect: true, suspectReason: 'spike' }
+  };
+};
+
+// Level to use for alerts and charts: the filtered level where the reading has one
+export const getFilteredLevel = (reading) => {
+  const filtered = reading && reading.filteredLevel;
+  return typeof filtered === 'number' && !isNaN(filtered) ? filtered : reading && reading.waterLevel;
+};
@@ -0,0 +1,54 @@
+import { applyFilter, getFilterSettings, validateFilterSettings, getFilteredLevel } from './filtering';
+
+const MINUTE = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 7, 30);
+
+// 1% of a 100cm max depth is 1cm, which keeps the numbers readable
+const profile = { maxDepth: 100, filter: { window: 3, maxRate: 1, confirmAfter: 3 } };
+
+// Run readings one minute apart through the filter, returning each result
+const run = (levels, settings = profile) => {
+  let state = null;
+  return levels.map((waterLevel, i) => {
+    const filtered = applyFilter(state, { timestamp: time + i * MINUTE, waterLevel }, settings);
+    if (filtered.state !== undefined) state = filtered.state;
+    return filtered.result;
+  });
+};
+
+test('smooths readings with a running median or moving average', () => {
+  expect(run([20, 21, 20.5, 21.5]).map(result => result.filteredLevel)).toEqual([20, 20.5, 20.5, 21]);
+  const mean = { ...profile, filter: { ...profile.filter, method: 'mean' } };
+  expect(run([20, 21, 21.5], mean).map(result => result.filteredLevel)).toEqual([20, 20.5, 20.8]);
+});
+
+test('flags spikes, holding the filtered level, until a change is confirmed', () => {
+  const results = run([20, 20, 60, 20, 60, 60.5, 61]);
+  expect(results[2]).toEqual({ filteredLevel: 20, suspect: true, suspectReason: 'spike' });
+  expect(results[3].suspect).toBeUndefined();
+  expect(results[5].suspect).toBe(true);
+  expect(results[6]).toEqual({ filteredLevel: 60.5 });
+});
+
+test('allows larger changes after longer gaps, and starts again after a long one', () => {
+  const state = applyFilter(null, { timestamp: time, waterLevel: 20 }, profile).state;
+  expect(applyFilter(state, { timestamp: time + 10 * MINUTE, waterLevel: 30 }, profile).result.suspect).toBeUndefined();
+  expect(applyFilter(state, { timestamp: time + 10 * MINUTE, waterLevel: 40 }, profile).result.suspect).toBe(true);
+  expect(applyFilter(state, { timestamp: time + 60 * MINUTE, waterLevel: 90 }, profile).result).toEqual({ filteredLevel: 90 });
+});
+
+test('passes readings through when off or out of order', () => {
+  const off = { ...profile, filter: { method: 'off' } };
+  expect(run([20, 90], off)).toEqual([{ filteredLevel: 20 }, { filteredLevel: 90 }]);
+
+  const state = applyFilter(null, { timestamp: time, waterLevel: 20 }, profile).state;
+  expect(applyFilter(state, { timestamp: time - MINUTE, waterLevel: 90 }, profile)).toEqual({ state: undefined, result: { filteredLevel: 90 } });
+});
+
+test('reads and checks filter settings', () => {
+  expect(getFilterSettings({ filter: { window: '7', method: 'kalman' } })).toEqual({ method: 'median', window: 7, maxRate: 2, confirmAfter: 3 });
+  expect(validateFilterSettings({ method: 'mean', window: 5, maxRate: 2, confirmAfter: 3 })).toEqual([]);
+  expect(validateFilterSettings({ method: 'median', window: 2.5, maxRate: 0, confirmAfter: 1 })).toHaveLength(3);
+  expect(getFilteredLevel({ waterLevel: 90, filteredLevel: 20 })).toBe(20);
+  expect(getFilteredLevel({ waterLevel: 90 })).toBe(90);
+});
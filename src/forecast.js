@@ -0,0 +1,137 @@
+// Short-term water level forecast
+// Projects the next couple of hours from the last hour of raw readings with Holt's linear
+// exponential smoothing: a smoothed level plus a smoothed trend, extended in a straight line.
+// The readings are averaged into one-minute steps first, and the smoothing weights are the ones
+// that best predicted each next minute of that hour, so a noisy sensor gets a steadier line.
+// The confidence band widens with the horizon, based on how far those one-minute predictions missed.
+// This is a local extrapolation, not a hydrological model: it can't see rain that hasn't arrived.
+
+import { percentToLevelCm } from './devices';
+import { getThresholds } from './thresholds';
+
+const MINUTE_MS = 60 * 1000;
+
+// How far ahead to project, and how much history to fit on
+export const FORECAST_HORIZON_MINUTES = 120;
+export const FORECAST_INPUT_MINUTES = 60;
+
+// At least this many minutes with readings, ending no more than FORECAST_MAX_AGE_MINUTES ago,
+// are needed before anything is projected
+const MIN_INPUT_MINUTES = 10;
+const FORECAST_MAX_AGE_MINUTES = 10;
+
+// Width of the confidence band, as a z-score (80% of outcomes fall inside it)
+export const FORECAST_CONFIDENCE = 0.8;
+const CONFIDENCE_Z = 1.2816;
+
+// Smoothing weights tried when fitting: alpha for the level, beta for the trend
+const ALPHAS = [0.2, 0.4, 0.6, 0.8];
+const BETAS = [0.05, 0.1, 0.2, 0.3];
+
+// Average readings into one value per minute, oldest first, filling missing minutes in a straight line
+// Returns [{ timestamp, levelCm }] with timestamps on minute boundaries
+export const resampleByMinute = (readings, profile, { start, end }) => {
+  const sums = new Map();
+  (readings || []).forEach(reading => {
+    if (reading.timestamp < start || reading.timestamp > end || reading.waterLevel === null ||
+      reading.waterLevel === undefined || isNaN(reading.waterLevel)) return;
+
+    const minute = Math.floor(reading.timestamp / MINUTE_MS) * MINUTE_MS;
+    const sum = sums.get(minute) || { total: 0, count: 0 };
+    sum.total += percentToLevelCm(reading.waterLevel, profile);
+    sum.count += 1;
+    sums.set(minute, sum);
+  });
+
+  const minutes = [...sums.keys()].sort((a, b) => a - b);
+  const series = [];
+  minutes.forEach((minute, i) => {
+    const levelCm = sums.get(minute).total / sums.get(minute).count;
+    if (i > 0) {
+      const previous = series[series.length - 1];
+      const gap = (minute - previous.timestamp) / MINUTE_MS;
+      for (let step = 1; step < gap; step++) {
+        series.push({ timestamp: previous.timestamp + step * MINUTE_MS, levelCm: previous.levelCm + ((levelCm - previous.levelCm) * step) / gap });
+      }
+    }
+    series.push({ timestamp: minute, levelCm });
+  });
+  return { series, measured: minutes.length };
+};
+
+// Run Holt's smoothing over a series of values
+// Returns the final level and trend, and the squared error of every one-step prediction
+export const fitHolt = (values, alpha, beta) => {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let squaredError = 0;
+
+  for (let i = 1; i < values.length; i++) {
+    const predicted = level + trend;
+    squaredError += (values[i] - predicted) ** 2;
+
+    const previousLevel = level;
+    level = alpha * values[i] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+
+  return { level, trend, squaredError, predictions: values.length - 1 };
+};
+
+// Spread of the prediction h steps ahead relative to one step ahead (additive Holt model)
+const horizonSpread = (h, alpha, beta) =>
+  Math.sqrt(1 + (h - 1) * (alpha ** 2 + alpha * beta * h + (beta ** 2 * h * (2 * h - 1)) / 6));
+
+// Project a station's level over the next horizonMinutes
+// readings: [{ timestamp, waterLevel (percent) }] in any order
+// Returns { from, points: [{ timestamp, levelCm, lowCm, highCm }], criticalInMinutes, alpha, beta }
+// or null when there aren't enough recent readings. criticalInMinutes is how long until the
+// projected level passes the Critical threshold, or null if it doesn't within the horizon
+// (or is there already).
+export const computeForecast = (readings, profile, { now = Date.now(), horizonMinutes = FORECAST_HORIZON_MINUTES } = {}) => {
+  const { series, measured } = resampleByMinute(readings, profile, { start: now - FORECAST_INPUT_MINUTES * MINUTE_MS, end: now });
+  if (measured < MIN_INPUT_MINUTES) return null;
+
+  const last = series[series.length - 1];
+  if (now - last.timestamp > FORECAST_MAX_AGE_MINUTES * MINUTE_MS) return null;
+
+  const values = series.map(point => point.levelCm);
+  let best = null;
+  ALPHAS.forEach(alpha => BETAS.forEach(beta => {
+    const fit = fitHolt(values, alpha, beta);
+    if (!best || fit.squaredError < best.squaredError) best = { ...fit, alpha, beta };
+  }));
+
+  const { maxDepth } = profile;
+  const { critical } = getThresholds(profile);
+  const sigma = Math.sqrt(best.squaredError / Math.max(1, best.predictions - 2));
+  const clamp = (levelCm) => Math.max(0, Math.min(maxDepth, levelCm));
+
+  const points = [];
+  let criticalInMinutes = null;
+  for (let h = 1; h <= horizonMinutes; h++) {
+    const timestamp = last.timestamp + h * MINUTE_MS;
+    const levelCm = best.level + h * best.trend;
+    const margin = CONFIDENCE_Z * sigma * horizonSpread(h, best.alpha, best.beta);
+    points.push({ timestamp, levelCm: clamp(levelCm), lowCm: clamp(levelCm - margin), highCm: clamp(levelCm + margin) });
+
+    if (criticalInMinutes === null && best.level <= critical && levelCm > critical && timestamp > now) {
+      criticalInMinutes = Math.max(1, Math.round((timestamp - now) / MINUTE_MS));
+    }
+  }
+
+  return { from: { timestamp: last.timestamp, levelCm: clamp(best.level) }, points, criticalInMinutes, alpha: best.alpha, beta: best.beta };
+};
+
+// Minutes of projection drawn on a trend chart covering durationMs: half the window, from 30
+// minutes up to the whole horizon
+export const getForecastChartMinutes = (durationMs) =>
+  Math.min(FORECAST_HORIZON_MINUTES, Math.max(30, Math.round(durationMs / MINUTE_MS / 2)));
+
+// Describe when Critical is expected, e.g. "Projected to reach Critical in ~25 min"
+export const describeForecast = (forecast) => {
+  if (!forecast || forecast.criticalInMinutes === null) return null;
+  const minutes = forecast.criticalInMinutes;
+  const rounded = minutes < 10 ? minutes : Math.round(minutes / 5) * 5;
+  return `Projected to reach Critical in ~${rounded} min`;
+};
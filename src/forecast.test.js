@@ -0,0 +1,55 @@
+import { computeForecast, describeForecast, getForecastChartMinutes } from './forecast';
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2024, 6, 1, 12, 0);
+
+// 1% of a 100cm max depth is 1cm, which keeps the numbers readable
+const profile = { maxDepth: 100, thresholds: { warning: 40, critical: 60, hysteresis: 1 } };
+
+// Build a reading every minute for the last hour, from a function of minutes ago
+const series = (levelAt, count = 61) => Array.from({ length: count }, (_, i) => ({
+  timestamp: now - i * MINUTE,
+  waterLevel: levelAt(i)
+}));
+
+test('projects a steady rise and when it reaches Critical', () => {
+  // 0.5cm a minute, at 30cm now
+  const forecast = computeForecast(series(minutesAgo => 30 - minutesAgo / 2), profile, { now });
+
+  expect(forecast.from.levelCm).toBeCloseTo(30);
+  expect(forecast.points).toHaveLength(120);
+  expect(forecast.points[19].levelCm).toBeCloseTo(40);
+  expect(forecast.criticalInMinutes).toBe(61);
+  expect(describeForecast(forecast)).toBe('Projected to reach Critical in ~60 min');
+});
+
+test('widens the band further ahead for noisy readings', () => {
+  const forecast = computeForecast(series(minutesAgo => 30 + (minutesAgo % 2 ? 1 : -1)), profile, { now });
+  const near = forecast.points[4];
+  const far = forecast.points[119];
+
+  expect(near.lowCm).toBeLessThan(near.levelCm);
+  expect(near.highCm).toBeGreaterThan(near.levelCm);
+  expect(far.highCm - far.lowCm).toBeGreaterThan(near.highCm - near.lowCm);
+  expect(forecast.criticalInMinutes).toBeNull();
+  expect(describeForecast(forecast)).toBeNull();
+});
+
+test('keeps the projection within the station depth', () => {
+  const forecast = computeForecast(series(minutesAgo => 90 - minutesAgo), profile, { now });
+  expect(forecast.points[forecast.points.length - 1].highCm).toBe(100);
+  // Already past Critical, so there is nothing to count down to
+  expect(forecast.criticalInMinutes).toBeNull();
+});
+
+test('needs enough recent readings', () => {
+  expect(computeForecast(series(() => 30, 5), profile, { now })).toBeNull();
+  expect(computeForecast(series(() => 30), profile, { now: now + 20 * MINUTE })).toBeNull();
+  expect(computeForecast([], profile, { now })).toBeNull();
+});
+
+test('draws half the chart window ahead, within limits', () => {
+  expect(getForecastChartMinutes(60 * MINUTE)).toBe(30);
+  expect(getForecastChartMinutes(3 * 60 * MINUTE)).toBe(90);
+  expect(getForecastChartMinutes(24 * 60 * MINUTE)).toBe(120);
+});
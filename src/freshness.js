@@ -0,0 +1,76 @@
+// Sensor freshness model
+// A station is only "live" while its readings are recent. The ESP8266 also writes a heartbeat
+// (devices/{deviceId}/lastHeartbeat) while it is connected, which tells a silent sensor apart
+// from a station that has dropped off the network.
+
+import { getDeviceProfile } from './devices';
+
+const MINUTE_MS = 60 * 1000;
+
+// Freshness states
+// live        - a reading arrived within the station's offlineAfter window
+// no-readings - the station is still sending heartbeats, but its sensor has gone quiet
+// offline     - neither readings nor heartbeats are arriving
+// unknown     - the station has never sent a reading with a valid timestamp
+export const FRESHNESS_LABELS = {
+  live: 'Live',
+  'no-readings': 'No readings',
+  offline: 'Offline',
+  unknown: 'No data'
+};
+
+// Pick the newest of several timestamps, ignoring missing ones
+const newest = (...timestamps) => {
+  const valid = timestamps.filter(timestamp => typeof timestamp === 'number' && !isNaN(timestamp));
+  return valid.length > 0 ? Math.max(...valid) : null;
+};
+
+// Work out how fresh a station's data is
+// device: registry entry (lastSeen, lastHeartbeat, offlineAfter), reading: its current reading
+// The reading's receipt time is used where it has one, so a station whose clock is behind doesn't look offline
+// Returns { state, lastReadingAt, ageMs }
+export const getFreshness = (device, reading, now = Date.now()) => {
+  const { offlineAfter } = getDeviceProfile(device);
+  const windowMs = offlineAfter * MINUTE_MS;
+
+  const readingAt = reading ? reading.receivedAt || reading.timestamp : null;
+  const lastReadingAt = newest(readingAt, device ? device.lastSeen : null);
+  const lastHeartbeatAt = newest(device ? device.lastHeartbeat : null);
+
+  if (lastReadingAt === null) {
+    return { state: 'unknown', lastReadingAt: null, ageMs: null };
+  }
+
+  const ageMs = Math.max(0, now - lastReadingAt);
+  if (ageMs <= windowMs) {
+    return { state: 'live', lastReadingAt, ageMs };
+  }
+
+  const heartbeatFresh = lastHeartbeatAt !== null && now - lastHeartbeatAt <= windowMs;
+  return { state: heartbeatFresh ? 'no-readings' : 'offline', lastReadingAt, ageMs };
+};
+
+// Format how long ago something happened, e.g. "12 min ago"
+export const formatAge = (ageMs) => {
+  if (ageMs === null || ageMs === undefined) return 'never';
+
+  const minutes = Math.floor(ageMs / MINUTE_MS);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+
+  return `${Math.floor(hours / 24)} days ago`;
+};
+
+// Describe a station's freshness for status boxes and the map, e.g. "Offline / last seen 12 min ago"
+export const describeFreshness = (freshness) => {
+  if (freshness.state === 'live') return FRESHNESS_LABELS.live;
+  if (freshness.state === 'unknown') return FRESHNESS_LABELS.unknown;
+  return `${FRESHNESS_LABELS[freshness.state]} / last seen ${formatAge(freshness.ageMs)}`;
+};
+
+// Time of the newest of several readings (e.g. every station's current reading), or null
+// Tells how old the data on screen is when it comes from the offline copy
+export const getNewestReadingTime = (readings) => newest(...readings.map(reading => reading.timestamp));
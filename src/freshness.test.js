@@ -0,0 +1,55 @@
+import { getFreshness, formatAge, describeFreshness, getNewestReadingTime } from './freshness';
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2024, 6, 1, 12, 0);
+
+const device = { id: 'station-1', offlineAfter: 10 };
+
+test('is live while the latest reading is inside the offline window', () => {
+  const freshness = getFreshness(device, { timestamp: now - 4 * MINUTE }, now);
+  expect(freshness.state).toBe('live');
+  expect(freshness.ageMs).toBe(4 * MINUTE);
+  expect(describeFreshness(freshness)).toBe('Live');
+});
+
+test('goes offline once readings stop, using the newest of the reading and lastSeen', () => {
+  const reading = { timestamp: now - 30 * MINUTE };
+  const freshness = getFreshness({ ...device, lastSeen: now - 12 * MINUTE }, reading, now);
+  expect(freshness.state).toBe('offline');
+  expect(freshness.lastReadingAt).toBe(now - 12 * MINUTE);
+  expect(describeFreshness(freshness)).toBe('Offline / last seen 12 min ago');
+});
+
+test('goes by when a reading arrived when the station clock is behind', () => {
+  const reading = { timestamp: now - 3 * 60 * MINUTE, receivedAt: now - 2 * MINUTE };
+  expect(getFreshness(device, reading, now).state).toBe('live');
+});
+
+test('tells a quiet sensor apart from an offline board using the heartbeat', () => {
+  const reading = { timestamp: now - 20 * MINUTE };
+  const quiet = getFreshness({ ...device, lastHeartbeat: now - MINUTE }, reading, now);
+  expect(quiet.state).toBe('no-readings');
+
+  // A heartbeat alone never makes old readings look live
+  const stale = getFreshness({ ...device, lastHeartbeat: now - 15 * MINUTE }, reading, now);
+  expect(stale.state).toBe('offline');
+});
+
+test('uses the default window and reports unknown without a timestamp', () => {
+  expect(getFreshness({ id: 'station-2' }, { timestamp: now - 9 * MINUTE }, now).state).toBe('live');
+  expect(getFreshness({ id: 'station-2' }, { timestamp: null }, now).state).toBe('unknown');
+  expect(getFreshness(null, null, now).state).toBe('unknown');
+});
+
+test('formats ages in minutes, hours and days', () => {
+  expect(formatAge(null)).toBe('never');
+  expect(formatAge(30 * 1000)).toBe('just now');
+  expect(formatAge(59 * MINUTE)).toBe('59 min ago');
+  expect(formatAge(3 * 60 * MINUTE)).toBe('3 h ago');
+  expect(formatAge(72 * 60 * MINUTE)).toBe('3 days ago');
+});
+
+test('finds the newest reading across stations', () => {
+  expect(getNewestReadingTime([{ timestamp: now - 5 * MINUTE }, { timestamp: now - MINUTE }, { timestamp: null }])).toBe(now - MINUTE);
+  expect(getNewestReadingTime([])).toBeNull();
+});
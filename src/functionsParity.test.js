@@ -0,0 +1,107 @@
+// The Cloud Functions can't import the dashboard's modules (functions/ is deployed on its own),
+// so the rules they share are written twice. These tests run both copies on the same fixtures.
+import { getDeviceProfile } from './devices';
+import { applyFilter, getFilterSettings } from './filtering';
+import { trackReading } from './incidents';
+import { getBucketStart } from './memorySource';
+import { fixTimestamp, resolveReadingTime } from './readings';
+import { getNextStatus } from './thresholds';
+import * as aggregation from '../functions/aggregation.js';
+import * as filtering from '../functions/filtering.js';
+import { getAlertStatus, openIncident, updateIncident } from '../functions/incidents.js';
+
+// Registry entries as stored: one with the defaults, others with their own geometry, thresholds
+// and filter
+const devices = {
+  'station-1': {},
+  'station-2': { maxDepth: '20', thresholds: { warning: 5, critical: '12', hysteresis: 1 } },
+  'station-3': { filter: { method: 'mean', window: '3', maxRate: 0.5, confirmAfter: 2 } }
+};
+
+const getProfile = (deviceId) => getDeviceProfile({ ...devices[deviceId], id: deviceId });
+
+test('classifies levels with the same thresholds and hysteresis', () => {
+  const levels = [0, 20, 22, 25, 26, 33, 35, 36, 37.5, 38, 57, 60, 61, 72, 75, 76, 100, 120];
+  Object.keys(devices).forEach(deviceId => {
+    ['normal', 'warning', 'danger'].forEach(previous => {
+      levels.forEach(level => {
+        expect([deviceId, previous, level, getNextStatus(previous, level, getProfile(deviceId))])
+          .toEqual([deviceId, previous, level, getAlertStatus(previous, level, devices[deviceId])]);
+      });
+    });
+  });
+});
+
+test('places station times the same way', () => {
+  // fixTimestamp warns about the times it can't place
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const receivedAt = Date.UTC(2024, 6, 1, 12, 0, 0);
+  const times = [0, 1234, 1577836800, 1719835200, 1999999999, 2000000000, 1719835200000, receivedAt, receivedAt - 60000];
+  times.forEach(time => {
+    expect([time, fixTimestamp(time)]).toEqual([time, aggregation.normalizeTimestamp(time)]);
+  });
+
+  const deviceTimes = [undefined, null, '', '1719835200', 'soon', ...times,
+    receivedAt + 4 * 60000, receivedAt + 6 * 60000, receivedAt - 23 * 3600000, receivedAt - 25 * 3600000];
+  deviceTimes.forEach(time => {
+    expect([time, resolveReadingTime(time, receivedAt)]).toEqual([time, aggregation.resolveReadingTime(time, receivedAt)]);
+  });
+  warn.mockRestore();
+});
+
+test('buckets readings on the same site clock', () => {
+  // Around the site's midnight and the end of a month
+  const times = [Date.UTC(2024, 5, 30, 15, 59, 59), Date.UTC(2024, 5, 30, 16, 0, 0), Date.UTC(2024, 6, 1, 9, 7, 30)];
+  Object.keys(aggregation.RESOLUTIONS).forEach(resolution => {
+    times.forEach(time => {
+      expect([resolution, time, getBucketStart(time, resolution)])
+        .toEqual([resolution, time, aggregation.getBucketStart(time, resolution)]);
+    });
+  });
+});
+
+test('opens and updates incidents the same way', () => {
+  const start = Date.UTC(2024, 6, 1, 9, 0, 0);
+  // Rises through Warning to Critical, holds inside the hysteresis band, peaks, and clears;
+  // the reading at start + 2.5 minutes arrives late
+  const levels = [[0, 10], [1, 30], [2, 62], [3, 58], [2.5, 90], [4, 54], [5, 70], [6, 20], [7, 21], [8, 40]];
+
+  Object.keys(devices).forEach(deviceId => {
+    let dashboard = null;
+    let functions = null;
+    levels.forEach(([minutes, waterLevel]) => {
+      const reading = { timestamp: start + minutes * 60000, waterLevel };
+      dashboard = trackReading(dashboard, reading, getProfile(deviceId), reading.timestamp) || dashboard;
+      functions = (functions
+        ? updateIncident(functions, reading, devices[deviceId])
+        : openIncident(deviceId, reading, devices[deviceId])) || functions;
+      expect([deviceId, minutes, dashboard]).toEqual([deviceId, minutes, functions]);
+    });
+    expect(dashboard.peakStatus).toBe('danger');
+  });
+});
+
+test('filters readings and flags spikes the same way', () => {
+  const start = Date.UTC(2024, 6, 1, 9, 0, 0);
+  // Steady readings, a lone spike, a late reading, a real jump that later readings confirm,
+  // and a restart after a long gap
+  const levels = [[0, 30], [1, 31], [2, 30], [3, 90], [4, 32], [3.5, 50], [5, 70], [6, 71], [7, 72], [8, 71], [60, 10], [61, 11]];
+
+  Object.keys(devices).forEach(deviceId => {
+    expect(getFilterSettings(getProfile(deviceId))).toEqual(filtering.getFilterSettings(devices[deviceId]));
+
+    let dashboard = null;
+    let functions = null;
+    const flagged = [];
+    levels.forEach(([minutes, waterLevel]) => {
+      const reading = { timestamp: start + minutes * 60000, waterLevel };
+      const fromDashboard = applyFilter(dashboard, reading, getProfile(deviceId));
+      const fromFunctions = filtering.applyFilter(functions, reading, devices[deviceId]);
+      expect([deviceId, minutes, fromDashboard]).toEqual([deviceId, minutes, fromFunctions]);
+      dashboard = fromDashboard.state || dashboard;
+      functions = fromFunctions.state || functions;
+      if (fromDashboard.result.suspect) flagged.push(minutes);
+    });
+    expect(flagged).toContain(3);
+  });
+});
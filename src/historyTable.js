@@ -0,0 +1,99 @@
+// Historical table helpers
+// The tabular view shows one row per day and one column per hour, filled from the hourly
+// rollups. Each cell can be opened to see the 5-minute or raw readings of that hour.
+
+import { format } from 'date-fns';
+import { getStatusFromWaterLevel, getStatusSeverity } from './thresholds';
+import { toZonedDate } from './timezone';
+
+// Hour columns of the table, in the order they happen (00:00 to 23:00)
+export const HOUR_COLUMNS = Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`);
+
+// Ways the days of the table can be sorted
+export const TABLE_SORTS = [
+  { key: 'newest', label: 'Newest first' },
+  { key: 'oldest', label: 'Oldest first' },
+  { key: 'highest', label: 'Highest peak first' }
+];
+
+// Status filters of the table (a cell matches when its status is at least this severe)
+export const TABLE_STATUS_FILTERS = [
+  { key: 'all', label: 'All statuses' },
+  { key: 'warning', label: 'Warning or above' },
+  { key: 'danger', label: 'Critical only' }
+];
+
+// Status of an hourly cell: the status of its highest level, so a short spike isn't averaged away
+export const getCellStatus = (reading, profile) =>
+  getStatusFromWaterLevel(reading.max !== undefined && !isNaN(reading.max) ? reading.max : reading.waterLevel, profile);
+
+// Group hourly rollups into table rows: [{ date, formattedDate, hours: { '13:00': reading }, peak }]
+// Days and hours are on the site's clock, like the rollups, and peak is the highest level seen that day
+export const groupReadingsByDay = (readings) => {
+  const days = {};
+
+  readings.forEach(reading => {
+    const time = toZonedDate(reading.timestamp);
+    const date = format(time, 'yyyy-MM-dd');
+    const hour = HOUR_COLUMNS[time.getHours()];
+    const level = reading.max !== undefined && !isNaN(reading.max) ? reading.max : reading.waterLevel;
+
+    if (!days[date]) {
+      days[date] = { date, formattedDate: format(time, 'MMMM dd, yyyy'), hours: {}, peak: level };
+    }
+
+    // Keep the newest entry if an hour appears twice
+    if (!days[date].hours[hour] || reading.timestamp > days[date].hours[hour].timestamp) {
+      days[date].hours[hour] = reading;
+    }
+    days[date].peak = Math.max(days[date].peak, level);
+  });
+
+  return Object.values(days);
+};
+
+// Sort table rows by date or by the day's peak level
+export const sortDays = (days, sort) => [...days].sort((a, b) => {
+  if (sort === 'oldest') return a.date.localeCompare(b.date);
+  if (sort === 'highest') return b.peak - a.peak || b.date.localeCompare(a.date);
+  return b.date.localeCompare(a.date);
+});
+
+// Keep only the cells whose status matches the filter, dropping days left empty
+export const filterDaysByStatus = (days, statusFilter, profile) => {
+  if (statusFilter === 'all') return days;
+
+  const minimumSeverity = getStatusSeverity(statusFilter);
+  return days
+    .map(day => {
+      const hours = {};
+      Object.keys(day.hours).forEach(hour => {
+        if (getStatusSeverity(getCellStatus(day.hours[hour], profile)) >= minimumSeverity) {
+          hours[hour] = day.hours[hour];
+        }
+      });
+      return { ...day, hours };
+    })
+    .filter(day => Object.keys(day.hours).length > 0);
+};
+
+// Min, max and average level of a set of readings (percent), or null when there are none
+// Rollups contribute their own min and max, and their mean weighted by their reading count
+export const summarizeHour = (readings) => {
+  if (readings.length === 0) return null;
+
+  let total = 0;
+  let count = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  readings.forEach(reading => {
+    const weight = reading.count || 1;
+    total += reading.waterLevel * weight;
+    count += weight;
+    min = Math.min(min, reading.min !== undefined && !isNaN(reading.min) ? reading.min : reading.waterLevel);
+    max = Math.max(max, reading.max !== undefined && !isNaN(reading.max) ? reading.max : reading.waterLevel);
+  });
+
+  return { min, max, mean: total / count, count };
+};
@@ -0,0 +1,60 @@
+import { HOUR_COLUMNS, getCellStatus, groupReadingsByDay, sortDays, filterDaysByStatus, summarizeHour } from './historyTable';
+import { parseInTimeZone } from './timezone';
+
+// 10cm deep channel: Warning above 3cm, Critical above 6cm
+const profile = { maxDepth: 10, thresholds: { warning: 3, critical: 6 } };
+
+// An hourly rollup at a date and hour on the site's clock, levels given in percent
+const hourly = (day, hour, waterLevel, max = waterLevel) => ({
+  timestamp: parseInTimeZone(`2024-07-${String(day).padStart(2, '0')}T${String(hour).padStart(2, '0')}:00`),
+  waterLevel,
+  min: waterLevel,
+  max,
+  count: 60
+});
+
+test('lists the hours of the day in order without a 24:00 column', () => {
+  expect(HOUR_COLUMNS).toHaveLength(24);
+  expect(HOUR_COLUMNS[0]).toBe('00:00');
+  expect(HOUR_COLUMNS[23]).toBe('23:00');
+});
+
+test('groups hourly rollups into days with their peak', () => {
+  const days = groupReadingsByDay([hourly(2, 0, 20), hourly(1, 23, 30, 45), hourly(1, 9, 10)]);
+  const july1 = days.find(day => day.date === '2024-07-01');
+
+  expect(days).toHaveLength(2);
+  expect(Object.keys(july1.hours).sort()).toEqual(['09:00', '23:00']);
+  expect(july1.peak).toBe(45);
+  expect(july1.formattedDate).toBe('July 01, 2024');
+});
+
+test('sorts days by date or by peak', () => {
+  const days = groupReadingsByDay([hourly(1, 9, 70), hourly(2, 9, 20), hourly(3, 9, 40)]);
+
+  expect(sortDays(days, 'newest').map(day => day.date)).toEqual(['2024-07-03', '2024-07-02', '2024-07-01']);
+  expect(sortDays(days, 'oldest').map(day => day.date)).toEqual(['2024-07-01', '2024-07-02', '2024-07-03']);
+  expect(sortDays(days, 'highest').map(day => day.date)).toEqual(['2024-07-01', '2024-07-03', '2024-07-02']);
+});
+
+test('colours cells by their peak and filters them by status', () => {
+  const spike = hourly(1, 10, 20, 70);
+  expect(getCellStatus(spike, profile)).toBe('danger');
+
+  const days = groupReadingsByDay([hourly(1, 9, 20), spike, hourly(2, 9, 40)]);
+  const warnings = filterDaysByStatus(days, 'warning', profile);
+  expect(warnings.map(day => Object.keys(day.hours))).toEqual([['10:00'], ['09:00']]);
+
+  const critical = filterDaysByStatus(days, 'danger', profile);
+  expect(critical).toHaveLength(1);
+  expect(filterDaysByStatus(days, 'all', profile)).toBe(days);
+});
+
+test('summarises an hour of readings, weighting rollups by their count', () => {
+  expect(summarizeHour([])).toBeNull();
+  expect(summarizeHour([
+    { waterLevel: 10, min: 5, max: 20, count: 3 },
+    { waterLevel: 30, min: 25, max: 35, count: 1 }
+  ])).toEqual({ min: 5, max: 35, mean: 15, count: 4 });
+  expect(summarizeHour([{ waterLevel: 10 }, { waterLevel: 20 }])).toEqual({ min: 10, max: 20, mean: 15, count: 2 });
+});
@@ -0,0 +1,243 @@
+// Incident reports
+// Summarises a station's readings over a flooding event (peak, time in each status band,
+// rate-of-rise peaks and an alert timeline) and writes it to a PDF in the browser.
+
+import { Chart } from 'chart.js';
+import { percentToLevelCm, getDeviceProfile } from './devices';
+import { getNextStatus, getStatusLabel, getThresholds } from './thresholds';
+import { computeRateOfRise, getNextRateStatus, formatRate } from './rateOfRise';
+import { resolveChartWindow } from './chartRange';
+import { createChartSeries, createTrendDatasets, createTrendChartOptions } from './trendChart';
+import { SITE_TIMEZONE, formatSiteTime, formatIsoInTimeZone } from './timezone';
+
+const MINUTE_MS = 60 * 1000;
+
+// Longest window a report can cover, since it is built from raw readings
+export const MAX_REPORT_DAYS = 14;
+
+// Format a duration for the report, e.g. "2 h 15 min"
+export const formatDuration = (durationMs) => {
+  const minutes = Math.round(durationMs / MINUTE_MS);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 === 0 ? `${hours} h` : `${hours} h ${minutes % 60} min`;
+};
+
+// Summarise raw readings over a report window
+// Statuses follow the same hysteresis as the live alerts, and any gap longer than the station's
+// offlineAfter setting is counted as "no data" rather than the last known status.
+// Returns { readingCount, peak, timeInStatus, rate, timeline }
+export const summarizeIncident = (readings, profile, { start, end }) => {
+  const deviceProfile = getDeviceProfile(profile);
+  const { rateWindow } = getThresholds(deviceProfile);
+  const maxGapMs = deviceProfile.offlineAfter * MINUTE_MS;
+  const toCm = (percent) => Number(percentToLevelCm(percent, deviceProfile).toFixed(1));
+
+  const points = readings
+    .filter(reading => reading.timestamp >= start && reading.timestamp <= end && !isNaN(reading.waterLevel))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const timeInStatus = { normal: 0, warning: 0, danger: 0, unknown: end - start };
+  const timeline = [];
+  const summary = { readingCount: points.length, peak: null, timeInStatus, rate: { peak: null, episodes: [] }, timeline };
+  if (points.length === 0) return summary;
+
+  timeInStatus.unknown = 0;
+  let status = 'unknown';
+  let rateStatus = 'unknown';
+  let episode = null;
+  let windowStart = 0;
+
+  points.forEach((reading, index) => {
+    const levelCm = toCm(reading.waterLevel);
+
+    // Peak level
+    if (!summary.peak || levelCm > summary.peak.levelCm) {
+      summary.peak = { levelCm, timestamp: reading.timestamp };
+    }
+
+    // Status transitions
+    const nextStatus = getNextStatus(status, reading.waterLevel, deviceProfile);
+    if (nextStatus !== status) {
+      timeline.push({
+        timestamp: reading.timestamp,
+        type: 'status',
+        status: nextStatus,
+        text: status === 'unknown'
+          ? `${getStatusLabel(nextStatus)} at ${levelCm} cm`
+          : `${getStatusLabel(status)} -> ${getStatusLabel(nextStatus)} at ${levelCm} cm`
+      });
+      status = nextStatus;
+    }
+
+    // Rate of rise over the readings in the rate window ending at this reading
+    while (points[windowStart].timestamp < reading.timestamp - rateWindow * MINUTE_MS) windowStart++;
+    const rate = computeRateOfRise(points.slice(windowStart, index + 1), deviceProfile, { now: reading.timestamp });
+    if (rate && (!summary.rate.peak || rate.cmPerHour > summary.rate.peak.cmPerHour)) {
+      summary.rate.peak = { cmPerHour: rate.cmPerHour, timestamp: reading.timestamp };
+    }
+
+    const nextRateStatus = getNextRateStatus(rateStatus, rate, deviceProfile);
+    if (nextRateStatus === 'rapid-rise' && rateStatus !== 'rapid-rise') {
+      episode = { start: reading.timestamp, end: reading.timestamp, peakCmPerHour: rate.cmPerHour, peakAt: reading.timestamp };
+      summary.rate.episodes.push(episode);
+      timeline.push({ timestamp: reading.timestamp, type: 'rate', status: 'danger', text: `Rapid rise (${formatRate(rate.cmPerHour)})` });
+    } else if (nextRateStatus === 'rapid-rise') {
+      episode.end = reading.timestamp;
+      if (rate.cmPerHour > episode.peakCmPerHour) {
+        episode.peakCmPerHour = rate.cmPerHour;
+        episode.peakAt = reading.timestamp;
+      }
+    } else if (rateStatus === 'rapid-rise') {
+      timeline.push({ timestamp: reading.timestamp, type: 'rate', status: 'normal', text: 'Rapid rise ended' });
+    }
+    rateStatus = nextRateStatus;
+
+    // Time until the next reading (or the end of the window) counts towards this status,
+    // up to the offline limit
+    const nextTimestamp = index < points.length - 1 ? points[index + 1].timestamp : end;
+    const gap = nextTimestamp - reading.timestamp;
+    timeInStatus[status] += Math.min(gap, maxGapMs);
+    timeInStatus.unknown += Math.max(0, gap - maxGapMs);
+    if (gap > maxGapMs && index < points.length - 1) {
+      timeline.push({
+        timestamp: reading.timestamp + maxGapMs,
+        type: 'offline',
+        status: 'unknown',
+        text: `No readings for ${formatDuration(gap)}`
+      });
+    }
+  });
+
+  // Before the first reading there is no data
+  timeInStatus.unknown += points[0].timestamp - start;
+
+  timeline.sort((a, b) => a.timestamp - b.timestamp);
+  return summary;
+};
+
+// Render a snapshot of the trend chart for a window of history, as a PNG data URL
+// Uses the same datasets and options as the trend chart modal, drawn on a detached canvas
+export const renderReportChart = (history, profile, { start, end, label, width = 1000, height = 450 }) => {
+  const chartWindow = resolveChartWindow({ preset: 'custom', start, end });
+  const series = createChartSeries(history, chartWindow.labels, profile);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const chart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: chartWindow.labels.map(slot => slot.formatted),
+      datasets: createTrendDatasets({ label, series, resolution: chartWindow.resolution })
+    },
+    options: {
+      ...createTrendChartOptions({ timeLabels: chartWindow.labels, resolution: chartWindow.resolution, profile }),
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 1
+    },
+    // Paint a white background, since a transparent PNG shows up black in some PDF viewers
+    plugins: [{
+      id: 'reportBackground',
+      beforeDraw: (chartInstance) => {
+        const { ctx } = chartInstance;
+        ctx.save();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, chartInstance.width, chartInstance.height);
+        ctx.restore();
+      }
+    }]
+  });
+
+  const image = chart.toBase64Image('image/png');
+  chart.destroy();
+  return image;
+};
+
+// Name the PDF after the station and the first day of the window
+export const getReportFileName = ({ deviceId, start, timeZone = SITE_TIMEZONE }) =>
+  `incident-report_${deviceId}_${formatIsoInTimeZone(start, timeZone).slice(0, 10)}.pdf`;
+
+// Write a report to a PDF and return it as a Blob
+// details: { deviceId, deviceName, start, end, timeZone }; chartImage is a PNG data URL or null
+// The PDF library is only loaded when a report is downloaded
+export const createIncidentPdf = async (summary, details, chartImage) => {
+  const { jsPDF } = await import('jspdf');
+  const timeZone = details.timeZone || SITE_TIMEZONE;
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  let y = margin;
+
+  // Start a new page when the next block would run off this one
+  const ensureSpace = (needed) => {
+    if (y + needed > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+  // Write a line of text, wrapping it at the page margins
+  const line = (text, size = 10, style = 'normal') => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.splitTextToSize(text, doc.internal.pageSize.getWidth() - margin * 2).forEach(part => {
+      ensureSpace(size * 0.5);
+      doc.text(part, margin, y);
+      y += size * 0.5;
+    });
+  };
+
+  line('Water Level Incident Report', 18, 'bold');
+  y += 2;
+  line(`Station: ${details.deviceName} (${details.deviceId})`);
+  line(`Window: ${formatSiteTime(details.start, timeZone)} to ${formatSiteTime(details.end, timeZone)} (${timeZone})`);
+  line(`Readings: ${summary.readingCount}`);
+  y += 4;
+
+  line('Summary', 13, 'bold');
+  line(summary.peak
+    ? `Peak level: ${summary.peak.levelCm} cm at ${formatSiteTime(summary.peak.timestamp, timeZone)}`
+    : 'Peak level: no readings in this window');
+  line(summary.rate.peak
+    ? `Fastest rise: ${formatRate(summary.rate.peak.cmPerHour)} at ${formatSiteTime(summary.rate.peak.timestamp, timeZone)}`
+    : 'Fastest rise: not enough readings');
+  y += 4;
+
+  line('Time in each status', 13, 'bold');
+  ['normal', 'warning', 'danger', 'unknown'].forEach(status => {
+    const label = status === 'unknown' ? 'No data' : getStatusLabel(status);
+    line(`${label}: ${formatDuration(summary.timeInStatus[status])}`);
+  });
+  y += 4;
+
+  if (chartImage) {
+    const width = doc.internal.pageSize.getWidth() - margin * 2;
+    const height = width * 0.45;
+    ensureSpace(height + 10);
+    line('Water level', 13, 'bold');
+    doc.addImage(chartImage, 'PNG', margin, y, width, height);
+    y += height + 6;
+  }
+
+  line('Rapid rise episodes', 13, 'bold');
+  if (summary.rate.episodes.length === 0) line('None');
+  summary.rate.episodes.forEach(episode => {
+    line(`${formatSiteTime(episode.start, timeZone)} to ${formatSiteTime(episode.end, timeZone)}, ` +
+      `peak ${formatRate(episode.peakCmPerHour)} at ${formatSiteTime(episode.peakAt, timeZone)}`);
+  });
+  y += 4;
+
+  line('Alert timeline', 13, 'bold');
+  if (summary.timeline.length === 0) line('No alerts');
+  summary.timeline.forEach(event => {
+    line(`${formatSiteTime(event.timestamp, timeZone)}  ${event.text}`);
+  });
+
+  y += 4;
+  line(`Generated ${formatSiteTime(Date.now(), timeZone)} (${timeZone})`, 8);
+
+  return doc.output('blob');
+};
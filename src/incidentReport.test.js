@@ -0,0 +1,57 @@
+import { summarizeIncident, formatDuration, getReportFileName } from './incidentReport';
+
+const MINUTE = 60 * 1000;
+const start = Date.UTC(2024, 6, 1, 0, 0);
+// 10cm deep channel: Warning above 3cm, Critical above 6cm, rapid rise at 2cm/h
+const profile = { id: 'station-1', maxDepth: 10, offlineAfter: 10, thresholds: { warning: 3, critical: 6, hysteresis: 0.3, rapidRise: 2, rateWindow: 30 } };
+
+// One reading a minute, levels given in cm
+const readingsFrom = (levelsCm, offsetMinutes = 0) => levelsCm.map((levelCm, minute) => ({
+  timestamp: start + (offsetMinutes + minute) * MINUTE,
+  waterLevel: levelCm * 10
+}));
+
+test('formats durations in hours and minutes', () => {
+  expect(formatDuration(45 * MINUTE)).toBe('45 min');
+  expect(formatDuration(120 * MINUTE)).toBe('2 h');
+  expect(formatDuration(135 * MINUTE)).toBe('2 h 15 min');
+});
+
+test('finds the peak and the time spent in each status', () => {
+  const levels = [...Array(30).fill(2), ...Array(20).fill(4), ...Array(10).fill(7)];
+  const summary = summarizeIncident(readingsFrom(levels), profile, { start, end: start + 60 * MINUTE });
+
+  expect(summary.readingCount).toBe(60);
+  expect(summary.peak).toEqual({ levelCm: 7, timestamp: start + 50 * MINUTE });
+  expect(summary.timeInStatus).toEqual({ normal: 30 * MINUTE, warning: 20 * MINUTE, danger: 10 * MINUTE, unknown: 0 });
+  expect(summary.timeline.filter(event => event.type === 'status').map(event => event.text)).toEqual([
+    'Safe at 2 cm', 'Safe -> Warning at 4 cm', 'Warning -> Critical at 7 cm'
+  ]);
+});
+
+test('counts gaps longer than the offline limit as no data', () => {
+  const readings = [...readingsFrom([2, 2]), ...readingsFrom([2, 2], 40)];
+  const summary = summarizeIncident(readings, profile, { start, end: start + 42 * MINUTE });
+
+  expect(summary.timeInStatus.normal).toBe(13 * MINUTE);
+  expect(summary.timeInStatus.unknown).toBe(29 * MINUTE);
+  expect(summary.timeline.some(event => event.type === 'offline')).toBe(true);
+});
+
+test('records rapid rise episodes and the fastest rise', () => {
+  // Steady, then rising 0.1cm a minute (6cm/h) for 20 minutes, then steady again
+  const levels = [...Array(20).fill(1), ...Array.from({ length: 20 }, (_, i) => 1 + i * 0.1), ...Array(40).fill(3)];
+  const summary = summarizeIncident(readingsFrom(levels), profile, { start, end: start + 80 * MINUTE });
+
+  expect(summary.rate.episodes).toHaveLength(1);
+  expect(summary.rate.peak.cmPerHour).toBeGreaterThan(2);
+  expect(summary.timeline.filter(event => event.type === 'rate').map(event => event.status)).toEqual(['danger', 'normal']);
+});
+
+test('reports an empty window as no data', () => {
+  const summary = summarizeIncident([], profile, { start, end: start + 60 * MINUTE });
+
+  expect(summary.peak).toBeNull();
+  expect(summary.timeInStatus.unknown).toBe(60 * MINUTE);
+  expect(getReportFileName({ deviceId: 'station-1', start, timeZone: 'Asia/Manila' })).toBe('incident-report_station-1_2024-07-01.pdf');
+});
@@ -0,0 +1,146 @@
+// Incident lifecycle
+// An incident opens when a station's alert status reaches Warning or Critical, and keeps a
+// timeline of what happened until an operator closes it: status changes, the acknowledgement,
+// notes and the closing. A station has at most one incident that isn't closed; while it is
+// open, the station going back to Safe is recorded on it rather than closing it.
+//
+// With Firebase, incidents are opened and updated by the trackIncident function
+// (functions/incidents.js follows the same rules) so there is one record whoever has the
+// dashboard open. The in-memory and MQTT sources apply these helpers in the page.
+
+import { getNextStatus, getStatusSeverity } from './thresholds';
+
+const MINUTE_MS = 60 * 1000;
+
+export const INCIDENT_STATE_LABELS = {
+  open: 'Open',
+  acknowledged: 'Acknowledged',
+  closed: 'Closed'
+};
+
+// Timeline entries, by type
+export const INCIDENT_EVENT_LABELS = {
+  opened: 'Opened',
+  status: 'Status changed',
+  acknowledged: 'Acknowledged',
+  note: 'Note',
+  closed: 'Closed'
+};
+
+// Readings older than this don't open or update incidents, so importing old readings
+// doesn't raise incidents for floods that are long over
+export const INCIDENT_MAX_READING_AGE_MS = 30 * MINUTE_MS;
+
+// Most recent incidents listed on the dashboard
+export const INCIDENT_LIST_SIZE = 100;
+
+// ID of the incident a reading opens, e.g. station-1-1719795600000
+export const getIncidentId = (deviceId, timestamp) => `${deviceId}-${timestamp}`;
+
+// Check whether a status raises an incident
+const isAlert = (status) => status === 'warning' || status === 'danger';
+
+// Track one reading of a station
+// incident is the station's incident that isn't closed (or null), profile its device profile
+// Returns the new or updated incident, or null when the reading changes nothing
+export const trackReading = (incident, reading, profile, now = Date.now()) => {
+  if (now - reading.timestamp > INCIDENT_MAX_READING_AGE_MS) return null;
+
+  if (!incident) {
+    const status = getNextStatus('normal', reading.waterLevel, profile);
+    if (!isAlert(status)) return null;
+
+    return {
+      id: getIncidentId(profile.id, reading.timestamp),
+      deviceId: profile.id,
+      state: 'open',
+      status,
+      statusAt: reading.timestamp,
+      peakStatus: status,
+      peakWaterLevel: reading.waterLevel,
+      openedAt: reading.timestamp,
+      events: {
+        [`${reading.timestamp}-opened`]: { type: 'opened', at: reading.timestamp, status, waterLevel: reading.waterLevel }
+      }
+    };
+  }
+
+  // Readings from before the last change arrived late and don't apply
+  if (reading.timestamp <= incident.statusAt) return null;
+
+  const status = getNextStatus(incident.status, reading.waterLevel, profile);
+  const changes = {};
+  if (reading.waterLevel > incident.peakWaterLevel) changes.peakWaterLevel = reading.waterLevel;
+  if (getStatusSeverity(status) > getStatusSeverity(incident.peakStatus)) changes.peakStatus = status;
+  if (status !== incident.status && status !== 'unknown') {
+    changes.status = status;
+    changes.statusAt = reading.timestamp;
+    changes.events = {
+      ...incident.events,
+      [`${reading.timestamp}-status`]: { type: 'status', at: reading.timestamp, status, waterLevel: reading.waterLevel }
+    };
+  }
+
+  return Object.keys(changes).length > 0 ? { ...incident, ...changes } : null;
+};
+
+// Timeline entry added by a user, e.g. a note
+export const createIncidentEvent = (type, user, at, text) => ({
+  type,
+  at,
+  by: user.uid,
+  email: user.email || '',
+  ...(text ? { text } : {})
+});
+
+// Add an entry to an incident's timeline, returning the updated incident
+const addEvent = (incident, event) => {
+  const events = incident.events || {};
+  return { ...incident, events: { ...events, [`${event.at}-${event.type}-${Object.keys(events).length}`]: event } };
+};
+
+// Apply an operator's action to an incident, for sources that keep incidents in the page
+export const applyAcknowledgement = (incident, user, at = Date.now()) => addEvent({
+  ...incident,
+  state: 'acknowledged',
+  acknowledgedAt: at,
+  acknowledgedBy: user.uid,
+  acknowledgedEmail: user.email || ''
+}, createIncidentEvent('acknowledged', user, at));
+
+export const applyNote = (incident, text, user, at = Date.now()) =>
+  addEvent(incident, createIncidentEvent('note', user, at, text));
+
+export const applyClosing = (incident, user, at = Date.now()) => addEvent({
+  ...incident,
+  state: 'closed',
+  closedAt: at,
+  closedBy: user.uid,
+  closedEmail: user.email || ''
+}, createIncidentEvent('closed', user, at));
+
+// Check whether an incident can still be acknowledged or closed
+export const canAcknowledgeIncident = (incident) => Boolean(incident) && incident.state === 'open';
+export const isIncidentActive = (incident) => Boolean(incident) && incident.state !== 'closed';
+
+// Incidents newest first
+export const sortIncidents = (incidents) => Object.values(incidents || {})
+  .sort((a, b) => b.openedAt - a.openedAt);
+
+// A station's incident that isn't closed, or null
+export const findActiveIncident = (incidents, deviceId) =>
+  sortIncidents(incidents).find(incident => incident.deviceId === deviceId && isIncidentActive(incident)) || null;
+
+// The incident shown in the dashboard banner: the most urgent one that isn't closed
+// Unacknowledged incidents come first, then the highest current status, then the newest
+export const getBannerIncident = (incidents) => sortIncidents(incidents)
+  .filter(isIncidentActive)
+  .sort((a, b) =>
+    (a.state === 'open' ? 0 : 1) - (b.state === 'open' ? 0 : 1) ||
+    getStatusSeverity(b.status) - getStatusSeverity(a.status) ||
+    b.openedAt - a.openedAt)[0] || null;
+
+// Timeline of an incident, oldest first
+export const getIncidentTimeline = (incident) => Object.keys((incident && incident.events) || {})
+  .map(key => ({ id: key, ...incident.events[key] }))
+  .sort((a, b) => a.at - b.at || (a.id < b.id ? -1 : 1));
@@ -0,0 +1,77 @@
+import {
+  trackReading,
+  applyAcknowledgement,
+  applyNote,
+  applyClosing,
+  canAcknowledgeIncident,
+  findActiveIncident,
+  getBannerIncident,
+  getIncidentTimeline
+} from './incidents';
+import { getDeviceProfile } from './devices';
+
+const MINUTE_MS = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 0, 0);
+const profile = getDeviceProfile({ id: 'station-1' });
+const operator = { uid: 'op', email: 'op@example.com', role: 'operator' };
+
+// Track readings in order, each one minute after the last, checked as if they just arrived
+const track = (levels, incident = null) => levels.reduce((current, waterLevel, i) => {
+  const timestamp = time + i * MINUTE_MS;
+  return trackReading(current, { timestamp, waterLevel }, profile, timestamp) || current;
+}, incident);
+
+test('opens an incident on the first Warning or Critical reading', () => {
+  expect(track([10, 20])).toBeNull();
+
+  const incident = track([10, 50]);
+  expect(incident).toMatchObject({
+    id: `station-1-${time + MINUTE_MS}`,
+    deviceId: 'station-1',
+    state: 'open',
+    status: 'warning',
+    peakStatus: 'warning',
+    openedAt: time + MINUTE_MS
+  });
+});
+
+test('records status changes and the peak, and stays open once the level falls', () => {
+  const incident = track([50, 80, 60, 10]);
+
+  expect(incident).toMatchObject({ state: 'open', status: 'normal', peakStatus: 'danger', peakWaterLevel: 80 });
+  expect(getIncidentTimeline(incident).map(event => event.status)).toEqual(['warning', 'danger', 'warning', 'normal']);
+});
+
+test('ignores readings that are old or arrive late', () => {
+  const incident = track([50]);
+
+  expect(trackReading(null, { timestamp: time, waterLevel: 90 }, profile, time + 60 * MINUTE_MS)).toBeNull();
+  expect(trackReading(incident, { timestamp: time - MINUTE_MS, waterLevel: 90 }, profile, time)).toBeNull();
+});
+
+test('applies acknowledgement, notes and closing to the timeline', () => {
+  const opened = track([50]);
+  const acknowledged = applyAcknowledgement(opened, operator, time + MINUTE_MS);
+  const noted = applyNote(acknowledged, 'Crew on site', operator, time + 2 * MINUTE_MS);
+  const closed = applyClosing(noted, operator, time + 3 * MINUTE_MS);
+
+  expect(canAcknowledgeIncident(opened)).toBe(true);
+  expect(canAcknowledgeIncident(acknowledged)).toBe(false);
+  expect(closed).toMatchObject({ state: 'closed', acknowledgedBy: 'op', closedEmail: 'op@example.com' });
+  expect(getIncidentTimeline(closed).map(event => event.type)).toEqual(['opened', 'acknowledged', 'note', 'closed']);
+  expect(getIncidentTimeline(closed)[2]).toMatchObject({ text: 'Crew on site', by: 'op' });
+});
+
+test('shows the most urgent incident that is not closed in the banner', () => {
+  const incidents = {
+    a: { id: 'a', deviceId: 'station-1', state: 'acknowledged', status: 'danger', openedAt: 3 },
+    b: { id: 'b', deviceId: 'station-2', state: 'open', status: 'warning', openedAt: 1 },
+    c: { id: 'c', deviceId: 'station-3', state: 'open', status: 'danger', openedAt: 2 },
+    d: { id: 'd', deviceId: 'station-3', state: 'closed', status: 'danger', openedAt: 4 }
+  };
+
+  expect(getBannerIncident(incidents).id).toBe('c');
+  expect(findActiveIncident(incidents, 'station-3').id).toBe('c');
+  expect(findActiveIncident(incidents, 'station-4')).toBeNull();
+  expect(getBannerIncident({ d: incidents.d })).toBeNull();
+});
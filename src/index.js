@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { registerServiceWorker } from './serviceWorker';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,6 +12,13 @@ root.render(
   </React.StrictMode>
 );
 
+// Register the service worker, which caches the app for offline use and shows alert
+// notifications while the tab is in the background. Only in production builds, so it doesn't
+// serve stale bundles in development; notifications then fall back to page notifications.
+if (process.env.NODE_ENV === 'production') {
+  registerServiceWorker();
+}
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
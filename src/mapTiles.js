@@ -0,0 +1,156 @@
+// Offline map tiles
+// Tiles for the area around the stations can be downloaded ahead of time into the browser's
+// Cache Storage. The service worker (public/service-worker.js) serves tiles from that cache
+// before going to the network, so the map still draws without a connection. What was
+// downloaded is remembered per browser in localStorage.
+
+// OpenStreetMap tiles; the service worker matches this host, so keep them in step
+export const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Name of the cache the tiles are kept in, shared with the service worker
+export const TILE_CACHE = 'aqua-gauge-tiles';
+
+// Zoom levels the map allows, and the ones offered for download
+export const MAP_MIN_ZOOM = 10;
+export const MAP_MAX_ZOOM = 18;
+export const DEFAULT_DOWNLOAD_ZOOMS = [12, 13, 14, 15];
+
+// Most tiles one download may fetch; OpenStreetMap's tile policy forbids bulk downloading,
+// so this keeps it to a small area around the stations
+export const MAX_DOWNLOAD_TILES = 2500;
+
+// Tiles fetched at the same time while downloading
+const DOWNLOAD_CONCURRENCY = 4;
+
+const SETTINGS_KEY = 'aquaGauge.offlineMap';
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Tile column and row holding a point at a zoom level (Web Mercator)
+export const getTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+export const getTileY = (lat, zoom) => {
+  const radians = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+// Bounds covering every location plus paddingKm on each side
+// Returns { north, south, east, west }, or null without locations
+export const getAreaAround = (locations, paddingKm = 2) => {
+  const points = locations.filter(location => location && typeof location.lat === 'number' && typeof location.lng === 'number');
+  if (points.length === 0) return null;
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const north = Math.max(...lats);
+  const south = Math.min(...lats);
+  const latPadding = paddingKm / KM_PER_DEGREE_LAT;
+  const lngPadding = paddingKm / (KM_PER_DEGREE_LAT * Math.cos((((north + south) / 2) * Math.PI) / 180));
+
+  return {
+    north: Math.min(85, north + latPadding),
+    south: Math.max(-85, south - latPadding),
+    east: Math.min(180, Math.max(...lngs) + lngPadding),
+    west: Math.max(-180, Math.min(...lngs) - lngPadding)
+  };
+};
+
+// Every tile covering an area at the given zoom levels, as [{ z, x, y }]
+export const getTilesForArea = (area, zooms) => {
+  const tiles = [];
+  zooms.forEach(z => {
+    const last = 2 ** z - 1;
+    const minX = Math.max(0, getTileX(area.west, z));
+    const maxX = Math.min(last, getTileX(area.east, z));
+    const minY = Math.max(0, getTileY(area.north, z));
+    const maxY = Math.min(last, getTileY(area.south, z));
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        tiles.push({ z, x, y });
+      }
+    }
+  });
+  return tiles;
+};
+
+// URL of one tile
+export const getTileUrl = ({ z, x, y }) => TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+// Load what was downloaded in this browser: { zooms, area, tileCount, downloadedAt } or null
+export const loadOfflineMapSettings = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || 'null');
+  } catch (error) {
+    console.error('Error loading offline map settings:', error);
+    return null;
+  }
+};
+
+const saveOfflineMapSettings = (settings) => {
+  try {
+    if (settings) {
+      window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } else {
+      window.localStorage.removeItem(SETTINGS_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving offline map settings:', error);
+  }
+};
+
+// Check whether tiles can be stored in this browser
+export const canStoreTiles = () => typeof window !== 'undefined' && 'caches' in window;
+
+// Download the tiles of an area into the tile cache, skipping ones already there
+// onProgress(done, total) is called after each tile; isCancelled() stops the download early
+// Returns { saved, failed, cancelled }
+export const downloadTiles = async (area, zooms, { onProgress = () => {}, isCancelled = () => false } = {}) => {
+  const tiles = getTilesForArea(area, zooms);
+  if (tiles.length > MAX_DOWNLOAD_TILES) {
+    throw new Error(`That is ${tiles.length} tiles, more than the limit of ${MAX_DOWNLOAD_TILES}`);
+  }
+
+  const cache = await window.caches.open(TILE_CACHE);
+  let next = 0;
+  let done = 0;
+  let saved = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (next < tiles.length && !isCancelled()) {
+      const url = getTileUrl(tiles[next++]);
+      try {
+        if (!await cache.match(url)) {
+          const response = await fetch(url, { mode: 'cors' });
+          if (!response.ok) throw new Error(`status ${response.status}`);
+          await cache.put(url, response);
+        }
+        saved++;
+      } catch (error) {
+        console.error(`Error downloading map tile ${url}:`, error);
+        failed++;
+      }
+      done++;
+      onProgress(done, tiles.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+
+  const cancelled = isCancelled();
+  if (saved > 0) {
+    saveOfflineMapSettings({ zooms, area, tileCount: saved, downloadedAt: Date.now() });
+  }
+  return { saved, failed, cancelled };
+};
+
+// Remove every downloaded tile
+export const clearTiles = async () => {
+  saveOfflineMapSettings(null);
+  try {
+    return await window.caches.delete(TILE_CACHE);
+  } catch (error) {
+    console.error('Error clearing map tiles:', error);
+    return false;
+  }
+};
@@ -0,0 +1,27 @@
+import { getTileX, getTileY, getAreaAround, getTilesForArea, getTileUrl } from './mapTiles';
+
+test('finds the tile holding a point', () => {
+  // Manila at zoom 12
+  expect(getTileX(120.9842, 12)).toBe(3424);
+  expect(getTileY(14.5995, 12)).toBe(1880);
+  expect(getTileUrl({ z: 12, x: 3424, y: 1880 })).toBe('https://tile.openstreetmap.org/12/3424/1880.png');
+});
+
+test('covers every station plus the padding', () => {
+  const area = getAreaAround([{ lat: 14.5995, lng: 120.9842 }, { lat: 14.6091, lng: 121.0223 }, null], 1.1132);
+
+  expect(area.north).toBeCloseTo(14.6191, 4);
+  expect(area.south).toBeCloseTo(14.5895, 4);
+  expect(area.west).toBeLessThan(120.9842);
+  expect(area.east).toBeGreaterThan(121.0223);
+  expect(getAreaAround([{}])).toBeNull();
+});
+
+test('lists the tiles of an area at each zoom level', () => {
+  const area = { north: 14.62, south: 14.59, west: 120.97, east: 121.03 };
+  const tiles = getTilesForArea(area, [12, 14]);
+
+  expect(tiles.filter(tile => tile.z === 12)).toHaveLength(4);
+  expect(tiles.filter(tile => tile.z === 14).length).toBeGreaterThan(4);
+  expect(new Set(tiles.map(getTileUrl)).size).toBe(tiles.length);
+});
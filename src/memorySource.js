@@ -0,0 +1,329 @@
+// In-memory data source
+// Keeps devices, readings, incidents, notes and the event log in the page and implements the same
+// functions as firebase.js (see dataSource.js). It is used on its own for local development and
+// tests, and as the store behind the MQTT source, which feeds it the messages it receives.
+// Readings are filtered, and incidents, status changes and settings edits are tracked from what it
+// stores, like the Cloud Functions do for Firebase; stations going offline aren't logged. Nothing is
+// kept across page loads.
+
+import { getDeviceProfile } from './devices';
+import { validateDeviceDetails, getNextStatus } from './thresholds';
+import {
+  UNKNOWN_DEVICE_ID,
+  HISTORY_PAGE_SIZE,
+  LIVE_HISTORY_WINDOW_MS,
+  fixTimestamp,
+  prepareReading,
+  normalizeReading,
+  normalizeRollup
+} from './readings';
+import { RESOLUTION_MS } from './chartRange';
+import { getPeriodStartInTimeZone } from './timezone';
+import { createLocalUser } from './auth';
+import {
+  trackReading,
+  findActiveIncident,
+  applyAcknowledgement,
+  applyNote,
+  applyClosing,
+  canAcknowledgeIncident,
+  isIncidentActive
+} from './incidents';
+import {
+  EVENT_LOG_LIMIT,
+  createStatusEvent,
+  createSettingsEvents,
+  normalizeEvent,
+  normalizeSystemLog,
+  filterEvents,
+  sortEvents
+} from './eventLog';
+import { applyFilter, getFilteredLevel } from './filtering';
+
+// Start of the rollup bucket holding a timestamp; buckets follow the site's timezone
+export const getBucketStart = (timestamp, resolution) => getPeriodStartInTimeZone(timestamp, RESOLUTION_MS[resolution]);
+
+// Summarize readings (oldest first) into rollups like the aggregation functions write them
+// Readings carry their filtered level as waterLevel and the raw one as rawLevel (see readings.js)
+// Returns [{ start, count, sum, min, max, mean, filteredSum, ..., suspectCount }] oldest first
+export const summarizeReadings = (readings, resolution) => {
+  const buckets = new Map();
+
+  readings.forEach(reading => {
+    const start = getBucketStart(reading.timestamp, resolution);
+    const raw = reading.rawLevel === undefined ? reading.waterLevel : reading.rawLevel;
+    const filtered = reading.waterLevel;
+    const suspect = reading.suspect ? 1 : 0;
+    const bucket = buckets.get(start);
+    if (bucket) {
+      bucket.count += 1;
+      bucket.sum += raw;
+      bucket.min = Math.min(bucket.min, raw);
+      bucket.max = Math.max(bucket.max, raw);
+      bucket.filteredSum += filtered;
+      bucket.filteredMin = Math.min(bucket.filteredMin, filtered);
+      bucket.filteredMax = Math.max(bucket.filteredMax, filtered);
+      bucket.suspectCount += suspect;
+    } else {
+      buckets.set(start, {
+        start,
+        count: 1,
+        sum: raw,
+        min: raw,
+        max: raw,
+        filteredSum: filtered,
+        filteredMin: filtered,
+        filteredMax: filtered,
+        suspectCount: suspect
+      });
+    }
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => a.start - b.start)
+    .map(bucket => ({ ...bucket, mean: bucket.sum / bucket.count, filteredMean: bucket.filteredSum / bucket.count }));
+};
+
+// Create an empty in-memory source
+// role is given to the local user, since there are no accounts to sign in with
+export const createMemorySource = ({ role } = {}) => {
+  const devices = {};
+  const currentReadings = {};
+  const storedReadings = {};
+  const incidents = {};
+  const notes = {};
+  const alertStatuses = {};
+  const filterStates = {};
+  const eventLog = [];
+  const listeners = new Set();
+  let nextKey = 1;
+
+  // Every subscription is re-evaluated after any change; the data set is small
+  const notify = () => listeners.forEach(listener => listener());
+  const watch = (emit) => {
+    emit();
+    listeners.add(emit);
+    return () => listeners.delete(emit);
+  };
+
+  const getProfile = (deviceId) => getDeviceProfile({ ...(devices[deviceId] || {}), id: deviceId });
+
+  // Add an entry to the event log
+  const logEvent = (entry) => {
+    const event = normalizeEvent(`memory-event-${nextKey++}`, entry);
+    if (event) eventLog.push(event);
+  };
+
+  // A device's valid readings, oldest first
+  const getReadings = (deviceId) => {
+    const profile = getProfile(deviceId);
+    return Object.keys(storedReadings[deviceId] || {})
+      .map(key => normalizeReading(key, storedReadings[deviceId][key], deviceId, profile))
+      .filter(reading => !isNaN(reading.waterLevel) && reading.timestamp !== null)
+      .sort((a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : 1));
+  };
+
+  // Same query as firebase.js fetchHistoryPage; the cursor is { key, value: timestamp }
+  const queryHistory = (deviceId, { resolution = '5m', start = null, end = null, limit = null, before = null } = {}) => {
+    const profile = getProfile(deviceId);
+    const readings = getReadings(deviceId);
+    let entries = resolution === 'raw'
+      ? readings
+      : summarizeReadings(readings, resolution).map(bucket => normalizeRollup(String(bucket.start), bucket, deviceId, profile));
+
+    entries = entries.filter(entry =>
+      (start === null || entry.timestamp >= start) &&
+      (before ? entry.timestamp < before.value || (entry.timestamp === before.value && entry.id < before.key) :
+        end === null || entry.timestamp <= end)
+    );
+    if (limit) entries = entries.slice(-limit);
+
+    const oldest = entries[0];
+    return {
+      readings: [...entries].reverse(),
+      cursor: limit && oldest && entries.length === limit ? { key: oldest.id, value: oldest.timestamp } : null
+    };
+  };
+
+  // Store a reading that has been through prepareReading, under its key
+  // It is filtered first unless it arrived filtered, and alerts use the filtered level
+  // The current level and lastSeen only move forward, so backfilled readings don't replace them
+  const storeReading = (deviceId, input, key = `memory-${nextKey++}`) => {
+    let reading = input;
+    if (reading.filteredLevel === undefined) {
+      const { state, result } = applyFilter(filterStates[deviceId] || null, reading, getProfile(deviceId));
+      if (state !== undefined) filterStates[deviceId] = state;
+      reading = { ...reading, ...result };
+    }
+    storedReadings[deviceId] = storedReadings[deviceId] || {};
+    storedReadings[deviceId][key] = reading;
+
+    const filtered = { ...reading, waterLevel: getFilteredLevel(reading) };
+    const incident = trackReading(findActiveIncident(incidents, deviceId), filtered, getProfile(deviceId));
+    if (incident) incidents[incident.id] = incident;
+
+    const current = currentReadings[deviceId];
+    if (!current || reading.timestamp >= current.timestamp) {
+      currentReadings[deviceId] = reading;
+      devices[deviceId] = { ...(devices[deviceId] || {}), lastSeen: reading.timestamp };
+
+      const previous = alertStatuses[deviceId] || 'normal';
+      const status = getNextStatus(previous, filtered.waterLevel, getProfile(deviceId));
+      if (status !== previous && status !== 'unknown') {
+        alertStatuses[deviceId] = status;
+        logEvent(createStatusEvent(deviceId, previous, status, filtered, getProfile(deviceId)));
+      }
+    }
+  };
+
+  // Store readings ([{ key, ...reading }], key optional) and update subscribers once
+  // Oldest first, so incidents and status changes are tracked in the order they happened
+  const receiveReadings = (deviceId, readings) => {
+    [...readings]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(({ key, ...reading }) => storeReading(deviceId, reading, key));
+    notify();
+  };
+
+  // Add or update a device's metadata, logging edits to its thresholds and settings
+  const receiveDevice = (deviceId, details) => {
+    const updated = { ...(devices[deviceId] || {}), ...details };
+    createSettingsEvents(deviceId, devices[deviceId], updated, details.updatedAt || Date.now()).forEach(logEvent);
+    devices[deviceId] = updated;
+    notify();
+  };
+
+  // Add a message a station logged (see normalizeSystemLog)
+  const receiveSystemLog = (deviceId, entry) => {
+    const event = normalizeSystemLog(`memory-${nextKey++}`, { ...entry, deviceId });
+    if (event) eventLog.push(event);
+    notify();
+  };
+
+  // Add or replace an incident
+  const receiveIncident = (incident) => {
+    incidents[incident.id] = incident;
+    notify();
+  };
+
+  // The stored copy of an incident, or null
+  const getIncident = (incidentId) => incidents[incidentId] || null;
+
+  // Replace a station's note (null removes it)
+  const receiveNote = (deviceId, note) => {
+    notes[deviceId] = note;
+    notify();
+  };
+
+  const localUser = createLocalUser(role);
+
+  return {
+    receiveReadings,
+    receiveDevice,
+    receiveIncident,
+    receiveNote,
+    receiveSystemLog,
+    getIncident,
+
+    subscribeToUser: (callback) => {
+      callback(localUser);
+      return () => {};
+    },
+
+    subscribeToDevices: (callback) => watch(() => {
+      const list = Object.keys(devices).map(id => getDeviceProfile({
+        ...devices[id],
+        id,
+        name: devices[id].name || id,
+        lastSeen: devices[id].lastSeen ? fixTimestamp(Number(devices[id].lastSeen)) : null
+      }));
+      list.sort((a, b) => a.name.localeCompare(b.name));
+      callback(list);
+    }),
+
+    subscribeToCurrentReadings: (callback) => watch(() => {
+      const readings = {};
+      Object.keys(currentReadings).forEach(deviceId => {
+        const reading = normalizeReading('current-reading', currentReadings[deviceId], deviceId, getProfile(deviceId));
+        if (!isNaN(reading.waterLevel) && reading.timestamp !== null) {
+          readings[deviceId] = reading;
+        }
+      });
+      callback(readings);
+    }),
+
+    // The current reading followed by the recent raw readings, newest first
+    subscribeToWaterLevelUpdates: (deviceId, callback) => watch(() => {
+      const { readings } = queryHistory(deviceId, { resolution: 'raw', start: Date.now() - LIVE_HISTORY_WINDOW_MS });
+      const current = currentReadings[deviceId];
+      callback(current ? [normalizeReading('current-reading', current, deviceId, getProfile(deviceId)), ...readings] : readings);
+    }),
+
+    fetchHistoryPage: async (deviceId, options = {}) => queryHistory(deviceId, { limit: HISTORY_PAGE_SIZE, ...options }),
+
+    subscribeToHistory: (deviceId, options, callback) => watch(() => {
+      callback(queryHistory(deviceId, { ...options, before: null }).readings);
+    }),
+
+    subscribeToIncidents: (callback) => watch(() => callback({ ...incidents })),
+
+    subscribeToStationNotes: (callback) => watch(() => callback({ ...notes })),
+
+    subscribeToEventLog: ({ start, end = null }, callback) => watch(() => {
+      callback(sortEvents(filterEvents(eventLog, { start, end })).slice(0, EVENT_LOG_LIMIT));
+    }),
+
+    registerDevice: async (deviceId, details = {}) => {
+      const errors = validateDeviceDetails(details);
+      if (!deviceId || errors.length > 0) {
+        console.error('Error: invalid device metadata:', errors);
+        return false;
+      }
+      receiveDevice(deviceId, { ...details, updatedAt: Date.now() });
+      return true;
+    },
+
+    recordWaterLevelReading: async (reading) => {
+      const deviceId = reading.deviceId || UNKNOWN_DEVICE_ID;
+      const prepared = prepareReading(reading, getProfile(deviceId), { receivedAt: Date.now() });
+      if (prepared.error) {
+        console.error(`Error: ${prepared.error}`);
+        return false;
+      }
+      receiveReadings(deviceId, [prepared.reading]);
+      return true;
+    },
+
+    importReadings: async (deviceId, readings) => {
+      receiveReadings(deviceId, readings);
+      return readings.length;
+    },
+
+    // Incident actions resolve to false when the incident can't be changed
+    acknowledgeIncident: async (incident, user) => {
+      const current = incidents[incident.id];
+      if (!canAcknowledgeIncident(current)) return false;
+      receiveIncident(applyAcknowledgement(current, user));
+      return true;
+    },
+
+    addIncidentNote: async (incident, text, user) => {
+      const current = incidents[incident.id];
+      if (!current) return false;
+      receiveIncident(applyNote(current, text, user));
+      return true;
+    },
+
+    closeIncident: async (incident, user) => {
+      const current = incidents[incident.id];
+      if (!isIncidentActive(current)) return false;
+      receiveIncident(applyClosing(current, user));
+      return true;
+    },
+
+    saveStationNote: async (deviceId, text, user) => {
+      receiveNote(deviceId, { text, by: user.uid, email: user.email || '', at: Date.now() });
+      return true;
+    }
+  };
+};
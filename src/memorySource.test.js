@@ -0,0 +1,144 @@
+import { getBucketStart, summarizeReadings, createMemorySource } from './memorySource';
+
+const MINUTE_MS = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 0, 0);
+
+// Readings every minute for an hour, rising from 10% by 1% a minute
+const createReadings = () => Array.from({ length: 60 }, (_, i) => ({
+  key: `reading-${i}`,
+  timestamp: time + i * MINUTE_MS,
+  waterLevel: 10 + i
+}));
+
+test('summarizes readings into rollups like the aggregation functions', () => {
+  expect(getBucketStart(time + 7 * MINUTE_MS, '5m')).toBe(time + 5 * MINUTE_MS);
+
+  const [first, second] = summarizeReadings(createReadings(), '5m');
+  expect(first).toEqual({
+    start: time, count: 5, sum: 60, min: 10, max: 14, mean: 12,
+    filteredSum: 60, filteredMin: 10, filteredMax: 14, filteredMean: 12, suspectCount: 0
+  });
+  expect(second.start).toBe(time + 5 * MINUTE_MS);
+  expect(summarizeReadings(createReadings(), '1h')).toHaveLength(1);
+});
+
+test('pages through history newest first with a cursor', async () => {
+  const source = createMemorySource();
+  // Unfiltered, so the levels are the ones given
+  source.receiveDevice('station-1', { filter: { method: 'off' } });
+  source.receiveReadings('station-1', createReadings());
+
+  const first = await source.fetchHistoryPage('station-1', { resolution: 'raw', limit: 25 });
+  expect(first.readings).toHaveLength(25);
+  expect(first.readings[0].waterLevel).toBe(69);
+  expect(first.cursor).toEqual({ key: 'reading-35', value: time + 35 * MINUTE_MS });
+
+  const second = await source.fetchHistoryPage('station-1', { resolution: 'raw', limit: 25, before: first.cursor });
+  expect(second.readings[0].waterLevel).toBe(44);
+
+  const last = await source.fetchHistoryPage('station-1', { resolution: 'raw', limit: 25, before: second.cursor });
+  expect(last.readings).toHaveLength(10);
+  expect(last.cursor).toBeNull();
+
+  const rollups = await source.fetchHistoryPage('station-1', { resolution: '5m' });
+  expect(rollups.readings).toHaveLength(12);
+  expect(rollups.readings[11]).toMatchObject({ timestamp: time, waterLevel: 12, min: 10, max: 14 });
+});
+
+test('updates subscribers after writes and keeps the newest reading current', async () => {
+  const source = createMemorySource({ role: 'operator' });
+  const updates = [];
+  source.subscribeToCurrentReadings(readings => updates.push(readings));
+  let user = null;
+  source.subscribeToUser(value => { user = value; });
+
+  // Live readings are checked against when they arrive, so they need recent times
+  const recent = Date.now() - MINUTE_MS;
+  expect(await source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: recent, waterLevel: 40 })).toBe(true);
+  expect(await source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: recent - MINUTE_MS, waterLevel: 20 })).toBe(true);
+  expect(await source.recordWaterLevelReading({ deviceId: 'station-1', waterLevel: 140 })).toBe(false);
+
+  expect(updates).toHaveLength(3);
+  expect(updates[2]['station-1']).toMatchObject({ timestamp: recent, waterLevel: 40, clockInvalid: false });
+  expect(user).toEqual({ uid: 'local', email: null, role: 'operator' });
+});
+
+test('files readings from a station with a wrong clock by when they arrived', async () => {
+  const source = createMemorySource({ role: 'operator' });
+  const before = Date.now();
+  expect(await source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: 12345, waterLevel: 40 })).toBe(true);
+
+  const { readings } = await source.fetchHistoryPage('station-1', { resolution: 'raw' });
+  expect(readings[0].timestamp).toBeGreaterThanOrEqual(before);
+  expect(readings[0]).toMatchObject({ clockInvalid: true, receivedAt: readings[0].timestamp });
+});
+
+test('opens incidents from recent readings and applies operator actions', async () => {
+  const source = createMemorySource({ role: 'operator' });
+  const user = { uid: 'local', email: null, role: 'operator' };
+  const start = Date.now() - 10 * MINUTE_MS;
+  let incidents = {};
+  source.subscribeToIncidents(value => { incidents = value; });
+  source.receiveDevice('station-1', { filter: { method: 'off' } });
+
+  // Old readings and safe levels don't open anything
+  await source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: start - 60 * MINUTE_MS, waterLevel: 90 });
+  await source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: start, waterLevel: 20 });
+  expect(incidents).toEqual({});
+
+  await source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: start + MINUTE_MS, waterLevel: 50 });
+  await source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: start + 2 * MINUTE_MS, waterLevel: 80 });
+  const [incident] = Object.values(incidents);
+  expect(incident).toMatchObject({ deviceId: 'station-1', state: 'open', status: 'danger', peakWaterLevel: 80 });
+
+  expect(await source.acknowledgeIncident(incident, user)).toBe(true);
+  expect(await source.acknowledgeIncident(incident, user)).toBe(false);
+  expect(await source.addIncidentNote(incident, 'Crew on site', user)).toBe(true);
+  expect(await source.closeIncident(incident, user)).toBe(true);
+  expect(incidents[incident.id]).toMatchObject({ state: 'closed', acknowledgedBy: 'local', closedBy: 'local' });
+  expect(Object.values(incidents[incident.id].events).map(event => event.type).sort())
+    .toEqual(['acknowledged', 'closed', 'note', 'opened', 'status']);
+
+  // The next alert opens a new incident
+  await source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: start + 3 * MINUTE_MS, waterLevel: 50 });
+  expect(Object.keys(incidents)).toHaveLength(2);
+});
+
+test('logs status changes, settings edits and station messages', () => {
+  const source = createMemorySource();
+  let events = [];
+  source.subscribeToEventLog({ start: time }, value => { events = value; });
+
+  // Warning above 2cm (25%) and Critical above 5cm (62.5%) of the default 8cm
+  source.receiveDevice('station-1', { name: 'River', updatedAt: time });
+  source.receiveDevice('station-1', { thresholds: { warning: 2, critical: 5 }, updatedAt: time + 1 });
+  source.receiveSystemLog('station-1', { message: 'Sensor reset', timestamp: time + 2 });
+  source.receiveReadings('station-1', createReadings());
+
+  expect(events.map(event => event.type)).toEqual(['status', 'status', 'device', 'thresholds', 'settings']);
+  expect(events[0].message).toBe('Warning -> Critical at 5cm');
+  expect(events[1].message).toBe('Safe -> Warning at 2.1cm');
+  expect(events[2]).toMatchObject({ deviceId: 'station-1', message: 'Sensor reset' });
+  expect(events[4].message).toBe('Station registered');
+});
+
+test('flags spikes without alerting on them, keeping the raw level', async () => {
+  const source = createMemorySource();
+  const start = Date.now() - 10 * MINUTE_MS;
+  let incidents = {};
+  source.subscribeToIncidents(value => { incidents = value; });
+
+  // A jump from 1.6cm to 7.2cm of the default 8cm in a minute is more than the 2cm a minute allowed
+  [20, 21, 90, 22].forEach((waterLevel, i) =>
+    source.recordWaterLevelReading({ deviceId: 'station-1', timestamp: start + i * MINUTE_MS, waterLevel }));
+  await Promise.resolve();
+
+  const { readings } = await source.fetchHistoryPage('station-1', { resolution: 'raw' });
+  expect(readings[1]).toMatchObject({ rawLevel: 90, waterLevel: 20.5, suspect: true });
+  expect(readings[0]).toMatchObject({ rawLevel: 22, waterLevel: 21, suspect: false });
+  expect(incidents).toEqual({});
+
+  const rollups = await source.fetchHistoryPage('station-1', { resolution: '1h' });
+  expect(rollups.readings.reduce((count, bucket) => count + bucket.suspectCount, 0)).toBe(1);
+  expect(Math.max(...rollups.readings.map(bucket => bucket.rawMax))).toBe(90);
+});
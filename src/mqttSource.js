@@ -0,0 +1,188 @@
+// MQTT data source for sites with a local broker (e.g. Mosquitto), over WebSocket
+// Topics, under a configurable prefix (default "aqua-gauge"), all carrying JSON:
+// - {prefix}/devices/{deviceId}           station metadata, retained
+// - {prefix}/readings/{deviceId}          a reading { timestamp, waterLevel or distance }, or an array of them
+// - {prefix}/incidents/{incidentId}      an incident an operator has acted on, retained
+// - {prefix}/notes/{deviceId}             the station's note, retained
+// - {prefix}/logs/{deviceId}              a message from the station { message, timestamp, severity }
+// Everything received is kept in an in-memory store that answers subscriptions and history
+// queries, so history covers the readings received since the page was opened. Writes are
+// published to the same topics and reach the store when the broker sends them back.
+// Incidents are opened from the readings in each dashboard, with IDs made from the station and
+// the reading, so every dashboard opens the same one; operator actions publish the whole incident.
+// Readings are filtered in each dashboard too, unless they are published with a filteredLevel.
+// A reading's receipt time is when the dashboard got it, unless it was published with a receivedAt.
+
+import { createMemorySource } from './memorySource';
+import { validateDeviceDetails } from './thresholds';
+import { UNKNOWN_DEVICE_ID, prepareReading } from './readings';
+import { isImportKey } from './readingImport';
+import { getDeviceProfile } from './devices';
+import { applyAcknowledgement, applyNote, applyClosing, canAcknowledgeIncident, isIncidentActive } from './incidents';
+
+// Kinds of message, by the topic level after the prefix
+const TOPICS = ['devices', 'readings', 'incidents', 'notes', 'logs'];
+
+// Readings published per message when importing
+const IMPORT_BATCH_SIZE = 500;
+
+// Split a topic into its kind and device (the incident ID for incidents), or null for other topics
+// e.g. aqua-gauge/readings/station-1 -> { kind: 'readings', deviceId: 'station-1' }
+export const parseTopic = (topic, prefix) => {
+  if (!topic.startsWith(`${prefix}/`)) return null;
+  const [kind, deviceId, ...rest] = topic.slice(prefix.length + 1).split('/');
+  if (!TOPICS.includes(kind) || !deviceId || rest.length > 0) return null;
+  return { kind, deviceId };
+};
+
+// Create an MQTT source; the connection is opened on the first subscription
+// options: { url, topicPrefix, username, password, role }
+export const createMqttSource = ({ url, topicPrefix = 'aqua-gauge', username, password, role }) => {
+  const store = createMemorySource({ role });
+  const devices = {};
+  let connection = null;
+
+  // Apply a message from the broker to the store
+  const handleMessage = (topic, payload) => {
+    const parsed = parseTopic(topic, topicPrefix);
+    if (!parsed) return;
+
+    const { kind, deviceId } = parsed;
+    let data = null;
+    try {
+      // An empty retained message clears the topic
+      data = payload.length > 0 ? JSON.parse(payload.toString()) : null;
+    } catch (error) {
+      console.error(`Ignoring MQTT message on ${topic} that isn't JSON:`, error);
+      return;
+    }
+
+    if (kind === 'devices') {
+      devices[deviceId] = data || {};
+      store.receiveDevice(deviceId, devices[deviceId]);
+    } else if (kind === 'incidents') {
+      if (data) store.receiveIncident(data);
+    } else if (kind === 'notes') {
+      store.receiveNote(deviceId, data);
+    } else if (kind === 'logs') {
+      if (data) store.receiveSystemLog(deviceId, data);
+    } else if (data) {
+      // Readings go through the same normalization as every other source; imported ones keep their times
+      const profile = getDeviceProfile({ ...(devices[deviceId] || {}), id: deviceId });
+      const receivedAt = Date.now();
+      const readings = [];
+      (Array.isArray(data) ? data : [data]).forEach(entry => {
+        const { reading, error } = prepareReading({ ...entry, deviceId }, profile,
+          { receivedAt: isImportKey(entry.key) ? null : Number(entry.receivedAt) || receivedAt });
+        if (error) {
+          console.warn(`Ignoring MQTT reading for ${deviceId}: ${error}`, entry);
+        } else {
+          readings.push({ ...reading, key: entry.key || String(reading.timestamp) });
+        }
+      });
+      store.receiveReadings(deviceId, readings);
+    }
+  };
+
+  // Connect once, and subscribe to every topic under the prefix
+  const connect = () => {
+    if (!connection) {
+      connection = import('mqtt').then(({ default: mqtt }) => {
+        console.log(`Connecting to the MQTT broker at ${url}`);
+        const client = mqtt.connect(url, { username, password, reconnectPeriod: 5000 });
+
+        client.on('connect', () => {
+          console.log('Connected to the MQTT broker');
+          client.subscribe(`${topicPrefix}/#`, { qos: 1 }, (error) => {
+            if (error) console.error('Error subscribing to MQTT topics:', error);
+          });
+        });
+        client.on('error', (error) => console.error('MQTT error:', error));
+        client.on('message', handleMessage);
+
+        return client;
+      });
+    }
+    return connection;
+  };
+
+  // Publish JSON to a station's topic, resolving to true once the broker has it
+  const publish = async (kind, deviceId, data, retain) => {
+    try {
+      const client = await connect();
+      await client.publishAsync(`${topicPrefix}/${kind}/${deviceId}`, JSON.stringify(data), { qos: 1, retain });
+      return true;
+    } catch (error) {
+      console.error(`Error publishing to ${kind}/${deviceId}:`, error);
+      return false;
+    }
+  };
+
+  // Subscriptions read from the store, opening the connection first
+  const connected = (subscribe) => (...args) => {
+    connect();
+    return subscribe(...args);
+  };
+
+  return {
+    subscribeToUser: store.subscribeToUser,
+    subscribeToDevices: connected(store.subscribeToDevices),
+    subscribeToCurrentReadings: connected(store.subscribeToCurrentReadings),
+    subscribeToWaterLevelUpdates: connected(store.subscribeToWaterLevelUpdates),
+    subscribeToHistory: connected(store.subscribeToHistory),
+    subscribeToIncidents: connected(store.subscribeToIncidents),
+    subscribeToStationNotes: connected(store.subscribeToStationNotes),
+    subscribeToEventLog: connected(store.subscribeToEventLog),
+    fetchHistoryPage: store.fetchHistoryPage,
+
+    // Retained metadata replaces the previous message, so publish the whole entry
+    registerDevice: async (deviceId, details = {}) => {
+      const errors = validateDeviceDetails(details);
+      if (!deviceId || errors.length > 0) {
+        console.error('Error: invalid device metadata:', errors);
+        return false;
+      }
+      return publish('devices', deviceId, { ...(devices[deviceId] || {}), ...details, updatedAt: Date.now() }, true);
+    },
+
+    recordWaterLevelReading: async (reading) => {
+      const deviceId = reading.deviceId || UNKNOWN_DEVICE_ID;
+      const profile = getDeviceProfile({ ...(devices[deviceId] || {}), id: deviceId });
+      const prepared = prepareReading(reading, profile, { receivedAt: Date.now() });
+      if (prepared.error) {
+        console.error(`Error: ${prepared.error}`);
+        return false;
+      }
+      return publish('readings', deviceId, prepared.reading, false);
+    },
+
+    // Imported readings keep their keys, so importing twice doesn't duplicate them
+    importReadings: async (deviceId, readings) => {
+      for (let i = 0; i < readings.length; i += IMPORT_BATCH_SIZE) {
+        if (!await publish('readings', deviceId, readings.slice(i, i + IMPORT_BATCH_SIZE), false)) {
+          return false;
+        }
+      }
+      return readings.length;
+    },
+
+    // Incidents are published whole from the store's copy, since retained messages replace each other
+    acknowledgeIncident: async (incident, user) => {
+      const current = store.getIncident(incident.id);
+      return canAcknowledgeIncident(current) && publish('incidents', incident.id, applyAcknowledgement(current, user), true);
+    },
+
+    addIncidentNote: async (incident, text, user) => {
+      const current = store.getIncident(incident.id);
+      return Boolean(current) && publish('incidents', incident.id, applyNote(current, text, user), true);
+    },
+
+    closeIncident: async (incident, user) => {
+      const current = store.getIncident(incident.id);
+      return isIncidentActive(current) && publish('incidents', incident.id, applyClosing(current, user), true);
+    },
+
+    saveStationNote: (deviceId, text, user) =>
+      publish('notes', deviceId, { text, by: user.uid, email: user.email || '', at: Date.now() }, true)
+  };
+};
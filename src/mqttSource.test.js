@@ -0,0 +1,143 @@
+import { waitFor } from '@testing-library/react';
+import { createMqttSource, parseTopic } from './mqttSource';
+
+const MINUTE_MS = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 0, 0);
+
+// A stand-in for the broker: the tests deliver messages themselves and see what is published
+const mockClient = { handlers: {}, published: [], failPublish: false };
+jest.mock('mqtt', () => ({
+  __esModule: true,
+  default: {
+    connect: () => ({
+      on: (event, handler) => {
+        mockClient.handlers[event] = handler;
+      },
+      subscribe: () => {},
+      publishAsync: async (topic, payload, options) => {
+        if (mockClient.failPublish) throw new Error('Not connected');
+        mockClient.published.push({ topic, data: JSON.parse(payload), options });
+      }
+    })
+  }
+}));
+
+// Create a source and wait for its connection to the stand-in broker
+const openSource = async () => {
+  const source = createMqttSource({ url: 'ws://localhost:9001', role: 'operator' });
+  source.subscribeToDevices(() => {});
+  await waitFor(() => expect(mockClient.handlers.message).toBeDefined());
+  return source;
+};
+
+// Deliver a message the way the client does, with a Buffer payload
+const deliver = (topic, data) =>
+  mockClient.handlers.message(topic, Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)));
+
+// Raw readings a source holds for a station, oldest first
+const getReadings = async (source, deviceId) =>
+  (await source.fetchHistoryPage(deviceId, { resolution: 'raw' })).readings.reverse();
+
+beforeEach(() => {
+  mockClient.handlers = {};
+  mockClient.published = [];
+  mockClient.failPublish = false;
+});
+
+test('reads the kind and station of a topic under the prefix', () => {
+  expect(parseTopic('aqua-gauge/readings/station-1', 'aqua-gauge')).toEqual({ kind: 'readings', deviceId: 'station-1' });
+  expect(parseTopic('site-2/incidents/station-1-123', 'site-2')).toEqual({ kind: 'incidents', deviceId: 'station-1-123' });
+  expect(parseTopic('aqua-gauge/readings/station-1/extra', 'aqua-gauge')).toBeNull();
+  expect(parseTopic('aqua-gauge/readings', 'aqua-gauge')).toBeNull();
+  expect(parseTopic('aqua-gauge/firmware/station-1', 'aqua-gauge')).toBeNull();
+  expect(parseTopic('other/readings/station-1', 'aqua-gauge')).toBeNull();
+});
+
+test('keeps retained station metadata and notes, and clears a note with an empty message', async () => {
+  const source = await openSource();
+  let devices = [];
+  let notes = {};
+  source.subscribeToDevices(value => { devices = value; });
+  source.subscribeToStationNotes(value => { notes = value; });
+
+  deliver('aqua-gauge/devices/station-1', { name: 'River', maxDepth: 20 });
+  deliver('aqua-gauge/notes/station-1', { text: 'Gate stuck open', by: 'u1', at: time });
+  expect(devices).toMatchObject([{ id: 'station-1', name: 'River', maxDepth: 20 }]);
+  expect(notes['station-1']).toMatchObject({ text: 'Gate stuck open' });
+
+  deliver('aqua-gauge/notes/station-1', '');
+  expect(notes['station-1']).toBeNull();
+
+  // Messages on other topics are left alone
+  deliver('aqua-gauge/firmware/station-1', { version: 2 });
+  deliver('elsewhere/devices/station-2', { name: 'Creek' });
+  expect(devices.map(device => device.id)).toEqual(['station-1']);
+});
+
+test('files live readings under their receipt time when the station clock is wrong, but keeps imported times', async () => {
+  const source = await openSource();
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const before = Date.now();
+  deliver('aqua-gauge/devices/station-1', { filter: { method: 'off' } });
+
+  // One message may carry several readings; a station with an unset clock sends seconds since boot
+  deliver('aqua-gauge/readings/station-1', [
+    { timestamp: 42, waterLevel: 30 },
+    { key: `imported-${time}`, timestamp: time, waterLevel: 10 },
+    { timestamp: before - MINUTE_MS, receivedAt: before - MINUTE_MS + 500, waterLevel: 20 }
+  ]);
+
+  const [imported, live, unset] = await getReadings(source, 'station-1');
+  expect(imported).toMatchObject({ id: `imported-${time}`, timestamp: time, waterLevel: 10 });
+  expect(live).toMatchObject({ timestamp: before - MINUTE_MS, receivedAt: before - MINUTE_MS + 500, waterLevel: 20 });
+  expect(unset).toMatchObject({ clockInvalid: true, waterLevel: 30 });
+  expect(unset.timestamp).toBeGreaterThanOrEqual(before);
+  warn.mockRestore();
+});
+
+test('ignores messages that are not JSON and readings that cannot be stored', async () => {
+  const source = await openSource();
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  deliver('aqua-gauge/readings/station-1', '{ waterLevel: 30');
+  expect(error).toHaveBeenCalledTimes(1);
+
+  deliver('aqua-gauge/readings/station-1', [
+    { timestamp: Date.now(), waterLevel: 130 },
+    { timestamp: Date.now() },
+    { timestamp: Date.now(), waterLevel: 35 }
+  ]);
+  expect(warn).toHaveBeenCalledTimes(2);
+  expect((await getReadings(source, 'station-1')).map(reading => reading.rawLevel)).toEqual([35]);
+
+  // Empty messages on topics that can't be cleared change nothing
+  deliver('aqua-gauge/readings/station-1', '');
+  deliver('aqua-gauge/incidents/station-1-123', '');
+  expect(await getReadings(source, 'station-1')).toHaveLength(1);
+
+  error.mockRestore();
+  warn.mockRestore();
+});
+
+test('publishes writes to the station topics, importing in batches', async () => {
+  const source = await openSource();
+  const user = { uid: 'u1', email: 'operator@example.com' };
+
+  expect(await source.saveStationNote('station-1', 'Checked', user)).toBe(true);
+  expect(mockClient.published[0]).toMatchObject({
+    topic: 'aqua-gauge/notes/station-1',
+    data: { text: 'Checked', by: 'u1' },
+    options: { retain: true }
+  });
+
+  const readings = Array.from({ length: 1200 }, (_, i) => ({ key: `imported-${time + i * MINUTE_MS}`, timestamp: time + i * MINUTE_MS, waterLevel: 20 }));
+  expect(await source.importReadings('station-1', readings)).toBe(1200);
+  expect(mockClient.published.slice(1).map(message => message.data.length)).toEqual([500, 500, 200]);
+  expect(mockClient.published[1].options).toMatchObject({ retain: false });
+
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockClient.failPublish = true;
+  expect(await source.importReadings('station-1', readings)).toBe(false);
+  error.mockRestore();
+});
@@ -0,0 +1,163 @@
+// Browser notification helpers
+// Notifications are opt-in and configured per browser, so their settings live in localStorage.
+// They are shown through the service worker (public/service-worker.js) so they still appear
+// while the dashboard tab is in the background, and clicking one opens the trend chart.
+
+const SETTINGS_KEY = 'aquaGauge.notificationSettings';
+
+// Settings used until the user changes them
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  warning: true,         // Safe -> Warning
+  critical: true,        // any -> Critical
+  deEscalation: true,    // Critical -> Warning, Warning -> Safe
+  rapidRise: true,       // rate of rise crosses the station's slope
+  stale: true,           // station stops sending readings
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '06:00'
+  },
+  criticalDuringQuietHours: true
+};
+
+// Check whether this browser can show notifications at all
+export const isNotificationSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window;
+
+// Current permission: 'granted', 'denied', 'default' or 'unsupported'
+export const getNotificationPermission = () =>
+  isNotificationSupported() ? window.Notification.permission : 'unsupported';
+
+// Ask the user for permission (must be called from a user gesture)
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported';
+
+  try {
+    return await window.Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return 'denied';
+  }
+};
+
+// Load the saved settings merged with the defaults
+export const loadNotificationSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || '{}');
+    return {
+      ...DEFAULT_NOTIFICATION_SETTINGS,
+      ...saved,
+      quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(saved.quietHours || {}) }
+    };
+  } catch (error) {
+    console.error('Error loading notification settings:', error);
+    return { ...DEFAULT_NOTIFICATION_SETTINGS };
+  }
+};
+
+// Save the settings for this browser
+export const saveNotificationSettings = (settings) => {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Error saving notification settings:', error);
+    return false;
+  }
+};
+
+// Convert "HH:mm" into minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Check whether a time falls inside the quiet hours (which may wrap past midnight)
+export const isWithinQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours || !quietHours.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+
+  if (start === end) return false;
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+// Work out which setting governs an alert event
+// event: { type: 'status', from, to } | { type: 'rapid-rise' } | { type: 'stale' }
+export const getEventSetting = (event) => {
+  if (event.type === 'rapid-rise') return 'rapidRise';
+  if (event.type === 'stale') return 'stale';
+
+  if (event.type === 'status') {
+    const order = ['normal', 'warning', 'danger'];
+    const from = order.indexOf(event.from);
+    const to = order.indexOf(event.to);
+
+    // Ignore the first status after loading, and anything involving unknown
+    if (from === -1 || to === -1 || from === to) return null;
+    if (to < from) return 'deEscalation';
+    return event.to === 'danger' ? 'critical' : 'warning';
+  }
+
+  return null;
+};
+
+// Decide whether an event should produce a notification with these settings
+export const shouldNotify = (event, settings, date = new Date()) => {
+  if (!settings.enabled || getNotificationPermission() !== 'granted') return false;
+
+  const setting = getEventSetting(event);
+  if (!setting || !settings[setting]) return false;
+
+  if (isWithinQuietHours(settings.quietHours, date)) {
+    return setting === 'critical' && settings.criticalDuringQuietHours;
+  }
+
+  return true;
+};
+
+// Build the link that opens a station's trend chart
+export const getTrendUrl = (deviceId) => {
+  const url = new URL(`${process.env.PUBLIC_URL || ''}/`, window.location.origin);
+  if (deviceId) url.searchParams.set('station', deviceId);
+  url.searchParams.set('view', 'trend');
+  return url.toString();
+};
+
+// Show a notification, preferring the service worker so it also works in background tabs
+export const showNotification = async ({ title, body, deviceId, tag, requireInteraction = false }) => {
+  const options = {
+    body,
+    tag,
+    renotify: true,
+    requireInteraction,
+    icon: `${process.env.PUBLIC_URL || ''}/logo192.png`,
+    data: { url: getTrendUrl(deviceId), deviceId }
+  };
+
+  try {
+    if ('serviceWorker' in navigator) {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (registration) {
+        await registration.showNotification(title, options);
+        return true;
+      }
+    }
+
+    // Fall back to a page notification when no service worker is registered
+    const notification = new window.Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      window.location.href = options.data.url;
+    };
+    return true;
+  } catch (error) {
+    console.error('Error showing notification:', error);
+    return false;
+  }
+};
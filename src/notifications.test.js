@@ -0,0 +1,49 @@
+import { isWithinQuietHours, getEventSetting, shouldNotify, DEFAULT_NOTIFICATION_SETTINGS } from './notifications';
+
+const at = (hours, minutes = 0) => new Date(2024, 6, 1, hours, minutes);
+
+test('quiet hours can wrap past midnight', () => {
+  const quietHours = { enabled: true, start: '22:00', end: '06:00' };
+  expect(isWithinQuietHours(quietHours, at(23))).toBe(true);
+  expect(isWithinQuietHours(quietHours, at(5, 59))).toBe(true);
+  expect(isWithinQuietHours(quietHours, at(6))).toBe(false);
+  expect(isWithinQuietHours({ ...quietHours, enabled: false }, at(23))).toBe(false);
+});
+
+test('maps status transitions onto their toggles', () => {
+  expect(getEventSetting({ type: 'status', from: 'normal', to: 'warning' })).toBe('warning');
+  expect(getEventSetting({ type: 'status', from: 'normal', to: 'danger' })).toBe('critical');
+  expect(getEventSetting({ type: 'status', from: 'danger', to: 'warning' })).toBe('deEscalation');
+  expect(getEventSetting({ type: 'status', from: 'unknown', to: 'danger' })).toBeNull();
+  expect(getEventSetting({ type: 'stale' })).toBe('stale');
+});
+
+describe('shouldNotify', () => {
+  const originalNotification = window.Notification;
+  beforeEach(() => {
+    window.Notification = { permission: 'granted' };
+  });
+  afterEach(() => {
+    window.Notification = originalNotification;
+  });
+
+  const settings = {
+    ...DEFAULT_NOTIFICATION_SETTINGS,
+    enabled: true,
+    warning: false,
+    quietHours: { enabled: true, start: '22:00', end: '06:00' }
+  };
+
+  test('respects the per-level toggles', () => {
+    expect(shouldNotify({ type: 'status', from: 'normal', to: 'warning' }, settings, at(12))).toBe(false);
+    expect(shouldNotify({ type: 'stale' }, settings, at(12))).toBe(true);
+    expect(shouldNotify({ type: 'stale' }, { ...settings, enabled: false }, at(12))).toBe(false);
+  });
+
+  test('only lets Critical through during quiet hours', () => {
+    expect(shouldNotify({ type: 'stale' }, settings, at(23))).toBe(false);
+    expect(shouldNotify({ type: 'status', from: 'warning', to: 'danger' }, settings, at(23))).toBe(true);
+    expect(shouldNotify({ type: 'status', from: 'warning', to: 'danger' },
+      { ...settings, criticalDuringQuietHours: false }, at(23))).toBe(false);
+  });
+});
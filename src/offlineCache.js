@@ -0,0 +1,144 @@
+// Offline copy of the latest readings
+// Wraps a data source (see dataSource.js) so everything its subscriptions deliver is also saved in
+// IndexedDB. After a reload without a connection, subscribers get the saved copy straight away, so
+// the last-known levels, alert status, hotlines and safety guidance stay on screen. Readings served
+// from the copy are marked with fromCache: true until the source delivers live data.
+
+const DB_NAME = 'aqua-gauge';
+const DB_VERSION = 1;
+const STORE_NAME = 'cache';
+
+// Most history entries kept per station and resolution
+const MAX_CACHED_HISTORY = 2000;
+
+let dbPromise = null;
+
+// Open the database once, resolving to null where IndexedDB isn't available (e.g. private mode)
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Error opening the offline cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the cache store, resolving to its result (or null on failure)
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+      request.onerror = () => {
+        console.error('Error using the offline cache:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.error('Error using the offline cache:', error);
+      resolve(null);
+    }
+  });
+};
+
+// Storage backed by IndexedDB; entries are { data, savedAt }
+export const indexedDbStorage = {
+  read: (key) => runRequest('readonly', store => store.get(key)),
+  write: (key, entry) => runRequest('readwrite', store => store.put(entry, key))
+};
+
+// Mark readings as coming from the saved copy
+const markReading = (reading) => ({ ...reading, fromCache: true });
+const markReadings = (readings) => readings.map(markReading);
+const markReadingMap = (readings) => {
+  const marked = {};
+  Object.keys(readings).forEach(deviceId => {
+    marked[deviceId] = markReading(readings[deviceId]);
+  });
+  return marked;
+};
+
+// Keep the history entries of a window, newest first like the source returns them
+const filterHistory = (readings, { start = null, end = null } = {}) => readings.filter(reading =>
+  (start === null || reading.timestamp >= start) && (end === null || reading.timestamp <= end));
+
+// Wrap a data source so its subscriptions are saved to and restored from storage
+// Functions that aren't listed below (sign-in and writes) are passed through unchanged
+export const withOfflineCache = (source, storage = indexedDbStorage, now = () => Date.now()) => {
+  // Subscribe through the source, emitting the saved copy first unless live data beats it
+  // mark turns saved data into what the callback expects, save turns live data into what is kept
+  const cached = (key, subscribe, callback, { mark = data => data, save = data => data } = {}) => {
+    let live = false;
+    let stopped = false;
+
+    storage.read(key).then(entry => {
+      if (entry && !live && !stopped) callback(mark(entry.data));
+    });
+
+    const unsubscribe = subscribe((data) => {
+      live = true;
+      callback(data);
+      storage.write(key, { data: save(data), savedAt: now() });
+    });
+
+    return () => {
+      stopped = true;
+      unsubscribe();
+    };
+  };
+
+  return {
+    ...source,
+
+    // A signed-in user stays signed in offline even though their role can't be loaded;
+    // signing out saves null, so the next visit asks for sign-in again
+    subscribeToUser: (callback) =>
+      cached('user', source.subscribeToUser, callback),
+
+    subscribeToDevices: (callback) =>
+      cached('devices', source.subscribeToDevices, callback),
+
+    subscribeToCurrentReadings: (callback) =>
+      cached('currentReadings', source.subscribeToCurrentReadings, callback, { mark: markReadingMap }),
+
+    subscribeToWaterLevelUpdates: (deviceId, callback) =>
+      cached(`recent/${deviceId}`, cb => source.subscribeToWaterLevelUpdates(deviceId, cb), callback, { mark: markReadings }),
+
+    // History is kept per station and resolution, and trimmed to the requested window when restored
+    subscribeToHistory: (deviceId, options, callback) =>
+      cached(`history/${deviceId}/${options.resolution}`, cb => source.subscribeToHistory(deviceId, options, cb), callback, {
+        mark: readings => markReadings(filterHistory(readings, options)),
+        save: readings => readings.slice(0, MAX_CACHED_HISTORY)
+      }),
+
+    // An empty first page (e.g. a failed query while offline) falls back to the saved history
+    fetchHistoryPage: async (deviceId, options = {}) => {
+      const page = await source.fetchHistoryPage(deviceId, options);
+      if (page.readings.length > 0 || options.before) return page;
+
+      const entry = await storage.read(`history/${deviceId}/${options.resolution || '5m'}`);
+      if (!entry) return page;
+      const readings = markReadings(filterHistory(entry.data, options));
+      return { readings: options.limit ? readings.slice(0, options.limit) : readings, cursor: null };
+    },
+
+    subscribeToIncidents: (callback) =>
+      cached('incidents', source.subscribeToIncidents, callback),
+
+    subscribeToStationNotes: (callback) =>
+      cached('notes', source.subscribeToStationNotes, callback)
+  };
+};
@@ -0,0 +1,80 @@
+import { withOfflineCache } from './offlineCache';
+
+const MINUTE_MS = 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 12, 0);
+
+// Storage kept in a Map, resolving like IndexedDB does
+const createStorage = (entries = {}) => {
+  const saved = new Map(Object.entries(entries));
+  return {
+    saved,
+    read: async (key) => saved.get(key) || null,
+    write: async (key, entry) => saved.set(key, entry)
+  };
+};
+
+// Source whose subscriptions deliver data only when emit is called
+const createSource = () => {
+  const callbacks = {};
+  const subscribe = (name) => (...args) => {
+    callbacks[name] = args[args.length - 1];
+    return () => delete callbacks[name];
+  };
+  return {
+    callbacks,
+    subscribeToCurrentReadings: subscribe('current'),
+    subscribeToHistory: subscribe('history'),
+    fetchHistoryPage: async () => ({ readings: [], cursor: null }),
+    recordWaterLevelReading: async () => true
+  };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('shows the saved readings until the source delivers live ones, and saves those', async () => {
+  const storage = createStorage({
+    currentReadings: { data: { 'station-1': { timestamp: time, waterLevel: 40 } }, savedAt: time }
+  });
+  const source = createSource();
+  const cachedSource = withOfflineCache(source, storage, () => time + MINUTE_MS);
+  const updates = [];
+
+  cachedSource.subscribeToCurrentReadings(readings => updates.push(readings));
+  await flush();
+  expect(updates).toEqual([{ 'station-1': { timestamp: time, waterLevel: 40, fromCache: true } }]);
+
+  source.callbacks.current({ 'station-1': { timestamp: time + MINUTE_MS, waterLevel: 45 } });
+  expect(updates[1]['station-1'].fromCache).toBeUndefined();
+  expect(storage.saved.get('currentReadings')).toEqual({
+    data: { 'station-1': { timestamp: time + MINUTE_MS, waterLevel: 45 } },
+    savedAt: time + MINUTE_MS
+  });
+  expect(cachedSource.recordWaterLevelReading).toBe(source.recordWaterLevelReading);
+});
+
+test('skips the saved copy when live data arrives first', async () => {
+  const storage = createStorage({ currentReadings: { data: { 'station-1': { timestamp: time, waterLevel: 40 } }, savedAt: time } });
+  const source = createSource();
+  const updates = [];
+
+  withOfflineCache(source, storage).subscribeToCurrentReadings(readings => updates.push(readings));
+  source.callbacks.current({});
+  await flush();
+  expect(updates).toEqual([{}]);
+});
+
+test('restores saved history for the requested window when a page comes back empty', async () => {
+  const history = [0, 1, 2, 3].map(hours => ({ id: `h${hours}`, timestamp: time - hours * 60 * MINUTE_MS, waterLevel: 30 }));
+  const storage = createStorage({ 'history/station-1/1h': { data: history, savedAt: time } });
+  const cachedSource = withOfflineCache(createSource(), storage);
+
+  const page = await cachedSource.fetchHistoryPage('station-1', { resolution: '1h', start: time - 150 * MINUTE_MS, limit: 2 });
+  expect(page.readings.map(reading => reading.id)).toEqual(['h0', 'h1']);
+  expect(page.readings[0].fromCache).toBe(true);
+  expect(page.cursor).toBeNull();
+
+  const updates = [];
+  cachedSource.subscribeToHistory('station-1', { resolution: '1h', end: time - 90 * MINUTE_MS }, readings => updates.push(readings));
+  await flush();
+  expect(updates[0].map(reading => reading.id)).toEqual(['h2', 'h3']);
+});
@@ -0,0 +1,77 @@
+// Rate-of-rise detector
+// Flash floods show up as a steep slope long before the level crosses an absolute threshold,
+// so this measures how fast the level is changing over a recent window of readings.
+
+import { percentToLevelCm } from './devices';
+import { getThresholds } from './thresholds';
+
+// Rates smaller than this (cm per hour) are shown as steady
+export const STEADY_RATE_CM_PER_HOUR = 0.1;
+
+// Readings must span at least this long before a rate is reported
+const MIN_SPAN_MS = 2 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Measure the rate of change of the level over the last windowMinutes of readings
+// readings: [{ timestamp, waterLevel (percent) }] in any order
+// Returns { cmPerHour, cmPer5Min, direction, samples } or null when there isn't enough data
+export const computeRateOfRise = (readings, profile, options = {}) => {
+  const { windowMinutes = getThresholds(profile).rateWindow, now = Date.now() } = options;
+  const windowStart = now - windowMinutes * 60 * 1000;
+
+  const points = (readings || [])
+    .filter(reading => reading.timestamp >= windowStart && reading.timestamp <= now &&
+      reading.waterLevel !== null && reading.waterLevel !== undefined && !isNaN(reading.waterLevel))
+    .map(reading => ({
+      hours: (reading.timestamp - windowStart) / HOUR_MS,
+      levelCm: percentToLevelCm(reading.waterLevel, profile)
+    }));
+
+  if (points.length < 2) return null;
+
+  const hours = points.map(point => point.hours);
+  if ((Math.max(...hours) - Math.min(...hours)) * HOUR_MS < MIN_SPAN_MS) return null;
+
+  // Least-squares slope, so a single noisy reading doesn't dominate the rate
+  const meanHours = hours.reduce((sum, h) => sum + h, 0) / points.length;
+  const meanLevel = points.reduce((sum, point) => sum + point.levelCm, 0) / points.length;
+
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(point => {
+    covariance += (point.hours - meanHours) * (point.levelCm - meanLevel);
+    variance += (point.hours - meanHours) ** 2;
+  });
+
+  const cmPerHour = covariance / variance;
+
+  let direction = 'steady';
+  if (cmPerHour >= STEADY_RATE_CM_PER_HOUR) direction = 'rising';
+  if (cmPerHour <= -STEADY_RATE_CM_PER_HOUR) direction = 'falling';
+
+  return {
+    cmPerHour,
+    cmPer5Min: cmPerHour / 12,
+    direction,
+    samples: points.length
+  };
+};
+
+// Decide the rate alert given the previous one
+// Enters "rapid-rise" once the rate reaches the device's rapidRise slope, and only clears
+// once the rate has dropped below half of it, so a rate hovering at the slope doesn't flap.
+export const getNextRateStatus = (previousStatus, rate, profile) => {
+  if (!rate) return 'unknown';
+
+  const { rapidRise } = getThresholds(profile);
+  if (rate.cmPerHour >= rapidRise) return 'rapid-rise';
+  if (previousStatus === 'rapid-rise' && rate.cmPerHour >= rapidRise / 2) return 'rapid-rise';
+  return 'normal';
+};
+
+// Format a rate for display, e.g. "+1.4 cm/h"
+export const formatRate = (cmPerRate, unit = 'cm/h') => {
+  const rounded = Number(cmPerRate.toFixed(cmPerRate !== 0 && Math.abs(cmPerRate) < 0.1 ? 2 : 1));
+  return `${rounded > 0 ? '+' : ''}${rounded} ${unit}`;
+};
@@ -0,0 +1,47 @@
+import { computeRateOfRise, getNextRateStatus, formatRate } from './rateOfRise';
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2024, 6, 1, 12, 0);
+
+// 1% of a 100cm max depth is 1cm, which keeps the numbers readable
+const profile = { maxDepth: 100, thresholds: { rapidRise: 6, rateWindow: 30 } };
+
+// Build readings every 5 minutes, newest first, from a function of minutes ago
+const series = (levelAt, count = 7) => Array.from({ length: count }, (_, i) => ({
+  timestamp: now - i * 5 * MINUTE,
+  waterLevel: levelAt(i * 5)
+}));
+
+test('measures a steady rise in cm per hour and per 5 minutes', () => {
+  // 1cm every 5 minutes
+  const rate = computeRateOfRise(series(minutesAgo => 40 - minutesAgo / 5), profile, { now });
+  expect(rate.cmPerHour).toBeCloseTo(12);
+  expect(rate.cmPer5Min).toBeCloseTo(1);
+  expect(rate.direction).toBe('rising');
+  expect(rate.samples).toBe(7);
+});
+
+test('reports falling and steady levels', () => {
+  expect(computeRateOfRise(series(minutesAgo => 10 + minutesAgo / 5), profile, { now }).direction).toBe('falling');
+  expect(computeRateOfRise(series(() => 25), profile, { now }).direction).toBe('steady');
+});
+
+test('ignores readings outside the window and needs at least two readings', () => {
+  const readings = [{ timestamp: now, waterLevel: 50 }, { timestamp: now - 60 * MINUTE, waterLevel: 0 }];
+  expect(computeRateOfRise(readings, profile, { now })).toBeNull();
+  expect(computeRateOfRise([], profile, { now })).toBeNull();
+});
+
+test('raises rapid rise at the slope and clears it below half the slope', () => {
+  expect(getNextRateStatus('normal', { cmPerHour: 6 }, profile)).toBe('rapid-rise');
+  expect(getNextRateStatus('rapid-rise', { cmPerHour: 4 }, profile)).toBe('rapid-rise');
+  expect(getNextRateStatus('normal', { cmPerHour: 4 }, profile)).toBe('normal');
+  expect(getNextRateStatus('rapid-rise', { cmPerHour: 2 }, profile)).toBe('normal');
+  expect(getNextRateStatus('rapid-rise', null, profile)).toBe('unknown');
+});
+
+test('formats rates with a sign', () => {
+  expect(formatRate(1.44)).toBe('+1.4 cm/h');
+  expect(formatRate(-0.05, 'cm/5 min')).toBe('-0.05 cm/5 min');
+  expect(formatRate(0)).toBe('0 cm/h');
+});
@@ -0,0 +1,189 @@
+// Import of readings collected offline (SD-card logs, CSV or JSON files)
+// Rows are turned into readings with the same normalization as recordWaterLevelReading,
+// checked against what is already stored, and only the new ones are written.
+
+import { levelCmToPercent } from './devices';
+import { prepareReading } from './readings';
+import { SITE_TIMEZONE, parseInTimeZone } from './timezone';
+
+// Column names accepted for each field (compared without case, spaces or punctuation)
+const FIELD_ALIASES = {
+  timestamp: ['timestamp', 'time', 'datetime', 'date'],
+  waterLevel: ['waterlevel', 'levelpercent', 'percent'],
+  levelCm: ['levelcm'],
+  distance: ['distance', 'distancecm'],
+  deviceId: ['deviceid', 'device'],
+  status: ['status']
+};
+
+// Match a column name against the known fields, e.g. "Level (cm)" -> levelCm
+const getFieldName = (column) => {
+  const normalized = String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(normalized)) || null;
+};
+
+// Split CSV text into rows of fields, honouring quoted fields with commas, quotes and line breaks
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Read an import file into rows: [{ line, fields: { timestamp, distance, ... } }]
+// CSV files need a header row; JSON files hold an array of objects, or { readings: [...] }
+// line is the row's line in a CSV file, or its position in a JSON array
+export const parseImportFile = (fileName, text) => {
+  if (/\.json$/i.test(fileName)) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : (data && data.readings) || [];
+
+    return entries.map((entry, index) => {
+      const fields = {};
+      Object.keys(entry || {}).forEach(column => {
+        const field = getFieldName(column);
+        if (field) fields[field] = entry[column];
+      });
+      return { line: index + 1, fields };
+    });
+  }
+
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(getFieldName);
+
+  return rows
+    .map((values, index) => {
+      const fields = {};
+      values.forEach((value, column) => {
+        if (columns[column]) fields[columns[column]] = value;
+      });
+      return { line: index + 2, fields, blank: values.every(value => value.trim() === '') };
+    })
+    .filter(row => !row.blank)
+    .map(({ line, fields }) => ({ line, fields }));
+};
+
+// Turn a timestamp cell into milliseconds
+// Numbers are epoch seconds or milliseconds; dates without a UTC offset are in the site's timezone
+const parseTimestamp = (value, timeZone) => {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+
+  const localTime = text.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(:\d{2})?)(\.\d+)?$/);
+  if (localTime) return parseInTimeZone(`${localTime[1]}T${localTime[2]}`, timeZone);
+
+  return Date.parse(text);
+};
+
+// Treat empty cells as missing
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Check import rows and turn them into readings for a device
+// Returns { accepted: [{ line, reading }], rejected: [{ line, reason }] }
+export const validateImportRows = (rows, profile, { deviceId, timeZone = SITE_TIMEZONE }) => {
+  const accepted = [];
+  const rejected = [];
+
+  rows.forEach(({ line, fields }) => {
+    if (!isBlank(fields.deviceId) && String(fields.deviceId).trim() !== deviceId) {
+      rejected.push({ line, reason: `Belongs to device ${fields.deviceId}` });
+      return;
+    }
+    if (isBlank(fields.timestamp)) {
+      rejected.push({ line, reason: 'Timestamp is missing' });
+      return;
+    }
+
+    const timestamp = parseTimestamp(fields.timestamp, timeZone);
+    if (isNaN(timestamp)) {
+      rejected.push({ line, reason: `"${fields.timestamp}" is not a date or time` });
+      return;
+    }
+
+    const input = { timestamp, deviceId };
+    if (!isBlank(fields.waterLevel)) {
+      input.waterLevel = fields.waterLevel;
+    } else if (!isBlank(fields.levelCm)) {
+      const levelCm = parseFloat(fields.levelCm);
+      input.waterLevel = isNaN(levelCm) ? NaN : levelCmToPercent(levelCm, profile);
+    }
+    if (!isBlank(fields.distance)) input.distance = fields.distance;
+    if (!isBlank(fields.status)) input.status = fields.status;
+
+    const { reading, error } = prepareReading(input, profile);
+    if (error) {
+      rejected.push({ line, reason: error });
+    } else {
+      accepted.push({ line, reading });
+    }
+  });
+
+  return { accepted, rejected };
+};
+
+// Database key of an imported reading, so re-importing a file overwrites instead of duplicating
+export const getImportKey = (reading) => `imported-${reading.timestamp}`;
+
+// Check whether a database key is an imported reading's, whose time is kept as it is rather than
+// checked against when it arrived (the filterReading function does the same)
+export const isImportKey = (key) => typeof key === 'string' && key.startsWith('imported-');
+
+// Drop readings that are already stored, or that appear twice in the file
+// existing: the device's stored readings over the same time range ({ id, timestamp })
+// Returns { fresh: [readings with a key], duplicates: [{ line, reason }] }
+export const removeDuplicates = (accepted, existing) => {
+  const storedKeys = new Set(existing.map(reading => reading.id));
+  const storedTimestamps = new Set(existing.map(reading => reading.timestamp));
+  const fileTimestamps = new Set();
+  const fresh = [];
+  const duplicates = [];
+
+  accepted.forEach(({ line, reading }) => {
+    const key = getImportKey(reading);
+    if (storedKeys.has(key) || storedTimestamps.has(reading.timestamp)) {
+      duplicates.push({ line, reason: 'Already stored' });
+    } else if (fileTimestamps.has(reading.timestamp)) {
+      duplicates.push({ line, reason: 'Repeats an earlier row' });
+    } else {
+      fileTimestamps.add(reading.timestamp);
+      fresh.push({ ...reading, key });
+    }
+  });
+
+  return { fresh, duplicates };
+};
@@ -0,0 +1,63 @@
+import { parseCsv, parseImportFile, validateImportRows, removeDuplicates, getImportKey } from './readingImport';
+
+const MINUTE = 60 * 1000;
+// 2024-07-01 09:07 in Manila (UTC+8)
+const time = Date.UTC(2024, 6, 1, 1, 7);
+const profile = { id: 'station-1', mountHeight: 15, maxDepth: 8, thresholds: { warning: 3, critical: 6 } };
+const options = { deviceId: 'station-1', timeZone: 'Asia/Manila' };
+
+test('parses quoted CSV fields and line endings', () => {
+  expect(parseCsv('a,b\r\n"x, y","say ""hi"""\n1,\n')).toEqual([
+    ['a', 'b'],
+    ['x, y', 'say "hi"'],
+    ['1', '']
+  ]);
+});
+
+test('reads CSV and JSON files into rows with their line numbers', () => {
+  const csv = parseImportFile('log.csv', 'Timestamp,Distance (cm),Notes\n2024-07-01 09:07:00,11,ok\n\n2024-07-01 09:08,12,\n');
+  expect(csv).toEqual([
+    { line: 2, fields: { timestamp: '2024-07-01 09:07:00', distance: '11' } },
+    { line: 4, fields: { timestamp: '2024-07-01 09:08', distance: '12' } }
+  ]);
+
+  // The dashboard's own JSON export can be imported back
+  const json = parseImportFile('export.json', JSON.stringify({ readings: [{ timestamp: '2024-07-01T09:07:00+08:00', levelCm: 4, deviceName: 'x' }] }));
+  expect(json).toEqual([{ line: 1, fields: { timestamp: '2024-07-01T09:07:00+08:00', levelCm: 4 } }]);
+});
+
+test('normalizes rows like recorded readings and explains rejected ones', () => {
+  const { accepted, rejected } = validateImportRows([
+    { line: 2, fields: { timestamp: '2024-07-01 09:07', distance: '11' } },
+    { line: 3, fields: { timestamp: String(time / 1000 + 60), levelCm: '2' } },
+    { line: 4, fields: { timestamp: '2024-07-01T01:09:00Z', waterLevel: '80' } },
+    { line: 5, fields: { timestamp: 'yesterday', distance: '11' } },
+    { line: 6, fields: { timestamp: '2024-07-01 09:10' } },
+    { line: 7, fields: { timestamp: '2024-07-01 09:11', distance: '11', deviceId: 'station-2' } }
+  ], profile, options);
+
+  expect(accepted.map(({ reading }) => [reading.timestamp, reading.waterLevel, reading.status])).toEqual([
+    [time, 50, 'Warning'],
+    [time + MINUTE, 25, 'Safe'],
+    [time + 2 * MINUTE, 80, 'Critical']
+  ]);
+  expect(accepted[0].reading.deviceId).toBe('station-1');
+  expect(rejected.map(row => row.line)).toEqual([5, 6, 7]);
+  expect(rejected[2].reason).toMatch(/station-2/);
+});
+
+test('skips readings that are already stored or repeated in the file', () => {
+  const accepted = [time, time + MINUTE, time + 2 * MINUTE, time + 2 * MINUTE].map((timestamp, index) => ({
+    line: index + 2,
+    reading: { timestamp, waterLevel: 10 }
+  }));
+  const existing = [
+    { id: '-Nx1', timestamp: time },
+    { id: getImportKey({ timestamp: time + MINUTE }), timestamp: time + MINUTE }
+  ];
+
+  const { fresh, duplicates } = removeDuplicates(accepted, existing);
+
+  expect(fresh).toEqual([{ timestamp: time + 2 * MINUTE, waterLevel: 10, key: `imported-${time + 2 * MINUTE}` }]);
+  expect(duplicates.map(row => row.reason)).toEqual(['Already stored', 'Already stored', 'Repeats an earlier row']);
+});
@@ -0,0 +1,189 @@
+// Reading normalization
+// Every reading written to waterLevelData goes through prepareReading, whether it comes from
+// recordWaterLevelReading or from an imported file, so stored readings always look the same.
+// normalizeReading and normalizeRollup turn stored entries back into the reading objects the
+// dashboard uses, whichever data source they come from. Their waterLevel is the filtered level
+// where the entry has one (see filtering.js), with the stored raw level as rawLevel.
+//
+// Readings keep two times: timestamp, the station's own clock, which history is ordered by, and
+// receivedAt, when the server (or the source, without Firebase) got the reading. A station whose
+// clock isn't set, or runs ahead of the server, would scramble the history, so its readings are
+// filed under receivedAt instead, with the time it sent kept as deviceTime and clockInvalid set.
+
+import { getDeviceProfile, distanceToPercent } from './devices';
+import { getStatusFromWaterLevel, getStatusLabel } from './thresholds';
+
+// Device ID used for readings that don't identify their sensor
+export const UNKNOWN_DEVICE_ID = 'unknown';
+
+// History resolutions: raw readings, or 5-minute, hourly and daily rollups
+export const HISTORY_RESOLUTIONS = ['raw', '5m', '1h', '1d'];
+
+// Default number of entries in one page of history (a day of 5-minute rollups)
+export const HISTORY_PAGE_SIZE = 288;
+
+// Raw readings kept for the live view, enough for the rate-of-rise window
+export const LIVE_HISTORY_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+// Helper function to fix ESP8266 timestamps
+// Returns the timestamp in milliseconds, or null when it can't be placed in time
+export const fixTimestamp = (timestamp) => {
+  // First, check if it's a reasonably recent timestamp in milliseconds
+  // (roughly from 2020 onwards: 1577836800000)
+  if (timestamp > 1577836800000) {
+    return timestamp; // Already in milliseconds and recent
+  }
+
+  // Check if it's a reasonably recent timestamp in seconds
+  // (roughly from 2020 onwards: 1577836800)
+  if (timestamp > 1577836800 && timestamp < 2000000000) {
+    return timestamp * 1000; // Convert seconds to milliseconds
+  }
+
+  // ESP8266 NTP timestamps might be seconds since boot
+  // There is no way to tell when such a reading was taken, so don't pretend it is current
+  console.warn("Ignoring reading with invalid timestamp:", timestamp);
+  return null;
+};
+
+// How far a station's clock may be ahead of the receipt time, or behind it, before its time is
+// not trusted. Readings from the past are allowed for a while, as a station may upload late.
+export const MAX_CLOCK_AHEAD_MS = 5 * 60 * 1000;
+export const MAX_CLOCK_BEHIND_MS = 24 * 60 * 60 * 1000;
+
+// Decide the time a reading is filed under (keep in sync with functions/aggregation.js, see functionsParity.test.js)
+// deviceTime: the time the station sent, if any; receivedAt: when it arrived, in ms
+// Returns { timestamp, fromReceipt, clockInvalid }. Readings without a time are filed under
+// receivedAt; readings whose time can't be right are too, and are flagged clockInvalid.
+export const resolveReadingTime = (deviceTime, receivedAt) => {
+  if (deviceTime === undefined || deviceTime === null || deviceTime === '') {
+    return { timestamp: receivedAt, fromReceipt: true, clockInvalid: false };
+  }
+
+  const timestamp = fixTimestamp(typeof deviceTime === 'number' ? deviceTime : parseInt(deviceTime, 10));
+  if (timestamp === null || timestamp - receivedAt > MAX_CLOCK_AHEAD_MS || receivedAt - timestamp > MAX_CLOCK_BEHIND_MS) {
+    return { timestamp: receivedAt, fromReceipt: true, clockInvalid: true };
+  }
+  return { timestamp, fromReceipt: false, clockInvalid: false };
+};
+
+// Check and normalize a new reading before it is stored
+// reading: { timestamp, waterLevel (percent) and/or distance (cm), deviceId, status }
+// profile: the device's registry entry, used to convert distances and decide the status
+// receivedAt: when a live reading arrived; its time is then checked with resolveReadingTime.
+// Without it (e.g. imported files) a reading must have a valid time of its own.
+// Returns { reading, fromReceipt } with numeric fields and a standard status label, or { error }.
+// fromReceipt is true when the reading is filed under its receipt time.
+export const prepareReading = (input, profile, { receivedAt = null } = {}) => {
+  const reading = { ...input };
+  let fromReceipt = false;
+
+  if (receivedAt !== null) {
+    const resolved = resolveReadingTime(reading.timestamp, receivedAt);
+    fromReceipt = resolved.fromReceipt;
+    if (resolved.clockInvalid) {
+      const deviceTime = Number(reading.timestamp);
+      if (!isNaN(deviceTime)) reading.deviceTime = deviceTime;
+      reading.clockInvalid = true;
+      console.warn(`Device clock of ${reading.deviceId || UNKNOWN_DEVICE_ID} is wrong (${reading.timestamp}); filing the reading by receipt time`);
+    }
+    reading.timestamp = resolved.timestamp;
+    reading.receivedAt = receivedAt;
+  } else {
+    // Make sure the timestamp is a number in milliseconds
+    const timestamp = fixTimestamp(typeof reading.timestamp === 'number' ?
+      reading.timestamp : parseInt(reading.timestamp, 10));
+    if (timestamp === null) {
+      return { error: 'Timestamp is missing or not a valid time' };
+    }
+    reading.timestamp = timestamp;
+  }
+
+  // Make sure water level value is present
+  if (reading.waterLevel === undefined && reading.distance === undefined) {
+    return { error: 'Either waterLevel or distance value is required' };
+  }
+
+  // If only distance is provided, calculate water level from the device's geometry
+  if (reading.waterLevel === undefined) {
+    reading.waterLevel = distanceToPercent(reading.distance, getDeviceProfile(profile));
+  }
+
+  // Ensure we're storing values as numbers
+  reading.waterLevel = parseFloat(reading.waterLevel);
+  if (isNaN(reading.waterLevel) || reading.waterLevel < 0 || reading.waterLevel > 100) {
+    return { error: 'Water level must be a percentage between 0 and 100' };
+  }
+  if (reading.distance !== undefined) {
+    reading.distance = parseFloat(reading.distance);
+    if (isNaN(reading.distance) || reading.distance < 0) {
+      return { error: 'Distance must be a number of at least 0' };
+    }
+  }
+
+  // Set status from the device's thresholds if not provided, and store it as a standard label
+  reading.status = getStatusLabel(reading.status || getStatusFromWaterLevel(reading.waterLevel, profile));
+
+  // Every reading belongs to exactly one device
+  reading.deviceId = reading.deviceId || UNKNOWN_DEVICE_ID;
+
+  return { reading, fromReceipt };
+};
+
+// Convert a stored entry into a reading object
+// The device profile supplies the geometry for entries that only have a distance, and the
+// thresholds that decide the status (so the stored status label is only informational)
+export const normalizeReading = (id, entry, deviceId, profile) => {
+  // Handle legacy entries that only have distance
+  let rawLevel = entry.waterLevel;
+  if (rawLevel === undefined && entry.distance !== undefined) {
+    rawLevel = distanceToPercent(entry.distance, profile);
+  }
+  rawLevel = typeof rawLevel === 'number' ? rawLevel : parseFloat(rawLevel);
+
+  // Entries that haven't been filtered use their raw level
+  const filteredLevel = parseFloat(entry.filteredLevel);
+  const waterLevel = isNaN(filteredLevel) ? rawLevel : filteredLevel;
+
+  // Entries from before receipt times were recorded don't have one
+  const receivedAt = entry.receivedAt !== undefined && entry.receivedAt !== null ?
+    fixTimestamp(Number(entry.receivedAt)) : null;
+  const timestamp = fixTimestamp(typeof entry.timestamp === 'number' ?
+    entry.timestamp : parseInt(entry.timestamp, 10));
+
+  return {
+    id,
+    waterLevel,
+    rawLevel,
+    suspect: entry.suspect === true,
+    distance: entry.distance !== undefined && entry.distance !== null ?
+      parseFloat(entry.distance) : null,
+    timestamp: timestamp !== null ? timestamp : receivedAt,
+    receivedAt,
+    clockInvalid: entry.clockInvalid === true,
+    deviceId: entry.deviceId || deviceId || UNKNOWN_DEVICE_ID,
+    status: getStatusFromWaterLevel(waterLevel, profile)
+  };
+};
+
+// Convert a rollup bucket ({ start, mean, min, max, count }) into a reading object
+// The bucket's filtered mean is used as the water level, with its min, max and count alongside,
+// and the raw mean and max as rawLevel and rawMax. Buckets from before filtering only have raw figures.
+export const normalizeRollup = (id, entry, deviceId, profile) => {
+  const filtered = entry.filteredMean !== undefined && entry.filteredMean !== null;
+  const waterLevel = parseFloat(filtered ? entry.filteredMean : entry.mean);
+
+  return {
+    id,
+    waterLevel,
+    min: parseFloat(filtered ? entry.filteredMin : entry.min),
+    max: parseFloat(filtered ? entry.filteredMax : entry.max),
+    rawLevel: parseFloat(entry.mean),
+    rawMax: parseFloat(entry.max),
+    count: entry.count,
+    suspectCount: entry.suspectCount || 0,
+    timestamp: fixTimestamp(parseInt(entry.start, 10)),
+    deviceId,
+    status: getStatusFromWaterLevel(waterLevel, profile)
+  };
+};
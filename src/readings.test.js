@@ -0,0 +1,51 @@
+import { fixTimestamp, resolveReadingTime, prepareReading, normalizeReading, normalizeRollup } from './readings';
+
+const time = Date.UTC(2024, 6, 1, 1, 7, 30);
+// Sensor 15cm above the bed of an 8cm deep channel
+const profile = { id: 'station-1', mountHeight: 15, maxDepth: 8, thresholds: { warning: 3, critical: 6 } };
+
+test('accepts millisecond and second timestamps and rejects time since boot', () => {
+  expect(fixTimestamp(time)).toBe(time);
+  expect(fixTimestamp(time / 1000)).toBe(time);
+  expect(fixTimestamp(12345)).toBeNull();
+});
+
+test('prepares readings from a distance or a level', () => {
+  expect(prepareReading({ timestamp: String(time / 1000), distance: '11', deviceId: 'station-1' }, profile)).toEqual({
+    reading: { timestamp: time, distance: 11, waterLevel: 50, status: 'Warning', deviceId: 'station-1' },
+    fromReceipt: false
+  });
+  expect(prepareReading({ timestamp: time, waterLevel: 10 }, profile).reading).toMatchObject({ status: 'Safe', deviceId: 'unknown' });
+});
+
+test('rejects readings that cannot be stored', () => {
+  expect(prepareReading({ waterLevel: 10 }, profile).error).toMatch(/Timestamp/);
+  expect(prepareReading({ timestamp: time }, profile).error).toMatch(/waterLevel or distance/);
+  expect(prepareReading({ timestamp: time, waterLevel: 'high' }, profile).error).toMatch(/percentage/);
+  expect(prepareReading({ timestamp: time, distance: -3 }, profile).error).toMatch(/Distance/);
+});
+
+test('files live readings from a wrong clock under their receipt time', () => {
+  expect(resolveReadingTime(time - 2000, time)).toEqual({ timestamp: time - 2000, fromReceipt: false, clockInvalid: false });
+  expect(resolveReadingTime(null, time)).toEqual({ timestamp: time, fromReceipt: true, clockInvalid: false });
+  expect(resolveReadingTime(time + 60 * 60 * 1000, time)).toEqual({ timestamp: time, fromReceipt: true, clockInvalid: true });
+
+  const { reading, fromReceipt } = prepareReading({ timestamp: 12345, waterLevel: 10 }, profile, { receivedAt: time });
+  expect(fromReceipt).toBe(true);
+  expect(reading).toMatchObject({ timestamp: time, receivedAt: time, deviceTime: 12345, clockInvalid: true });
+  expect(prepareReading({ waterLevel: 10 }, profile, { receivedAt: time }).reading.clockInvalid).toBeUndefined();
+  expect(normalizeReading('a', { ...reading, timestamp: 'bad' }, 'station-1', profile))
+    .toMatchObject({ timestamp: time, receivedAt: time, clockInvalid: true });
+});
+
+test('reads the filtered level where a reading or rollup has one, keeping the raw level', () => {
+  expect(normalizeReading('a', { timestamp: time, waterLevel: 90, filteredLevel: 40, suspect: true }, 'station-1', profile))
+    .toMatchObject({ waterLevel: 40, rawLevel: 90, suspect: true, status: 'warning' });
+  expect(normalizeReading('b', { timestamp: time, waterLevel: 40 }, 'station-1', profile))
+    .toMatchObject({ waterLevel: 40, rawLevel: 40, suspect: false });
+
+  expect(normalizeRollup(String(time), { start: time, mean: 50, min: 20, max: 90, filteredMean: 40, filteredMin: 20, filteredMax: 45, suspectCount: 2 }, 'station-1', profile))
+    .toMatchObject({ waterLevel: 40, max: 45, rawLevel: 50, rawMax: 90, suspectCount: 2 });
+  expect(normalizeRollup(String(time), { start: time, mean: 50, min: 20, max: 90 }, 'station-1', profile))
+    .toMatchObject({ waterLevel: 50, max: 90, suspectCount: 0 });
+});
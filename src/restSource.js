@@ -0,0 +1,238 @@
+// REST data source for sites with an HTTP gateway, polled every few seconds
+// The gateway serves JSON under a base URL:
+// - GET   devices                          [{ id, name, location, ... }] station metadata
+// - GET   current                          { [deviceId]: { timestamp, waterLevel or distance } }
+// - GET   devices/{id}/history?resolution=&start=&end=&limit=&before=
+//                                          { readings: [...], cursor } newest first; raw readings are
+//                                          { id, timestamp, waterLevel or distance } and rollups are
+//                                          { start, mean, min, max, count }; cursor is passed back as before.
+//                                          A gateway that filters readings adds filteredLevel and suspect,
+//                                          and filteredMean, filteredMin, filteredMax and suspectCount to
+//                                          rollups (see filtering.js). Raw readings may carry receivedAt, when
+//                                          the gateway got them, and clockInvalid (see readings.js)
+// - PATCH devices/{id}                     update station metadata and thresholds
+// - POST  devices/{id}/readings            store readings [{ key, timestamp, waterLevel, ... }]
+// - GET   incidents?limit=                 { [incidentId]: incident } the most recent incidents, opened
+//                                          and updated by the gateway as readings arrive (see incidents.js)
+// - POST  incidents/{id}/acknowledge, incidents/{id}/notes, incidents/{id}/close
+//                                          an operator's action { text, by, email, at }
+// - GET   notes, PUT notes/{id}
+// - GET   events?start=&end=&limit=        [{ id, type, severity, deviceId, at, message }] the event log,
+//                                          including the stations' own messages (see eventLog.js)
+
+import { getDeviceProfile } from './devices';
+import { validateDeviceDetails } from './thresholds';
+import {
+  UNKNOWN_DEVICE_ID,
+  HISTORY_PAGE_SIZE,
+  LIVE_HISTORY_WINDOW_MS,
+  fixTimestamp,
+  prepareReading,
+  normalizeReading,
+  normalizeRollup
+} from './readings';
+import { createLocalUser } from './auth';
+import { INCIDENT_LIST_SIZE, createIncidentEvent } from './incidents';
+import { EVENT_LOG_LIMIT, normalizeEvent, sortEvents } from './eventLog';
+
+// Path of a history query, e.g. devices/station-1/history?resolution=1h&limit=168
+export const getHistoryPath = (deviceId, { resolution = '5m', start = null, end = null, limit = null, before = null } = {}) => {
+  const params = new URLSearchParams({ resolution });
+  if (start !== null) params.set('start', start);
+  if (end !== null) params.set('end', end);
+  if (limit) params.set('limit', limit);
+  if (before) params.set('before', before);
+  return `devices/${encodeURIComponent(deviceId)}/history?${params}`;
+};
+
+// Create a REST source
+// options: { url, pollInterval (ms), role }
+export const createRestSource = ({ url, pollInterval = 15000, role }) => {
+  const baseUrl = url.replace(/\/+$/, '');
+  const localUser = createLocalUser(role);
+  let registry = {};
+
+  // Send a request to the gateway, returning its JSON (or null when there is no body)
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${baseUrl}/${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+      throw new Error(`${method} ${path} failed with status ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+  };
+
+  // Call load now and every pollInterval, passing its result to the callback
+  // A failed poll is logged and skipped, keeping the last data on screen
+  const poll = (load, callback) => {
+    let stopped = false;
+    let timer = null;
+
+    const run = async () => {
+      try {
+        const data = await load();
+        if (!stopped) callback(data);
+      } catch (error) {
+        console.error('Error polling the gateway:', error);
+      }
+      if (!stopped) timer = setTimeout(run, pollInterval);
+    };
+
+    run();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  };
+
+  // Send a write and report success as true or false
+  const write = async (path, method, body) => {
+    try {
+      await request(path, { method, body });
+      return true;
+    } catch (error) {
+      console.error(`Error writing ${path}:`, error);
+      return false;
+    }
+  };
+
+  const getProfile = (deviceId) => getDeviceProfile({ ...(registry[deviceId] || {}), id: deviceId });
+
+  const loadDevices = async () => {
+    const list = await request('devices');
+    registry = {};
+    list.forEach(device => {
+      registry[device.id] = device;
+    });
+    return list;
+  };
+
+  const loadCurrentReadings = async () => {
+    const data = (await request('current')) || {};
+    const readings = {};
+    Object.keys(data).forEach(deviceId => {
+      const reading = normalizeReading('current-reading', data[deviceId], deviceId, getProfile(deviceId));
+      if (!isNaN(reading.waterLevel) && reading.timestamp !== null) {
+        readings[deviceId] = reading;
+      }
+    });
+    return readings;
+  };
+
+  const loadHistory = async (deviceId, options) => {
+    if (!registry[deviceId]) await loadDevices();
+    const { resolution = '5m' } = options;
+    const profile = getProfile(deviceId);
+    const data = await request(getHistoryPath(deviceId, options));
+
+    const readings = (data.readings || [])
+      .map(entry => (resolution === 'raw'
+        ? normalizeReading(entry.id, entry, deviceId, profile)
+        : normalizeRollup(entry.id || String(entry.start), entry, deviceId, profile)))
+      .filter(reading => !isNaN(reading.waterLevel) && reading.timestamp !== null)
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return { readings, cursor: data.cursor || null };
+  };
+
+  return {
+    subscribeToUser: (callback) => {
+      callback(localUser);
+      return () => {};
+    },
+
+    subscribeToDevices: (callback) => poll(loadDevices, (list) => {
+      const devices = list.map(device => getDeviceProfile({
+        ...device,
+        name: device.name || device.id,
+        lastSeen: device.lastSeen ? fixTimestamp(Number(device.lastSeen)) : null
+      }));
+      devices.sort((a, b) => a.name.localeCompare(b.name));
+      callback(devices);
+    }),
+
+    subscribeToCurrentReadings: (callback) => poll(loadCurrentReadings, callback),
+
+    // The current reading followed by the recent raw readings, newest first
+    subscribeToWaterLevelUpdates: (deviceId, callback) => poll(async () => {
+      const [current, history] = await Promise.all([
+        loadCurrentReadings(),
+        loadHistory(deviceId, { resolution: 'raw', start: Date.now() - LIVE_HISTORY_WINDOW_MS })
+      ]);
+      return current[deviceId] ? [current[deviceId], ...history.readings] : history.readings;
+    }, callback),
+
+    fetchHistoryPage: async (deviceId, options = {}) => {
+      try {
+        return await loadHistory(deviceId, { limit: HISTORY_PAGE_SIZE, ...options });
+      } catch (error) {
+        console.error('Error fetching history page:', error);
+        return { readings: [], cursor: null };
+      }
+    },
+
+    subscribeToHistory: (deviceId, options, callback) => poll(async () => {
+      const { readings } = await loadHistory(deviceId, { ...options, before: null });
+      return readings;
+    }, callback),
+
+    subscribeToIncidents: (callback) => poll(async () => (await request(`incidents?limit=${INCIDENT_LIST_SIZE}`)) || {}, callback),
+
+    subscribeToStationNotes: (callback) => poll(async () => (await request('notes')) || {}, callback),
+
+    subscribeToEventLog: ({ start, end = null }, callback) => poll(async () => {
+      const params = new URLSearchParams({ start, limit: EVENT_LOG_LIMIT });
+      if (end !== null) params.set('end', end);
+      const entries = (await request(`events?${params}`)) || [];
+      return sortEvents(entries.map(entry => normalizeEvent(entry.id, entry)).filter(Boolean));
+    }, callback),
+
+    registerDevice: async (deviceId, details = {}) => {
+      const errors = validateDeviceDetails(details);
+      if (!deviceId || errors.length > 0) {
+        console.error('Error: invalid device metadata:', errors);
+        return false;
+      }
+      return write(`devices/${encodeURIComponent(deviceId)}`, 'PATCH', { ...details, updatedAt: Date.now() });
+    },
+
+    recordWaterLevelReading: async (reading) => {
+      const deviceId = reading.deviceId || UNKNOWN_DEVICE_ID;
+      const prepared = prepareReading(reading, getProfile(deviceId), { receivedAt: Date.now() });
+      if (prepared.error) {
+        console.error(`Error: ${prepared.error}`);
+        return false;
+      }
+      return write(`devices/${encodeURIComponent(deviceId)}/readings`, 'POST', [prepared.reading]);
+    },
+
+    importReadings: async (deviceId, readings) => {
+      try {
+        const result = await request(`devices/${encodeURIComponent(deviceId)}/readings`, { method: 'POST', body: readings });
+        return result && typeof result.written === 'number' ? result.written : readings.length;
+      } catch (error) {
+        console.error('Error importing readings:', error);
+        return false;
+      }
+    },
+
+    acknowledgeIncident: (incident, user) => write(`incidents/${encodeURIComponent(incident.id)}/acknowledge`, 'POST',
+      createIncidentEvent('acknowledged', user, Date.now())),
+
+    addIncidentNote: (incident, text, user) => write(`incidents/${encodeURIComponent(incident.id)}/notes`, 'POST',
+      createIncidentEvent('note', user, Date.now(), text)),
+
+    closeIncident: (incident, user) => write(`incidents/${encodeURIComponent(incident.id)}/close`, 'POST',
+      createIncidentEvent('closed', user, Date.now())),
+
+    saveStationNote: (deviceId, text, user) => write(`notes/${encodeURIComponent(deviceId)}`, 'PUT', {
+      text,
+      by: user.uid,
+      email: user.email || '',
+      at: Date.now()
+    })
+  };
+};
@@ -0,0 +1,126 @@
+import { waitFor } from '@testing-library/react';
+import { createRestSource, getHistoryPath } from './restSource';
+
+const HOUR_MS = 60 * 60 * 1000;
+const time = Date.UTC(2024, 6, 1, 1, 0, 0);
+
+// A stand-in for the gateway: responses by path (without the query), each a body, an HTTP
+// status code for a failure, or a list of either to give in turn (repeating the last)
+let responses = {};
+const requests = [];
+
+beforeEach(() => {
+  responses = {};
+  requests.length = 0;
+  global.fetch = jest.fn(async (url, { method, body }) => {
+    const path = url.replace('http://gateway.local/api/', '');
+    requests.push({ method, path, body: body ? JSON.parse(body) : undefined });
+
+    const entry = responses[path.split('?')[0]];
+    const response = entry && entry.turns ? (entry.length > 1 ? entry.shift() : entry[0]) : entry;
+    if (typeof response === 'number') return { ok: false, status: response };
+    if (response === undefined) return { ok: true, status: 204 };
+    return { ok: true, status: 200, json: async () => response };
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+// Responses given one per request, e.g. a success, then a failure, then a success
+const inTurn = (...entries) => Object.assign(entries, { turns: true });
+
+const createSource = () => createRestSource({ url: 'http://gateway.local/api/', pollInterval: 1, role: 'operator' });
+
+test('builds history paths with only the options that are set', () => {
+  expect(getHistoryPath('station 1', { resolution: '1h', start: 0, limit: 168 }))
+    .toBe('devices/station%201/history?resolution=1h&start=0&limit=168');
+  expect(getHistoryPath('station-1', { resolution: 'raw', end: time, before: 'reading-9' }))
+    .toBe(`devices/station-1/history?resolution=raw&end=${time}&before=reading-9`);
+  expect(getHistoryPath('station-1')).toBe('devices/station-1/history?resolution=5m');
+});
+
+test('reads raw readings and rollups from history pages, newest first', async () => {
+  responses.devices = [{ id: 'station-1', mountHeight: 15, maxDepth: 8 }];
+  responses['devices/station-1/history'] = {
+    readings: [
+      { id: 'a', timestamp: time, waterLevel: 30, filteredLevel: 28 },
+      { id: 'b', timestamp: time + 60000, distance: 11 },
+      { id: 'c', timestamp: 'never', waterLevel: 40 }
+    ],
+    cursor: 'a'
+  };
+  const source = createSource();
+
+  const raw = await source.fetchHistoryPage('station-1', { resolution: 'raw' });
+  expect(raw.cursor).toBe('a');
+  // The distance-only reading is converted with the station's geometry: 15 - 11 = 4cm of 8cm
+  expect(raw.readings).toMatchObject([
+    { id: 'b', waterLevel: 50 },
+    { id: 'a', waterLevel: 28, rawLevel: 30 }
+  ]);
+  expect(requests.map(request => request.path)).toEqual([
+    'devices',
+    'devices/station-1/history?resolution=raw&limit=288'
+  ]);
+
+  responses['devices/station-1/history'] = {
+    readings: [
+      { start: time, mean: 30, min: 20, max: 60, count: 12, filteredMean: 25, filteredMin: 20, filteredMax: 30, suspectCount: 1 },
+      { start: time + HOUR_MS, mean: 35, min: 30, max: 40, count: 12 }
+    ]
+  };
+  const rollups = await source.fetchHistoryPage('station-1', { resolution: '1h' });
+  expect(rollups.cursor).toBeNull();
+  expect(rollups.readings).toMatchObject([
+    { id: String(time + HOUR_MS), timestamp: time + HOUR_MS, waterLevel: 35, max: 40 },
+    { id: String(time), timestamp: time, waterLevel: 25, max: 30, rawMax: 60, suspectCount: 1 }
+  ]);
+
+  // A failed page is logged and comes back empty
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  responses['devices/station-1/history'] = 500;
+  expect(await source.fetchHistoryPage('station-1', { resolution: '1h' })).toEqual({ readings: [], cursor: null });
+  error.mockRestore();
+});
+
+test('keeps the last data when a poll fails', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  responses.current = inTurn(
+    { 'station-1': { timestamp: time, waterLevel: 30 } },
+    503,
+    { 'station-1': { timestamp: time + 60000, waterLevel: 35 } }
+  );
+  const calls = [];
+  const unsubscribe = createSource().subscribeToCurrentReadings(readings => {
+    calls.push(readings);
+    if (calls.length === 2) unsubscribe();
+  });
+
+  await waitFor(() => expect(calls).toHaveLength(2));
+  expect(calls.map(readings => readings['station-1'].waterLevel)).toEqual([30, 35]);
+  expect(error).toHaveBeenCalledTimes(1);
+  error.mockRestore();
+});
+
+test('imports readings, reporting how many the gateway wrote', async () => {
+  const source = createSource();
+  const readings = [
+    { key: `imported-${time}`, timestamp: time, waterLevel: 20 },
+    { key: `imported-${time + 60000}`, timestamp: time + 60000, waterLevel: 21 }
+  ];
+
+  responses['devices/station-1/readings'] = { written: 1 };
+  expect(await source.importReadings('station-1', readings)).toBe(1);
+  expect(requests[0]).toEqual({ method: 'POST', path: 'devices/station-1/readings', body: readings });
+
+  // A gateway that doesn't say is taken to have written them all
+  responses['devices/station-1/readings'] = undefined;
+  expect(await source.importReadings('station-1', readings)).toBe(2);
+
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  responses['devices/station-1/readings'] = 500;
+  expect(await source.importReadings('station-1', readings)).toBe(false);
+  error.mockRestore();
+});
@@ -0,0 +1,31 @@
+// Register the dashboard's service worker (public/service-worker.js)
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) {
+    console.log('Service workers are not supported in this browser');
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(registration => {
+        console.log('Service worker registered with scope:', registration.scope);
+      })
+      .catch(error => {
+        console.error('Error registering service worker:', error);
+      });
+  });
+};
+
+// Listen for messages posted by the service worker
+// Returns a function to stop listening
+export const subscribeToServiceWorkerMessages = (callback) => {
+  if (!('serviceWorker' in navigator)) return () => {};
+
+  const handleMessage = (event) => callback(event.data || {});
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+
+  return () => {
+    navigator.serviceWorker.removeEventListener('message', handleMessage);
+  };
+};
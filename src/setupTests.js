@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Firebase Auth needs these web APIs, which jsdom doesn't provide
+import { TextEncoder, TextDecoder } from 'util';
+import { ReadableStream } from 'stream/web';
+Object.assign(global, { TextEncoder, TextDecoder, ReadableStream });
@@ -0,0 +1,92 @@
+// Station map
+// The dashboard's map shows one marker per station with coordinates, coloured by its alert status,
+// with a popup giving its level, freshness and a button that opens its trend. These helpers decide
+// what is plotted and build the marker and popup contents; the map itself is LeafletMap in App.js.
+
+import { formatLevelCm } from './devices';
+import { getFreshness, describeFreshness } from './freshness';
+import { getStatusLabel } from './thresholds';
+
+// Centre of the map before any station has coordinates (Caloocan City, Philippines)
+export const DEFAULT_MAP_CENTER = [14.6577, 120.9842];
+
+// Marker colours by status, matching the station list
+export const MARKER_COLORS = {
+  normal: '#10b981',
+  warning: '#f59e0b',
+  danger: '#ef4444',
+  unknown: '#94a3b8'
+};
+
+// Check whether a registry location ({ lat, lng }) can be plotted
+export const hasCoordinates = (location) =>
+  Boolean(location) && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+
+// Stations as plotted on the map, with their latest level and freshness
+// statuses: { [deviceId]: status } (see getNextStationStatuses). Stations without coordinates are left out.
+// Returns [{ id, name, location, status, statusLabel, levelText, freshnessText, isLive }]
+export const getMapStations = (devices, currentReadings, statuses, now) => devices
+  .filter(device => hasCoordinates(device.location))
+  .map(device => {
+    const reading = currentReadings[device.id];
+    const status = statuses[device.id] || 'unknown';
+    const freshness = getFreshness(device, reading, now);
+    return {
+      id: device.id,
+      name: device.name,
+      location: device.location,
+      status,
+      statusLabel: getStatusLabel(status),
+      levelText: reading ? formatLevelCm(reading.waterLevel, device) : 'No data',
+      freshnessText: describeFreshness(freshness),
+      isLive: freshness.state === 'live'
+    };
+  });
+
+// Markup of a round station marker filled with the station's status colour; stale stations are faded
+export const getMarkerHtml = (status, isLive, isSelected) =>
+  `<div class="station-marker${isLive ? '' : ' stale'}${isSelected ? ' selected' : ''}" style="background: ${MARKER_COLORS[status] || MARKER_COLORS.unknown};"></div>`;
+
+// Build the popup of a station marker; update it with fillStationPopup
+export const createStationPopup = (onShowTrend) => {
+  const content = document.createElement('div');
+  content.className = 'station-popup';
+  content.innerHTML = `
+    <h3 class="station-popup-name"></h3>
+    <p class="station-popup-level"></p>
+    <p class="station-popup-freshness"></p>
+  `;
+
+  const button = document.createElement('button');
+  button.textContent = 'Show Water Level Trend';
+  button.className = 'popup-button';
+  button.onclick = onShowTrend;
+  content.appendChild(button);
+
+  return content;
+};
+
+export const fillStationPopup = (content, station) => {
+  content.querySelector('.station-popup-name').textContent = station.name;
+  content.querySelector('.station-popup-level').textContent = `${station.levelText} - ${station.statusLabel}`;
+  const freshness = content.querySelector('.station-popup-freshness');
+  freshness.textContent = station.freshnessText;
+  freshness.style.color = station.isLive ? '#16a34a' : '#dc2626';
+};
+
+// Look up the viewer's position for the optional "My location" layer
+// Resolves to [lat, lng], or null when the browser can't or won't give it
+export const locateViewer = (geolocation = navigator.geolocation) => new Promise(resolve => {
+  if (!geolocation) {
+    console.error('Geolocation is not supported by this browser');
+    resolve(null);
+    return;
+  }
+  geolocation.getCurrentPosition(
+    (position) => resolve([position.coords.latitude, position.coords.longitude]),
+    (error) => {
+      console.error('Error getting location:', error);
+      resolve(null);
+    }
+  );
+});
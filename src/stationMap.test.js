@@ -0,0 +1,95 @@
+import {
+  MARKER_COLORS,
+  getMapStations,
+  getMarkerHtml,
+  createStationPopup,
+  fillStationPopup,
+  locateViewer
+} from './stationMap';
+
+const MINUTE_MS = 60 * 1000;
+const now = Date.UTC(2024, 6, 1, 1, 0, 0);
+
+const devices = [
+  { id: 'river', name: 'River', maxDepth: 8, offlineAfter: 10, location: { lat: 14.5995, lng: 120.9842 } },
+  { id: 'creek', name: 'Creek', maxDepth: 8, offlineAfter: 10, location: { lat: 14.6091, lng: 121.0223 } },
+  { id: 'drain', name: 'Drain', maxDepth: 8, offlineAfter: 10, location: null },
+  { id: 'canal', name: 'Canal', maxDepth: 8, offlineAfter: 10, location: { lat: 'north', lng: 121 } }
+];
+
+const currentReadings = {
+  river: { timestamp: now - MINUTE_MS, waterLevel: 80 },
+  creek: { timestamp: now - 30 * MINUTE_MS, waterLevel: 25 },
+  drain: { timestamp: now, waterLevel: 50 }
+};
+
+test('plots only the stations with coordinates, with their status, level and freshness', () => {
+  const stations = getMapStations(devices, currentReadings, { river: 'danger', creek: 'normal' }, now);
+
+  expect(stations).toEqual([
+    {
+      id: 'river',
+      name: 'River',
+      location: { lat: 14.5995, lng: 120.9842 },
+      status: 'danger',
+      statusLabel: 'Critical',
+      levelText: '6.4cm',
+      freshnessText: 'Live',
+      isLive: true
+    },
+    {
+      id: 'creek',
+      name: 'Creek',
+      location: { lat: 14.6091, lng: 121.0223 },
+      status: 'normal',
+      statusLabel: 'Safe',
+      levelText: '2cm',
+      freshnessText: 'Offline / last seen 30 min ago',
+      isLive: false
+    }
+  ]);
+
+  // A station without a status yet, or without a reading
+  const [river] = getMapStations(devices.slice(0, 1), {}, {}, now);
+  expect(river).toMatchObject({ status: 'unknown', levelText: 'No data', freshnessText: 'No data', isLive: false });
+});
+
+test('colours markers by status and fades stale stations', () => {
+  expect(getMarkerHtml('danger', true, false))
+    .toBe(`<div class="station-marker" style="background: ${MARKER_COLORS.danger};"></div>`);
+  expect(getMarkerHtml('warning', false, true))
+    .toBe(`<div class="station-marker stale selected" style="background: ${MARKER_COLORS.warning};"></div>`);
+  expect(getMarkerHtml('rapid-rise', true, false)).toContain(MARKER_COLORS.unknown);
+});
+
+test('fills the popup with the station and a button to its trend', () => {
+  const onShowTrend = jest.fn();
+  const popup = createStationPopup(onShowTrend);
+  const [river, creek] = getMapStations(devices, currentReadings, { river: 'danger', creek: 'normal' }, now);
+
+  fillStationPopup(popup, river);
+  expect(popup.querySelector('.station-popup-name').textContent).toBe('River');
+  expect(popup.querySelector('.station-popup-level').textContent).toBe('6.4cm - Critical');
+  expect(popup.querySelector('.station-popup-freshness').textContent).toBe('Live');
+  expect(popup.querySelector('.station-popup-freshness').style.color).toBe('rgb(22, 163, 74)');
+
+  // Popups are refilled as readings arrive
+  fillStationPopup(popup, creek);
+  expect(popup.querySelector('.station-popup-level').textContent).toBe('2cm - Safe');
+  expect(popup.querySelector('.station-popup-freshness').style.color).toBe('rgb(220, 38, 38)');
+
+  popup.querySelector('button').click();
+  expect(onShowTrend).toHaveBeenCalledTimes(1);
+});
+
+test('finds the viewer for the location layer, giving up quietly', async () => {
+  const found = { getCurrentPosition: (success) => success({ coords: { latitude: 14.6, longitude: 121 } }) };
+  expect(await locateViewer(found)).toEqual([14.6, 121]);
+
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const denied = { getCurrentPosition: (success, failure) => failure({ code: 1, message: 'User denied Geolocation' }) };
+  expect(await locateViewer(denied)).toBeNull();
+  expect(await locateViewer(null)).toBeNull();
+  expect(error).toHaveBeenCalledTimes(2);
+  error.mockRestore();
+});
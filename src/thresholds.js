@@ -0,0 +1,150 @@
+// Alert threshold engine
+// The one place that decides a reading's status. Thresholds are stored per device in the
+// registry (devices/{deviceId}/thresholds) and are measured in centimetres of water.
+// The rate-of-rise slope lives here too; the detector itself is in rateOfRise.js.
+
+import { findDeviceProfile, percentToLevelCm, validateDeviceMetadata } from './devices';
+import { validateFilterSettings } from './filtering';
+
+// Thresholds used for any field a device doesn't set
+export const DEFAULT_THRESHOLDS = {
+  warning: 3,       // cm of water above which the status is Warning
+  critical: 6,      // cm of water above which the status is Critical
+  hysteresis: 0.3,  // cm the level must drop below a threshold before the status steps down
+  rapidRise: 2,     // cm per hour above which the level is rising rapidly
+  rateWindow: 30    // minutes of readings used to measure the rate of rise
+};
+
+// Status keys in order of severity
+export const STATUS_LEVELS = ['normal', 'warning', 'danger'];
+
+// Labels shown to users and written to the database
+export const STATUS_LABELS = {
+  normal: 'Safe',
+  warning: 'Warning',
+  danger: 'Critical',
+  unknown: 'Unknown'
+};
+
+// Map any stored status ("Safe", "Danger", "Critical", "normal", ...) onto a status key
+export const normalizeStatus = (status) => {
+  switch (String(status || '').toLowerCase()) {
+    case 'safe':
+    case 'normal':
+      return 'normal';
+    case 'warning':
+      return 'warning';
+    case 'danger':
+    case 'critical':
+      return 'danger';
+    default:
+      return 'unknown';
+  }
+};
+
+// Get the display label for a status key
+export const getStatusLabel = (status) => STATUS_LABELS[normalizeStatus(status)];
+
+// Rank a status so statuses can be compared (unknown ranks lowest)
+export const getStatusSeverity = (status) => STATUS_LEVELS.indexOf(normalizeStatus(status));
+
+// Merge a device's thresholds with the defaults
+export const getThresholds = (profile) => {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...((profile && profile.thresholds) || {}) };
+
+  Object.keys(DEFAULT_THRESHOLDS).forEach(field => {
+    const value = parseFloat(thresholds[field]);
+    thresholds[field] = isNaN(value) ? DEFAULT_THRESHOLDS[field] : value;
+  });
+
+  return thresholds;
+};
+
+// Check thresholds before they are written to the registry
+// Returns a list of human readable problems (empty when valid)
+export const validateThresholds = (thresholds) => {
+  const errors = [];
+  const warning = parseFloat(thresholds.warning);
+  const critical = parseFloat(thresholds.critical);
+  const hysteresis = parseFloat(thresholds.hysteresis);
+
+  if (isNaN(warning) || warning < 0) errors.push('Warning threshold must be a number of at least 0');
+  if (isNaN(critical) || critical < 0) errors.push('Critical threshold must be a number of at least 0');
+  if (!isNaN(warning) && !isNaN(critical) && warning >= critical) {
+    errors.push('Warning threshold must be below the critical threshold');
+  }
+  if (isNaN(hysteresis) || hysteresis < 0) errors.push('Hysteresis must be a number of at least 0');
+  if (!isNaN(hysteresis) && !isNaN(warning) && hysteresis >= warning) {
+    errors.push('Hysteresis must be smaller than the warning threshold');
+  }
+
+  // Rate-of-rise settings are optional for thresholds saved before they existed
+  if (thresholds.rapidRise !== undefined) {
+    const rapidRise = parseFloat(thresholds.rapidRise);
+    if (isNaN(rapidRise) || rapidRise <= 0) errors.push('Rapid rise slope must be a number greater than 0');
+  }
+  if (thresholds.rateWindow !== undefined) {
+    const rateWindow = parseFloat(thresholds.rateWindow);
+    if (isNaN(rateWindow) || rateWindow < 5) errors.push('Rate window must be at least 5 minutes');
+  }
+
+  return errors;
+};
+
+// Check a registry update (metadata plus optional thresholds and filter) before any data source writes it
+export const validateDeviceDetails = (details) => [
+  ...validateDeviceMetadata(details),
+  ...(details.thresholds ? validateThresholds(details.thresholds) : []),
+  ...(details.filter ? validateFilterSettings(details.filter) : [])
+];
+
+// Classify a level in centimetres without any history
+export const getStatusFromLevelCm = (levelCm, thresholds = DEFAULT_THRESHOLDS) => {
+  if (levelCm === null || levelCm === undefined || isNaN(levelCm)) return 'unknown';
+  if (levelCm > thresholds.critical) return 'danger';
+  if (levelCm > thresholds.warning) return 'warning';
+  return 'normal';
+};
+
+// Classify a water level percentage for a device without any history
+export const getStatusFromWaterLevel = (waterLevel, profile) => {
+  if (waterLevel === null || waterLevel === undefined || isNaN(waterLevel)) return 'unknown';
+  return getStatusFromLevelCm(percentToLevelCm(waterLevel, profile), getThresholds(profile));
+};
+
+// Classify a water level percentage given the previous status
+// Rising readings escalate as soon as they cross a threshold; falling readings only step down
+// once they are a full hysteresis band below it, so a level hovering at a boundary doesn't flap.
+export const getNextStatus = (previousStatus, waterLevel, profile) => {
+  if (waterLevel === null || waterLevel === undefined || isNaN(waterLevel)) return 'unknown';
+
+  const thresholds = getThresholds(profile);
+  const levelCm = percentToLevelCm(waterLevel, profile);
+  const rawStatus = getStatusFromLevelCm(levelCm, thresholds);
+
+  const previousSeverity = getStatusSeverity(previousStatus);
+  if (getStatusSeverity(rawStatus) >= previousSeverity) {
+    return rawStatus;
+  }
+
+  // Falling: hold the previous band until the level clears the hysteresis margin
+  const heldStatus = getStatusFromLevelCm(levelCm + thresholds.hysteresis, thresholds);
+  return getStatusSeverity(heldStatus) >= previousSeverity
+    ? normalizeStatus(previousStatus)
+    : heldStatus;
+};
+
+// Track the status of every station from its latest reading
+// statuses: { [deviceId]: status } as last returned; readings: { [deviceId]: reading }
+// Each station keeps its own hysteresis, so the station list, map, sidebar and notifications
+// agree. Returns the same object when no status changed.
+export const getNextStationStatuses = (statuses, devices, readings) => {
+  let changed = false;
+  const next = {};
+  Object.keys(readings).forEach(deviceId => {
+    const previous = statuses[deviceId] || 'unknown';
+    next[deviceId] = getNextStatus(previous, readings[deviceId].waterLevel, findDeviceProfile(devices, deviceId));
+    if (next[deviceId] !== previous) changed = true;
+  });
+  return changed || Object.keys(statuses).some(deviceId => !(deviceId in next)) ? next : statuses;
+};
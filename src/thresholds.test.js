@@ -0,0 +1,64 @@
+import {
+  normalizeStatus,
+  getStatusLabel,
+  getThresholds,
+  validateThresholds,
+  getStatusFromWaterLevel,
+  getNextStatus,
+  getNextStationStatuses
+} from './thresholds';
+
+// 1% of a 100cm max depth is 1cm, which keeps the numbers readable
+const profile = { maxDepth: 100, thresholds: { warning: 30, critical: 60, hysteresis: 5 } };
+
+test('maps every stored status label onto one set of keys', () => {
+  expect(normalizeStatus('Safe')).toBe('normal');
+  expect(normalizeStatus('Danger')).toBe('danger');
+  expect(normalizeStatus('Critical')).toBe('danger');
+  expect(normalizeStatus(undefined)).toBe('unknown');
+  expect(getStatusLabel('danger')).toBe('Critical');
+});
+
+test('fills missing thresholds with the defaults', () => {
+  expect(getThresholds({ thresholds: { critical: '10' } }))
+    .toEqual({ warning: 3, critical: 10, hysteresis: 0.3, rapidRise: 2, rateWindow: 30 });
+  expect(getThresholds(null).warning).toBe(3);
+});
+
+test('rejects thresholds that are out of order', () => {
+  expect(validateThresholds({ warning: 3, critical: 6, hysteresis: 0.5 })).toEqual([]);
+  expect(validateThresholds({ warning: 6, critical: 3, hysteresis: 0.5 }))
+    .toContain('Warning threshold must be below the critical threshold');
+});
+
+test('classifies a level without history', () => {
+  expect(getStatusFromWaterLevel(20, profile)).toBe('normal');
+  expect(getStatusFromWaterLevel(45, profile)).toBe('warning');
+  expect(getStatusFromWaterLevel(61, profile)).toBe('danger');
+  expect(getStatusFromWaterLevel(null, profile)).toBe('unknown');
+});
+
+test('escalates immediately but only steps down past the hysteresis band', () => {
+  expect(getNextStatus('normal', 31, profile)).toBe('warning');
+  expect(getNextStatus('warning', 61, profile)).toBe('danger');
+  // Still within 5cm of the critical threshold
+  expect(getNextStatus('danger', 57, profile)).toBe('danger');
+  expect(getNextStatus('danger', 54, profile)).toBe('warning');
+  // Jumping a whole band down still respects the lower threshold's band
+  expect(getNextStatus('danger', 27, profile)).toBe('warning');
+  expect(getNextStatus('danger', 20, profile)).toBe('normal');
+  expect(getNextStatus('warning', null, profile)).toBe('unknown');
+});
+
+test('keeps the status of every station with its own hysteresis', () => {
+  const devices = [{ id: 'station-1', ...profile }, { id: 'station-2' }];
+
+  const rising = getNextStationStatuses({}, devices, { 'station-1': { waterLevel: 61 }, 'station-2': { waterLevel: 50 } });
+  expect(rising).toEqual({ 'station-1': 'danger', 'station-2': 'warning' });
+
+  // Hovering just under the critical threshold holds Critical, so nothing changes
+  const hovering = getNextStationStatuses(rising, devices, { 'station-1': { waterLevel: 58 }, 'station-2': { waterLevel: 50 } });
+  expect(hovering).toBe(rising);
+
+  expect(getNextStationStatuses(hovering, devices, { 'station-1': { waterLevel: 20 } })).toEqual({ 'station-1': 'normal' });
+});
@@ -0,0 +1,72 @@
+// Site timezone helpers
+// History is bucketed, and exports and reports show times, in the timezone of the monitored site,
+// not the viewer's browser. Set REACT_APP_SITE_TIMEZONE to an IANA name such as "Asia/Manila", and
+// SITE_TIMEZONE to the same name for the functions, so both bucket readings the same way.
+
+export const SITE_TIMEZONE = process.env.REACT_APP_SITE_TIMEZONE || 'Asia/Manila';
+
+// Read the calendar fields of a timestamp as seen in a timezone
+const getZonedParts = (timestamp, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+};
+
+// Offset of a timezone from UTC at a point in time, in minutes (480 for UTC+8)
+export const getTimeZoneOffsetMinutes = (timestamp, timeZone = SITE_TIMEZONE) => {
+  const parts = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / 60000);
+};
+
+// Start of the period (5 minutes, an hour, a day) holding a timestamp, on the timezone's wall clock
+export const getPeriodStartInTimeZone = (timestamp, periodMs, timeZone = SITE_TIMEZONE) => {
+  const offsetMs = getTimeZoneOffsetMinutes(timestamp, timeZone) * 60000;
+  return Math.floor((timestamp + offsetMs) / periodMs) * periodMs - offsetMs;
+};
+
+// A Date whose local fields read as the timezone's wall clock, for formatting with date-fns and
+// grouping by day or hour. Only for display: its getTime() is not the original timestamp.
+export const toZonedDate = (timestamp, timeZone = SITE_TIMEZONE) => {
+  const parts = getZonedParts(timestamp, timeZone);
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// Format a timestamp as ISO 8601 with the timezone's offset, e.g. 2024-07-01T09:07:30+08:00
+export const formatIsoInTimeZone = (timestamp, timeZone = SITE_TIMEZONE) => {
+  const parts = getZonedParts(timestamp, timeZone);
+  const offset = getTimeZoneOffsetMinutes(timestamp, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${sign}${hours}:${minutes}`;
+};
+
+// Timestamp of a wall-clock time in a timezone, from a date ("2024-07-01") or a date and time
+// ("2024-07-01T09:30" or "2024-07-01T09:30:15") as given by date and datetime-local inputs
+export const parseInTimeZone = (value, timeZone = SITE_TIMEZONE) => {
+  const [date, time = '00:00'] = value.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  const wallClockUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  return wallClockUtc - getTimeZoneOffsetMinutes(wallClockUtc, timeZone) * 60000;
+};
+
+// Timestamp of midnight at the start of a calendar date ("2024-07-01") in a timezone
+export const startOfDayInTimeZone = (dateString, timeZone = SITE_TIMEZONE) => parseInTimeZone(dateString, timeZone);
+
+// Format a timestamp for people to read in a timezone, e.g. 2024-07-01 09:07
+export const formatSiteTime = (timestamp, timeZone = SITE_TIMEZONE) =>
+  formatIsoInTimeZone(timestamp, timeZone).slice(0, 16).replace('T', ' ');
@@ -0,0 +1,291 @@
+// Trend chart configuration
+// Shared by the trend chart modal and the incident report, so a report's chart snapshot looks
+// exactly like the chart on screen.
+
+import { format } from 'date-fns';
+import { percentToLevelCm } from './devices';
+import { RESOLUTION_TITLES, findSlotIndex } from './chartRange';
+import { FORECAST_CONFIDENCE } from './forecast';
+
+// Build the chart series for a station from history at the chart's resolution
+// Returns the mean (filtered) level of each time slot in cm, plus the slot's min and max where known,
+// the raw level, and whether the slot holds readings flagged as suspect
+// options.latestWaterLevel is drawn in the slot for now when options.live is set
+export const createChartSeries = (readings, timeLabels, profile, { latestWaterLevel = null, live = false, now = Date.now() } = {}) => {
+  const toCm = (percent) => Number(percentToLevelCm(percent, profile).toFixed(1));
+  const series = {
+    mean: Array(timeLabels.length).fill(null),
+    min: Array(timeLabels.length).fill(null),
+    max: Array(timeLabels.length).fill(null),
+    raw: Array(timeLabels.length).fill(null),
+    suspect: Array(timeLabels.length).fill(false)
+  };
+
+  // Exit early if we don't have time labels yet
+  if (timeLabels.length === 0) return series;
+
+  console.log(`Creating chart series from ${readings.length} readings`);
+
+  // Put each reading in the time slot it falls in
+  readings.forEach(reading => {
+    const index = findSlotIndex(timeLabels, reading.timestamp);
+    if (index < 0) return;
+
+    series.mean[index] = toCm(reading.waterLevel);
+    if (reading.min !== undefined && !isNaN(reading.min)) series.min[index] = toCm(reading.min);
+    if (reading.max !== undefined && !isNaN(reading.max)) series.max[index] = toCm(reading.max);
+    if (reading.rawLevel !== undefined && !isNaN(reading.rawLevel)) series.raw[index] = toCm(reading.rawLevel);
+    if (reading.suspect || reading.suspectCount > 0) series.suspect[index] = true;
+  });
+
+  // The current reading is the most recent (rightmost) point while the window ends now
+  if (live && latestWaterLevel !== null && latestWaterLevel !== undefined) {
+    const index = findSlotIndex(timeLabels, now);
+    if (index >= 0) series.mean[index] = toCm(latestWaterLevel);
+  }
+
+  return series;
+};
+
+// Datasets for one station: the mean line, plus a min-max band on hourly and daily charts
+// currentIndex is the slot highlighted as the current real-time point (-1 for none)
+// showRaw adds the unfiltered readings as a thin line, with suspect readings marked in red
+export const createTrendDatasets = ({ label, series, resolution, currentIndex = -1, showRaw = false }) => {
+  // Hourly and daily ranges shade the spread between each slot's min and max around the mean
+  const bandDatasets = resolution === '5m' ? [] : [
+    {
+      label: 'Range (min-max)',
+      tooltipLabel: 'Max',
+      data: series.max,
+      fill: '+1',
+      backgroundColor: 'rgba(37, 99, 235, 0.12)',
+      borderColor: 'rgba(37, 99, 235, 0.25)',
+      borderWidth: 1,
+      pointRadius: 0,
+      tension: 0.2,
+      spanGaps: true,
+    },
+    {
+      label: 'Min',
+      tooltipLabel: 'Min',
+      hideFromLegend: true,
+      data: series.min,
+      fill: false,
+      borderColor: 'rgba(37, 99, 235, 0.25)',
+      borderWidth: 1,
+      pointRadius: 0,
+      tension: 0.2,
+      spanGaps: true,
+    },
+  ];
+
+  const rawDatasets = !showRaw ? [] : [
+    {
+      label: 'Raw readings',
+      tooltipLabel: 'Raw',
+      data: series.raw,
+      fill: false,
+      borderColor: 'rgba(100, 116, 139, 0.6)',
+      borderWidth: 1,
+      pointRadius: (context) => series.suspect[context.dataIndex] ? 4 : 0,
+      pointBackgroundColor: '#ef4444',
+      pointBorderColor: '#ef4444',
+      tension: 0,
+      spanGaps: true,
+    },
+  ];
+
+  return [
+    {
+      label,
+      data: series.mean,
+      fill: false,
+      backgroundColor: 'rgba(37, 99, 235, 0.2)',
+      borderColor: '#2563eb',
+      borderWidth: 3,
+      // Use a different color for the current real-time point
+      pointBackgroundColor: (context) => context.dataIndex === currentIndex ? '#ef4444' : '#2563eb',
+      pointBorderColor: '#ffffff',
+      pointBorderWidth: 2,
+      pointRadius: 4,
+      pointHoverRadius: 8,
+      tension: 0.2,
+      spanGaps: true, // Connect the line across gaps (null values)
+    },
+    ...bandDatasets,
+    ...rawDatasets,
+  ];
+};
+
+// Datasets for a forecast (see forecast.js): a dashed projection from the current slot, and its
+// confidence band. labels must run past now (see extendLabels); each future slot shows the
+// projection at the slot's start.
+export const createForecastDatasets = ({ forecast, labels, currentIndex }) => {
+  const empty = () => Array(labels.length).fill(null);
+  const projection = empty();
+  const low = empty();
+  const high = empty();
+  if (!forecast || currentIndex < 0) return [];
+
+  const round = (levelCm) => Number(levelCm.toFixed(1));
+  projection[currentIndex] = round(forecast.from.levelCm);
+  low[currentIndex] = projection[currentIndex];
+  high[currentIndex] = projection[currentIndex];
+
+  labels.forEach((label, index) => {
+    if (index <= currentIndex) return;
+    const point = forecast.points.find(candidate => candidate.timestamp >= label.timestamp);
+    if (!point) return;
+    projection[index] = round(point.levelCm);
+    low[index] = round(point.lowCm);
+    high[index] = round(point.highCm);
+  });
+
+  return [
+    {
+      label: 'Projection',
+      tooltipLabel: 'Projected',
+      data: projection,
+      fill: false,
+      borderColor: '#2563eb',
+      borderDash: [6, 4],
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0,
+      spanGaps: false,
+    },
+    {
+      label: `Projection range (${Math.round(FORECAST_CONFIDENCE * 100)}%)`,
+      tooltipLabel: 'Projected high',
+      data: high,
+      fill: '+1',
+      backgroundColor: 'rgba(37, 99, 235, 0.08)',
+      borderColor: 'rgba(37, 99, 235, 0)',
+      borderWidth: 0,
+      pointRadius: 0,
+      tension: 0,
+      spanGaps: false,
+    },
+    {
+      label: 'Projected low',
+      tooltipLabel: 'Projected low',
+      hideFromLegend: true,
+      data: low,
+      fill: false,
+      borderColor: 'rgba(37, 99, 235, 0)',
+      borderWidth: 0,
+      pointRadius: 0,
+      tension: 0,
+      spanGaps: false,
+    },
+  ];
+};
+
+// Chart options for a window of time labels at a resolution
+// compare is set when other stations are overlaid, so the legend and tooltips name each line
+// forecast and raw are set when a projection or the raw readings are drawn, so the legend explains them
+export const createTrendChartOptions = ({ timeLabels, resolution, profile, compare = false, forecast = false, raw = false }) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: {
+    duration: 0 // Disable animations for immediate rendering
+  },
+  plugins: {
+    legend: {
+      // Only needed to tell stations apart in compare mode, or to explain the bands and extra lines
+      display: compare || forecast || raw || resolution !== '5m',
+      labels: {
+        filter: (item, data) => !data.datasets[item.datasetIndex].hideFromLegend
+      }
+    },
+    tooltip: {
+      backgroundColor: 'rgba(255, 255, 255, 0.9)',
+      titleColor: '#1e293b',
+      bodyColor: '#1e293b',
+      borderColor: '#e2e8f0',
+      borderWidth: 1,
+      padding: 12,
+      boxPadding: 6,
+      usePointStyle: true,
+      callbacks: {
+        title: (context) => {
+          if (!context.length) return '';
+          const label = timeLabels[context[0].dataIndex];
+          if (label) {
+            return format(label.time, 'MMMM d, yyyy');
+          }
+          return '';
+        },
+        label: (context) => {
+          const label = timeLabels[context.dataIndex];
+          if (!label) return '';
+
+          const dataValue = context.raw;
+          if (dataValue === null) return 'No data available';
+
+          const seriesLabel = context.dataset.tooltipLabel ||
+            (compare ? context.dataset.label : 'Waterlevel');
+          return [
+            `${resolution === '1d' ? 'Date' : 'Time'}: ${label.formatted}`,
+            `${seriesLabel}: ${dataValue}cm`
+          ];
+        }
+      }
+    }
+  },
+  scales: {
+    y: {
+      beginAtZero: true,
+      // Leave headroom above the station's max depth (8cm -> 10cm), data is still capped at max depth
+      max: Math.ceil(profile.maxDepth * 1.25),
+      title: {
+        display: true,
+        text: 'Values (cm)'
+      },
+      ticks: {
+        callback: function(value) {
+          return value + ' cm';
+        }
+      },
+      grid: {
+        color: 'rgba(226, 232, 240, 0.5)',
+      }
+    },
+    x: {
+      reverse: false, // Ensure that oldest data is on the left, newest on the right
+      title: {
+        display: true,
+        text: RESOLUTION_TITLES[resolution]
+      },
+      grid: {
+        display: true,
+        color: 'rgba(226, 232, 240, 0.3)',
+        tickBorderDash: [5, 5]
+      },
+      ticks: {
+        maxRotation: 45,
+        minRotation: 45,
+        callback: function(index) {
+          // Show about 24 labels whatever the range (every 15 minutes for 6 hours)
+          const step = Math.max(1, Math.ceil(timeLabels.length / 24));
+          return index % step === 0 && index < timeLabels.length ? timeLabels[index].formatted : '';
+        }
+      }
+    }
+  },
+  elements: {
+    line: {
+      tension: 0.4, // Increased for smoother line
+      borderWidth: 3 // Thicker line for better visibility
+    },
+    point: {
+      radius: function(context) {
+        // Make points visible when data exists
+        const value = context.raw;
+        return value === null ? 0 : 4;
+      },
+      hoverRadius: 8,
+      borderWidth: 2
+    }
+  }
+});
@@ -0,0 +1,117 @@
+import { useEffect, useRef } from 'react';
+import { findDeviceProfile, formatLevelCm } from './devices';
+import { getStatusLabel } from './thresholds';
+import { formatRate } from './rateOfRise';
+import { shouldNotify, showNotification } from './notifications';
+import { getFreshness, formatAge } from './freshness';
+
+// How often stations are checked for staleness
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Describe a station for notification text
+const describeStation = ({ devices, currentReadings }, deviceId) => {
+  const profile = findDeviceProfile(devices, deviceId);
+  const reading = currentReadings[deviceId];
+
+  return {
+    name: profile.name || deviceId,
+    level: reading ? formatLevelCm(reading.waterLevel, profile) : 'unknown'
+  };
+};
+
+// Show a notification for an event if the user's settings allow it
+const notify = (settings, event, notification) => {
+  if (!shouldNotify(event, settings)) return;
+
+  console.log('Showing alert notification:', event, notification);
+  showNotification(notification);
+};
+
+// Custom hook that turns alert changes into browser notifications
+// stationStatuses is every station's status as the dashboard shows it (see getNextStationStatuses),
+// so an escalation at a station that isn't selected still notifies. Rapid rise is only
+// measured for the selected station.
+function useAlertNotifications({ settings, devices, currentReadings, stationStatuses, selectedDeviceId, rateStatus, rateOfRise }) {
+  const notifiedStatuses = useRef({});
+  const staleStations = useRef({});
+  const previousRateStatus = useRef(rateStatus);
+
+  // Keep the latest values on hand for the interval and effects below
+  const latest = useRef({});
+  latest.current = { settings, devices, currentReadings, selectedDeviceId, rateOfRise };
+
+  // Status transitions at every station
+  useEffect(() => {
+    Object.keys(stationStatuses).forEach(deviceId => {
+      const previousStatus = notifiedStatuses.current[deviceId] || 'unknown';
+      const nextStatus = stationStatuses[deviceId];
+
+      notifiedStatuses.current[deviceId] = nextStatus;
+      if (nextStatus === previousStatus) return;
+
+      const station = describeStation(latest.current, deviceId);
+      const escalated = ['normal', 'warning', 'danger'].indexOf(nextStatus) >
+        ['normal', 'warning', 'danger'].indexOf(previousStatus);
+
+      notify(latest.current.settings, { type: 'status', from: previousStatus, to: nextStatus }, {
+        title: escalated
+          ? `${getStatusLabel(nextStatus)} - ${station.name}`
+          : `${station.name} back to ${getStatusLabel(nextStatus)}`,
+        body: `Water level ${station.level} (was ${getStatusLabel(previousStatus)}). Open to view the trend.`,
+        deviceId,
+        tag: `${deviceId}-status`,
+        requireInteraction: nextStatus === 'danger'
+      });
+    });
+  }, [stationStatuses]);
+
+  // Rapid rise at the selected station
+  useEffect(() => {
+    const previous = previousRateStatus.current;
+    previousRateStatus.current = rateStatus;
+
+    if (rateStatus !== 'rapid-rise' || previous !== 'normal' || !selectedDeviceId) return;
+
+    const { rateOfRise: rate } = latest.current;
+    const station = describeStation(latest.current, selectedDeviceId);
+    notify(latest.current.settings, { type: 'rapid-rise' }, {
+      title: `Rapid rise - ${station.name}`,
+      body: `Rising ${rate ? formatRate(rate.cmPerHour) : 'quickly'}, now at ${station.level}. Open to view the trend.`,
+      deviceId: selectedDeviceId,
+      tag: `${selectedDeviceId}-rapid-rise`
+    });
+  }, [rateStatus, selectedDeviceId]);
+
+  // Stations that stop reporting
+  useEffect(() => {
+    const checkStaleStations = () => {
+      const { currentReadings: readings, devices: registry } = latest.current;
+      const now = Date.now();
+
+      Object.keys(readings).forEach(deviceId => {
+        const freshness = getFreshness(findDeviceProfile(registry, deviceId), readings[deviceId], now);
+        const isStale = freshness.state !== 'live';
+        const wasStale = staleStations.current[deviceId];
+        staleStations.current[deviceId] = isStale;
+
+        // Only notify when a station goes stale while we're watching, not when the page loads
+        if (!isStale || wasStale !== false) return;
+
+        const station = describeStation(latest.current, deviceId);
+        notify(latest.current.settings, { type: 'stale' }, {
+          title: `${station.name} is not reporting`,
+          body: `Last reading ${formatAge(freshness.ageMs)}. Last level was ${station.level}.`,
+          deviceId,
+          tag: `${deviceId}-stale`
+        });
+      });
+    };
+
+    checkStaleStations();
+    const intervalId = setInterval(checkStaleStations, STALE_CHECK_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [currentReadings]);
+}
+
+export default useAlertNotifications;
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+
+// Custom hook that tracks whether the browser has a network connection
+// navigator.onLine can be true on a network without internet access, so the dashboard also
+// relies on reading freshness; this only catches the connection dropping outright.
+const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return online;
+};
+
+export default useOnlineStatus;